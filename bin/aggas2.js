@@ -0,0 +1,248 @@
+#!/usr/bin/env node
+// bin/aggas2.js
+
+// ==========================================
+// 物理引擎的命令行入口 (无浏览器)：与界面使用同一套 src/utils 模块
+//   aggas2 [simulate] [--recipe file.json] [--<input> value ...] [--format json|csv]
+//   aggas2 structure [--mode unit|cluster] [--supercell NxMxL] [--format json|csv|xyz|cif|poscar]
+//   aggas2 calibrate [--dataset file.json] [--form linear|saturating] [--include-cri]
+// 输入字段与配方 (RECIPE_INPUT_SCHEMA) 相同；flag 覆盖配方中的值，结果写到 stdout，错误写到 stderr
+// ==========================================
+
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { simulateWhiteLED, calculateChromaticity, calculateCRI, getLatticeStructure, MAX_CLUSTER_ATOMS } from '../src/utils/physics.js';
+import { RECIPE_FORMAT, RECIPE_VERSION, RECIPE_INPUT_SCHEMA, DEFAULT_RECIPE_INPUTS, validateRecipe, recipeToSimulationInputs } from '../src/utils/recipe.js';
+import { structureToCif, structureToXyz, structureToPoscar } from '../src/utils/structureIO.js';
+import { THESIS_DATASET } from '../src/utils/calibrationData.js';
+import { CALIBRATION_FORMS, validateDataset, calibrateModel } from '../src/utils/calibration.js';
+
+const USAGE = `Usage:
+  aggas2 [simulate] [options]     emission, LED spectrum, chromaticity and CRI
+  aggas2 structure [options]      lattice of the current material and doping
+  aggas2 calibrate [options]      fit the empirical corrections to an anchor dataset (JSON report)
+
+Options:
+  --recipe <file>       load inputs, model and blend from a recipe JSON (flags override it)
+  --format <fmt>        simulate: json (default) | csv
+                        structure: json (default) | csv | xyz | cif | poscar
+  --mode <mode>         structure: unit (default) | cluster (radius sets the cluster size; bulk lattice above ${MAX_CLUSTER_ATOMS} atoms)
+  --dataset <file>      calibrate: anchor dataset JSON (default: built-in thesis anchors)
+  --form <form>         calibrate: blue-shift form, ${Object.keys(CALIBRATION_FORMS).join(' | ')} (default linear)
+  --include-cri         calibrate: fit the CRI table too (otherwise it is validation only)
+  --help                show this message
+
+Inputs (same names and ranges as the recipe format, v${RECIPE_VERSION}):
+${Object.entries(RECIPE_INPUT_SCHEMA).map(([key, rule]) => {
+  const range = rule.enum ? rule.enum.join('|')
+    : rule.type === 'number' ? `${rule.min}..${rule.max}${rule.unit ? ` ${rule.unit}` : ''}${rule.integer ? ' (integer)' : ''}`
+    : rule.type === 'array' ? `NxMxL, each ${rule.min}..${rule.max} (integer)`
+    : 'true|false';
+  const fallback = DEFAULT_RECIPE_INPUTS[key];
+  return `  --${key.padEnd(20)}${range} (default ${Array.isArray(fallback) ? fallback.join('x') : fallback})`;
+}).join('\n')}
+`;
+
+const COMMANDS = ['simulate', 'structure', 'calibrate'];
+const SIMULATE_FORMATS = ['json', 'csv'];
+const STRUCTURE_FORMATS = ['json', 'csv', 'xyz', 'cif', 'poscar'];
+
+class UsageError extends Error {}
+
+// 所有 flag 按字符串解析，再按 Schema 转换类型 (范围由 validateRecipe 统一检查)
+const parseCommandLine = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      recipe: { type: 'string' },
+      format: { type: 'string' },
+      mode: { type: 'string' },
+      dataset: { type: 'string' },
+      form: { type: 'string' },
+      'include-cri': { type: 'boolean' },
+      help: { type: 'boolean' },
+      ...Object.fromEntries(Object.keys(RECIPE_INPUT_SCHEMA).map(key => [key, { type: 'string' }]))
+    }
+  });
+  if (positionals.length > 1) throw new UsageError(`Unexpected argument "${positionals[1]}"`);
+  const command = positionals[0] ?? 'simulate';
+  if (!COMMANDS.includes(command)) throw new UsageError(`Unknown command "${command}" (expected one of ${COMMANDS.join(', ')})`);
+
+  const overrides = {};
+  Object.entries(RECIPE_INPUT_SCHEMA).forEach(([key, rule]) => {
+    const raw = values[key];
+    if (raw === undefined) return;
+    if (rule.type === 'number') overrides[key] = Number(raw);
+    else if (rule.type === 'array') {
+      // 向量写作 NxMxL (如 --supercell 2x2x1)，分量的范围由 validateRecipe 检查
+      const parts = raw.split(/x/i);
+      if (parts.length !== rule.length) throw new UsageError(`--${key} "${raw}" must look like 2x2x1`);
+      overrides[key] = parts.map(Number);
+    } else if (rule.type === 'boolean') {
+      if (raw !== 'true' && raw !== 'false') throw new UsageError(`--${key} must be true or false`);
+      overrides[key] = raw === 'true';
+    } else overrides[key] = raw;
+  });
+  return { command, values, overrides };
+};
+
+// 合并配方与 flag，校验后返回 { inputs, model, blend }；警告写到 stderr
+const resolveInputs = (recipePath, overrides) => {
+  let base = { inputs: DEFAULT_RECIPE_INPUTS, model: null, blend: [] };
+  if (recipePath) {
+    let recipe;
+    try {
+      recipe = JSON.parse(readFileSync(recipePath, 'utf8'));
+    } catch (err) {
+      throw new Error(`${recipePath}: ${err.message}`);
+    }
+    base = validateRecipe(recipe);
+    base.warnings.forEach(text => console.error(`warning: ${recipePath}: ${text}`));
+    if (base.errors.length > 0) throw new Error(base.errors.map(text => `${recipePath}: ${text}`).join('\n'));
+  }
+
+  // 以当前版本重新校验合并后的输入 (flag 的类型与范围)
+  const merged = validateRecipe({
+    format: RECIPE_FORMAT,
+    version: RECIPE_VERSION,
+    inputs: { ...base.inputs, ...overrides },
+    ...(base.model && { model: base.model }),
+    blend: base.blend
+  });
+  if (merged.errors.length > 0) throw new Error(merged.errors.join('\n'));
+  return merged;
+};
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+const simulate = ({ inputs, model, blend }, format) => {
+  if (!SIMULATE_FORMATS.includes(format)) throw new UsageError(`simulate --format must be one of ${SIMULATE_FORMATS.join(', ')}`);
+  const result = simulateWhiteLED(recipeToSimulationInputs(inputs, model, blend));
+  const chromaticity = calculateChromaticity(result.spectrum);
+  const cri = calculateCRI(result.spectrum);
+
+  const summary = {
+    peakWavelength: result.peakWl,
+    energy: parseFloat(result.energy),
+    fwhm: round(result.thermal.fwhm, 2),
+    chromaticity: chromaticity && {
+      x: round(chromaticity.x, 5),
+      y: round(chromaticity.y, 5),
+      cct: chromaticity.cct,
+      duv: chromaticity.duv
+    },
+    cri: cri && { Ra: cri.Ra, R: cri.R }
+  };
+
+  if (format === 'csv') {
+    // 标量结果写在 # 注释行，数据为 QD 发射与器件出光两列光谱
+    const emission = new Map(result.qdSpectrum.map(p => [p.wl, p.intensity]));
+    return [
+      `# peak_wavelength_nm=${summary.peakWavelength} energy_eV=${summary.energy} fwhm_nm=${summary.fwhm}`,
+      chromaticity && `# x=${summary.chromaticity.x} y=${summary.chromaticity.y} cct_K=${summary.chromaticity.cct} duv=${summary.chromaticity.duv}`,
+      cri && `# Ra=${cri.Ra} R9=${cri.R[8]}`,
+      'wavelength_nm,qd_emission,led_spectrum',
+      ...result.spectrum.map(p => [p.wl, (emission.get(p.wl) ?? 0).toFixed(6), p.intensity.toFixed(6)].join(','))
+    ].filter(Boolean).join('\n');
+  }
+
+  return JSON.stringify({
+    inputs,
+    outputs: {
+      ...summary,
+      terms: result.terms,
+      device: result.device,
+      shell: result.shell,
+      thermal: result.thermal,
+      absorption: {
+        edgeEnergy: result.absorption.edgeEnergy,
+        edgeWl: result.absorption.edgeWl,
+        absorbedFraction: result.absorption.absorbedFraction,
+        stokesShift: result.absorption.stokesShift
+      },
+      qdSpectrum: result.qdSpectrum,
+      spectrum: result.spectrum
+    }
+  }, null, 2);
+};
+
+const structure = ({ inputs }, { format, mode = 'unit' }) => {
+  if (!STRUCTURE_FORMATS.includes(format)) throw new UsageError(`structure --format must be one of ${STRUCTURE_FORMATS.join(', ')}`);
+  if (mode !== 'unit' && mode !== 'cluster') throw new UsageError('--mode must be unit or cluster');
+
+  const lattice = getLatticeStructure(mode, inputs.zrDoping, inputs.materialId, {
+    supercell: inputs.supercell,
+    clusterRadius: inputs.radius,
+    shellMonolayers: inputs.isCoreShell ? inputs.shellMonolayers : 0,
+    seed: inputs.dopingSeed,
+    site: inputs.dopingSite,
+    compensation: inputs.compensation
+  });
+  if (lattice.notice) console.error(`warning: ${lattice.notice}`);
+
+  if (format === 'cif') return structureToCif(lattice);
+  if (format === 'xyz') return structureToXyz(lattice);
+  if (format === 'poscar') return structureToPoscar(lattice);
+  if (format === 'csv') {
+    return [
+      'index,type,site,frac_x,frac_y,frac_z,x_A,y_A,z_A,coordination',
+      ...lattice.atoms.map((atom, i) => [i, atom.type, atom.site, ...atom.frac.map(v => v.toFixed(6)), ...atom.cart.map(v => v.toFixed(4)), atom.coordination].join(','))
+    ].join('\n');
+  }
+  return JSON.stringify({
+    title: lattice.title,
+    periodic: lattice.periodic,
+    cell: lattice.cell,
+    vectors: lattice.vectors,
+    doping: lattice.doping,
+    atoms: lattice.atoms.map(({ type, site, frac, cart, coordination }) => ({ type, site, frac, cart, coordination })),
+    bonds: lattice.bonds
+  }, null, 2);
+};
+
+// 标定以配方中的模型参数 (或材料缺省常数) 为初值
+const calibrate = ({ model }, { dataset: datasetPath, form = 'linear', 'include-cri': includeCri = false }) => {
+  if (!CALIBRATION_FORMS[form]) throw new UsageError(`--form must be one of ${Object.keys(CALIBRATION_FORMS).join(', ')}`);
+  let raw = THESIS_DATASET;
+  if (datasetPath) {
+    try {
+      raw = JSON.parse(readFileSync(datasetPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`${datasetPath}: ${err.message}`);
+    }
+  }
+  const { dataset, errors } = validateDataset(raw);
+  if (errors.length > 0) throw new Error(errors.map(text => `${datasetPath ?? 'dataset'}: ${text}`).join('\n'));
+  const result = calibrateModel(dataset, { form, includeCri, ...(model && { material: model.material, corrections: model.corrections }) });
+  result.warnings.forEach(text => console.error(`warning: ${text}`));
+  return JSON.stringify({ dataset: dataset.name, ...result }, null, 2);
+};
+
+const main = (argv) => {
+  // 下游提前关闭管道 (如 aggas2 structure --format xyz | head) 时安静退出，而不是抛出未捕获的 EPIPE
+  process.stdout.on('error', err => {
+    if (err.code === 'EPIPE') process.exit(0);
+    console.error(`aggas2: ${err.message}`);
+    process.exit(1);
+  });
+  const { command, values, overrides } = parseCommandLine(argv);
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return;
+  }
+  const resolved = resolveInputs(values.recipe, overrides);
+  const format = values.format ?? 'json';
+  const output = command === 'structure' ? structure(resolved, { ...values, format })
+    : command === 'calibrate' ? calibrate(resolved, values)
+    : simulate(resolved, format);
+  process.stdout.write(`${output}\n`);
+};
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error(`aggas2: ${err.message}`);
+  if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) console.error('Run "aggas2 --help" for usage.');
+  process.exitCode = 1;
+}
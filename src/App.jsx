@@ -1,81 +1,198 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useRef, useLayoutEffect, useEffect } from 'react';
 import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Sphere, Float, Stars, Cylinder, Box as Box3D } from '@react-three/drei';
 import { EffectComposer, Bloom } from '@react-three/postprocessing';
 import { 
-  AreaChart, Area, BarChart, Bar, XAxis, YAxis, 
+  ComposedChart, Area, Line, BarChart, Bar, XAxis, YAxis, 
   ResponsiveContainer, Tooltip, ReferenceLine, Cell, Legend, CartesianGrid 
 } from 'recharts';
-import { Zap, Clock, FlaskConical, Layers, BarChart3, Atom, Box, Cpu, Lightbulb } from 'lucide-react';
+import { Zap, Clock, FlaskConical, Layers, BarChart3, Atom, Box, Cpu, Lightbulb, Crosshair, Upload, Ruler, FileUp, SlidersHorizontal, Waves, Palette, Grid3x3, Timer, Thermometer, CircleDot, ScanLine, Film } from 'lucide-react';
 import * as THREE from 'three';
 
 // 引入物理引擎
-// ⚠️ 请确保你的 physics.js 已经是更新过的版本，包含了蓝移和猝灭逻辑
 import { 
-  calculateEmissionParams, 
-  generateCompositeSpectrum, 
   calculateColorFromSpectrum, 
-  getBlueLEDSpectrum, 
-  calculateCRI, 
-  getLatticeStructure 
+  calculateTristimulus,
+  interpolateSpectrum, 
+  getEmissionLineShapes,
+  getZrEmission,
+  EMPIRICAL_CORRECTIONS,
+  DEFAULT_PUMP,
+  MATERIAL_PARAM_INFO,
+  CORRECTION_PARAM_INFO,
+  buildStructure,
+  cellToVectors
 } from './utils/physics';
+import { MATERIALS, DEFAULT_MATERIAL_ID, getBrusParams, getVarshniParams, getShellOffsets } from './utils/materials';
+import { DEFAULT_STACK, STACK_PARAM_INFO } from './utils/device';
+import { createBlendComponent, toBlendInput } from './utils/blend';
+import { sweepToCsv } from './utils/sweep';
+import { simulateDecay, fitDecay } from './utils/kinetics';
+import { DEFAULT_THERMAL, DRIFT_TEMPERATURE_RANGE, resolveFilmTemperature } from './utils/thermal';
+import { DEFAULT_DOPING, dopingStatistics } from './utils/doping';
+import { DEFAULT_SHELL_MONOLAYERS, shellRedShift, latticeStrain } from './utils/shell';
+import { XRD_SUPERCELL, simulatePowderPattern, patternToXy, reflectionsToCsv, parseXrdFile } from './utils/xrd';
+import { buildRecipe, validateRecipe } from './utils/recipe';
+import { THESIS_DATASET } from './utils/calibrationData';
+import { validateDataset } from './utils/calibration';
+import { downloadFile } from './utils/download';
+import { structureToCif, structureToXyz, structureToPoscar, parseStructureFile } from './utils/structureIO';
+import { parseSpectrumFile, normalizeSpectrum } from './utils/spectrumIO';
+import { DEFAULT_FIT_KEYS } from './utils/spectralFit';
+import { getSpectralGrid, getGridWavelengths } from './utils/spectralGrid';
+import { parseObserverFile } from './utils/observers';
+import { DEFAULT_DISPLAY } from './utils/colorManagement';
+import { createEngine, useEngineJob } from './utils/engine';
+import { SYNTHESIS_DURATION, PLAYBACK_RATE, TIMELINE_EXPORT, synthesisFrame, activeAnnotation, timelineCaption } from './utils/synthesis';
+import { EXPORT_FORMATS, createFrameRecorder } from './utils/frameExport';
+import ChromaticityDiagram from './components/ChromaticityDiagram';
+import SpectralFitPanel from './components/SpectralFitPanel';
+import ModelParametersPanel from './components/ModelParametersPanel';
+import CalibrationPanel from './components/CalibrationPanel';
+import AbsorptionPanel from './components/AbsorptionPanel';
+import DeviceStackPanel from './components/DeviceStackPanel';
+import BlendDesignerPanel from './components/BlendDesignerPanel';
+import SweepPanel from './components/SweepPanel';
+import TrplPanel from './components/TrplPanel';
+import ThermalPanel from './components/ThermalPanel';
+import DopingPanel from './components/DopingPanel';
+import ShellPanel from './components/ShellPanel';
+import StructureFilePanel from './components/StructureFilePanel';
+import XrdPanel from './components/XrdPanel';
+import ColorimetrySettings from './components/ColorimetrySettings';
+import DisplayColorPanel from './components/DisplayColorPanel';
+import SynthesisTimelinePanel from './components/SynthesisTimelinePanel';
 
-// --- 3D 辅助组件: 化学键 ---
-const ChemicalBond = ({ start, end }) => {
-  const startVec = new THREE.Vector3(...start);
-  const endVec = new THREE.Vector3(...end);
-  const distance = startVec.distanceTo(endVec);
-  const midPoint = new THREE.Vector3().addVectors(startVec, endVec).multiplyScalar(0.5);
-  
-  const direction = new THREE.Vector3().subVectors(endVec, startVec).normalize();
-  const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+// 色度图轨迹：可扫描的参数及取值
+const CHROMA_SWEEPS = {
+  reactionTime: { label: 'Reaction Time', values: [30, 35, 40, 45, 50, 55, 60, 65, 70, 75, 80, 85, 90], unit: 'min' },
+  zrDoping: { label: 'Zr Doping', values: [0, 0.025, 0.05, 0.075, 0.1, 0.125, 0.15, 0.175, 0.2, 0.225, 0.25, 0.275, 0.3], unit: 'mmol' },
+  temperature: { label: 'Temperature', values: [25, 37.5, 50, 62.5, 75, 87.5, 100, 112.5, 125, 137.5, 150], unit: '°C' }
+};
+
+// 结构坐标 (Å) → 场景坐标的缩放：AgGaS₂ 的 a 轴对应 1.5 个场景单位
+const VIEW_SCALE = 1.5 / MATERIALS[DEFAULT_MATERIAL_ID].lattice.a;
+
+// 结构任务的首个结果到达前显示默认材料的空晶胞 (建模与成键搜索只在 Worker 中进行)
+const STRUCTURE_PLACEHOLDER = (({ formula, lattice: { a, c } }) => buildStructure({
+  title: formula,
+  vectors: cellToVectors({ a, b: a, c, alpha: 90, beta: 90, gamma: 90 }),
+  atoms: []
+}))(MATERIALS[DEFAULT_MATERIAL_ID]);
+
+// 细节层次 (LOD)：球面 / 圆柱细分随原子数降低
+const sphereDetail = (count) => (count <= 200 ? 32 : count <= 2000 ? 16 : count <= 10000 ? 8 : 6);
+
+// 计算中标记：Worker 的新结果尚未返回，界面显示的是上一次的结果
+const PendingTag = ({ active }) => (active ? <span style={{ fontSize: '10px', color: '#60a5fa' }}>computing…</span> : null);
+
+// --- 3D 辅助组件: 同种原子的实例化球体 (一次 draw call) ---
+// InstancedMesh 的实例数在创建后固定，调用方以数量作为 key，数量变化时重新创建
+const AtomInstances = ({ atoms, indices, positions, atomScale, detail, color, emissive, onHover }) => {
+  const ref = useRef();
+  useLayoutEffect(() => {
+    const dummy = new THREE.Object3D();
+    indices.forEach((atomIndex, k) => {
+      dummy.position.set(...positions[atomIndex]);
+      dummy.scale.setScalar(atoms[atomIndex].radius * atomScale);
+      dummy.updateMatrix();
+      ref.current.setMatrixAt(k, dummy.matrix);
+    });
+    ref.current.instanceMatrix.needsUpdate = true;
+    ref.current.computeBoundingSphere();
+  }, [atoms, indices, positions, atomScale]);
 
   return (
-    <mesh position={midPoint} quaternion={quaternion}>
-      <cylinderGeometry args={[0.02, 0.02, distance, 8]} />
+    <instancedMesh
+      ref={ref}
+      args={[undefined, undefined, indices.length]}
+      onPointerMove={e => { e.stopPropagation(); onHover(indices[e.instanceId]); }}
+      onPointerOut={() => onHover(null)}
+    >
+      <sphereGeometry args={[1, detail, detail]} />
+      <meshPhysicalMaterial color={color} roughness={0.2} metalness={0.5} emissive={emissive} emissiveIntensity={3} />
+    </instancedMesh>
+  );
+};
+
+// --- 3D 辅助组件: 化学键 (实例化圆柱，单位高度沿 Y 轴，按键长伸缩) ---
+const BondInstances = ({ bonds, positions, radius, detail }) => {
+  const ref = useRef();
+  useLayoutEffect(() => {
+    const dummy = new THREE.Object3D();
+    const up = new THREE.Vector3(0, 1, 0);
+    const start = new THREE.Vector3(), end = new THREE.Vector3(), dir = new THREE.Vector3();
+    bonds.forEach(([i, j], k) => {
+      start.set(...positions[i]);
+      end.set(...positions[j]);
+      dir.subVectors(end, start);
+      const length = dir.length();
+      dummy.position.addVectors(start, end).multiplyScalar(0.5);
+      dummy.quaternion.setFromUnitVectors(up, dir.normalize());
+      dummy.scale.set(radius, length, radius);
+      dummy.updateMatrix();
+      ref.current.setMatrixAt(k, dummy.matrix);
+    });
+    ref.current.instanceMatrix.needsUpdate = true;
+    ref.current.computeBoundingSphere();
+  }, [bonds, positions, radius]);
+
+  return (
+    <instancedMesh ref={ref} args={[undefined, undefined, bonds.length]} raycast={() => null}>
+      <cylinderGeometry args={[1, 1, 1, Math.max(detail / 2, 4)]} />
       <meshStandardMaterial color="#666" opacity={0.4} transparent />
-    </mesh>
+    </instancedMesh>
   );
 };
 
 // --- 3D 组件: 晶体结构渲染器 ---
-const CrystalStructure = ({ mode, zrDoping, isCoreShell }) => {
-  const { atoms, bonds } = useMemo(() => getLatticeStructure(mode, zrDoping), [mode, zrDoping]);
+// 以晶胞中心为原点显示；较大的结构 (超胞、纳米晶、导入文件) 整体缩小以适配视野
+// 原子按元素分组实例化，悬停时通过 onHover 返回原子下标
+const CrystalStructure = ({ structure, hovered, onHover }) => {
+  const { positions, atomScale } = useMemo(() => {
+    const { atoms, vectors } = structure;
+    const center = [0, 1, 2].map(k => 0.5 * (vectors[0][k] + vectors[1][k] + vectors[2][k]));
+    const extent = Math.max(...atoms.map(a => Math.hypot(a.cart[0] - center[0], a.cart[1] - center[1], a.cart[2] - center[2])), 1);
+    const scale = Math.min(VIEW_SCALE, 4 / extent);
+    return { positions: atoms.map(a => a.cart.map((v, k) => (v - center[k]) * scale)), atomScale: scale / VIEW_SCALE };
+  }, [structure]);
+
+  const groups = useMemo(() => {
+    const byType = {};
+    structure.atoms.forEach((atom, i) => { (byType[atom.type] || (byType[atom.type] = [])).push(i); });
+    return Object.entries(byType).map(([type, indices]) => ({ type, indices, color: structure.atoms[indices[0]].color }));
+  }, [structure]);
+
+  const detail = sphereDetail(structure.atoms.length);
+  const hoveredAtom = hovered !== null && structure.atoms[hovered];
 
   return (
     <group>
       {/* 原子 */}
-      {atoms.map((atom, i) => (
-        <mesh key={`atom-${i}`} position={atom.pos}>
-          <sphereGeometry args={[atom.radius, 32, 32]} />
-          <meshPhysicalMaterial 
-            color={atom.color} 
-            roughness={0.2} 
-            metalness={0.5} 
-            emissive={atom.type === 'Zr' ? '#3b82f6' : '#000'} 
-            emissiveIntensity={3}
-          />
-        </mesh>
+      {groups.map(g => (
+        <AtomInstances
+          key={`${g.type}-${g.indices.length}`}
+          atoms={structure.atoms}
+          indices={g.indices}
+          positions={positions}
+          atomScale={atomScale}
+          detail={detail}
+          color={g.color}
+          emissive={g.type === 'Zr' ? '#3b82f6' : '#000'}
+          onHover={onHover}
+        />
       ))}
 
       {/* 化学键 */}
-      {bonds.map((bond, i) => (
-        <ChemicalBond key={`bond-${i}`} start={bond.start} end={bond.end} />
-      ))}
+      {structure.bonds.length > 0 && (
+        <BondInstances key={structure.bonds.length} bonds={structure.bonds} positions={positions} radius={0.02 * atomScale} detail={detail} />
+      )}
 
-      {/* 壳层暗示 (仅Cluster模式) */}
-      {isCoreShell && mode === 'cluster' && (
-        <mesh position={[0, 0, 0]}>
-           <sphereGeometry args={[2.5, 64, 64]} />
-           <meshPhysicalMaterial 
-             color="#e0f2fe" 
-             transparent 
-             opacity={0.15} 
-             roughness={0.1}
-             metalness={0.1}
-             transmission={0.8}
-             side={THREE.DoubleSide}
-           />
+      {/* 悬停高亮 */}
+      {hoveredAtom && (
+        <mesh position={positions[hovered]}>
+          <sphereGeometry args={[hoveredAtom.radius * atomScale * 1.4, 16, 16]} />
+          <meshBasicMaterial color="#fff" wireframe transparent opacity={0.6} />
         </mesh>
       )}
     </group>
@@ -83,39 +200,58 @@ const CrystalStructure = ({ mode, zrDoping, isCoreShell }) => {
 };
 
 // --- 3D 组件: 宏观量子点球体 ---
-const QuantumDotSphere = ({ radius, color, isCoreShell }) => (
-  <group>
-    <Sphere args={[radius * 0.35, 128, 128]}>
-      <meshPhysicalMaterial 
-        color={color} 
-        emissive={color}
-        emissiveIntensity={isCoreShell ? 2.5 : 1.5}
-        roughness={0.1}
-        metalness={0.1}
-        transmission={0.6} 
-        thickness={radius} 
-      />
-    </Sphere>
-
-    {isCoreShell && (
-      <Sphere args={[radius * 0.35 + 0.6, 64, 64]}>
+// 按真实尺寸显示：核半径与 ZnS 壳厚使用同一 nm → 场景比例，下方比例尺长度为 DOT_SCALE_BAR nm
+const DOT_VIEW_SCALE = 0.35;       // 场景单位 / nm
+const DOT_SCALE_BAR = 2;           // 比例尺长度 (nm)
+
+// shellThickness: ZnS 壳层厚度 (nm)，0 为裸核
+const QuantumDotSphere = ({ radius, color, isCoreShell, shellThickness }) => {
+  const coreRadius = radius * DOT_VIEW_SCALE;
+  const outerRadius = coreRadius + shellThickness * DOT_VIEW_SCALE;
+  return (
+    <group>
+      <Sphere args={[coreRadius, 128, 128]}>
         <meshPhysicalMaterial 
-          color="#e0f2fe" 
-          transparent 
-          opacity={0.2} 
-          roughness={0}
+          color={color} 
+          emissive={color}
+          emissiveIntensity={isCoreShell ? 2.5 : 1.5}
+          roughness={0.1}
           metalness={0.1}
-          transmission={0.9} 
-          thickness={0.2}
-          side={THREE.DoubleSide}
+          transmission={0.6} 
+          thickness={radius} 
         />
       </Sphere>
-    )}
-  </group>
-);
+
+      {isCoreShell && (
+        <Sphere args={[outerRadius, 64, 64]}>
+          <meshPhysicalMaterial 
+            color="#e0f2fe" 
+            transparent 
+            opacity={0.2} 
+            roughness={0}
+            metalness={0.1}
+            transmission={0.9} 
+            thickness={0.2}
+            side={THREE.DoubleSide}
+          />
+        </Sphere>
+      )}
+
+      {/* 比例尺 */}
+      <Box3D args={[DOT_SCALE_BAR * DOT_VIEW_SCALE, 0.03, 0.03]} position={[0, -outerRadius - 0.4, 0]}>
+        <meshBasicMaterial color="#888" />
+      </Box3D>
+    </group>
+  );
+};
 
 // --- 3D 组件: Remote 封装器件视图 (论文第四章核心工艺) ---
-const RemoteDeviceView = ({ color }) => {
+// 器件结构到可视化尺寸的映射：默认 2mm 间隔 / 200µm 膜厚对应原有比例
+const RemoteDeviceView = ({ color, stack = DEFAULT_STACK, metrics }) => {
+  const gapHeight = 0.2 + 0.6 * stack.siliconeGap;
+  const filmHeight = 0.05 + 0.00075 * stack.filmThickness;
+  const chipTop = -1.55;
+  const filmCenter = chipTop + gapHeight + filmHeight / 2;
   return (
     <group rotation={[0.3, 0, 0]}>
       {/* 1. 底部：蓝光 LED 芯片 (Base) */}
@@ -132,8 +268,8 @@ const RemoteDeviceView = ({ color }) => {
       <pointLight position={[0, -1.5, 0]} distance={4} intensity={8} color="#0000ff" decay={2} />
 
       {/* 2. 中间：Remote 硅胶隔离层 (透明) - 对应论文 "隔离LED芯片与荧光材料" */}
-      <mesh position={[0, -0.8, 0]}>
-        <cylinderGeometry args={[1.5, 1.5, 1.4, 32]} />
+      <mesh position={[0, chipTop + gapHeight / 2, 0]}>
+        <cylinderGeometry args={[1.5, 1.5, gapHeight, 32]} />
         <meshPhysicalMaterial 
           color="#ffffff" 
           transmission={0.95} 
@@ -145,77 +281,599 @@ const RemoteDeviceView = ({ color }) => {
         />
       </mesh>
       {/* 标注环 */}
-      <mesh position={[0, -0.8, 0]}>
+      <mesh position={[0, chipTop + gapHeight / 2, 0]}>
          <torusGeometry args={[1.5, 0.02, 16, 100]} />
          <meshBasicMaterial color="#555" transparent opacity={0.5} />
       </mesh>
 
       {/* 3. 顶部：AgGaS2/ZnS 量子点转换膜 (发光层) */}
-      <mesh position={[0, 0.1, 0]}>
-        <cylinderGeometry args={[1.5, 1.5, 0.2, 32]} />
+      <mesh position={[0, filmCenter, 0]}>
+        <cylinderGeometry args={[1.5, 1.5, filmHeight, 32]} />
         <meshPhysicalMaterial 
           color={color} 
           emissive={color}
-          emissiveIntensity={3}
+          emissiveIntensity={metrics ? 1 + 4 * (1 - metrics.blueLeakage) : 3}
           transparent
-          opacity={0.9}
+          opacity={Math.min(0.5 + 0.1 * stack.qdConcentration, 0.95)}
           roughness={0.4}
         />
       </mesh>
       
       {/* 模拟发出的混合白光 */}
-      <pointLight position={[0, 2, 0]} distance={10} intensity={3} color="#ffffff" decay={2} />
+      <pointLight position={[0, 2, 0]} distance={10} intensity={metrics ? 5 * metrics.packageEfficiency : 3} color="#ffffff" decay={2} />
     </group>
   );
 };
 
+// 器件结构中写入配方的字段 (chipPower 固定为 1W，不导出)
+const stackInputs = (source) => Object.fromEntries(Object.keys(STACK_PARAM_INFO).map(key => [key, source[key]]));
+
 // --- 主程序 ---
 const App = () => {
+  // 计算引擎 (Web Worker)：管线、结构与长任务不阻塞三维视图
+  const engine = useMemo(() => createEngine(), []);
+  useEffect(() => () => engine.dispose(), [engine]);
+  // 后台长任务 (扫描 / 拟合 / 优化 / 标定) 的进度：通道 → 最新进度，运行结束后移除
+  const [jobProgress, setJobProgress] = useState({});
+
   // 状态管理
   const [viewMode, setViewMode] = useState('device'); // 默认展示 'device' 因为这是应用层面的亮点
   const [showComparison, setShowComparison] = useState(true); // 默认开启对比
+  const [chromaSweep, setChromaSweep] = useState('reactionTime'); // 色度图轨迹扫描的参数
+  const [recipeMessages, setRecipeMessages] = useState([]); // 配方导入的错误/警告信息
+
+  // 参数扫描 (DOE)
+  const [sweepAxes, setSweepAxes] = useState([{ key: 'radius', min: 2, max: 6, steps: 11 }, null]);
+  const [sweepMetric, setSweepMetric] = useState('Ra');
+  const [sweepResult, setSweepResult] = useState(null);
+  const [sweepError, setSweepError] = useState(null);
+  const recipeInputRef = useRef(null);
+
+  // 实测 PL 光谱与拟合
+  const [measured, setMeasured] = useState(null); // { name, data }
+  const [fitKeys, setFitKeys] = useState(DEFAULT_FIT_KEYS);
+  const [fitResult, setFitResult] = useState(null);
+  const [fitError, setFitError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const plInputRef = useRef(null);
 
   // 物理参数
   const [radius, setRadius] = useState(3.5);     
-  const [fwhm, setFwhm] = useState(35);          
+  const [fwhm, setFwhm] = useState(80);          
   const [reactionTime, setReactionTime] = useState(30); 
   const [zrDoping, setZrDoping] = useState(0);   
   const [isCoreShell, setIsCoreShell] = useState(true); // 默认开启核壳，效果更好
+  const [shellMonolayers, setShellMonolayers] = useState(DEFAULT_SHELL_MONOLAYERS);
+
+  // 尺寸分布 (系综模式下 FWHM 由粒径多分散性决定)
+  const [sizeMode, setSizeMode] = useState('fixed'); // 'fixed' | 'ensemble'
+  const [sizeSigma, setSizeSigma] = useState(0.4);  // 半径标准差 (nm)
+  const [sizeDistribution, setSizeDistribution] = useState('normal'); // 'normal' | 'lognormal'
+  const [homogeneousFwhm, setHomogeneousFwhm] = useState(15); // 单点均匀线宽 (nm)
+
+  // 激发光源 (UV / 紫光 / 蓝光泵浦)
+  const [pumpWl, setPumpWl] = useState(DEFAULT_PUMP.wl);
+  const pump = useMemo(() => ({ ...DEFAULT_PUMP, wl: pumpWl }), [pumpWl]);
+
+  // TRPL 自定义检测波长
+  const [trplWl, setTrplWl] = useState(520);
+
+  // 光谱网格 (所有光谱共用) 与导入的补充色度观察者
+  const [spectralRange, setSpectralRange] = useState('full');
+  const [spectralStep, setSpectralStep] = useState(5);
+  const [observer, setObserver] = useState(null);
+  const [observerError, setObserverError] = useState(null);
+  const grid = useMemo(() => getSpectralGrid(spectralRange, spectralStep), [spectralRange, spectralStep]);
+
+  // 发光颜色的显示设置 (色彩空间 / 曝光 / 色域映射)，属于查看偏好，不写入配方
+  const [displaySettings, setDisplaySettings] = useState(DEFAULT_DISPLAY);
+
+  // 远程荧光器件结构
+  const [stack, setStack] = useState(DEFAULT_STACK);
+
+  // 工作温度：直接给定膜温，或由驱动电流估算结温
+  const [thermalSettings, setThermalSettings] = useState(DEFAULT_THERMAL);
+  const [driftMetric, setDriftMetric] = useState('peakWl');
+  const { temperature, junction } = useMemo(() => resolveFilmTemperature(thermalSettings), [thermalSettings]);
+
+  // 多组分荧光混合 (红色氮化物 / YAG / 第二 QD 群体) 与配比优化
+  const [blendComponents, setBlendComponents] = useState([]);
+  const [blendTarget, setBlendTarget] = useState({ cct: 4000, duv: 0 });
+  const [blendObjective, setBlendObjective] = useState('cri');
+  const [blendResult, setBlendResult] = useState(null);
+  const [blendError, setBlendError] = useState(null);
+
+  // 材料选择 (驱动光谱引擎与晶体渲染)
+  const [materialId, setMaterialId] = useState(DEFAULT_MATERIAL_ID);
+
+  // 模型参数 (Brus 材料常数 + 经验修正系数)
+  const [material, setMaterial] = useState(() => getBrusParams(DEFAULT_MATERIAL_ID));
+  const [corrections, setCorrections] = useState(EMPIRICAL_CORRECTIONS);
+  const [showModelParams, setShowModelParams] = useState(false);
+
+  // 经验系数标定：锚点数据集 (内置论文数据或导入的新批次) → 拟合后的 corrections
+  const [calibrationDataset, setCalibrationDataset] = useState(() => validateDataset(THESIS_DATASET).dataset);
+  const [calibrationFile, setCalibrationFile] = useState(null); // 导入的数据集文件名，null 为内置数据集
+  const [calibrationForm, setCalibrationForm] = useState('linear');
+  const [calibrateCri, setCalibrateCri] = useState(false);
+  const [calibrationResult, setCalibrationResult] = useState(null);
+  const [calibrationError, setCalibrationError] = useState(null);
+
+  // 合成时间轴：激活时半径与反应时间由时间轴驱动 (半径滑块作为生长的目标半径)
+  const [timeline, setTimeline] = useState({ active: false, playing: false, time: 0, speed: 1 });
+  const [annotations, setAnnotations] = useState([]); // [{ id, time, text }]
+  const [timelineExport, setTimelineExport] = useState(null); // 导出中的 { done, total }
+  const [timelineError, setTimelineError] = useState(null);
+  const canvasRef = useRef(null);
+  const renderedFrameRef = useRef(null); // 最近一次提交的时间轴帧 { time, ready, caption }
+  const exportCancelRef = useRef(false);
+  const timelineFrame = useMemo(
+    () => (timeline.active ? synthesisFrame(timeline.time, { finalRadius: radius, blueShiftOnset: corrections.blueShiftOnset }) : null),
+    [timeline.active, timeline.time, radius, corrections]
+  );
+  const simRadius = timelineFrame ? timelineFrame.radius : radius;
+  const simReactionTime = timelineFrame ? timelineFrame.reactionTime : reactionTime;
+
+  // 播放：按帧间隔推进时间，到达终点后停止
+  useEffect(() => {
+    if (!timeline.playing) return undefined;
+    let frameId;
+    let last = performance.now();
+    const tick = (now) => {
+      const elapsed = (now - last) / 1000;
+      last = now;
+      setTimeline(prev => {
+        const time = Math.min(prev.time + elapsed * PLAYBACK_RATE * prev.speed, SYNTHESIS_DURATION);
+        return { ...prev, time, playing: time < SYNTHESIS_DURATION };
+      });
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [timeline.playing]);
+
+  // 带隙温度系数随材料切换
+  const varshni = useMemo(() => getVarshniParams(materialId), [materialId]);
+  // 与 ZnS 壳层的能带偏移随材料切换
+  const shellOffsets = useMemo(() => getShellOffsets(materialId), [materialId]);
+  // 壳层红移分项与晶格失配应变 (面板展示)
+  const shellAnalysis = useMemo(() => ({
+    ...shellRedShift(radius, shellMonolayers, material, shellOffsets),
+    strain: latticeStrain(radius, shellMonolayers, MATERIALS[materialId].lattice)
+  }), [radius, shellMonolayers, material, shellOffsets, materialId]);
+
+  // 晶体结构：模型生成 (含随机 Zr 替换) 或导入的 CIF / POSCAR
+  const [importedStructure, setImportedStructure] = useState(null);
+  const [structureError, setStructureError] = useState(null);
+  const structureMode = viewMode === 'cluster' ? 'cluster' : 'unit';
+  const [supercell, setSupercell] = useState([1, 1, 1]);
+  // Zr 替换构型：种子固定时结构可复现
+  const [dopingSettings, setDopingSettings] = useState(DEFAULT_DOPING);
+  // 纳米晶视图按半径滑块构建完整的原子团簇
+  const structureRequest = useMemo(() => ({
+    mode: structureMode, zrDoping, materialId,
+    options: {
+      supercell, clusterRadius: simRadius, shellMonolayers: isCoreShell ? shellMonolayers : 0,
+      seed: dopingSettings.dopingSeed, site: dopingSettings.dopingSite, compensation: dopingSettings.compensation
+    }
+  }), [structureMode, zrDoping, materialId, supercell, simRadius, isCoreShell, shellMonolayers, dopingSettings]);
+  // 播放时不终止进行中的结构计算，而是在其完成后取最新一帧 (否则大团簇在播放中永远算不完)
+  const { result: modelStructure, pending: structurePending } = useEngineJob(engine, 'structure', 'structure', structureRequest, { initial: STRUCTURE_PLACEHOLDER, preempt: !timeline.playing });
+  const structure = importedStructure ?? modelStructure;
+  const dopingStats = useMemo(() => dopingStatistics(structure), [structure]);
+
+  // 粉末 XRD：导入的周期性结构直接使用，否则用与当前掺杂设置一致的超胞 (团簇视图也按体相晶格计算)
+  const [includeKa2, setIncludeKa2] = useState(true);
+  const [measuredXrd, setMeasuredXrd] = useState(null); // { name, data }
+  const [xrdError, setXrdError] = useState(null);
+  const xrdRequest = useMemo(
+    () => ({ importedStructure, zrDoping, materialId, doping: dopingSettings }),
+    [importedStructure, zrDoping, materialId, dopingSettings]
+  );
+  const { result: xrd, pending: xrdPending } = useEngineJob(engine, 'xrd', 'xrd', xrdRequest, {
+    initial: { title: MATERIALS[materialId].formula, reflections: [], error: null }, preempt: true
+  });
+  const xrdPattern = useMemo(
+    () => simulatePowderPattern(xrd.reflections, { size: 2 * radius, includeKa2 }),
+    [xrd, radius, includeKa2]
+  );
+  // 晶体视图中鼠标悬停的原子下标
+  const [hoveredAtom, setHoveredAtom] = useState(null);
+  const hovered = (viewMode === 'cluster' || viewMode === 'unit') && hoveredAtom !== null ? structure.atoms[hoveredAtom] : undefined;
+
+  // 附加荧光组分的发射线型 (第二 QD 群体依赖模型参数与膜温)
+  const blend = useMemo(
+    () => toBlendInput(blendComponents, { material, corrections, temperature, varshni, shellOffsets, grid }),
+    [blendComponents, material, corrections, temperature, varshni, shellOffsets, grid]
+  );
+
+  const ensemble = useMemo(
+    () => (sizeMode === 'ensemble' ? { sigma: sizeSigma, distribution: sizeDistribution, homogeneousFwhm } : null),
+    [sizeMode, sizeSigma, sizeDistribution, homogeneousFwhm]
+  );
+
+  // 计算管线 (毫秒级：首帧在主线程同步计算，之后在 Worker 中重算)
+  const simulationInputs = useMemo(
+    () => ({ radius, fwhm, reactionTime, zrDoping, isCoreShell, material, corrections, ensemble, pump, stack, blend, temperature, varshni, shellMonolayers, shellOffsets, grid }),
+    [radius, fwhm, reactionTime, zrDoping, isCoreShell, material, corrections, ensemble, pump, stack, blend, temperature, varshni, shellMonolayers, shellOffsets, grid]
+  );
+  const pipelineInputs = useMemo(
+    () => (timelineFrame ? { ...simulationInputs, radius: simRadius, reactionTime: simReactionTime } : simulationInputs),
+    [simulationInputs, timelineFrame, simRadius, simReactionTime]
+  );
+  const { result: pipeline, pending: pipelinePending } = useEngineJob(engine, 'pipeline', 'pipeline', pipelineInputs, { sync: true });
+  const {
+    spectrum, qdSpectrum, peakWl: centerWl, energy, terms: energyTerms, cri: criScore, chromaticity,
+    ensemble: ensembleResult, absorption, device: deviceMetrics, thermal: thermalResult, shell: shellResult
+  } = pipeline;
+
+  // QD 发光颜色：三维视图 (WebGL 画布为 sRGB) 用 hex，图表与界面用所选色彩空间的 css
+  const emissionColor = useMemo(() => calculateColorFromSpectrum(qdSpectrum, displaySettings), [qdSpectrum, displaySettings]);
+
+  // 时间轴说明文字 (画布叠加层与导出帧共用)；帧就绪 = 当前视图依赖的 Worker 结果已更新
+  const timelineLines = timelineFrame && timelineCaption(timelineFrame, centerWl, activeAnnotation(annotations, timelineFrame.time));
+  const showsStructure = !importedStructure && (viewMode === 'cluster' || viewMode === 'unit');
+  const frameReady = !pipelinePending && !(showsStructure && structurePending);
+  useEffect(() => {
+    renderedFrameRef.current = { time: timeline.time, ready: frameReady, caption: timelineLines };
+  });
+
+  // 补充观察者下的色度坐标 (CCT / Duv / CRI 按定义仍用 CIE 1931 2°)
+  const observerPoint = useMemo(() => observer && calculateTristimulus(spectrum, observer), [spectrum, observer]);
+
+  // TRPL：基质峰、Zr 峰与自定义波长三个检测通道的衰减曲线及双指数拟合
+  // 线型与主管线一致 (热展宽后的 FWHM)，检测波长取当前光谱网格上最近的采样点
+  const trplChannels = useMemo(() => {
+    const zrBand = getZrEmission(corrections);
+    const shapes = getEmissionLineShapes(centerWl, thermalResult.fwhm, ensembleResult && ensembleResult.profile, zrBand, grid);
+    const nearest = (wl) => shapes.reduce((best, p) => (Math.abs(p.wl - wl) < Math.abs(best.wl - wl) ? p : best), shapes[0]);
+    return [
+      { wl: centerWl, label: 'Host', color: '#fbbf24' },
+      { wl: zrBand.wl, label: 'Zr', color: '#3b82f6' },
+      { wl: trplWl, label: null, color: '#22c55e' }
+    ].map(({ wl, label, color }) => {
+      const shape = nearest(wl);
+      const decay = simulateDecay(zrDoping, shape);
+      return { wl: shape.wl, label: label ? `${label} ${shape.wl} nm` : `${shape.wl} nm`, color, decay, fit: fitDecay(decay) };
+    });
+  }, [centerWl, thermalResult, ensembleResult, zrDoping, trplWl, corrections, grid]);
+
+  // 色度图轨迹：固定其它参数，扫描反应时间或 Zr 掺杂
+  const trajectoryRequest = useMemo(
+    () => ({ base: simulationInputs, key: chromaSweep, values: CHROMA_SWEEPS[chromaSweep].values, unit: CHROMA_SWEEPS[chromaSweep].unit }),
+    [simulationInputs, chromaSweep]
+  );
+  const { result: chromaTrajectory, pending: trajectoryPending } = useEngineJob(engine, 'trajectory', 'trajectory', trajectoryRequest, { initial: [], preempt: true });
 
-  // 计算管线
-  const { spectrum, centerWl, energy, sphereColor, criScore } = useMemo(() => {
-    // ⚠️ 这里的逻辑依赖 physics.js 的更新
-    const { wl: baseWl, energy: eGap } = calculateEmissionParams(radius, reactionTime, isCoreShell);
-    const qdSpec = generateCompositeSpectrum(baseWl, fwhm, zrDoping);
-    const blue = getBlueLEDSpectrum();
-    const qdIntensityFactor = Math.max(0.2, 1 - zrDoping * 2); 
-    
-    const mixed = qdSpec.map((p, i) => ({ 
-      wl: p.wl, 
-      intensity: (p.intensity * qdIntensityFactor) + (blue[i] ? blue[i].intensity * 0.4 : 0)
+  // 热漂移：核 / 核壳两种结构在 25 → 150 °C 下的峰位、色度、显色与光通量
+  const driftRequest = useMemo(() => ({
+    base: { radius, fwhm, reactionTime, zrDoping, isCoreShell, material, corrections, ensemble, pump, stack, blend, varshni, shellMonolayers, shellOffsets, grid },
+    axes: [{ key: 'temperature', ...DRIFT_TEMPERATURE_RANGE }, { key: 'isCoreShell' }]
+  }), [radius, fwhm, reactionTime, zrDoping, isCoreShell, material, corrections, ensemble, pump, stack, blend, varshni, shellMonolayers, shellOffsets, grid]);
+  const { result: thermalDrift, pending: driftPending } = useEngineJob(engine, 'drift', 'sweep', driftRequest, { preempt: true });
+
+  // 导出实验配方 (JSON)
+  const handleExportRecipe = () => {
+    const recipe = buildRecipe(
+      { materialId, radius, fwhm, reactionTime, zrDoping, isCoreShell, shellMonolayers, viewMode, supercell, sizeMode, sizeSigma, sizeDistribution, homogeneousFwhm, pumpWl, ...stackInputs(stack), ...thermalSettings, ...dopingSettings, spectralRange, spectralStep },
+      { peakWl: centerWl, energy, chromaticity, cri: criScore, spectrum, device: deviceMetrics },
+      { material, corrections },
+      blendComponents
+    );
+    const stamp = recipe.createdAt.replace(/[:.]/g, '-');
+    downloadFile(JSON.stringify(recipe, null, 2), `aggas2-recipe-${stamp}.json`);
+  };
+
+  // 导入实验配方：校验通过后恢复全部输入状态
+  const handleImportRecipe = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let recipe;
+    try {
+      recipe = JSON.parse(await file.text());
+    } catch (err) {
+      setRecipeMessages([{ level: 'error', text: `Invalid JSON: ${err.message}` }]);
+      return;
+    }
+
+    const { inputs, model, blend: blendSection, errors, warnings } = validateRecipe(recipe);
+    setRecipeMessages([
+      ...errors.map(text => ({ level: 'error', text })),
+      ...warnings.map(text => ({ level: 'warning', text })),
+      ...(errors.length === 0 ? [{ level: 'ok', text: `Loaded ${file.name}` }] : [])
+    ]);
+    if (errors.length > 0) return;
+
+    setMaterialId(inputs.materialId);
+    setMaterial(getBrusParams(inputs.materialId));
+    setRadius(inputs.radius);
+    setFwhm(inputs.fwhm);
+    setReactionTime(inputs.reactionTime);
+    setZrDoping(inputs.zrDoping);
+    setIsCoreShell(inputs.isCoreShell);
+    setShellMonolayers(inputs.shellMonolayers);
+    setViewMode(inputs.viewMode);
+    setSupercell(inputs.supercell);
+    setSizeMode(inputs.sizeMode);
+    setSizeSigma(inputs.sizeSigma);
+    setSizeDistribution(inputs.sizeDistribution);
+    setHomogeneousFwhm(inputs.homogeneousFwhm);
+    setPumpWl(inputs.pumpWl);
+    setStack({ ...DEFAULT_STACK, ...stackInputs(inputs) });
+    setThermalSettings(Object.fromEntries(Object.keys(DEFAULT_THERMAL).map(key => [key, inputs[key]])));
+    setDopingSettings(Object.fromEntries(Object.keys(DEFAULT_DOPING).map(key => [key, inputs[key]])));
+    setSpectralRange(inputs.spectralRange);
+    setSpectralStep(inputs.spectralStep);
+    if (model) {
+      setMaterial(model.material);
+      setCorrections(model.corrections);
+    }
+    setBlendComponents(blendSection.map(c => ({ ...createBlendComponent(c.type), weight: c.weight, params: c.params })));
+    setBlendResult(null);
+  };
+
+  // 导出当前结构 (与 3D 视图中的原子完全一致)
+  const handleExportStructure = (format) => {
+    const base = structure.title.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase();
+    try {
+      if (format === 'cif') downloadFile(structureToCif(structure), `${base}.cif`, 'chemical/x-cif');
+      else if (format === 'xyz') downloadFile(structureToXyz(structure), `${base}.xyz`, 'chemical/x-xyz');
+      else downloadFile(structureToPoscar(structure), `${base}.vasp`, 'text/plain');
+      setStructureError(null);
+    } catch (err) {
+      setStructureError(err.message);
+    }
+  };
+
+  const handleImportStructure = async (file) => {
+    if (!file) return;
+    try {
+      setImportedStructure(parseStructureFile(file.name, await file.text()));
+      setStructureError(null);
+      if (viewMode !== 'cluster') setViewMode('unit');
+    } catch (err) {
+      setStructureError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleExportXrd = (format) => {
+    const base = xrd.title.replace(/[^A-Za-z0-9]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase();
+    if (format === 'xy') downloadFile(patternToXy(xrdPattern, { title: xrd.title, size: 2 * radius }), `${base}-xrd.xy`, 'text/plain');
+    else downloadFile(reflectionsToCsv(xrd.reflections), `${base}-reflections.csv`, 'text/csv');
+  };
+
+  const loadMeasuredXrd = async (file) => {
+    if (!file) return;
+    try {
+      setMeasuredXrd({ name: file.name, data: parseXrdFile(await file.text()) });
+      setXrdError(null);
+    } catch (err) {
+      setXrdError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  // 导入补充观察者的颜色匹配函数 (CVRL 格式 CSV)
+  const loadObserver = async (file) => {
+    if (!file) return;
+    try {
+      setObserver(parseObserverFile(await file.text(), file.name));
+      setObserverError(null);
+    } catch (err) {
+      setObserverError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  // 后台长任务：在独立通道上运行 (同通道的旧任务被终止)，进度写入 jobProgress[lane]
+  const runBackgroundJob = (lane, type, payload, onProgress) => {
+    setJobProgress(prev => ({ ...prev, [lane]: {} }));
+    return engine.run(lane, type, payload, {
+      preempt: true,
+      onProgress: progress => {
+        setJobProgress(prev => ({ ...prev, [lane]: progress }));
+        if (onProgress) onProgress(progress);
+      }
+    }).finally(() => setJobProgress(prev => {
+      const next = { ...prev };
+      delete next[lane];
+      return next;
     }));
+  };
+
+  // 各长任务的输入；输入变化时取消仍在运行的任务 (结果已与界面状态不符)
+  const calibrationRequest = useMemo(() => ({
+    dataset: calibrationDataset,
+    options: {
+      form: calibrationForm,
+      material: calibrationDataset.materialId === materialId ? material : undefined,
+      corrections,
+      includeCri: calibrateCri
+    }
+  }), [calibrationDataset, calibrationForm, materialId, material, corrections, calibrateCri]);
+  useEffect(() => () => engine.cancel('calibration'), [engine, calibrationRequest]);
+
+  const handleCalibrate = () => {
+    setCalibrationError(null);
+    runBackgroundJob('calibration', 'calibrate', calibrationRequest).then(
+      result => setCalibrationResult(result),
+      err => {
+        if (err.cancelled) return;
+        setCalibrationResult(null);
+        setCalibrationError(err.message);
+      }
+    );
+  };
+
+  const loadCalibrationDataset = async (file) => {
+    if (!file) return;
+    setCalibrationResult(null);
+    try {
+      const { dataset, errors } = validateDataset(JSON.parse(await file.text()));
+      if (errors.length > 0) throw new Error(errors.join('; '));
+      setCalibrationDataset(dataset);
+      setCalibrationFile(file.name);
+      setCalibrationError(null);
+    } catch (err) {
+      setCalibrationError(`${file.name}: ${err.message}`);
+    }
+  };
 
-    const qdColor = calculateColorFromSpectrum(qdSpec);
-    const cri = calculateCRI(mixed); 
+  // 载入实测 PL 光谱 (CSV / TXT / JCAMP-DX)
+  const loadMeasuredSpectrum = async (file) => {
+    if (!file) return;
+    setFitResult(null);
+    try {
+      const data = normalizeSpectrum(parseSpectrumFile(file.name, await file.text()));
+      setMeasured({ name: file.name, data });
+      setFitError(null);
+    } catch (err) {
+      setMeasured(null);
+      setFitError(`${file.name}: ${err.message}`);
+    }
+  };
 
-    return { 
-      spectrum: mixed, 
-      centerWl: baseWl, 
-      energy: eGap, 
-      sphereColor: qdColor.hex, 
-      criScore: cri
+  const handleSpectrumDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    loadMeasuredSpectrum(e.dataTransfer.files[0]);
+  };
+
+  const fitRequest = useMemo(() => ({
+    measured: measured && measured.data,
+    initial: { radius, fwhm, reactionTime, zrDoping },
+    options: { isCoreShell, fitKeys, modelOptions: { material, corrections, shellMonolayers, shellOffsets, grid } }
+  }), [measured, radius, fwhm, reactionTime, zrDoping, isCoreShell, fitKeys, material, corrections, shellMonolayers, shellOffsets, grid]);
+  useEffect(() => () => engine.cancel('fit'), [engine, fitRequest]);
+
+  const handleFit = () => {
+    setFitError(null);
+    runBackgroundJob('fit', 'fit', fitRequest).then(
+      result => setFitResult(result),
+      err => { if (!err.cancelled) setFitError(err.message); }
+    );
+  };
+
+  // 参数扫描：以当前界面状态为基准，在所选参数网格上批量模拟，结果逐点显示
+  const sweepRequest = useMemo(
+    () => ({ base: simulationInputs, axes: sweepAxes.filter(Boolean) }),
+    [simulationInputs, sweepAxes]
+  );
+  useEffect(() => () => engine.cancel('sweep'), [engine, sweepRequest]);
+
+  const handleRunSweep = () => {
+    setSweepResult(null);
+    setSweepError(null);
+    runBackgroundJob('sweep', 'sweep', sweepRequest, ({ axes, row, done }) => {
+      setSweepResult(prev => ({ axes, rows: done === 1 || !prev ? [row] : [...prev.rows, row] }));
+    }).then(
+      result => setSweepResult(result),
+      err => {
+        if (err.cancelled) return;
+        setSweepResult(null);
+        setSweepError(err.message);
+      }
+    );
+  };
+
+  const handleExportSweep = () => {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadFile(sweepToCsv(sweepResult), `aggas2-sweep-${stamp}.csv`, 'text/csv');
+  };
+
+  // 配比优化：以当前器件为基础搜索组分权重与主 QD 参数
+  const blendRequest = useMemo(() => ({
+    inputs: { radius, fwhm, reactionTime, zrDoping, isCoreShell, material, corrections, ensemble, pump, stack, temperature, varshni, shellMonolayers, shellOffsets, grid },
+    components: blendComponents,
+    options: { targetCct: blendTarget.cct, targetDuv: blendTarget.duv, objective: blendObjective, modelOptions: { material, corrections, temperature, varshni, shellOffsets, grid } }
+  }), [radius, fwhm, reactionTime, zrDoping, isCoreShell, material, corrections, ensemble, pump, stack, temperature, varshni, shellMonolayers, shellOffsets, grid, blendComponents, blendTarget, blendObjective]);
+  useEffect(() => () => engine.cancel('blend'), [engine, blendRequest]);
+
+  const handleOptimizeBlend = () => {
+    setBlendError(null);
+    runBackgroundJob('blend', 'optimizeBlend', blendRequest).then(
+      result => setBlendResult(result),
+      err => {
+        if (err.cancelled) return;
+        setBlendResult(null);
+        setBlendError(err.message);
+      }
+    );
+  };
+
+  const applyBlendResult = () => {
+    setBlendComponents(blendResult.components);
+    setRadius(blendResult.qdParams.radius);
+    setFwhm(blendResult.qdParams.fwhm);
+  };
+
+  // 等待时间轴跳到 time 后的计算结果提交并在画布上绘制 (再等两帧)；导出取消时返回 null
+  const waitForFrame = (time) => new Promise(resolve => {
+    const check = () => {
+      const frame = renderedFrameRef.current;
+      if (exportCancelRef.current) resolve(null);
+      else if (frame && frame.time === time && frame.ready) requestAnimationFrame(() => requestAnimationFrame(() => resolve(renderedFrameRef.current.caption)));
+      else requestAnimationFrame(check);
     };
-  }, [radius, fwhm, reactionTime, zrDoping, isCoreShell]);
-
-  // 论文数据：CRI 对比 (Table 4-3 & 4-4)
-  const criChartData = [
-    { name: 'R1', trad: 53.8, qd: 58.7 },
-    { name: 'R2', trad: 63.8, qd: 79.9 }, // 显著提升
-    { name: 'R3', trad: 76.9, qd: 89.6 }, // 黄绿区显著提升
-    { name: 'R4', trad: 63.6, qd: 53.5 },
-    { name: 'R9', trad: -77.7, qd: -77.2 }, // 红色依然不足（真实数据，体现诚实）
-    { name: 'Ra', trad: 61.5, qd: 66.2 }, // 平均值提升
-  ];
+    check();
+  });
+
+  // 导出时间轴动画：逐分钟跳帧，等计算完成后录制当前视图 (WebM 或 PNG 序列)
+  const handleExportTimeline = async (format) => {
+    let recorder;
+    try {
+      recorder = createFrameRecorder(canvasRef.current, { format, fps: TIMELINE_EXPORT.fps });
+    } catch (err) {
+      setTimelineError(err.message);
+      return;
+    }
+    exportCancelRef.current = false;
+    setTimelineError(null);
+    const { frames } = TIMELINE_EXPORT;
+    for (let i = 0; i < frames && !exportCancelRef.current; i++) {
+      const time = SYNTHESIS_DURATION * i / (frames - 1);
+      setTimelineExport({ done: i, total: frames });
+      setTimeline(prev => ({ ...prev, active: true, playing: false, time }));
+      const caption = await waitForFrame(time);
+      if (caption) await recorder.addFrame(caption);
+    }
+    if (exportCancelRef.current) {
+      recorder.abort();
+    } else {
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const blob = await recorder.finish();
+      downloadFile(blob, `aggas2-synthesis-${stamp}.${EXPORT_FORMATS[format].extension}`, blob.type);
+    }
+    setTimelineExport(null);
+  };
+
+  const applyFitResult = () => {
+    const { params } = fitResult;
+    setRadius(parseFloat(params.radius.toFixed(2)));
+    setFwhm(parseFloat(params.fwhm.toFixed(1)));
+    setReactionTime(parseFloat(params.reactionTime.toFixed(1)));
+    setZrDoping(parseFloat(params.zrDoping.toFixed(3)));
+  };
+
+  // 光谱图数据：模拟光谱 + 实测 (重采样到模拟网格) + 拟合曲线
+  const spectrumChartData = useMemo(() => spectrum.map(p => ({
+    ...p,
+    measured: measured && p.wl >= measured.data[0].wl && p.wl <= measured.data[measured.data.length - 1].wl
+      ? interpolateSpectrum(measured.data, p.wl)
+      : undefined,
+    fit: fitResult ? interpolateSpectrum(fitResult.model, p.wl) : undefined
+  })), [spectrum, measured, fitResult]);
+
+  // 论文数据：CRI 对比 (Table 4-3 & 4-4，见 calibrationData.js)
+  // sim: 当前模拟光谱按 CIE 13.3 实时计算的结果
+  // R2 / R3 (黄绿区) 显著提升；R9 红色依然不足（真实数据，体现诚实）
+  const { traditional: criTraditional, qd: criQd } = THESIS_DATASET.cri;
+  const criChartData = Object.keys(criQd).map(name => ({
+    name,
+    trad: criTraditional[name],
+    qd: criQd[name],
+    sim: name === 'Ra' ? criScore?.Ra : criScore?.R[parseInt(name.slice(1), 10) - 1]
+  }));
 
   return (
     <div style={{ width: '100vw', height: '100vh', display: 'flex', background: '#000', color: '#e5e5e5', fontFamily: 'Inter, system-ui, sans-serif' }}>
@@ -241,6 +899,26 @@ const App = () => {
              <span style={{fontSize:'12px', fontWeight:'600', color:'#888', textTransform:'uppercase'}}>Structure Synthesis</span>
           </div>
 
+          {/* 材料选择：I-III-VI₂ 黄铜矿家族 */}
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '10px' }}>
+            {Object.entries(MATERIALS).map(([id, compound]) => (
+              <button
+                key={id}
+                onClick={() => { setMaterialId(id); setMaterial(getBrusParams(id)); }}
+                style={{
+                  padding: '4px 10px', borderRadius: '12px', fontSize: '11px', cursor: 'pointer',
+                  background: materialId === id ? '#3b82f6' : '#111', color: materialId === id ? '#fff' : '#888',
+                  border: materialId === id ? '1px solid #3b82f6' : '1px solid #222'
+                }}
+              >
+                {compound.formula}
+              </button>
+            ))}
+          </div>
+          <div style={{ fontSize: '10px', color: '#555', marginBottom: '10px' }}>
+            Eg {MATERIALS[materialId].Eg_bulk} eV · a = {MATERIALS[materialId].lattice.a} Å · c = {MATERIALS[materialId].lattice.c} Å · u = {MATERIALS[materialId].lattice.u}
+          </div>
+
           <div 
              onClick={() => setIsCoreShell(!isCoreShell)}
              style={{ 
@@ -258,6 +936,83 @@ const App = () => {
                 <div style={{ width: '16px', height: '16px', background: '#fff', borderRadius: '50%', position: 'absolute', top: '2px', left: isCoreShell ? '18px' : '2px', transition:'0.3s' }} />
              </div>
           </div>
+          {isCoreShell && (
+            <ShellPanel
+              monolayers={shellMonolayers}
+              onChange={setShellMonolayers}
+              analysis={shellAnalysis}
+              shell={shellResult}
+              bareQuantumYield={stack.quantumYield}
+            />
+          )}
+
+          <div style={{ background: '#111', padding: '12px', borderRadius: '8px', marginBottom: '10px' }}>
+            <div style={{display:'flex', justifyContent:'space-between', marginBottom:'8px'}}>
+              <span style={{fontSize:'12px', color:'#ccc', display:'flex', alignItems:'center', gap:'6px'}}><Ruler size={12}/> Nanocrystal Radius</span>
+              <span style={{fontSize:'12px', color:'#3b82f6'}}>{radius} nm</span>
+            </div>
+            <input 
+              type="range" min="1" max="10" step="0.1" 
+              value={radius} onChange={e => setRadius(parseFloat(e.target.value))} 
+              style={{ width: '100%', accentColor: '#3b82f6', height:'4px' }} 
+            />
+            <div style={{display:'flex', justifyContent:'space-between', margin:'12px 0 8px'}}>
+              <span style={{fontSize:'12px', color: ensembleResult ? '#555' : '#ccc'}}>Emission FWHM</span>
+              <span style={{fontSize:'12px', color:'#3b82f6'}}>
+                {ensembleResult ? `${ensembleResult.fwhm.toFixed(1)} nm (effective)` : `${fwhm} nm`}
+              </span>
+            </div>
+            <input 
+              type="range" min="10" max="100" step="1" 
+              value={fwhm} onChange={e => setFwhm(parseFloat(e.target.value))} 
+              disabled={!!ensembleResult}
+              style={{ width: '100%', accentColor: '#3b82f6', height:'4px', opacity: ensembleResult ? 0.3 : 1 }} 
+            />
+
+            {/* 尺寸分布：系综模式下 FWHM 由多分散性 + 均匀线宽决定 */}
+            <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', margin:'12px 0 8px'}}>
+              <span style={{fontSize:'12px', color:'#ccc'}}>Size Distribution</span>
+              <div style={{display:'flex', gap:'6px'}}>
+                {[['fixed', 'Monodisperse'], ['normal', 'Normal'], ['lognormal', 'Log-normal']].map(([key, label]) => {
+                  const active = key === 'fixed' ? sizeMode === 'fixed' : sizeMode === 'ensemble' && sizeDistribution === key;
+                  return (
+                    <button
+                      key={key}
+                      onClick={() => {
+                        setSizeMode(key === 'fixed' ? 'fixed' : 'ensemble');
+                        if (key !== 'fixed') setSizeDistribution(key);
+                      }}
+                      style={{background:'none', border:'none', color: active ? '#60a5fa' : '#555', fontSize:'10px', cursor:'pointer'}}
+                    >
+                      {label}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+            {sizeMode === 'ensemble' && (
+              <>
+                <div style={{display:'flex', justifyContent:'space-between', marginBottom:'8px'}}>
+                  <span style={{fontSize:'11px', color:'#888'}}>Radius σ</span>
+                  <span style={{fontSize:'11px', color:'#3b82f6'}}>{sizeSigma} nm ({(100 * sizeSigma / radius).toFixed(0)}%)</span>
+                </div>
+                <input 
+                  type="range" min="0.05" max="1.5" step="0.05" 
+                  value={sizeSigma} onChange={e => setSizeSigma(parseFloat(e.target.value))} 
+                  style={{ width: '100%', accentColor: '#3b82f6', height:'4px' }} 
+                />
+                <div style={{display:'flex', justifyContent:'space-between', margin:'8px 0'}}>
+                  <span style={{fontSize:'11px', color:'#888'}}>Homogeneous Linewidth</span>
+                  <span style={{fontSize:'11px', color:'#3b82f6'}}>{homogeneousFwhm} nm</span>
+                </div>
+                <input 
+                  type="range" min="0" max="60" step="1" 
+                  value={homogeneousFwhm} onChange={e => setHomogeneousFwhm(parseFloat(e.target.value))} 
+                  style={{ width: '100%', accentColor: '#3b82f6', height:'4px' }} 
+                />
+              </>
+            )}
+          </div>
 
           <div style={{ background: '#111', padding: '12px', borderRadius: '8px', marginBottom: '10px' }}>
             <div style={{display:'flex', justifyContent:'space-between', marginBottom:'8px'}}>
@@ -277,6 +1032,31 @@ const App = () => {
           </div>
         </div>
 
+        {/* 合成时间轴：从成核到 90 min 的生长与反常蓝移 */}
+        <div className="control-group">
+          <div style={{display:'flex', alignItems:'center', gap:'8px', marginBottom:'12px'}}>
+             <Film size={14} color="#888"/>
+             <span style={{fontSize:'12px', fontWeight:'600', color:'#888', textTransform:'uppercase'}}>Synthesis Timeline</span>
+          </div>
+          <SynthesisTimelinePanel
+            timeline={timeline}
+            frame={timelineFrame}
+            peakWl={centerWl}
+            annotations={annotations}
+            exportProgress={timelineExport}
+            error={timelineError}
+            onPlay={() => setTimeline(prev => ({ ...prev, active: true, playing: true, time: prev.time >= SYNTHESIS_DURATION ? 0 : prev.time }))}
+            onPause={() => setTimeline(prev => ({ ...prev, playing: false }))}
+            onSeek={time => setTimeline(prev => ({ ...prev, active: true, time }))}
+            onSpeedChange={speed => setTimeline(prev => ({ ...prev, speed }))}
+            onExit={() => setTimeline(prev => ({ ...prev, active: false, playing: false }))}
+            onAddAnnotation={text => setAnnotations(prev => [...prev, { id: Date.now(), time: timeline.time, text }])}
+            onRemoveAnnotation={id => setAnnotations(prev => prev.filter(a => a.id !== id))}
+            onExport={handleExportTimeline}
+            onCancelExport={() => { exportCancelRef.current = true; }}
+          />
+        </div>
+
         {/* 2. 掺杂控制 */}
         <div className="control-group">
           <div style={{display:'flex', alignItems:'center', gap:'8px', marginBottom:'12px'}}>
@@ -302,33 +1082,337 @@ const App = () => {
           </div>
         </div>
 
+        {/* 晶体结构文件 (DFT / MD 工具链) */}
+        <div className="control-group">
+          <div style={{display:'flex', alignItems:'center', gap:'8px', marginBottom:'12px'}}>
+             <Atom size={14} color="#888"/>
+             <span style={{fontSize:'12px', fontWeight:'600', color:'#888', textTransform:'uppercase'}}>Crystal Structure</span>
+          </div>
+          <StructureFilePanel
+            structure={structure}
+            isImported={!!importedStructure}
+            supercell={supercell}
+            onSupercellChange={setSupercell}
+            error={structureError}
+            onExport={handleExportStructure}
+            onImport={handleImportStructure}
+            onClear={() => { setImportedStructure(null); setStructureError(null); }}
+          />
+          <div style={{ marginTop: '8px' }}>
+            <DopingPanel settings={dopingSettings} onChange={setDopingSettings} sites={MATERIALS[materialId].sites} stats={dopingStats} />
+          </div>
+        </div>
+
+        {/* 粉末 XRD (Scherrer 峰宽取量子点直径) */}
+        <div className="control-group">
+          <div style={{display:'flex', alignItems:'center', gap:'8px', marginBottom:'12px'}}>
+             <ScanLine size={14} color="#888"/>
+             <span style={{fontSize:'12px', fontWeight:'600', color:'#888', textTransform:'uppercase'}}>XRD</span>
+             <PendingTag active={xrdPending} />
+          </div>
+          <XrdPanel
+            reflections={xrd.reflections}
+            pattern={xrdPattern}
+            size={2 * radius}
+            includeKa2={includeKa2}
+            onToggleKa2={setIncludeKa2}
+            measured={measuredXrd}
+            source={importedStructure?.periodic ? importedStructure.title : `${xrd.title} (${XRD_SUPERCELL.join('×')} supercell)`}
+            error={xrd.error ?? xrdError}
+            onExport={handleExportXrd}
+            onLoad={loadMeasuredXrd}
+            onClear={() => { setMeasuredXrd(null); setXrdError(null); }}
+          />
+        </div>
+
+        {/* 远程荧光器件结构与光度学指标 */}
+        <div className="control-group">
+          <div style={{display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom:'12px'}}>
+             <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
+               <Cpu size={14} color="#888"/>
+               <span style={{fontSize:'12px', fontWeight:'600', color:'#888', textTransform:'uppercase'}}>Device Stack</span>
+             </div>
+             <button onClick={() => setStack(DEFAULT_STACK)} style={{background:'none', border:'none', color:'#3b82f6', fontSize:'10px', cursor:'pointer'}}>
+                Reset
+             </button>
+          </div>
+          <DeviceStackPanel stack={stack} info={STACK_PARAM_INFO} onChange={setStack} metrics={deviceMetrics} />
+        </div>
+
+        {/* 发光颜色的色彩管理与曝光 */}
+        <div className="control-group">
+          <div style={{display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom:'12px'}}>
+             <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
+               <Palette size={14} color="#888"/>
+               <span style={{fontSize:'12px', fontWeight:'600', color:'#888', textTransform:'uppercase'}}>Emission Colour</span>
+             </div>
+             <button onClick={() => setDisplaySettings(DEFAULT_DISPLAY)} style={{background:'none', border:'none', color:'#3b82f6', fontSize:'10px', cursor:'pointer'}}>
+                Reset
+             </button>
+          </div>
+          <DisplayColorPanel settings={displaySettings} onChange={setDisplaySettings} color={emissionColor} />
+        </div>
+
+        {/* 工作温度与热漂移 */}
+        <div className="control-group">
+          <div style={{display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom:'12px'}}>
+             <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
+               <Thermometer size={14} color="#888"/>
+               <span style={{fontSize:'12px', fontWeight:'600', color:'#888', textTransform:'uppercase'}}>Thermal</span>
+               <PendingTag active={driftPending} />
+             </div>
+             <span style={{fontSize:'10px', color:'#f97316'}}>{temperature.toFixed(1)} °C film</span>
+          </div>
+          <ThermalPanel
+            settings={thermalSettings}
+            onChange={setThermalSettings}
+            filmTemperature={temperature}
+            junction={junction}
+            thermal={thermalResult}
+            thermalShift={energyTerms.thermalShift}
+            drift={thermalDrift}
+            driftPending={driftPending}
+            metric={driftMetric}
+            onMetricChange={setDriftMetric}
+          />
+        </div>
+
+        {/* 多组分荧光混合设计 */}
+        <div className="control-group">
+          <div style={{display:'flex', alignItems:'center', gap:'8px', marginBottom:'12px'}}>
+             <Palette size={14} color="#888"/>
+             <span style={{fontSize:'12px', fontWeight:'600', color:'#888', textTransform:'uppercase'}}>Phosphor Blend</span>
+          </div>
+          <BlendDesignerPanel
+            components={blendComponents}
+            onChange={setBlendComponents}
+            onAdd={type => setBlendComponents([...blendComponents, createBlendComponent(type)])}
+            target={blendTarget}
+            onTargetChange={setBlendTarget}
+            objective={blendObjective}
+            onObjectiveChange={setBlendObjective}
+            onOptimize={handleOptimizeBlend}
+            progress={jobProgress.blend}
+            onCancel={() => engine.cancel('blend')}
+            result={blendResult}
+            error={blendError}
+            onApply={applyBlendResult}
+            currentSpectrum={spectrum}
+          />
+        </div>
+
+        {/* 模型参数 (可折叠) */}
+        <div className="control-group">
+          <div style={{display:'flex', alignItems:'center', justifyContent:'space-between', marginBottom: showModelParams ? '12px' : 0}}>
+             <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
+               <SlidersHorizontal size={14} color="#888"/>
+               <span style={{fontSize:'12px', fontWeight:'600', color:'#888', textTransform:'uppercase'}}>Model Parameters</span>
+             </div>
+             <button onClick={() => setShowModelParams(!showModelParams)} style={{background:'none', border:'none', color:'#3b82f6', fontSize:'10px', cursor:'pointer'}}>
+                {showModelParams ? 'Hide' : 'Show'}
+             </button>
+          </div>
+          {showModelParams && (
+            <ModelParametersPanel
+              material={material}
+              materialInfo={MATERIAL_PARAM_INFO}
+              onMaterialChange={setMaterial}
+              corrections={corrections}
+              correctionInfo={CORRECTION_PARAM_INFO}
+              onCorrectionsChange={setCorrections}
+              terms={energyTerms}
+              energy={energy}
+              onReset={() => { setMaterial(getBrusParams(materialId)); setCorrections(EMPIRICAL_CORRECTIONS); }}
+              resetLabel={MATERIALS[materialId].formula}
+            />
+          )}
+          {showModelParams && (
+            <div style={{ marginTop: '8px' }}>
+              <CalibrationPanel
+                dataset={calibrationDataset}
+                isBuiltIn={!calibrationFile}
+                form={calibrationForm}
+                onFormChange={(form) => { setCalibrationForm(form); setCalibrationResult(null); }}
+                includeCri={calibrateCri}
+                onIncludeCriChange={(value) => { setCalibrateCri(value); setCalibrationResult(null); }}
+                result={calibrationResult}
+                error={calibrationError}
+                onCalibrate={handleCalibrate}
+                progress={jobProgress.calibration}
+                onCancel={() => engine.cancel('calibration')}
+                onApply={() => setCorrections(calibrationResult.corrections)}
+                onLoad={loadCalibrationDataset}
+                onReset={() => { setCalibrationDataset(validateDataset(THESIS_DATASET).dataset); setCalibrationFile(null); setCalibrationResult(null); setCalibrationError(null); }}
+              />
+            </div>
+          )}
+        </div>
+
         {/* 3. 数据图表 - 光谱分析 */}
+        <div 
+           style={{ display:'flex', flexDirection:'column', gap:'10px' }}
+           onDragOver={e => { e.preventDefault(); setIsDragging(true); }}
+           onDragLeave={() => setIsDragging(false)}
+           onDrop={handleSpectrumDrop}
+        >
+           <div style={{display:'flex', alignItems:'center', justifyContent:'space-between'}}>
+             <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
+               <BarChart3 size={14} color="#888"/>
+               <span style={{fontSize:'12px', fontWeight:'600', color:'#888'}}>SPECTRAL ANALYSIS</span>
+               <PendingTag active={pipelinePending} />
+             </div>
+             <button onClick={() => plInputRef.current.click()} style={{background:'none', border:'none', color:'#3b82f6', fontSize:'10px', cursor:'pointer', display:'flex', alignItems:'center', gap:'4px'}}>
+               <FileUp size={10}/> Load PL
+             </button>
+             <input ref={plInputRef} type="file" accept=".csv,.txt,.tsv,.dat,.jdx,.dx,.jcamp" onChange={e => { loadMeasuredSpectrum(e.target.files[0]); e.target.value = ''; }} style={{ display: 'none' }} />
+           </div>
+
+           <div style={{ display:'flex', gap:'10px' }}>
+             <div style={{ flex: 1, minWidth: 0, height: '140px', background: '#111', padding: '10px', borderRadius: '8px', border: isDragging ? '1px dashed #3b82f6' : '1px solid transparent' }}>
+               <ResponsiveContainer width="100%" height="100%">
+                 <ComposedChart data={spectrumChartData}>
+                   <defs>
+                      <linearGradient id="colorQd" x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="5%" stopColor={emissionColor.css} stopOpacity={0.6}/>
+                        <stop offset="95%" stopColor={emissionColor.css} stopOpacity={0}/>
+                      </linearGradient>
+                   </defs>
+                   <Area type="monotone" dataKey="intensity" stroke={emissionColor.css} fill="url(#colorQd)" strokeWidth={2} />
+                   {measured && <Line type="monotone" dataKey="measured" name="Measured PL" stroke="#fff" strokeWidth={1} dot={false} isAnimationActive={false} />}
+                   {fitResult && <Line type="monotone" dataKey="fit" name="Fit" stroke="#ef4444" strokeDasharray="4 2" strokeWidth={1.5} dot={false} isAnimationActive={false} />}
+                   {showComparison && <ReferenceLine x={564} stroke="#fbbf24" strokeDasharray="3 3" label={{position: 'top', value: 'Trad.', fill:'#fbbf24', fontSize:10}} />}
+                   <XAxis dataKey="wl" type="number" domain={['dataMin', 'dataMax']} tick={{fontSize:10}} stroke="#444" />
+                   <YAxis hide />
+                   <Tooltip contentStyle={{background:'#000', border:'1px solid #333', fontSize:'12px'}} />
+                 </ComposedChart>
+               </ResponsiveContainer>
+             </div>
+
+             {/* 粒径直方图 (系综模式) */}
+             {ensembleResult && (
+               <div style={{ width: '110px', height: '140px', background: '#111', padding: '10px', borderRadius: '8px', display:'flex', flexDirection:'column' }}>
+                 <span style={{fontSize:'9px', color:'#555', textTransform:'uppercase'}}>Size Histogram</span>
+                 <div style={{ flex: 1 }}>
+                   <ResponsiveContainer width="100%" height="100%">
+                     <BarChart data={ensembleResult.histogram} barCategoryGap={0}>
+                       <Bar dataKey="weight" fill="#3b82f6" isAnimationActive={false} />
+                       <XAxis dataKey="radius" tick={{fontSize:8}} tickFormatter={r => r.toFixed(1)} interval={29} stroke="#444" />
+                       <YAxis hide />
+                       <Tooltip
+                         contentStyle={{background:'#000', border:'1px solid #333', fontSize:'10px'}}
+                         labelFormatter={r => `R = ${r.toFixed(2)} nm`}
+                         formatter={(w, name, item) => [`${(100 * w).toFixed(2)}% → ${item.payload.wl} nm`, 'Fraction']}
+                       />
+                     </BarChart>
+                   </ResponsiveContainer>
+                 </div>
+               </div>
+             )}
+           </div>
+
+           {!measured && !fitError && (
+             <span style={{fontSize:'10px', color:'#444', textAlign:'center'}}>Drop a measured PL spectrum (CSV / TXT / JCAMP-DX) here to fit the model</span>
+           )}
+           {!measured && fitError && <span style={{fontSize:'10px', color:'#ef4444'}}>{fitError}</span>}
+           {measured && (
+             <SpectralFitPanel
+               fileName={measured.name}
+               fitKeys={fitKeys}
+               result={fitResult}
+               error={fitError}
+               onToggleKey={key => setFitKeys(keys => keys.includes(key) ? keys.filter(k => k !== key) : [...keys, key])}
+               onFit={handleFit}
+               progress={jobProgress.fit}
+               onCancel={() => engine.cancel('fit')}
+               onApply={applyFitResult}
+               onClear={() => { setMeasured(null); setFitResult(null); setFitError(null); }}
+             />
+           )}
+        </div>
+
+        {/* 吸收 / PLE 与激发波长 */}
+        <div style={{ display:'flex', flexDirection:'column', gap:'10px' }}>
+           <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
+             <Waves size={14} color="#888"/>
+             <span style={{fontSize:'12px', fontWeight:'600', color:'#888'}}>ABSORPTION & PLE</span>
+           </div>
+           <AbsorptionPanel absorption={absorption} peakWl={centerWl} pumpWl={pumpWl} onPumpChange={setPumpWl} />
+        </div>
+
+        {/* 时间分辨 PL 与 Zr 能量转移动力学 */}
         <div style={{ display:'flex', flexDirection:'column', gap:'10px' }}>
            <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
-             <BarChart3 size={14} color="#888"/>
-             <span style={{fontSize:'12px', fontWeight:'600', color:'#888'}}>SPECTRAL ANALYSIS</span>
+             <Timer size={14} color="#888"/>
+             <span style={{fontSize:'12px', fontWeight:'600', color:'#888'}}>TIME-RESOLVED PL</span>
+           </div>
+           <TrplPanel channels={trplChannels} zrDoping={zrDoping} grid={grid} customWl={trplWl} onCustomWlChange={setTrplWl} />
+        </div>
+
+        {/* 4. 色度图 - 白点与参数扫描轨迹 */}
+        <div style={{ display:'flex', flexDirection:'column', gap:'10px' }}>
+           <div style={{display:'flex', alignItems:'center', justifyContent:'space-between'}}>
+             <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
+               <Crosshair size={14} color="#888"/>
+               <span style={{fontSize:'12px', fontWeight:'600', color:'#888'}}>CHROMATICITY (CIE 1931)</span>
+               <PendingTag active={trajectoryPending} />
+             </div>
+             <div style={{display:'flex', gap:'6px'}}>
+               {Object.entries(CHROMA_SWEEPS).map(([key, sweep]) => (
+                 <button key={key} onClick={() => setChromaSweep(key)} style={{background:'none', border:'none', color: chromaSweep === key ? '#60a5fa' : '#555', fontSize:'10px', cursor:'pointer'}}>
+                   {sweep.label}
+                 </button>
+               ))}
+             </div>
+           </div>
+
+           <div style={{ height: '220px', background: '#111', padding: '10px', borderRadius: '8px', opacity: trajectoryPending ? 0.6 : 1 }}>
+             <ChromaticityDiagram point={chromaticity} trajectory={chromaTrajectory} />
            </div>
 
-           <div style={{ height: '140px', background: '#111', padding: '10px', borderRadius: '8px' }}>
-             <ResponsiveContainer width="100%" height="100%">
-               <AreaChart data={spectrum}>
-                 <defs>
-                    <linearGradient id="colorQd" x1="0" y1="0" x2="0" y2="1">
-                      <stop offset="5%" stopColor={sphereColor} stopOpacity={0.6}/>
-                      <stop offset="95%" stopColor={sphereColor} stopOpacity={0}/>
-                    </linearGradient>
-                 </defs>
-                 <Area type="monotone" dataKey="intensity" stroke={sphereColor} fill="url(#colorQd)" strokeWidth={2} />
-                 {showComparison && <ReferenceLine x={564} stroke="#fbbf24" strokeDasharray="3 3" label={{position: 'top', value: 'Trad.', fill:'#fbbf24', fontSize:10}} />}
-                 <XAxis dataKey="wl" tick={{fontSize:10}} interval={50} stroke="#444" />
-                 <YAxis hide />
-                 <Tooltip contentStyle={{background:'#000', border:'1px solid #333', fontSize:'12px'}} />
-               </AreaChart>
-             </ResponsiveContainer>
+           {chromaticity && (
+             <div style={{display:'flex', justifyContent:'space-between', fontSize:'10px', color:'#666'}}>
+               <span>x <span style={{color:'#ccc'}}>{chromaticity.x.toFixed(4)}</span></span>
+               <span>y <span style={{color:'#ccc'}}>{chromaticity.y.toFixed(4)}</span></span>
+               <span>CCT <span style={{color:'#fbbf24'}}>{chromaticity.cct} K</span></span>
+               <span>Duv <span style={{color: Math.abs(chromaticity.duv) > 0.006 ? '#ef4444' : '#22c55e'}}>{chromaticity.duv.toFixed(4)}</span></span>
+             </div>
+           )}
+
+           <ColorimetrySettings
+             range={spectralRange}
+             onRangeChange={setSpectralRange}
+             step={spectralStep}
+             onStepChange={setSpectralStep}
+             points={getGridWavelengths(grid).length}
+             observer={observer}
+             observerPoint={observerPoint}
+             error={observerError}
+             onLoadObserver={loadObserver}
+             onClearObserver={() => { setObserver(null); setObserverError(null); }}
+           />
+        </div>
+
+        {/* 参数扫描 / DOE */}
+        <div style={{ display:'flex', flexDirection:'column', gap:'10px' }}>
+           <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
+             <Grid3x3 size={14} color="#888"/>
+             <span style={{fontSize:'12px', fontWeight:'600', color:'#888'}}>PARAMETER SWEEP</span>
            </div>
+           <SweepPanel
+             axes={sweepAxes}
+             onAxesChange={setSweepAxes}
+             metric={sweepMetric}
+             onMetricChange={setSweepMetric}
+             sweep={sweepResult}
+             error={sweepError}
+             onRun={handleRunSweep}
+             progress={jobProgress.sweep}
+             onCancel={() => engine.cancel('sweep')}
+             onExport={handleExportSweep}
+           />
         </div>
 
-        {/* 4. 数据图表 - CRI 对比 (专业数据展示) */}
+        {/* 5. 数据图表 - CRI 对比 (专业数据展示) */}
         <div style={{ display:'flex', flexDirection:'column', gap:'10px', marginTop:'10px' }}>
            <div style={{display:'flex', alignItems:'center', justifyContent:'space-between'}}>
              <div style={{display:'flex', alignItems:'center', gap:'8px'}}>
@@ -340,31 +1424,57 @@ const App = () => {
              </button>
            </div>
 
+           {criScore && (
+             <div style={{display:'flex', justifyContent:'space-between', fontSize:'10px', color:'#666'}}>
+               <span>Simulated Ra <span style={{color:'#22c55e'}}>{criScore.Ra}</span></span>
+               <span>R9 <span style={{color: criScore.R[8] < 0 ? '#ef4444' : '#22c55e'}}>{criScore.R[8]}</span></span>
+               <span>Ref. {criScore.reference === 'planckian' ? 'Planckian' : 'CIE D'} @ {criScore.cct} K</span>
+             </div>
+           )}
+
            {showComparison && (
              <div style={{ height: '140px', background: '#111', padding: '10px', borderRadius: '8px' }}>
                <ResponsiveContainer width="100%" height="100%">
                  <BarChart data={criChartData} barGap={2}>
                    <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#222"/>
                    <XAxis dataKey="name" tick={{fontSize:10, fill:'#666'}} stroke="#444" />
-                   <YAxis tick={{fontSize:10, fill:'#666'}} stroke="#444" domain={[-80, 100]} hide />
+                   <YAxis tick={{fontSize:10, fill:'#666'}} stroke="#444" domain={['dataMin', 100]} hide />
                    <Tooltip cursor={{fill: 'rgba(255,255,255,0.05)'}} contentStyle={{background:'#000', border:'1px solid #333', fontSize:'11px'}}/>
                    <Legend iconSize={8} wrapperStyle={{fontSize:'10px', paddingTop:'5px'}}/>
                    <Bar dataKey="trad" name="Traditional (YAG)" fill="#555" radius={[2, 2, 0, 0]} />
                    <Bar dataKey="qd" name="AgGaS2/ZnS" fill="#3b82f6" radius={[2, 2, 0, 0]} />
+                   <Bar dataKey="sim" name="Simulated" fill="#22c55e" radius={[2, 2, 0, 0]} />
                  </BarChart>
                </ResponsiveContainer>
              </div>
            )}
         </div>
         
-        {/* 导出脚本按钮 (呼应自动化实验) */}
-        <div style={{ marginTop: 'auto', paddingTop:'20px' }}>
+        {/* 导出/导入配方按钮 (呼应自动化实验) */}
+        <div style={{ marginTop: 'auto', paddingTop:'20px', display:'flex', flexDirection:'column', gap:'8px' }}>
            <button style={{ 
              width:'100%', padding:'10px', background:'#222', border:'1px solid #333', color:'#888', 
              borderRadius:'6px', fontSize:'11px', cursor:'pointer', display:'flex', alignItems:'center', justifyContent:'center', gap:'8px'
-           }} onClick={() => alert("Simulating export to Python script for robot automation...")}>
+           }} onClick={handleExportRecipe}>
               <Cpu size={14}/> Export Experiment Recipe (JSON)
            </button>
+           <button style={{ 
+             width:'100%', padding:'10px', background:'#111', border:'1px solid #222', color:'#888', 
+             borderRadius:'6px', fontSize:'11px', cursor:'pointer', display:'flex', alignItems:'center', justifyContent:'center', gap:'8px'
+           }} onClick={() => recipeInputRef.current.click()}>
+              <Upload size={14}/> Import Recipe
+           </button>
+           <input ref={recipeInputRef} type="file" accept=".json,application/json" onChange={handleImportRecipe} style={{ display: 'none' }} />
+
+           {recipeMessages.length > 0 && (
+             <div style={{ display:'flex', flexDirection:'column', gap:'2px', fontSize:'10px' }}>
+               {recipeMessages.map((msg, i) => (
+                 <span key={i} style={{ color: msg.level === 'error' ? '#ef4444' : msg.level === 'warning' ? '#fbbf24' : '#22c55e' }}>
+                   {msg.text}
+                 </span>
+               ))}
+             </div>
+           )}
         </div>
 
       </div>
@@ -381,23 +1491,51 @@ const App = () => {
             <button onClick={() => setViewMode('unit')} style={{ padding: '6px 12px', background: viewMode==='unit'?'#fff':'rgba(0,0,0,0.5)', color: viewMode==='unit'?'#000':'#fff', border: '1px solid #333', borderRadius:'20px', cursor:'pointer', fontSize:'12px', backdropFilter:'blur(4px)', display:'flex', alignItems:'center', gap:'6px' }}>
                <Layers size={12}/> Unit Cell
             </button>
+            <button onClick={() => setViewMode('dot')} style={{ padding: '6px 12px', background: viewMode==='dot'?'#fff':'rgba(0,0,0,0.5)', color: viewMode==='dot'?'#000':'#fff', border: '1px solid #333', borderRadius:'20px', cursor:'pointer', fontSize:'12px', backdropFilter:'blur(4px)', display:'flex', alignItems:'center', gap:'6px' }}>
+               <CircleDot size={12}/> Quantum Dot
+            </button>
         </div>
 
-        <Canvas camera={{ position: [0, 2, 8] }}>
+        {/* 悬停原子信息 / 量子点尺寸标注 */}
+        {hovered && (
+          <div style={{ position: 'absolute', top: '60px', left: '20px', zIndex: 10, pointerEvents: 'none', background: 'rgba(0,0,0,0.7)', border: '1px solid #333', borderRadius: '6px', padding: '6px 10px', fontSize: '11px', color: '#ccc', display: 'flex', flexDirection: 'column', gap: '2px' }}>
+            <span style={{ color: hovered.color, fontWeight: 'bold' }}>{hovered.type} · {hovered.label}{hovered.site ? ` (${hovered.site})` : ''}</span>
+            <span>frac ({hovered.frac.map(v => v.toFixed(4)).join(', ')})</span>
+            <span>cart ({hovered.cart.map(v => v.toFixed(3)).join(', ')}) Å</span>
+            <span>CN {hovered.coordination}</span>
+          </div>
+        )}
+        {viewMode === 'dot' && (
+          <div style={{ position: 'absolute', top: '60px', left: '20px', zIndex: 10, pointerEvents: 'none', fontSize: '11px', color: '#888', display: 'flex', flexDirection: 'column', gap: '2px' }}>
+            <span>Core Ø <span style={{ color: '#ccc' }}>{(2 * simRadius).toFixed(1)} nm</span></span>
+            {isCoreShell && <span>ZnS shell <span style={{ color: '#ccc' }}>{shellResult.monolayers} ML · {shellResult.thickness.toFixed(2)} nm</span> · total Ø <span style={{ color: '#ccc' }}>{(2 * simRadius + 2 * shellResult.thickness).toFixed(1)} nm</span></span>}
+            <span>Scale bar <span style={{ color: '#ccc' }}>{DOT_SCALE_BAR} nm</span></span>
+          </div>
+        )}
+
+        {/* 时间轴说明 (导出时绘制到帧内) */}
+        {timelineLines && (
+          <div style={{ position: 'absolute', bottom: '30px', left: '20px', zIndex: 10, pointerEvents: 'none', background: 'rgba(0,0,0,0.6)', borderRadius: '6px', padding: '6px 10px', fontSize: '12px', color: '#e5e5e5', display: 'flex', flexDirection: 'column', gap: '2px' }}>
+            {timelineLines.map((line, i) => <span key={i} style={i === 2 ? { color: '#fbbf24' } : undefined}>{line}</span>)}
+          </div>
+        )}
+
+        {/* preserveDrawingBuffer：时间轴导出需要在绘制后读取画布 */}
+        <Canvas ref={canvasRef} gl={{ preserveDrawingBuffer: true }} camera={{ position: [0, 2, 8] }}>
           <color attach="background" args={['#050505']} />
           <Stars depth={50} count={2000} factor={4} fade />
           
           <ambientLight intensity={isCoreShell ? 0.4 : 0.2} />
           {/* 针对不同视图调整光照 */}
           <pointLight position={[10, 10, 10]} intensity={1.5} />
-          <pointLight position={[-10, -5, -5]} intensity={0.5} color={sphereColor} />
+          <pointLight position={[-10, -5, -5]} intensity={0.5} color={emissionColor.hex} />
           
           <Float speed={viewMode === 'device' ? 0 : 2} rotationIntensity={viewMode === 'device' ? 0 : 0.2} floatIntensity={0.5}>
              {viewMode === 'dot' ? 
-                <QuantumDotSphere radius={radius} color={sphereColor} isCoreShell={isCoreShell} /> : 
+                <QuantumDotSphere radius={simRadius} color={emissionColor.hex} isCoreShell={isCoreShell} shellThickness={shellResult.thickness} /> : 
               viewMode === 'device' ?
-                <RemoteDeviceView color={sphereColor} /> :
-                <CrystalStructure mode={viewMode} zrDoping={zrDoping} isCoreShell={isCoreShell} />
+                <RemoteDeviceView color={emissionColor.hex} stack={stack} metrics={deviceMetrics} /> :
+                <CrystalStructure structure={structure} hovered={hovered ? hoveredAtom : null} onHover={setHoveredAtom} />
              }
           </Float>
 
@@ -411,11 +1549,15 @@ const App = () => {
            <h1 style={{ margin:0, color: '#fff', opacity: 0.1, fontSize: '80px', lineHeight:'0.8', fontWeight:'800' }}>
              {centerWl.toFixed(0)}
            </h1>
-           <div style={{ color: sphereColor, fontSize:'14px', letterSpacing:'2px', opacity:0.8 }}>PEAK WAVELENGTH (nm)</div>
+           <div style={{ color: emissionColor.css, fontSize:'14px', letterSpacing:'2px', opacity:0.8 }}>PEAK WAVELENGTH (nm)</div>
            <div style={{ display:'flex', flexDirection:'column', gap:'4px', marginTop:'10px' }}>
+              {(pipelinePending || (structurePending && !importedStructure && (viewMode === 'cluster' || viewMode === 'unit'))) && (
+                <span style={{ color: '#60a5fa', fontSize:'10px', opacity:0.8, background:'rgba(96, 165, 250, 0.15)', padding:'2px 6px', borderRadius:'4px', alignSelf:'flex-end' }}>COMPUTING…</span>
+              )}
+              {showsStructure && structure.notice && <span style={{ color: '#fbbf24', fontSize:'10px', opacity:0.8, background:'rgba(251, 191, 36, 0.15)', padding:'2px 6px', borderRadius:'4px', alignSelf:'flex-end' }}>CLUSTER TOO LARGE · BULK LATTICE SHOWN</span>}
               {isCoreShell && <span style={{ color: '#fff', fontSize:'10px', opacity:0.5, background:'rgba(255,255,255,0.1)', padding:'2px 6px', borderRadius:'4px', alignSelf:'flex-end' }}>CORE-SHELL ENHANCED</span>}
               {zrDoping > 0 && <span style={{ color: '#3b82f6', fontSize:'10px', opacity:0.8, background:'rgba(59, 130, 246, 0.15)', padding:'2px 6px', borderRadius:'4px', alignSelf:'flex-end' }}>Zr⁴⁺ DOPED ({zrDoping} mmol)</span>}
-              {reactionTime > 60 && <span style={{ color: '#fbbf24', fontSize:'10px', opacity:0.8, background:'rgba(251, 191, 36, 0.15)', padding:'2px 6px', borderRadius:'4px', alignSelf:'flex-end' }}>BLUE SHIFT DETECTED</span>}
+              {simReactionTime > 60 && <span style={{ color: '#fbbf24', fontSize:'10px', opacity:0.8, background:'rgba(251, 191, 36, 0.15)', padding:'2px 6px', borderRadius:'4px', alignSelf:'flex-end' }}>BLUE SHIFT DETECTED</span>}
            </div>
         </div>
       </div>
@@ -0,0 +1,71 @@
+import React from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, ResponsiveContainer, ReferenceLine, Tooltip } from 'recharts';
+
+// 常用激发光源预设
+const PUMP_PRESETS = [
+  { wl: 365, label: 'UV 365' },
+  { wl: 405, label: 'Violet 405' },
+  { wl: 455, label: 'Blue 455' }
+];
+
+/**
+ * 吸收 / PLE 面板：吸收光谱、激发谱、泵浦波长选择与 Stokes 位移
+ * @param {object} absorption - simulateWhiteLED 返回的 absorption 段
+ * @param {number} peakWl - 发射峰波长 (nm)
+ * @param {number} pumpWl - 激发波长 (nm)
+ */
+const AbsorptionPanel = ({ absorption, peakWl, pumpWl, onPumpChange }) => {
+  const { spectrum, edgeWl, absorbedFraction, stokesShift } = absorption;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <div style={{ height: '140px', background: '#111', padding: '10px', borderRadius: '8px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={spectrum}>
+            <Area type="monotone" dataKey="absorbance" name="Absorbance" stroke="#a78bfa" fill="#a78bfa" fillOpacity={0.15} strokeWidth={1.5} isAnimationActive={false} />
+            <Line type="monotone" dataKey="ple" name="PLE" yAxisId="ple" stroke="#22c55e" strokeDasharray="4 2" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+            <ReferenceLine x={pumpWl} stroke="#3b82f6" label={{ position: 'top', value: 'Pump', fill: '#3b82f6', fontSize: 10 }} />
+            <ReferenceLine x={edgeWl} stroke="#a78bfa" strokeDasharray="3 3" />
+            <ReferenceLine x={peakWl} stroke="#fbbf24" strokeDasharray="3 3" label={{ position: 'top', value: 'PL', fill: '#fbbf24', fontSize: 10 }} />
+            <XAxis dataKey="wl" type="number" domain={['dataMin', 'dataMax']} tick={{ fontSize: 10 }} stroke="#444" />
+            <YAxis hide />
+            <YAxis yAxisId="ple" hide domain={[0, 1]} />
+            <Tooltip
+              contentStyle={{ background: '#000', border: '1px solid #333', fontSize: '12px' }}
+              formatter={(value, name) => [value.toFixed(3), name]}
+            />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* 激发波长 */}
+      <div style={{ background: '#111', padding: '10px', borderRadius: '8px' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+          <span style={{ fontSize: '12px', color: '#ccc' }}>Excitation</span>
+          <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+            {PUMP_PRESETS.map(p => (
+              <button key={p.wl} onClick={() => onPumpChange(p.wl)} style={{ background: 'none', border: 'none', color: pumpWl === p.wl ? '#60a5fa' : '#555', fontSize: '10px', cursor: 'pointer' }}>
+                {p.label}
+              </button>
+            ))}
+            <span style={{ fontSize: '12px', color: '#3b82f6' }}>{pumpWl} nm</span>
+          </div>
+        </div>
+        <input
+          type="range" min="340" max="500" step="5"
+          value={pumpWl} onChange={e => onPumpChange(parseFloat(e.target.value))}
+          style={{ width: '100%', accentColor: '#3b82f6', height: '4px' }}
+        />
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#666' }}>
+        <span>Edge <span style={{ color: '#a78bfa' }}>{edgeWl.toFixed(1)} nm</span></span>
+        <span>PL <span style={{ color: '#fbbf24' }}>{peakWl} nm</span></span>
+        <span>Stokes <span style={{ color: '#ccc' }}>{stokesShift.wl.toFixed(1)} nm / {(stokesShift.energy * 1000).toFixed(0)} meV</span></span>
+        <span>Absorbed <span style={{ color: absorbedFraction > 0.3 ? '#22c55e' : '#ef4444' }}>{(absorbedFraction * 100).toFixed(1)}%</span></span>
+      </div>
+    </div>
+  );
+};
+
+export default AbsorptionPanel;
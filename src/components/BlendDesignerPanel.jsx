@@ -0,0 +1,155 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip } from 'recharts';
+import { PHOSPHOR_LIBRARY, COMPONENT_PARAM_INFO, BLEND_WEIGHT_RANGE, BLEND_OBJECTIVES } from '../utils/blend';
+import { interpolateSpectrum } from '../utils/physics';
+
+const buttonStyle = {
+  padding: '4px 10px', background: '#222', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '10px', cursor: 'pointer'
+};
+
+const inputStyle = {
+  width: '56px', background: '#000', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '11px', padding: '2px 4px', textAlign: 'right'
+};
+
+// 单个组分：权重滑块 + 线型参数
+const ComponentRow = ({ component, onChange, onRemove }) => {
+  const info = PHOSPHOR_LIBRARY[component.type];
+  const paramInfo = COMPONENT_PARAM_INFO[info.kind];
+  return (
+    <div style={{ borderLeft: `2px solid ${info.color}`, paddingLeft: '8px', display: 'flex', flexDirection: 'column', gap: '4px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <span style={{ fontSize: '11px', color: '#ccc' }}>{info.label} <span style={{ color: '#555' }}>{info.formula}</span></span>
+        <button onClick={onRemove} style={{ background: 'none', border: 'none', color: '#666', fontSize: '10px', cursor: 'pointer' }}>Remove</button>
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <input
+          type="range" min={BLEND_WEIGHT_RANGE.min} max={BLEND_WEIGHT_RANGE.max} step="0.01"
+          value={component.weight} onChange={e => onChange({ ...component, weight: parseFloat(e.target.value) })}
+          style={{ flex: 1, accentColor: info.color, height: '4px' }}
+        />
+        <span style={{ width: '40px', textAlign: 'right', fontSize: '11px', color: info.color }}>×{component.weight.toFixed(2)}</span>
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+        {Object.entries(paramInfo).map(([key, meta]) => (
+          <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '10px', color: '#888' }}>
+            {meta.label}
+            <input
+              type="number" min={meta.min} max={meta.max} step={meta.step}
+              value={component.params[key]}
+              onChange={e => {
+                const v = parseFloat(e.target.value);
+                if (Number.isFinite(v)) onChange({ ...component, params: { ...component.params, [key]: Math.min(Math.max(v, meta.min), meta.max) } });
+              }}
+              style={inputStyle}
+            />
+            <span style={{ color: '#555' }}>{meta.unit}</span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * 多组分荧光混合设计面板：组分列表、目标白点、优化器与最优方案光谱
+ * @param {Array} components - 当前组分 (见 createBlendComponent)
+ * @param {object} target - { cct, duv }
+ * @param {object|null} result - optimizeBlend 的返回值
+ * @param {object|undefined} progress - 运行中的后台任务进度 { iteration, cost } (未运行时为 undefined)
+ * @param {Array} currentSpectrum - 当前器件光谱 (与最优方案对比)
+ */
+const BlendDesignerPanel = ({ components, onChange, onAdd, target, onTargetChange, objective, onObjectiveChange, onOptimize, progress, onCancel, result, error, onApply, currentSpectrum }) => {
+  const chartData = result
+    ? result.spectrum.map(p => ({ wl: p.wl, best: p.intensity, current: interpolateSpectrum(currentSpectrum, p.wl) }))
+    : null;
+
+  return (
+    <div style={{ background: '#111', padding: '12px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '10px' }}>
+      {components.length === 0 && <span style={{ fontSize: '10px', color: '#444' }}>Primary AgGaS₂ QD only. Add components to design a blend.</span>}
+      {components.map(c => (
+        <ComponentRow
+          key={c.id}
+          component={c}
+          onChange={updated => onChange(components.map(x => (x.id === c.id ? updated : x)))}
+          onRemove={() => onChange(components.filter(x => x.id !== c.id))}
+        />
+      ))}
+
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+        {Object.entries(PHOSPHOR_LIBRARY).map(([type, info]) => (
+          <button key={type} onClick={() => onAdd(type)} style={buttonStyle}>+ {info.label}</button>
+        ))}
+      </div>
+
+      {/* 优化目标 */}
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', borderTop: '1px solid #222', paddingTop: '8px', fontSize: '10px', color: '#888' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+          CCT
+          <input type="number" min="2000" max="10000" step="100" value={target.cct}
+            onChange={e => { const v = parseFloat(e.target.value); if (Number.isFinite(v)) onTargetChange({ ...target, cct: Math.min(Math.max(v, 2000), 10000) }); }}
+            style={inputStyle} />
+          K
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+          Duv
+          <input type="number" min="-0.02" max="0.02" step="0.001" value={target.duv}
+            onChange={e => { const v = parseFloat(e.target.value); if (Number.isFinite(v)) onTargetChange({ ...target, duv: Math.min(Math.max(v, -0.02), 0.02) }); }}
+            style={inputStyle} />
+        </label>
+        {Object.entries(BLEND_OBJECTIVES).map(([key, obj]) => (
+          <button key={key} onClick={() => onObjectiveChange(key)} style={{ background: 'none', border: 'none', color: objective === key ? '#60a5fa' : '#555', fontSize: '10px', cursor: 'pointer' }}>
+            {obj.label}
+          </button>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px' }}>
+        {progress ? (
+          <button onClick={onCancel} style={{ ...buttonStyle, borderColor: '#ef4444', color: '#ef4444' }}>
+            Cancel{progress.iteration ? ` · iter ${progress.iteration}` : ''}
+          </button>
+        ) : (
+          <button onClick={onOptimize} disabled={components.length === 0} style={buttonStyle}>Optimise Blend</button>
+        )}
+        {result && !progress && <button onClick={onApply} style={{ ...buttonStyle, borderColor: '#3b82f6', color: '#60a5fa' }}>Apply Best Blend</button>}
+      </div>
+
+      {error && <span style={{ fontSize: '10px', color: '#ef4444' }}>{error}</span>}
+
+      {result && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2px 12px', fontSize: '10px', color: '#666' }}>
+            {result.components.map(c => (
+              <span key={c.id}>{PHOSPHOR_LIBRARY[c.type].label} <span style={{ color: PHOSPHOR_LIBRARY[c.type].color }}>×{c.weight.toFixed(2)}</span></span>
+            ))}
+            {Object.entries(result.qdParams).map(([key, value]) => (
+              <span key={key}>QD {key} <span style={{ color: '#60a5fa' }}>{value} nm</span></span>
+            ))}
+            <span>CCT <span style={{ color: '#fbbf24' }}>{result.chromaticity.cct} K</span></span>
+            <span>Duv <span style={{ color: Math.abs(result.chromaticity.duv - target.duv) > 0.003 ? '#ef4444' : '#22c55e' }}>{result.chromaticity.duv.toFixed(4)}</span></span>
+            <span>Ra <span style={{ color: '#ccc' }}>{result.cri.Ra}</span></span>
+            <span>R9 <span style={{ color: result.cri.R[8] < 0 ? '#ef4444' : '#ccc' }}>{result.cri.R[8]}</span></span>
+            <span>LER <span style={{ color: '#ccc' }}>{result.device.luminousEfficacyOfRadiation.toFixed(0)} lm/W</span></span>
+          </div>
+
+          {/* 最优方案光谱 (虚线为当前器件) */}
+          <div style={{ height: '90px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData}>
+                <Line type="monotone" dataKey="best" name="Best Blend" stroke="#22c55e" dot={false} strokeWidth={1.5} isAnimationActive={false} />
+                <Line type="monotone" dataKey="current" name="Current" stroke="#666" strokeDasharray="4 2" dot={false} strokeWidth={1} isAnimationActive={false} />
+                <XAxis dataKey="wl" type="number" domain={['dataMin', 'dataMax']} tick={{ fontSize: 10 }} stroke="#444" />
+                <YAxis hide />
+                <Tooltip contentStyle={{ background: '#000', border: '1px solid #333', fontSize: '12px' }} formatter={(v, name) => [v.toFixed(3), name]} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BlendDesignerPanel;
@@ -0,0 +1,174 @@
+import React, { useRef } from 'react';
+import { FileUp } from 'lucide-react';
+import { CALIBRATION_FORMS } from '../utils/calibration';
+import { CORRECTION_PARAM_INFO } from '../utils/physics';
+
+const buttonStyle = {
+  padding: '4px 10px', background: '#222', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '10px', cursor: 'pointer'
+};
+
+const optionStyle = (active) => ({
+  background: 'none', border: 'none', color: active ? '#60a5fa' : '#555', fontSize: '10px', cursor: 'pointer', padding: 0
+});
+
+const cellStyle = { padding: '1px 6px', textAlign: 'right' };
+
+const formatStat = (value, digits) => (value === null ? '—' : value.toFixed(digits));
+
+// 残差按不确定度着色：1σ 内绿色，3σ 内琥珀色
+const residualColor = (residual, uncertainty) => {
+  const z = Math.abs(residual) / uncertainty;
+  return z <= 1 ? '#22c55e' : z <= 3 ? '#fbbf24' : '#ef4444';
+};
+
+/**
+ * 经验模型标定面板：数据集、蓝移函数形式、标定结果 (各观测残差与拟合优度) 与应用到模型参数
+ * @param {object} dataset - validateDataset 的结果
+ * @param {string} form - CALIBRATION_FORMS 的键
+ * @param {boolean} includeCri - CRI 表是否参与拟合 (否则只作验证)
+ * @param {object|null} result - calibrateModel 的返回值
+ * @param {object|undefined} progress - 运行中的后台任务进度 { iteration, cost } (未运行时为 undefined)
+ */
+const CalibrationPanel = ({ dataset, isBuiltIn, form, onFormChange, includeCri, onIncludeCriChange, result, error, progress, onCalibrate, onCancel, onApply, onLoad, onReset }) => {
+  const inputRef = useRef(null);
+  const { before, after } = result ?? {};
+
+  return (
+    <div style={{ background: '#111', padding: '12px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <span style={{ fontSize: '10px', color: '#555', textTransform: 'uppercase' }}>Calibration</span>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '10px', color: '#666' }}>
+        <span style={{ color: isBuiltIn ? '#ccc' : '#22c55e' }}>{dataset.name}</span>
+        <span>
+          {dataset.peaks.length} peaks{dataset.peaks.some(p => p.validationOnly) && ` (${dataset.peaks.filter(p => p.validationOnly).length} validation only)`} · {dataset.zrBand.length} Zr bands
+          {dataset.cri && ` · CRI ${Object.keys(dataset.cri.qd).join('/')}`} · {dataset.materialId}
+        </span>
+      </div>
+
+      <div style={{ display: 'flex', gap: '10px', fontSize: '10px', color: '#888', alignItems: 'center', flexWrap: 'wrap' }}>
+        Blue shift
+        {Object.entries(CALIBRATION_FORMS).map(([key, f]) => (
+          <button key={key} onClick={() => onFormChange(key)} title={f.description} style={optionStyle(form === key)}>
+            {f.label}
+          </button>
+        ))}
+        {dataset.cri && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+            <input type="checkbox" checked={includeCri} onChange={e => onIncludeCriChange(e.target.checked)} />
+            Fit CRI
+          </label>
+        )}
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+        {progress ? (
+          <button onClick={onCancel} style={{ ...buttonStyle, borderColor: '#ef4444', color: '#ef4444' }}>
+            Cancel{progress.iteration ? ` · iter ${progress.iteration}` : ''}
+          </button>
+        ) : (
+          <button onClick={onCalibrate} style={buttonStyle}>Calibrate</button>
+        )}
+        {result && !progress && <button onClick={onApply} style={{ ...buttonStyle, borderColor: '#3b82f6', color: '#60a5fa' }}>Apply to Model</button>}
+        <button onClick={() => inputRef.current.click()} style={{ ...buttonStyle, display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <FileUp size={10} /> Load Dataset
+        </button>
+        {!isBuiltIn && <button onClick={onReset} style={buttonStyle}>Thesis Anchors</button>}
+        <input
+          ref={inputRef} type="file" accept=".json"
+          onChange={e => { onLoad(e.target.files[0]); e.target.value = ''; }}
+          style={{ display: 'none' }}
+        />
+      </div>
+
+      {error && <span style={{ fontSize: '10px', color: '#ef4444' }}>{error}</span>}
+
+      {result && (
+        <>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '10px', color: '#888' }}>
+            <thead>
+              <tr style={{ color: '#555' }}>
+                <th style={{ ...cellStyle, textAlign: 'left' }}>Peak</th>
+                <th style={cellStyle}>Meas.</th>
+                <th style={cellStyle}>Before</th>
+                <th style={cellStyle}>After</th>
+                <th style={cellStyle}>Δ (nm)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {after.peaks.map((p, i) => (
+                <tr key={i}>
+                  <td style={{ ...cellStyle, textAlign: 'left' }}>
+                    {p.label}{p.validationOnly && <span style={{ color: '#555' }}> (validation)</span>}
+                  </td>
+                  <td style={cellStyle}>{p.measured}</td>
+                  <td style={cellStyle}>{before.peaks[i].model.toFixed(1)}</td>
+                  <td style={{ ...cellStyle, color: '#ccc' }}>{p.model.toFixed(1)}</td>
+                  <td style={{ ...cellStyle, color: residualColor(p.residual, p.uncertainty) }}>{p.residual >= 0 ? '+' : ''}{p.residual.toFixed(1)}</td>
+                </tr>
+              ))}
+              {after.zrBand.map((z, i) => (
+                <tr key={`zr-${i}`}>
+                  <td style={{ ...cellStyle, textAlign: 'left' }}>{z.label}</td>
+                  <td style={cellStyle}>{z.measured.wl}/{z.measured.fwhm}</td>
+                  <td style={cellStyle}>{before.zrBand[i].model.wl.toFixed(0)}/{before.zrBand[i].model.fwhm.toFixed(0)}</td>
+                  <td style={{ ...cellStyle, color: '#ccc' }}>{z.model.wl.toFixed(1)}/{z.model.fwhm.toFixed(1)}</td>
+                  <td style={{ ...cellStyle, color: residualColor(z.residual.wl, z.uncertainty) }}>{z.residual.wl >= 0 ? '+' : ''}{z.residual.wl.toFixed(1)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2px 12px', fontSize: '10px', color: '#666' }}>
+            <span>Peak RMSE <span style={{ color: '#ccc' }}>{formatStat(before.stats.peakRmse, 1)} → {formatStat(after.stats.peakRmse, 1)} nm</span></span>
+            <span>R² <span style={{ color: after.stats.r2 > 0.95 ? '#22c55e' : '#fbbf24' }}>{formatStat(after.stats.r2, 3)}</span></span>
+            <span>χ²/dof <span style={{ color: '#ccc' }}>{formatStat(after.stats.chi2, 2)} / {after.stats.dof}</span></span>
+            <span>χ²ᵣ <span style={{ color: '#ccc' }}>{formatStat(after.stats.reducedChi2, 2)}</span></span>
+            {after.stats.validationRmse !== null && (
+              <span style={{ gridColumn: 'span 2' }}>
+                Validation peak RMSE <span style={{ color: '#ccc' }}>{formatStat(before.stats.validationRmse, 1)} → {formatStat(after.stats.validationRmse, 1)} nm</span>
+              </span>
+            )}
+          </div>
+          {dataset.cri && (
+            <span style={{ fontSize: '11px', color: '#888' }}>
+              CRI RMSE{' '}
+              <span style={{ color: after.stats.criRmse > before.stats.criRmse + 0.05 ? '#ef4444' : '#ccc' }}>
+                {formatStat(before.stats.criRmse, 1)} → {formatStat(after.stats.criRmse, 1)}
+              </span>
+              {includeCri ? ' (fitted)' : ' (validation only)'}
+            </span>
+          )}
+          {result.warnings.map(text => (
+            <span key={text} style={{ fontSize: '10px', color: '#fbbf24' }}>{text}</span>
+          ))}
+
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '10px', color: '#666' }}>
+            {Object.entries(result.fitted).map(([key, value]) => (
+              <span key={key}>
+                {CORRECTION_PARAM_INFO[key].label} <span style={{ color: '#60a5fa' }}>{value.toPrecision(4)}</span> {CORRECTION_PARAM_INFO[key].unit}
+              </span>
+            ))}
+            {Object.entries(result.pinned).map(([key, value]) => (
+              <span key={key}>
+                {CORRECTION_PARAM_INFO[key].label} <span style={{ color: '#ccc' }}>{value.toPrecision(4)}</span> {CORRECTION_PARAM_INFO[key].unit}
+                <span style={{ color: '#555' }}> (held: too few observations to fit)</span>
+              </span>
+            ))}
+            {/* Zr 带系数取观测平均，不计入拟合优度 */}
+            {Object.entries(result.assigned).map(([key, value]) => (
+              <span key={key}>
+                {CORRECTION_PARAM_INFO[key].label} <span style={{ color: '#ccc' }}>{value.toPrecision(4)}</span> {CORRECTION_PARAM_INFO[key].unit}
+                <span style={{ color: '#555' }}> (Zr band mean{after.stats.zrBandRmse ? `, scatter ${after.stats.zrBandRmse.toFixed(1)} nm` : ''})</span>
+              </span>
+            ))}
+          </div>
+          {Object.values(result.uncalibrated).map(reason => (
+            <span key={reason} style={{ fontSize: '10px', color: '#555' }}>Not calibrated: {reason}</span>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationPanel;
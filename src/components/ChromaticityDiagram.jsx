@@ -0,0 +1,78 @@
+import React from 'react';
+import { getSpectralLocus, getPlanckianLocus } from '../utils/physics';
+
+// 绘图范围 (CIE 1931 x-y 平面)
+const X_MAX = 0.8;
+const Y_MAX = 0.9;
+const WIDTH = 380;
+const HEIGHT = 300;
+const PAD = 24;
+
+const sx = (x) => PAD + (x / X_MAX) * (WIDTH - 2 * PAD);
+const sy = (y) => HEIGHT - PAD - (y / Y_MAX) * (HEIGHT - 2 * PAD);
+const toPoints = (pts) => pts.map(p => `${sx(p.x)},${sy(p.y)}`).join(' ');
+
+// 轨迹与普朗克轨迹只依赖 CIE 数据，模块加载时计算一次
+const SPECTRAL_LOCUS = getSpectralLocus();
+const PLANCKIAN = getPlanckianLocus();
+const LOCUS_LABELS = [460, 480, 500, 520, 540, 560, 580, 600, 620];
+
+/**
+ * CIE 1931 色度图
+ * @param {object} point - 当前工作点 { x, y }
+ * @param {Array<{x: number, y: number, label: string}>} trajectory - 参数扫描轨迹
+ */
+const ChromaticityDiagram = ({ point, trajectory = [] }) => (
+  <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} style={{ width: '100%', height: '100%' }}>
+    {/* 坐标轴 */}
+    <line x1={sx(0)} y1={sy(0)} x2={sx(X_MAX)} y2={sy(0)} stroke="#333" />
+    <line x1={sx(0)} y1={sy(0)} x2={sx(0)} y2={sy(Y_MAX)} stroke="#333" />
+    {[0.2, 0.4, 0.6].map(v => (
+      <g key={`tick-${v}`}>
+        <text x={sx(v)} y={sy(0) + 12} fill="#555" fontSize="9" textAnchor="middle">{v}</text>
+        <text x={sx(0) - 4} y={sy(v) + 3} fill="#555" fontSize="9" textAnchor="end">{v}</text>
+      </g>
+    ))}
+    <text x={sx(X_MAX)} y={sy(0) + 12} fill="#555" fontSize="9" textAnchor="end">x</text>
+    <text x={sx(0) - 4} y={sy(Y_MAX) + 8} fill="#555" fontSize="9" textAnchor="end">y</text>
+
+    {/* 光谱轨迹 (马蹄形) + 紫线 */}
+    <polygon points={toPoints(SPECTRAL_LOCUS)} fill="#141414" stroke="#666" strokeWidth="1" />
+    {SPECTRAL_LOCUS.filter(p => LOCUS_LABELS.includes(p.wl)).map(p => (
+      <text key={`wl-${p.wl}`} x={sx(p.x) + (p.x < 0.2 ? -4 : 4)} y={sy(p.y)} fill="#555" fontSize="8"
+        textAnchor={p.x < 0.2 ? 'end' : 'start'}>{p.wl}</text>
+    ))}
+
+    {/* 普朗克轨迹与等色温线 */}
+    <polyline points={toPoints(PLANCKIAN.locus)} fill="none" stroke="#fbbf24" strokeWidth="1" opacity="0.7" />
+    {PLANCKIAN.isotherms.map(({ T, start, end }) => (
+      <g key={`iso-${T}`}>
+        <line x1={sx(start[0])} y1={sy(start[1])} x2={sx(end[0])} y2={sy(end[1])} stroke="#fbbf24" strokeWidth="0.5" opacity="0.5" />
+        <text x={sx(start[0])} y={sy(start[1]) - 2} fill="#a16207" fontSize="7" textAnchor="middle">{T / 1000}k</text>
+      </g>
+    ))}
+
+    {/* 扫描轨迹 */}
+    {trajectory.length > 1 && (
+      <g>
+        <polyline points={toPoints(trajectory)} fill="none" stroke="#60a5fa" strokeWidth="1.2" />
+        {trajectory.map((p, i) => (
+          <circle key={`traj-${i}`} cx={sx(p.x)} cy={sy(p.y)} r="1.8" fill="#60a5fa" />
+        ))}
+        {[trajectory[0], trajectory[trajectory.length - 1]].map((p, i) => (
+          <text key={`traj-label-${i}`} x={sx(p.x) + 5} y={sy(p.y) + (i === 0 ? 10 : -5)} fill="#60a5fa" fontSize="8">{p.label}</text>
+        ))}
+      </g>
+    )}
+
+    {/* 当前工作点 */}
+    {point && (
+      <g>
+        <circle cx={sx(point.x)} cy={sy(point.y)} r="5" fill="none" stroke="#fff" strokeWidth="1" />
+        <circle cx={sx(point.x)} cy={sy(point.y)} r="2" fill="#fff" />
+      </g>
+    )}
+  </svg>
+);
+
+export default ChromaticityDiagram;
@@ -0,0 +1,56 @@
+import React, { useRef } from 'react';
+import { FileUp } from 'lucide-react';
+import { GRID_RANGES, GRID_STEPS } from '../utils/spectralGrid';
+
+const optionStyle = (active) => ({
+  background: 'none', border: 'none', color: active ? '#60a5fa' : '#555', fontSize: '10px', cursor: 'pointer', padding: 0
+});
+
+/**
+ * 光谱网格与色度观察者设置
+ * @param {string} range - GRID_RANGES 的键
+ * @param {number} step - 网格步长 (nm)
+ * @param {number} points - 当前网格的采样点数
+ * @param {object|null} observer - 导入的补充观察者 (见 observers.js)，null 时只用 CIE 1931 2°
+ * @param {object|null} observerPoint - 补充观察者下的 { x, y }
+ */
+const ColorimetrySettings = ({ range, onRangeChange, step, onStepChange, points, observer, observerPoint, error, onLoadObserver, onClearObserver }) => {
+  const inputRef = useRef(null);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '10px', color: '#666' }}>
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+        Grid
+        {Object.entries(GRID_RANGES).map(([key, r]) => (
+          <button key={key} onClick={() => onRangeChange(key)} style={optionStyle(range === key)}>{r.label}</button>
+        ))}
+        <span style={{ color: '#333' }}>|</span>
+        {GRID_STEPS.map(s => (
+          <button key={s} onClick={() => onStepChange(s)} style={optionStyle(step === s)}>{s} nm</button>
+        ))}
+        <span>{points} pts</span>
+      </div>
+
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap' }}>
+        Observer <span style={{ color: '#ccc' }}>CIE 1931 2°</span>
+        {observer && observerPoint && (
+          <span>
+            {observer.label} <span style={{ color: '#ccc' }}>x {observerPoint.x.toFixed(4)} y {observerPoint.y.toFixed(4)}</span>
+          </span>
+        )}
+        <button onClick={() => inputRef.current.click()} style={{ ...optionStyle(false), display: 'flex', alignItems: 'center', gap: '3px' }}>
+          <FileUp size={10} /> Load CMF
+        </button>
+        {observer && <button onClick={onClearObserver} style={optionStyle(false)}>Clear</button>}
+        <input
+          ref={inputRef} type="file" accept=".csv,.txt,.dat"
+          onChange={e => { onLoadObserver(e.target.files[0]); e.target.value = ''; }}
+          style={{ display: 'none' }}
+        />
+      </div>
+      {error && <span style={{ color: '#ef4444' }}>{error}</span>}
+    </div>
+  );
+};
+
+export default ColorimetrySettings;
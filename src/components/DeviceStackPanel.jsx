@@ -0,0 +1,44 @@
+import React from 'react';
+
+// 器件指标的显示格式
+const METRICS = [
+  { key: 'luminousFlux', label: 'Luminous Flux', format: v => `${v.toFixed(1)} lm` },
+  { key: 'luminousEfficacyOfRadiation', label: 'LER', format: v => `${v.toFixed(0)} lm/W` },
+  { key: 'conversionEfficiency', label: 'Conversion Eff.', format: v => `${(v * 100).toFixed(1)}%` },
+  { key: 'packageEfficiency', label: 'Package Eff.', format: v => `${(v * 100).toFixed(1)}%` },
+  { key: 'blueLeakage', label: 'Pump Leakage', format: v => `${(v * 100).toFixed(1)}%` },
+  { key: 'reabsorption', label: 'Reabsorption', format: v => `${(v * 100).toFixed(1)}%` }
+];
+
+/**
+ * 远程荧光器件面板：膜厚 / 负载量 / 硅胶间隔 / 量子产率滑块 + 光度学指标
+ * @param {object} stack - 器件结构 (见 DEFAULT_STACK)
+ * @param {object} info - STACK_PARAM_INFO
+ * @param {object} metrics - simulateWhiteLED 返回的 device 指标 (芯片功率 1W 时)
+ */
+const DeviceStackPanel = ({ stack, info, onChange, metrics }) => (
+  <div style={{ background: '#111', padding: '12px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+    {Object.entries(info).map(([key, meta]) => (
+      <div key={key}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+          <span style={{ fontSize: '12px', color: '#ccc' }}>{meta.label}</span>
+          <span style={{ fontSize: '12px', color: '#3b82f6' }}>{stack[key]} {meta.unit}</span>
+        </div>
+        <input
+          type="range" min={meta.min} max={meta.max} step={meta.step}
+          value={stack[key]} onChange={e => onChange({ ...stack, [key]: parseFloat(e.target.value) })}
+          style={{ width: '100%', accentColor: '#3b82f6', height: '4px' }}
+        />
+      </div>
+    ))}
+
+    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2px 12px', fontSize: '10px', color: '#666', borderTop: '1px solid #222', paddingTop: '8px' }}>
+      {METRICS.map(({ key, label, format }) => (
+        <span key={key}>{label} <span style={{ color: '#ccc' }}>{format(metrics[key])}</span></span>
+      ))}
+    </div>
+    <span style={{ fontSize: '10px', color: '#444' }}>Per {stack.chipPower} W of chip radiant power</span>
+  </div>
+);
+
+export default DeviceStackPanel;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { DISPLAY_SPACES, GAMUT_MAPPINGS, EXPOSURE_RANGE } from '../utils/colorManagement';
+
+const optionStyle = (active) => ({
+  background: 'none', border: 'none', color: active ? '#60a5fa' : '#555', fontSize: '10px', cursor: 'pointer', padding: 0
+});
+
+/**
+ * 发光颜色的显示设置：色彩空间、色域映射、曝光，以及色域 / 过曝标记
+ * @param {object} settings - { space, exposure, gamutMapping } (见 DEFAULT_DISPLAY)
+ * @param {object} color - calculateColorFromSpectrum 的结果
+ */
+const DisplayColorPanel = ({ settings, onChange, color }) => {
+  const set = (key, value) => onChange({ ...settings, [key]: value });
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+        <div style={{ width: '36px', height: '36px', borderRadius: '6px', background: color.css, border: '1px solid #333', flexShrink: 0 }} />
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '10px', color: '#666' }}>
+          <span>x <span style={{ color: '#ccc' }}>{color.x}</span> y <span style={{ color: '#ccc' }}>{color.y}</span></span>
+          <span>
+            LER <span style={{ color: '#ccc' }}>{color.luminousEfficacy.toFixed(0)} lm/W</span>
+            {' · '}L <span style={{ color: '#ccc' }}>{(100 * color.luminance).toFixed(0)}%</span>
+          </span>
+          <span>
+            {color.inGamut
+              ? <span style={{ color: '#22c55e' }}>In {DISPLAY_SPACES[settings.space].label} gamut</span>
+              : <span style={{ color: '#fbbf24' }}>Out of {DISPLAY_SPACES[settings.space].label} gamut · {GAMUT_MAPPINGS[settings.gamutMapping].label.toLowerCase()}</span>}
+            {color.overexposed && <span style={{ color: '#f97316' }}> · overexposed</span>}
+          </span>
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '10px', fontSize: '10px', color: '#888', alignItems: 'center', flexWrap: 'wrap' }}>
+        Space
+        {Object.entries(DISPLAY_SPACES).map(([key, s]) => (
+          <button key={key} onClick={() => set('space', key)} style={optionStyle(settings.space === key)}>{s.label}</button>
+        ))}
+        <span style={{ color: '#333' }}>|</span>
+        Gamut
+        {Object.entries(GAMUT_MAPPINGS).map(([key, m]) => (
+          <button key={key} onClick={() => set('gamutMapping', key)} title={m.description} style={optionStyle(settings.gamutMapping === key)}>{m.label}</button>
+        ))}
+      </div>
+
+      <div>
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#888', marginBottom: '4px' }}>
+          <span>Exposure</span>
+          <span style={{ color: '#60a5fa' }}>{settings.exposure > 0 ? '+' : ''}{settings.exposure} EV</span>
+        </div>
+        <input
+          type="range" min={EXPOSURE_RANGE.min} max={EXPOSURE_RANGE.max} step={EXPOSURE_RANGE.step}
+          value={settings.exposure} onChange={e => set('exposure', parseFloat(e.target.value))}
+          style={{ width: '100%', accentColor: '#3b82f6', height: '4px' }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default DisplayColorPanel;
@@ -0,0 +1,112 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, ResponsiveContainer, Tooltip, CartesianGrid } from 'recharts';
+import { Dices } from 'lucide-react';
+import { COMPENSATION_SCHEMES, DOPING_SEED_RANGE, DISTANCE_BIN } from '../utils/doping';
+
+const inputStyle = {
+  width: '90px', background: '#000', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '11px', padding: '2px 4px', textAlign: 'right'
+};
+
+const optionStyle = (active) => ({
+  background: 'none', border: 'none', color: active ? '#60a5fa' : '#555', fontSize: '10px', cursor: 'pointer', padding: 0
+});
+
+// 表面 / 体相占位一行：Zr 数 / 候选晶位数
+const Occupancy = ({ label, entry }) => (
+  <span>
+    {label} <span style={{ color: '#ccc' }}>{entry.zr}/{entry.sites}</span>
+    {entry.sites > 0 && ` (${(100 * entry.zr / entry.sites).toFixed(1)}%)`}
+  </span>
+);
+
+/**
+ * 掺杂面板：随机种子、替换晶位、电荷补偿方案，以及当前结构的掺杂统计
+ * @param {object} settings - { dopingSeed, dopingSite, compensation } (见 DEFAULT_DOPING)
+ * @param {object} sites - 材料的晶位元素 { I, III, VI }
+ * @param {object|null} stats - dopingStatistics 的结果 (导入结构为 null)
+ */
+const DopingPanel = ({ settings, onChange, sites, stats }) => (
+  <div style={{ background: '#111', padding: '12px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+    <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '10px', color: '#888' }}>
+      Seed
+      <input
+        type="number" min={DOPING_SEED_RANGE.min} max={DOPING_SEED_RANGE.max} step="1" value={settings.dopingSeed}
+        onChange={e => {
+          const v = parseInt(e.target.value, 10);
+          if (Number.isFinite(v)) onChange({ ...settings, dopingSeed: Math.min(Math.max(v, DOPING_SEED_RANGE.min), DOPING_SEED_RANGE.max) });
+        }}
+        style={inputStyle}
+      />
+      <button
+        onClick={() => onChange({ ...settings, dopingSeed: Math.floor(Math.random() * DOPING_SEED_RANGE.max) })}
+        title="New random seed"
+        style={{ ...optionStyle(true), display: 'flex', alignItems: 'center' }}
+      >
+        <Dices size={12} />
+      </button>
+    </label>
+
+    <div style={{ display: 'flex', gap: '10px', fontSize: '10px', color: '#888' }}>
+      Site
+      {['III', 'I'].map(site => (
+        <button key={site} onClick={() => onChange({ ...settings, dopingSite: site })} style={optionStyle(settings.dopingSite === site)}>
+          {sites[site]} ({site})
+        </button>
+      ))}
+    </div>
+
+    <div style={{ display: 'flex', gap: '10px', fontSize: '10px', color: '#888', flexWrap: 'wrap' }}>
+      Compensation
+      {Object.entries(COMPENSATION_SCHEMES).map(([key, scheme]) => (
+        <button key={key} onClick={() => onChange({ ...settings, compensation: key })} style={optionStyle(settings.compensation === key)}>
+          {key === 'cationVacancy' ? `V_${sites.I}` : key === 'anionInterstitial' ? `${sites.VI}_i` : scheme.label}
+        </button>
+      ))}
+    </div>
+
+    {stats ? (
+      <>
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '10px', color: '#666' }}>
+          <span>
+            Zr <span style={{ color: '#60a5fa' }}>{stats.substituted}</span> substituted
+            · nominal {stats.nominal.toFixed(1)} of {stats.candidates} {sites[stats.site]} sites
+          </span>
+          <span>
+            {stats.vacancies > 0 && `${stats.vacancies} V_${sites.I} · `}
+            {stats.interstitials > 0 && `${stats.interstitials} ${sites.VI}_i · `}
+            Net charge <span style={{ color: stats.excessCharge === 0 ? '#22c55e' : '#fbbf24' }}>{stats.excessCharge > 0 ? '+' : ''}{stats.excessCharge} e</span>
+          </span>
+          <span style={{ display: 'flex', gap: '10px' }}>
+            <Occupancy label="Surface" entry={stats.occupancy.surface} />
+            <Occupancy label="Core" entry={stats.occupancy.core} />
+          </span>
+          {stats.nearestMean !== null && (
+            <span>Zr–Zr nearest <span style={{ color: '#ccc' }}>{stats.nearestMean.toFixed(2)} Å</span> mean · {stats.nearestMin.toFixed(2)} Å min</span>
+          )}
+        </div>
+        {stats.histogram.length > 0 && (
+          <div style={{ height: '100px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={stats.histogram}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#222" />
+                <Bar dataKey="count" fill="#3b82f6" isAnimationActive={false} />
+                <XAxis dataKey="distance" tick={{ fontSize: 10 }} stroke="#444" unit=" Å" />
+                <YAxis tick={{ fontSize: 10 }} stroke="#444" width={30} allowDecimals={false} />
+                <Tooltip
+                  contentStyle={{ background: '#000', border: '1px solid #333', fontSize: '12px' }}
+                  labelFormatter={d => `Zr–Zr ${d - DISTANCE_BIN / 2}–${d + DISTANCE_BIN / 2} Å`}
+                  formatter={v => [v, 'Zr atoms']}
+                />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </>
+    ) : (
+      <span style={{ fontSize: '10px', color: '#666' }}>Doping statistics apply to the model structure only</span>
+    )}
+  </div>
+);
+
+export default DopingPanel;
@@ -0,0 +1,90 @@
+import React from 'react';
+
+// 能量分解各项的显示名称与颜色 (Brus 项为蓝色系，经验修正项为琥珀色系)
+const TERM_INFO = {
+  bulkGap:            { label: 'Bulk Gap', color: '#888' },
+  confinement:        { label: 'Confinement', color: '#3b82f6' },
+  coulomb:            { label: 'Coulomb', color: '#60a5fa' },
+  rydberg:            { label: 'Rydberg Corr.', color: '#93c5fd' },
+  defectStokes:       { label: 'Defect Stokes', color: '#fbbf24' },
+  anomalousBlueShift: { label: 'Anomalous Blue Shift', color: '#f59e0b' },
+  shellRedShift:      { label: 'ZnS Red Shift', color: '#d97706' },
+  thermalShift:       { label: 'Thermal (Varshni)', color: '#f97316' }
+};
+
+const inputStyle = {
+  width: '70px', background: '#000', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '11px', padding: '2px 4px', textAlign: 'right'
+};
+
+// 一组可编辑的数值参数
+const ParamGroup = ({ title, info, values, onChange }) => (
+  <div style={{ display: 'flex', flexDirection: 'column', gap: '4px' }}>
+    <span style={{ fontSize: '10px', color: '#555', textTransform: 'uppercase' }}>{title}</span>
+    {Object.entries(info).map(([key, meta]) => (
+      <label key={key} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', fontSize: '11px', color: '#aaa' }}>
+        <span>{meta.label}</span>
+        <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <input
+            type="number" min={meta.min} max={meta.max} step="any"
+            value={values[key]}
+            onChange={e => {
+              const v = parseFloat(e.target.value);
+              if (Number.isFinite(v)) onChange({ ...values, [key]: Math.min(Math.max(v, meta.min), meta.max) });
+            }}
+            style={inputStyle}
+          />
+          <span style={{ width: '36px', color: '#555', fontSize: '10px' }}>{meta.unit}</span>
+        </span>
+      </label>
+    ))}
+  </div>
+);
+
+/**
+ * 模型参数面板：材料常数 / 经验修正系数编辑 + 发射能量分解
+ * @param {object} terms - calculateEmissionParams 返回的各项能量贡献 (eV)
+ */
+const ModelParametersPanel = ({ material, materialInfo, onMaterialChange, corrections, correctionInfo, onCorrectionsChange, terms, energy, onReset, resetLabel }) => {
+  const maxAbs = Math.max(...Object.entries(terms).filter(([k]) => k !== 'bulkGap').map(([, v]) => Math.abs(v)), 1e-6);
+
+  return (
+    <div style={{ background: '#111', padding: '12px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
+      <ParamGroup title="Material (Brus)" info={materialInfo} values={material} onChange={onMaterialChange} />
+      <ParamGroup title="Empirical Corrections" info={correctionInfo} values={corrections} onChange={onCorrectionsChange} />
+
+      {/* 发射能量分解：E = Eg + 限域 + 库仑 + Rydberg + 经验修正 */}
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '3px' }}>
+        <span style={{ fontSize: '10px', color: '#555', textTransform: 'uppercase' }}>Energy Breakdown (eV)</span>
+        {Object.entries(terms).map(([key, value]) => (
+          <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '10px' }}>
+            <span style={{ width: '120px', color: '#888' }}>{TERM_INFO[key]?.label ?? key}</span>
+            <div style={{ flex: 1, position: 'relative', height: '6px' }}>
+              {key !== 'bulkGap' && (
+                <div style={{
+                  position: 'absolute', top: 0, height: '6px', background: TERM_INFO[key]?.color ?? '#666', borderRadius: '2px',
+                  left: value >= 0 ? '50%' : `${50 - 50 * Math.abs(value) / maxAbs}%`,
+                  width: `${50 * Math.abs(value) / maxAbs}%`
+                }} />
+              )}
+              <div style={{ position: 'absolute', left: '50%', top: '-1px', width: '1px', height: '8px', background: '#333' }} />
+            </div>
+            <span style={{ width: '48px', textAlign: 'right', color: value >= 0 ? '#ccc' : '#f87171' }}>
+              {key === 'bulkGap' ? value.toFixed(3) : `${value >= 0 ? '+' : ''}${value.toFixed(3)}`}
+            </span>
+          </div>
+        ))}
+        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', borderTop: '1px solid #222', paddingTop: '4px', marginTop: '2px' }}>
+          <span style={{ color: '#888' }}>Emission Energy</span>
+          <span style={{ color: '#fff' }}>{energy} eV</span>
+        </div>
+      </div>
+
+      <button onClick={onReset} style={{ alignSelf: 'flex-end', background: 'none', border: 'none', color: '#3b82f6', fontSize: '10px', cursor: 'pointer' }}>
+        Reset to {resetLabel} defaults
+      </button>
+    </div>
+  );
+};
+
+export default ModelParametersPanel;
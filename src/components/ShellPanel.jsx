@@ -0,0 +1,43 @@
+import React from 'react';
+import { SHELL_MONOLAYER_RANGE, SHELL_MATERIAL } from '../utils/shell';
+
+const formatPercent = (v) => `${v > 0 ? '+' : ''}${(100 * v).toFixed(2)}%`;
+
+/**
+ * ZnS 壳层面板：单层数滑块、波函数泄漏红移 (电子 / 空穴分项)、晶格失配应变与钝化后的量子产率
+ * @param {number} monolayers - 壳层单层数
+ * @param {object} analysis - { shift, electron, hole, strain: { mismatch, core, shell } } (见 shell.js)
+ * @param {object} shell - simulateWhiteLED 返回的 shell { thickness, quantumYield }
+ * @param {number} bareQuantumYield - 裸核量子产率 (器件参数)
+ */
+const ShellPanel = ({ monolayers, onChange, analysis, shell, bareQuantumYield }) => (
+  <div style={{ background: '#111', padding: '12px', borderRadius: '8px', marginBottom: '10px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+        <span style={{ fontSize: '12px', color: '#ccc' }}>Shell Thickness</span>
+        <span style={{ fontSize: '12px', color: '#3b82f6' }}>{monolayers} ML · {shell.thickness.toFixed(2)} nm</span>
+      </div>
+      <input
+        type="range" min={SHELL_MONOLAYER_RANGE.min} max={SHELL_MONOLAYER_RANGE.max} step={SHELL_MONOLAYER_RANGE.step}
+        value={monolayers} onChange={e => onChange(parseInt(e.target.value, 10))}
+        style={{ width: '100%', accentColor: '#3b82f6', height: '4px' }}
+      />
+    </div>
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '10px', color: '#666' }}>
+      <span>
+        Red shift <span style={{ color: '#d97706' }}>{(1000 * analysis.shift).toFixed(0)} meV</span>
+        {' '}(e⁻ {(1000 * analysis.electron).toFixed(0)} · h⁺ {(1000 * analysis.hole).toFixed(0)})
+      </span>
+      <span>
+        Mismatch <span style={{ color: '#ccc' }}>{formatPercent(analysis.strain.mismatch)}</span>
+        {' '}· core <span style={{ color: '#ccc' }}>{formatPercent(analysis.strain.core)}</span>
+        {' '}· {SHELL_MATERIAL.formula} interface <span style={{ color: '#ccc' }}>{formatPercent(analysis.strain.shell)}</span>
+      </span>
+      <span>
+        QY <span style={{ color: '#ccc' }}>{(100 * bareQuantumYield).toFixed(0)}%</span> → <span style={{ color: '#22c55e' }}>{(100 * shell.quantumYield).toFixed(0)}%</span> (surface passivation)
+      </span>
+    </div>
+  </div>
+);
+
+export default ShellPanel;
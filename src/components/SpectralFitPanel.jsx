@@ -0,0 +1,82 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { FIT_PARAMETERS } from '../utils/spectralFit';
+
+const buttonStyle = {
+  padding: '4px 10px', background: '#222', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '10px', cursor: 'pointer'
+};
+
+/**
+ * 实测 PL 光谱拟合面板：参数锁定、拟合结果与残差
+ * @param {string} fileName - 已载入的实测文件名
+ * @param {string[]} fitKeys - 参与拟合的参数
+ * @param {object|null} result - fitEmissionSpectrum 的返回值
+ * @param {object|undefined} progress - 运行中的后台任务进度 { iteration, cost } (未运行时为 undefined)
+ */
+const SpectralFitPanel = ({ fileName, fitKeys, result, error, progress, onToggleKey, onFit, onCancel, onApply, onClear }) => (
+  <div style={{ background: '#111', padding: '10px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+      <span style={{ fontSize: '11px', color: '#ccc', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{fileName}</span>
+      <button onClick={onClear} style={{ background: 'none', border: 'none', color: '#666', fontSize: '10px', cursor: 'pointer' }}>Clear</button>
+    </div>
+
+    {/* 参与拟合的参数 (radius 与 reactionTime 都只移动峰位，默认锁定 reactionTime) */}
+    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px' }}>
+      {Object.entries(FIT_PARAMETERS).map(([key, param]) => (
+        <label key={key} style={{ fontSize: '10px', color: '#888', display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+          <input type="checkbox" checked={fitKeys.includes(key)} onChange={() => onToggleKey(key)} />
+          {param.label}
+        </label>
+      ))}
+    </div>
+
+    <div style={{ display: 'flex', gap: '6px' }}>
+      {progress ? (
+        <button onClick={onCancel} style={{ ...buttonStyle, borderColor: '#ef4444', color: '#ef4444' }}>
+          Cancel{progress.iteration ? ` · iter ${progress.iteration}` : ''}
+        </button>
+      ) : (
+        <button onClick={onFit} disabled={fitKeys.length === 0} style={buttonStyle}>Fit Model</button>
+      )}
+      {result && !progress && <button onClick={onApply} style={{ ...buttonStyle, borderColor: '#3b82f6', color: '#60a5fa' }}>Apply to Sliders</button>}
+    </div>
+
+    {fitKeys.includes('radius') && fitKeys.includes('reactionTime') && (
+      <span style={{ fontSize: '10px', color: '#fbbf24' }}>
+        Radius and reaction time both only shift the peak: the fit cannot tell them apart, so the result is one of many equivalent pairs.
+      </span>
+    )}
+    {error && <span style={{ fontSize: '10px', color: '#ef4444' }}>{error}</span>}
+
+    {result && (
+      <>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '2px 12px', fontSize: '10px', color: '#666' }}>
+          {Object.entries(FIT_PARAMETERS).map(([key, param]) => (
+            <span key={key}>
+              {param.label} <span style={{ color: fitKeys.includes(key) ? '#60a5fa' : '#888' }}>
+                {result.params[key].toFixed(key === 'zrDoping' ? 3 : 2)} {param.unit}
+              </span>
+            </span>
+          ))}
+          <span>RMSE <span style={{ color: '#ccc' }}>{result.rmse.toFixed(4)}</span></span>
+          <span>R² <span style={{ color: result.r2 > 0.95 ? '#22c55e' : '#fbbf24' }}>{result.r2.toFixed(4)}</span></span>
+        </div>
+
+        {/* 残差 */}
+        <div style={{ height: '50px' }}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={result.residuals}>
+              <ReferenceLine y={0} stroke="#333" />
+              <Line type="monotone" dataKey="residual" stroke="#ef4444" dot={false} strokeWidth={1} isAnimationActive={false} />
+              <XAxis dataKey="wl" hide />
+              <YAxis hide domain={['auto', 'auto']} />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </>
+    )}
+  </div>
+);
+
+export default SpectralFitPanel;
@@ -0,0 +1,108 @@
+import React, { useRef } from 'react';
+import { FileUp } from 'lucide-react';
+import { SUPERCELL_RANGE } from '../utils/physics';
+
+const inputStyle = {
+  width: '36px', background: '#000', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '11px', padding: '2px 4px', textAlign: 'right'
+};
+
+const buttonStyle = {
+  padding: '4px 10px', background: '#222', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '10px', cursor: 'pointer'
+};
+
+// 导出格式：CIF 只适用于周期性结构
+const FORMATS = [
+  { key: 'cif', label: 'CIF', periodicOnly: true },
+  { key: 'xyz', label: 'Ext. XYZ' },
+  { key: 'poscar', label: 'POSCAR' }
+];
+
+/**
+ * 结构文件面板：当前结构 (含随机 Zr 替换) 导出为 CIF / XYZ / POSCAR，导入 CIF / POSCAR 替换晶体视图
+ * @param {object} structure - 当前显示的结构 (见 physics.js buildStructure)
+ * @param {boolean} isImported - 当前结构是否来自导入文件
+ * @param {number[]} supercell - 单胞视图的超胞重复次数 [N, M, L]
+ */
+const StructureFilePanel = ({ structure, isImported, supercell, onSupercellChange, error, onExport, onImport, onClear }) => {
+  const inputRef = useRef(null);
+  const { a, b, c, alpha, beta, gamma } = structure.cell;
+
+  // 各元素的原子数与平均配位数；配位数低于 4 的为表面 / 欠配位原子
+  const byType = {};
+  structure.atoms.forEach(atom => {
+    const entry = byType[atom.type] || (byType[atom.type] = { count: 0, cn: 0 });
+    entry.count += 1;
+    entry.cn += atom.coordination;
+  });
+  const underCoordinated = structure.atoms.filter(atom => atom.coordination < 4).length;
+
+  return (
+    <div style={{ background: '#111', padding: '12px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '10px', color: '#666' }}>
+        <span style={{ color: isImported ? '#22c55e' : '#ccc' }}>{structure.title}</span>
+        <span>
+          {Object.entries(byType).map(([type, e]) => `${type}${e.count}`).join(' ')} · {structure.atoms.length} atoms · {structure.bonds.length} bonds
+          {!structure.periodic && ' · finite cluster'}
+        </span>
+        <span>
+          CN {Object.entries(byType).map(([type, e]) => `${type} ${(e.cn / e.count).toFixed(2)}`).join(' · ')}
+          {underCoordinated > 0 && ` · ${underCoordinated} under-coordinated (${(100 * underCoordinated / structure.atoms.length).toFixed(0)}%)`}
+        </span>
+        <span>
+          a {a.toFixed(3)} · b {b.toFixed(3)} · c {c.toFixed(3)} Å · α {alpha.toFixed(1)}° β {beta.toFixed(1)}° γ {gamma.toFixed(1)}°
+        </span>
+        {!isImported && structure.notice && <span style={{ color: '#fbbf24' }}>{structure.notice}</span>}
+      </div>
+
+      {!isImported && structure.periodic && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '10px', color: '#888' }}>
+          Supercell
+          {supercell.map((n, k) => (
+            <React.Fragment key={k}>
+              {k > 0 && '×'}
+              <input
+                type="number" min={SUPERCELL_RANGE.min} max={SUPERCELL_RANGE.max} step="1" value={n}
+                onChange={e => {
+                  const v = parseInt(e.target.value, 10);
+                  if (Number.isFinite(v)) onSupercellChange(supercell.map((m, i) => (i === k ? Math.min(Math.max(v, SUPERCELL_RANGE.min), SUPERCELL_RANGE.max) : m)));
+                }}
+                style={inputStyle}
+              />
+            </React.Fragment>
+          ))}
+        </label>
+      )}
+
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+        {FORMATS.map(f => {
+          const disabled = f.periodicOnly && !structure.periodic;
+          return (
+            <button
+              key={f.key}
+              onClick={() => onExport(f.key)}
+              disabled={disabled}
+              title={disabled ? 'CIF needs a periodic cell: switch to the unit cell view' : undefined}
+              style={{ ...buttonStyle, opacity: disabled ? 0.4 : 1, cursor: disabled ? 'default' : 'pointer' }}
+            >
+              {f.label}
+            </button>
+          );
+        })}
+        <button onClick={() => inputRef.current.click()} style={{ ...buttonStyle, borderColor: '#3b82f6', color: '#60a5fa', display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <FileUp size={10} /> Import CIF / POSCAR
+        </button>
+        {isImported && <button onClick={onClear} style={buttonStyle}>Back to Model</button>}
+        <input
+          ref={inputRef} type="file"
+          onChange={e => { onImport(e.target.files[0]); e.target.value = ''; }}
+          style={{ display: 'none' }}
+        />
+      </div>
+      {error && <span style={{ fontSize: '10px', color: '#ef4444' }}>{error}</span>}
+    </div>
+  );
+};
+
+export default StructureFilePanel;
@@ -0,0 +1,175 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip, CartesianGrid } from 'recharts';
+import { SWEEP_PARAMETERS, SWEEP_METRICS, MAX_SWEEP_STEPS, getAxisValues } from '../utils/sweep';
+
+const buttonStyle = {
+  padding: '4px 10px', background: '#222', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '10px', cursor: 'pointer'
+};
+
+const inputStyle = {
+  width: '52px', background: '#000', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '11px', padding: '2px 4px', textAlign: 'right'
+};
+
+// 热图色标 (近似 viridis)
+const COLOR_STOPS = [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]];
+const colorScale = (t) => {
+  const s = Math.min(Math.max(t, 0), 1) * (COLOR_STOPS.length - 1);
+  const i = Math.min(Math.floor(s), COLOR_STOPS.length - 2);
+  const f = s - i;
+  const c = COLOR_STOPS[i].map((v, k) => Math.round(v + (COLOR_STOPS[i + 1][k] - v) * f));
+  return `rgb(${c.join(',')})`;
+};
+
+const formatValue = (key, value) => (typeof value === 'boolean' ? (value ? 'on' : 'off') : value);
+
+// 扫描轴设置：参数选择 + 范围 + 步数
+const AxisEditor = ({ label, axis, onChange, allowNone }) => {
+  const param = axis && SWEEP_PARAMETERS[axis.key];
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '10px', color: '#888', flexWrap: 'wrap' }}>
+      <span style={{ width: '14px' }}>{label}</span>
+      <select
+        value={axis ? axis.key : ''}
+        onChange={e => {
+          const key = e.target.value;
+          if (!key) return onChange(null);
+          const p = SWEEP_PARAMETERS[key];
+          onChange({ key, min: p.min, max: p.max, steps: p.type === 'boolean' ? 2 : 11 });
+        }}
+        style={{ ...inputStyle, width: '110px', textAlign: 'left' }}
+      >
+        {allowNone && <option value="">—</option>}
+        {Object.entries(SWEEP_PARAMETERS).map(([key, p]) => <option key={key} value={key}>{p.label}</option>)}
+      </select>
+      {param && param.type === 'number' && ['min', 'max', 'steps'].map(field => (
+        <label key={field} style={{ display: 'flex', alignItems: 'center', gap: '3px' }}>
+          {field}
+          <input
+            type="number"
+            min={field === 'steps' ? 2 : param.min} max={field === 'steps' ? MAX_SWEEP_STEPS : param.max}
+            step={field === 'steps' || param.integer ? 1 : 'any'}
+            value={axis[field]}
+            onChange={e => {
+              const v = parseFloat(e.target.value);
+              if (!Number.isFinite(v)) return;
+              const clamped = field === 'steps'
+                ? Math.min(Math.max(Math.round(v), 2), MAX_SWEEP_STEPS)
+                : Math.min(Math.max(param.integer ? Math.round(v) : v, param.min), param.max);
+              onChange({ ...axis, [field]: clamped });
+            }}
+            style={inputStyle}
+          />
+        </label>
+      ))}
+      {param && param.type === 'boolean' && <span style={{ color: '#555' }}>off / on</span>}
+    </div>
+  );
+};
+
+// 2-D 热图 (SVG)
+const HeatMap = ({ sweep, metric }) => {
+  const [outer, inner] = sweep.axes;
+  const values = sweep.rows.map(r => r[metric]).filter(v => v !== null);
+  const min = Math.min(...values), max = Math.max(...values);
+  const W = 360, H = 220, PAD_L = 40, PAD_B = 28, PAD_T = 6, PAD_R = 50;
+  const cw = (W - PAD_L - PAD_R) / outer.values.length;
+  const ch = (H - PAD_T - PAD_B) / inner.values.length;
+  const digits = SWEEP_METRICS[metric].digits;
+
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} style={{ width: '100%', height: '100%' }}>
+      {sweep.rows.map((row, idx) => {
+        const i = Math.floor(idx / inner.values.length);
+        const j = idx % inner.values.length;
+        const v = row[metric];
+        return (
+          <rect
+            key={idx}
+            x={PAD_L + i * cw} y={H - PAD_B - (j + 1) * ch} width={cw + 0.5} height={ch + 0.5}
+            fill={v === null ? '#222' : colorScale(max > min ? (v - min) / (max - min) : 0.5)}
+          >
+            <title>{`${outer.key} = ${formatValue(outer.key, row[outer.key])}, ${inner.key} = ${formatValue(inner.key, row[inner.key])}: ${v === null ? 'n/a' : v.toFixed(digits)}`}</title>
+          </rect>
+        );
+      })}
+      {/* 坐标轴刻度：首、中、末 */}
+      {[0, Math.floor((outer.values.length - 1) / 2), outer.values.length - 1].map(i => (
+        <text key={`x${i}`} x={PAD_L + (i + 0.5) * cw} y={H - PAD_B + 12} fill="#666" fontSize="9" textAnchor="middle">{formatValue(outer.key, outer.values[i])}</text>
+      ))}
+      {[0, Math.floor((inner.values.length - 1) / 2), inner.values.length - 1].map(j => (
+        <text key={`y${j}`} x={PAD_L - 4} y={H - PAD_B - (j + 0.5) * ch + 3} fill="#666" fontSize="9" textAnchor="end">{formatValue(inner.key, inner.values[j])}</text>
+      ))}
+      <text x={PAD_L + (W - PAD_L - PAD_R) / 2} y={H - 4} fill="#888" fontSize="10" textAnchor="middle">{SWEEP_PARAMETERS[outer.key].label}</text>
+      <text x={10} y={PAD_T + (H - PAD_T - PAD_B) / 2} fill="#888" fontSize="10" textAnchor="middle" transform={`rotate(-90 10 ${PAD_T + (H - PAD_T - PAD_B) / 2})`}>{SWEEP_PARAMETERS[inner.key].label}</text>
+      {/* 色标 */}
+      {Array.from({ length: 20 }, (_, k) => (
+        <rect key={`c${k}`} x={W - PAD_R + 12} y={PAD_T + (H - PAD_T - PAD_B) * (1 - (k + 1) / 20)} width="10" height={(H - PAD_T - PAD_B) / 20 + 0.5} fill={colorScale((k + 0.5) / 20)} />
+      ))}
+      <text x={W - PAD_R + 25} y={PAD_T + 8} fill="#888" fontSize="9">{max.toFixed(digits)}</text>
+      <text x={W - PAD_R + 25} y={H - PAD_B} fill="#888" fontSize="9">{min.toFixed(digits)}</text>
+    </svg>
+  );
+};
+
+/**
+ * 参数扫描面板：轴设置、运行、1-D 曲线 / 2-D 热图、CSV 导出
+ * @param {Array} axes - [axis1, axis2|null]，axis 为 { key, min, max, steps }
+ * @param {object|null} sweep - runSweep 的返回值 (运行中为已完成的部分)
+ * @param {object|undefined} progress - 运行中的扫描进度 { done, total } (未运行时为 undefined)
+ */
+const SweepPanel = ({ axes, onAxesChange, metric, onMetricChange, sweep, error, progress, onRun, onCancel, onExport }) => {
+  const gridSize = axes.filter(Boolean).reduce((n, a) => n * getAxisValues(a).length, 1);
+
+  return (
+    <div style={{ background: '#111', padding: '12px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <AxisEditor label="X" axis={axes[0]} onChange={a => onAxesChange([a ?? axes[0], axes[1]])} />
+      <AxisEditor label="Y" axis={axes[1]} onChange={a => onAxesChange([axes[0], a])} allowNone />
+
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+        {progress ? (
+          <button onClick={onCancel} style={{ ...buttonStyle, borderColor: '#ef4444', color: '#ef4444' }}>
+            Cancel ({progress.done ?? 0} / {progress.total ?? gridSize})
+          </button>
+        ) : (
+          <button onClick={onRun} style={buttonStyle}>Run Sweep ({gridSize} pts)</button>
+        )}
+        {sweep && !progress && <button onClick={onExport} style={{ ...buttonStyle, borderColor: '#3b82f6', color: '#60a5fa' }}>Export CSV</button>}
+      </div>
+      {error && <span style={{ fontSize: '10px', color: '#ef4444' }}>{error}</span>}
+
+      {sweep && (
+        <>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+            {Object.entries(SWEEP_METRICS).map(([key, m]) => (
+              <button key={key} onClick={() => onMetricChange(key)} style={{ background: 'none', border: 'none', color: metric === key ? '#60a5fa' : '#555', fontSize: '10px', cursor: 'pointer' }}>
+                {m.label}
+              </button>
+            ))}
+          </div>
+          <div style={{ height: '220px' }}>
+            {sweep.axes.length === 2 ? (
+              <HeatMap sweep={sweep} metric={metric} />
+            ) : (
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={sweep.rows.map(r => ({ ...r, [sweep.axes[0].key]: formatValue(sweep.axes[0].key, r[sweep.axes[0].key]) }))}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#222" />
+                  <Line type="monotone" dataKey={metric} stroke="#3b82f6" strokeWidth={2} dot={{ r: 2 }} isAnimationActive={false} />
+                  <XAxis dataKey={sweep.axes[0].key} tick={{ fontSize: 10 }} stroke="#444" />
+                  <YAxis tick={{ fontSize: 10 }} stroke="#444" domain={['auto', 'auto']} width={40} />
+                  <Tooltip
+                    contentStyle={{ background: '#000', border: '1px solid #333', fontSize: '12px' }}
+                    formatter={v => [v.toFixed(SWEEP_METRICS[metric].digits), SWEEP_METRICS[metric].label]}
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SweepPanel;
@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { Play, Pause, Film, X } from 'lucide-react';
+import { SYNTHESIS_DURATION, PLAYBACK_SPEEDS, STAGE_LABELS } from '../utils/synthesis';
+import { EXPORT_FORMATS } from '../utils/frameExport';
+
+const buttonStyle = {
+  padding: '4px 10px', background: '#222', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '10px', cursor: 'pointer'
+};
+
+const optionStyle = (active) => ({
+  background: 'none', border: 'none', color: active ? '#60a5fa' : '#555', fontSize: '10px', cursor: 'pointer', padding: 0
+});
+
+const inputStyle = {
+  flex: 1, minWidth: 0, background: '#000', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '11px', padding: '2px 6px'
+};
+
+/**
+ * 合成时间轴播放器：播放 / 暂停 / 拖动 / 变速、注释关键帧与动画导出
+ * @param {object} timeline - { active, playing, time, speed }
+ * @param {object|null} frame - 当前时刻的 synthesisFrame (时间轴未激活时为 null)
+ * @param {number} peakWl - 当前发射峰 (nm)
+ * @param {Array<{id, time, text}>} annotations - 注释关键帧
+ * @param {object|null} exportProgress - 导出中的 { done, total }
+ */
+const SynthesisTimelinePanel = ({
+  timeline, frame, peakWl, annotations, exportProgress, error,
+  onPlay, onPause, onSeek, onSpeedChange, onExit, onAddAnnotation, onRemoveAnnotation, onExport, onCancelExport
+}) => {
+  const [text, setText] = useState('');
+  const exporting = Boolean(exportProgress);
+  const sorted = [...annotations].sort((a, b) => a.time - b.time);
+
+  const addAnnotation = () => {
+    if (!text.trim()) return;
+    onAddAnnotation(text.trim());
+    setText('');
+  };
+
+  return (
+    <div style={{ background: '#111', padding: '12px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+        <button
+          onClick={timeline.playing ? onPause : onPlay} disabled={exporting}
+          style={{ ...buttonStyle, display: 'flex', alignItems: 'center', gap: '4px' }}
+        >
+          {timeline.playing ? <Pause size={10} /> : <Play size={10} />} {timeline.playing ? 'Pause' : 'Play'}
+        </button>
+        <span style={{ fontSize: '11px', color: '#ccc', fontVariantNumeric: 'tabular-nums' }}>
+          {timeline.time.toFixed(1)} <span style={{ color: '#555' }}>/ {SYNTHESIS_DURATION} min</span>
+        </span>
+        <div style={{ display: 'flex', gap: '6px', marginLeft: 'auto' }}>
+          {PLAYBACK_SPEEDS.map(s => (
+            <button key={s} onClick={() => onSpeedChange(s)} style={optionStyle(timeline.speed === s)}>{s}×</button>
+          ))}
+        </div>
+      </div>
+
+      {/* 拖动条与注释标记 */}
+      <div style={{ position: 'relative', paddingTop: '6px' }}>
+        {sorted.map(a => (
+          <div
+            key={a.id} title={`${a.time.toFixed(1)} min: ${a.text}`}
+            style={{ position: 'absolute', top: 0, left: `${100 * a.time / SYNTHESIS_DURATION}%`, width: '2px', height: '6px', background: '#fbbf24', transform: 'translateX(-1px)' }}
+          />
+        ))}
+        <input
+          type="range" min="0" max={SYNTHESIS_DURATION} step="0.5"
+          value={timeline.time} disabled={exporting}
+          onChange={e => onSeek(parseFloat(e.target.value))}
+          style={{ width: '100%', accentColor: '#3b82f6', height: '4px' }}
+        />
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#666' }}>
+        {frame ? (
+          <>
+            <span style={{ color: '#60a5fa' }}>{STAGE_LABELS[frame.stage]}</span>
+            <span>r <span style={{ color: '#ccc' }}>{frame.radius.toFixed(2)} nm</span></span>
+            <span>λ <span style={{ color: '#ccc' }}>{peakWl.toFixed(0)} nm</span></span>
+            <button onClick={onExit} disabled={exporting} style={optionStyle(false)}>Back to sliders</button>
+          </>
+        ) : (
+          <span>Play or scrub to drive radius and reaction time from nucleation to {SYNTHESIS_DURATION} min</span>
+        )}
+      </div>
+
+      {/* 注释关键帧 */}
+      <div style={{ display: 'flex', gap: '6px' }}>
+        <input
+          value={text} placeholder="Annotation text"
+          onChange={e => setText(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter') addAnnotation(); }}
+          style={inputStyle}
+        />
+        <button onClick={addAnnotation} disabled={!text.trim()} style={buttonStyle}>Add @ {timeline.time.toFixed(1)} min</button>
+      </div>
+      {sorted.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '10px', color: '#888' }}>
+          {sorted.map(a => (
+            <div key={a.id} style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+              <button onClick={() => onSeek(a.time)} style={{ ...optionStyle(false), color: '#fbbf24' }}>{a.time.toFixed(1)} min</button>
+              <span style={{ flex: 1, color: '#ccc', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{a.text}</span>
+              <button onClick={() => onRemoveAnnotation(a.id)} style={optionStyle(false)}><X size={10} /></button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* 导出当前视图的动画 */}
+      <div style={{ display: 'flex', gap: '6px', alignItems: 'center', flexWrap: 'wrap' }}>
+        {exporting ? (
+          <>
+            <span style={{ fontSize: '10px', color: '#888' }}>Exporting frame {exportProgress.done + 1} / {exportProgress.total}</span>
+            <button onClick={onCancelExport} style={{ ...buttonStyle, borderColor: '#ef4444', color: '#ef4444' }}>Cancel</button>
+          </>
+        ) : (
+          Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+            <button key={key} onClick={() => onExport(key)} style={{ ...buttonStyle, display: 'flex', alignItems: 'center', gap: '4px' }}>
+              <Film size={10} /> {f.label}
+            </button>
+          ))
+        )}
+      </div>
+      {error && <span style={{ fontSize: '10px', color: '#ef4444' }}>{error}</span>}
+    </div>
+  );
+};
+
+export default SynthesisTimelinePanel;
@@ -0,0 +1,147 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip, ReferenceLine, CartesianGrid, Legend } from 'recharts';
+import { THERMAL_PARAM_INFO } from '../utils/thermal';
+import { SWEEP_METRICS } from '../utils/sweep';
+
+// 热漂移曲线可选指标
+const DRIFT_METRICS = ['peakWl', 'x', 'y', 'Ra', 'cct', 'flux'];
+
+const VARIANTS = [
+  { key: 'core', label: 'Core only', color: '#f59e0b' },
+  { key: 'shell', label: 'Core/ZnS shell', color: '#3b82f6' }
+];
+
+// 温度滑块
+const Slider = ({ field, value, onChange }) => {
+  const meta = THERMAL_PARAM_INFO[field];
+  return (
+    <div>
+      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+        <span style={{ fontSize: '12px', color: '#ccc' }}>{meta.label}</span>
+        <span style={{ fontSize: '12px', color: '#f97316' }}>{value} {meta.unit}</span>
+      </div>
+      <input
+        type="range" min={meta.min} max={meta.max} step={meta.step}
+        value={value} onChange={e => onChange(parseFloat(e.target.value))}
+        style={{ width: '100%', accentColor: '#f97316', height: '4px' }}
+      />
+    </div>
+  );
+};
+
+// 25 → 150 °C 的漂移汇总：峰位、色坐标距离、Ra、光通量保持率
+const DriftSummary = ({ rows }) => {
+  const first = rows[0], last = rows[rows.length - 1];
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '10px', color: '#666' }}>
+      {VARIANTS.map(({ key, label, color }) => {
+        const a = first[key], b = last[key];
+        const dxy = a.x !== null && b.x !== null ? Math.hypot(b.x - a.x, b.y - a.y) : null;
+        return (
+          <div key={key} style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span style={{ color }}>{label}</span>
+            <span>Δλ <span style={{ color: '#ccc' }}>{(b.peakWl - a.peakWl).toFixed(1)} nm</span></span>
+            <span>Δxy <span style={{ color: '#ccc' }}>{dxy === null ? 'n/a' : dxy.toFixed(4)}</span></span>
+            <span>ΔRa <span style={{ color: '#ccc' }}>{a.Ra === null || b.Ra === null ? 'n/a' : (b.Ra - a.Ra).toFixed(1)}</span></span>
+            <span>Flux <span style={{ color: '#ccc' }}>{a.flux > 0 ? `${(100 * b.flux / a.flux).toFixed(0)}%` : 'n/a'}</span></span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+/**
+ * 温度面板：荧光膜温度 (直接给定或由驱动电流估算结温) + 核 / 核壳量子点的热漂移曲线
+ * @param {object} settings - { temperatureMode, temperature, ambientTemperature, driveCurrent } (见 DEFAULT_THERMAL)
+ * @param {number} filmTemperature - 当前使用的膜温 (°C)
+ * @param {object|null} junction - estimateJunctionTemperature 的结果 (结温模式)
+ * @param {object} thermal - simulateWhiteLED 返回的 thermal { fwhm, quenching }
+ * @param {number} thermalShift - Varshni 带隙位移 (eV)
+ * @param {object|null} drift - runSweep(temperature × isCoreShell) 的结果，首次计算完成前为 null
+ * @param {boolean} driftPending - drift 是否为上一组输入的结果 (正在重算)
+ */
+const ThermalPanel = ({ settings, onChange, filmTemperature, junction, thermal, thermalShift, drift, driftPending, metric, onMetricChange }) => {
+  const temperatures = drift ? drift.axes[0].values : [];
+  const rows = temperatures.map((temperature, i) => ({
+    temperature,
+    core: drift.rows[2 * i],
+    shell: drift.rows[2 * i + 1]
+  }));
+  const chartData = rows.map(r => ({ temperature: r.temperature, core: r.core[metric], shell: r.shell[metric] }));
+  const nearest = drift && temperatures.reduce((best, t) => (Math.abs(t - filmTemperature) < Math.abs(best - filmTemperature) ? t : best));
+
+  return (
+    <div style={{ background: '#111', padding: '12px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <div style={{ display: 'flex', gap: '6px' }}>
+        {[['manual', 'Set Temperature'], ['junction', 'From Drive Current']].map(([mode, label]) => (
+          <button
+            key={mode}
+            onClick={() => onChange({ ...settings, temperatureMode: mode })}
+            style={{ background: 'none', border: 'none', color: settings.temperatureMode === mode ? '#f97316' : '#555', fontSize: '10px', cursor: 'pointer' }}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {settings.temperatureMode === 'manual' ? (
+        <Slider field="temperature" value={settings.temperature} onChange={v => onChange({ ...settings, temperature: v })} />
+      ) : (
+        <>
+          <Slider field="ambientTemperature" value={settings.ambientTemperature} onChange={v => onChange({ ...settings, ambientTemperature: v })} />
+          <Slider field="driveCurrent" value={settings.driveCurrent} onChange={v => onChange({ ...settings, driveCurrent: v })} />
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#666' }}>
+            <span>Tj <span style={{ color: '#f97316' }}>{junction.junction.toFixed(1)} °C</span></span>
+            <span>P_el <span style={{ color: '#ccc' }}>{junction.electricalPower.toFixed(2)} W</span></span>
+            <span>P_opt <span style={{ color: '#ccc' }}>{junction.opticalPower.toFixed(2)} W</span></span>
+            <span>Heat <span style={{ color: '#ccc' }}>{junction.heat.toFixed(2)} W</span></span>
+          </div>
+        </>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#666' }}>
+        <span>ΔEg <span style={{ color: '#ccc' }}>{(1000 * thermalShift).toFixed(0)} meV</span></span>
+        <span>FWHM <span style={{ color: '#ccc' }}>{thermal.fwhm.toFixed(1)} nm</span></span>
+        <span>QD Output <span style={{ color: thermal.quenching < 0.8 ? '#ef4444' : '#22c55e' }}>{(100 * thermal.quenching).toFixed(0)}%</span></span>
+      </div>
+
+      {/* 热漂移：核 / 核壳两种结构在 25 → 150 °C 的指标变化 */}
+      <div style={{ borderTop: '1px solid #222', paddingTop: '8px', display: 'flex', flexWrap: 'wrap', gap: '6px' }}>
+        {DRIFT_METRICS.map(key => (
+          <button key={key} onClick={() => onMetricChange(key)} style={{ background: 'none', border: 'none', color: metric === key ? '#60a5fa' : '#555', fontSize: '10px', cursor: 'pointer' }}>
+            {SWEEP_METRICS[key].label}
+          </button>
+        ))}
+      </div>
+      {drift ? (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', opacity: driftPending ? 0.6 : 1 }}>
+          <div style={{ height: '150px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#222" />
+                {VARIANTS.map(v => (
+                  <Line key={v.key} type="monotone" dataKey={v.key} name={v.label} stroke={v.color} strokeWidth={1.5} dot={{ r: 2 }} isAnimationActive={false} />
+                ))}
+                <ReferenceLine x={nearest} stroke="#f97316" strokeDasharray="3 3" />
+                <XAxis dataKey="temperature" tick={{ fontSize: 10 }} stroke="#444" unit=" °C" />
+                <YAxis tick={{ fontSize: 10 }} stroke="#444" domain={['auto', 'auto']} width={40} />
+                <Tooltip
+                  contentStyle={{ background: '#000', border: '1px solid #333', fontSize: '12px' }}
+                  labelFormatter={t => `${t} °C`}
+                  formatter={(v, name) => [v === null ? 'n/a' : v.toFixed(SWEEP_METRICS[metric].digits), name]}
+                />
+                <Legend iconSize={8} wrapperStyle={{ fontSize: '10px' }} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <DriftSummary rows={rows} />
+        </div>
+      ) : (
+        <span style={{ fontSize: '10px', color: '#555' }}>Computing thermal drift…</span>
+      )}
+    </div>
+  );
+};
+
+export default ThermalPanel;
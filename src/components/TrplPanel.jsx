@@ -0,0 +1,130 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip, ReferenceLine, CartesianGrid } from 'recharts';
+import { getTransferCurve, solveSteadyState, ratioPeakConcentration, concentrationsForRatio } from '../utils/kinetics';
+
+// 浓度曲线只依赖动力学参数，模块加载时计算一次
+const TRANSFER_CURVE = getTransferCurve();
+const RATIO_PEAK = ratioPeakConcentration();
+
+// 曲线横轴为类目轴，参考线取最近的采样浓度
+const nearestSample = (c) => TRANSFER_CURVE.reduce((best, p) => (Math.abs(p.c - c) < Math.abs(best.c - c) ? p : best)).c;
+
+const TRANSFER_LINES = [
+  { key: 'transfer', label: 'η_ET', color: '#a78bfa' },
+  { key: 'host', label: 'Host', color: '#fbbf24' },
+  { key: 'zr', label: 'Zr', color: '#3b82f6' },
+  { key: 'total', label: 'Total', color: '#e5e5e5' },
+  { key: 'ratio', label: 'Zr/Host', color: '#22c55e', dash: '4 2' }
+];
+
+// 对数坐标下限 (Zr 通道 t = 0 时强度为 0)
+const LOG_FLOOR = 1e-3;
+
+const inputStyle = {
+  width: '52px', background: '#000', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '11px', padding: '2px 4px', textAlign: 'right'
+};
+
+/**
+ * 时间分辨 PL 面板：各检测波长的衰减曲线 (对数坐标) + 拟合寿命，以及转移效率 / 产率 / 强度比随 Zr 浓度的变化
+ * Zr / 基质强度比在 RATIO_PEAK 处取极大，同一比值可对应两个浓度，面板标出另一个解
+ * @param {Array<{wl, label, color, decay, fit}>} channels - 检测通道 (decay 为 simulateDecay 结果，fit 为 fitDecay 结果)
+ * @param {number} zrDoping - 当前 Zr 浓度 (mmol)
+ * @param {object} grid - 光谱网格 { min, max, step }，自定义检测波长限定在网格范围内并按步长取整
+ * @param {number} customWl - 自定义检测波长 (nm)
+ */
+const TrplPanel = ({ channels, zrDoping, grid, customWl, onCustomWlChange }) => {
+  const { zrHostRatio } = solveSteadyState(zrDoping);
+  const otherConcentrations = zrDoping > 0
+    ? concentrationsForRatio(zrHostRatio).filter(c => Math.abs(c - zrDoping) > 5e-3)
+    : [];
+  const chartData = channels[0].decay.map((p, i) => ({
+    t: p.t,
+    ...Object.fromEntries(channels.map((ch, k) => [`ch${k}`, Math.max(ch.decay[i].intensity, LOG_FLOOR)]))
+  }));
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <div style={{ height: '150px', background: '#111', padding: '10px', borderRadius: '8px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#222" />
+            {channels.map((ch, k) => (
+              <Line key={k} type="monotone" dataKey={`ch${k}`} name={ch.label} stroke={ch.color} dot={false} strokeWidth={1.5} isAnimationActive={false} />
+            ))}
+            <XAxis dataKey="t" type="number" domain={[0, 'dataMax']} tick={{ fontSize: 10 }} stroke="#444" unit=" ns" />
+            <YAxis scale="log" domain={[LOG_FLOOR, 1]} allowDataOverflow tick={{ fontSize: 10 }} stroke="#444" width={40} tickFormatter={v => v.toExponential(0)} />
+            <Tooltip
+              contentStyle={{ background: '#000', border: '1px solid #333', fontSize: '12px' }}
+              labelFormatter={t => `${t.toFixed(0)} ns`}
+              formatter={(v, name) => [v.toFixed(4), name]}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      {/* 拟合寿命 (负幅值分量为上升沿) */}
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '10px', color: '#666' }}>
+        {channels.map((ch, k) => (
+          <div key={k} style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <span style={{ color: ch.color }}>{ch.label}</span>
+            <span>
+              {ch.fit.components.map((c, i) => (
+                <span key={i} style={{ marginLeft: '8px' }}>
+                  {c.amplitude < 0 ? 'rise' : 'τ'}{i + 1} <span style={{ color: '#ccc' }}>{c.lifetime.toFixed(1)} ns</span>
+                </span>
+              ))}
+              <span style={{ marginLeft: '8px' }}>τ_avg <span style={{ color: '#fff' }}>{ch.fit.averageLifetime.toFixed(1)} ns</span></span>
+            </span>
+          </div>
+        ))}
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', marginTop: '4px' }}>
+          Custom detection λ
+          <input
+            type="number" min={grid.min} max={grid.max} step={grid.step} value={customWl}
+            onChange={e => {
+              const v = parseFloat(e.target.value);
+              if (Number.isFinite(v)) onCustomWlChange(Math.min(Math.max(grid.min + Math.round((v - grid.min) / grid.step) * grid.step, grid.min), grid.max));
+            }}
+            style={inputStyle}
+          />
+          nm
+        </label>
+      </div>
+
+      {/* 转移效率与产率 vs 浓度 */}
+      <div style={{ height: '120px', background: '#111', padding: '10px', borderRadius: '8px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={TRANSFER_CURVE}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#222" />
+            {TRANSFER_LINES.map(l => (
+              <Line key={l.key} type="monotone" dataKey={l.key} name={l.label} stroke={l.color} strokeDasharray={l.dash} dot={false} strokeWidth={1.5} isAnimationActive={false} />
+            ))}
+            {Number.isFinite(RATIO_PEAK) && <ReferenceLine x={nearestSample(RATIO_PEAK)} stroke="#22c55e" strokeOpacity={0.4} />}
+            <ReferenceLine x={nearestSample(zrDoping)} stroke="#ef4444" strokeDasharray="3 3" />
+            <XAxis dataKey="c" tick={{ fontSize: 10 }} stroke="#444" interval={9} unit=" mmol" />
+            <YAxis tick={{ fontSize: 10 }} stroke="#444" width={30} />
+            <Tooltip
+              contentStyle={{ background: '#000', border: '1px solid #333', fontSize: '12px' }}
+              labelFormatter={c => `Zr ${c} mmol`}
+              formatter={(v, name) => [v.toFixed(3), name]}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+      {zrDoping > 0 && (
+        <div style={{ fontSize: '10px', color: '#666' }}>
+          Zr/Host intensity ratio <span style={{ color: '#ccc' }}>{zrHostRatio.toFixed(2)}</span>
+          {otherConcentrations.length > 0 && (
+            <span style={{ color: '#fbbf24' }}>
+              {' '}· also reached at {otherConcentrations.map(c => c.toFixed(3)).join(', ')} mmol: the ratio peaks at {RATIO_PEAK.toFixed(3)} mmol,
+              so it cannot fix the concentration on its own (the host lifetime falls monotonically and can)
+            </span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrplPanel;
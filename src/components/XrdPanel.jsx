@@ -0,0 +1,108 @@
+import React, { useRef } from 'react';
+import { LineChart, Line, XAxis, YAxis, ResponsiveContainer, Tooltip, CartesianGrid } from 'recharts';
+import { FileUp } from 'lucide-react';
+import { XRD_SETTINGS, formatHkl, scherrerFwhm } from '../utils/xrd';
+
+const buttonStyle = {
+  padding: '4px 10px', background: '#222', border: '1px solid #333', color: '#ccc',
+  borderRadius: '4px', fontSize: '10px', cursor: 'pointer'
+};
+
+const cellStyle = { padding: '1px 6px', textAlign: 'right' };
+
+/**
+ * XRD 面板：Cu Kα 粉末图谱 (可叠加实测文件)、衍射峰列表与导出
+ * @param {Array} reflections - computeReflections 的结果
+ * @param {Array} pattern - simulatePowderPattern 的结果
+ * @param {number} size - Scherrer 晶粒尺寸 (nm，量子点直径)
+ * @param {boolean} includeKa2 - 是否叠加 Kα2
+ * @param {object|null} measured - { name, data } 实测图谱 (峰值归一到 100)
+ * @param {string} source - 计算所用结构的说明
+ */
+const XrdPanel = ({ reflections, pattern, size, includeKa2, onToggleKa2, measured, source, error, onExport, onLoad, onClear }) => {
+  const inputRef = useRef(null);
+  const strongest = reflections.reduce((best, r) => (!best || r.intensity > best.intensity ? r : best), null);
+
+  return (
+    <div style={{ background: '#111', padding: '12px', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '2px', fontSize: '10px', color: '#666' }}>
+        <span style={{ color: '#ccc' }}>{source}</span>
+        <span>
+          D = {size.toFixed(1)} nm
+          {strongest && <> · ({formatHkl(strongest.hkl)}) FWHM <span style={{ color: '#60a5fa' }}>{scherrerFwhm(strongest.twoTheta, size).toFixed(2)}°</span></>}
+        </span>
+      </div>
+
+      <div style={{ height: '150px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart>
+            <CartesianGrid strokeDasharray="3 3" stroke="#222" />
+            <XAxis
+              type="number" dataKey="twoTheta" domain={[XRD_SETTINGS.twoThetaMin, XRD_SETTINGS.twoThetaMax]}
+              tick={{ fontSize: 10 }} stroke="#444" unit="°"
+            />
+            <YAxis domain={[0, 105]} tick={{ fontSize: 10 }} stroke="#444" width={30} />
+            <Tooltip
+              contentStyle={{ background: '#000', border: '1px solid #333', fontSize: '12px' }}
+              labelFormatter={v => `2θ ${Number(v).toFixed(2)}°`}
+              formatter={v => v.toFixed(1)}
+            />
+            {measured && (
+              <Line data={measured.data} dataKey="intensity" name="Measured" stroke="#e5e5e5" strokeWidth={1} dot={false} isAnimationActive={false} />
+            )}
+            <Line data={pattern} dataKey="intensity" name="Simulated" stroke="#3b82f6" strokeWidth={1.5} dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <label style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '10px', color: '#888', cursor: 'pointer' }}>
+        <input type="checkbox" checked={includeKa2} onChange={e => onToggleKa2(e.target.checked)} />
+        Include Cu Kα2
+      </label>
+
+      {/* 衍射峰列表 */}
+      <div style={{ maxHeight: '140px', overflowY: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '10px', color: '#888' }}>
+          <thead>
+            <tr style={{ color: '#555' }}>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>hkl</th>
+              <th style={cellStyle}>2θ (°)</th>
+              <th style={cellStyle}>d (Å)</th>
+              <th style={cellStyle}>m</th>
+              <th style={cellStyle}>I (%)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {reflections.map(r => (
+              <tr key={r.hkl.join(',')} style={{ color: r.intensity >= 10 ? '#ccc' : '#666' }}>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>({formatHkl(r.hkl)})</td>
+                <td style={cellStyle}>{r.twoTheta.toFixed(2)}</td>
+                <td style={cellStyle}>{r.d.toFixed(4)}</td>
+                <td style={cellStyle}>{r.multiplicity}</td>
+                <td style={cellStyle}>{r.intensity.toFixed(1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap' }}>
+        <button onClick={() => onExport('xy')} style={buttonStyle}>Pattern .xy</button>
+        <button onClick={() => onExport('csv')} style={buttonStyle}>Reflections CSV</button>
+        <button onClick={() => inputRef.current.click()} style={{ ...buttonStyle, borderColor: '#3b82f6', color: '#60a5fa', display: 'flex', alignItems: 'center', gap: '4px' }}>
+          <FileUp size={10} /> Overlay Measured
+        </button>
+        {measured && <button onClick={onClear} style={buttonStyle}>Clear</button>}
+        <input
+          ref={inputRef} type="file" accept=".xy,.csv,.txt,.dat"
+          onChange={e => { onLoad(e.target.files[0]); e.target.value = ''; }}
+          style={{ display: 'none' }}
+        />
+      </div>
+      {measured && <span style={{ fontSize: '10px', color: '#666' }}>Overlay: <span style={{ color: '#e5e5e5' }}>{measured.name}</span></span>}
+      {error && <span style={{ fontSize: '10px', color: '#ef4444' }}>{error}</span>}
+    </div>
+  );
+};
+
+export default XrdPanel;
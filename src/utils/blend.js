@@ -0,0 +1,172 @@
+// src/utils/blend.js
+
+// ==========================================
+// 多组分荧光混合设计：附加荧光粉库 + 目标 CCT / Duv 的配比优化
+// ==========================================
+
+import { calculateEmissionParams, generateCompositeSpectrum, simulateWhiteLED, calculateChromaticity, calculateCRI, ZR_EMISSION } from './physics.js';
+import { levenbergMarquardt } from './optimize.js';
+import { DEFAULT_SPECTRAL_GRID, getGridWavelengths } from './spectralGrid.js';
+
+/**
+ * 附加荧光组分库
+ * broadband: 宽带荧光粉，能量空间高斯线型 (波长空间向长波拖尾)；peakWl / fwhm 为典型值
+ * qd: 第二个 AgGaS₂ 量子点群体，线型由 Brus 模型给出
+ */
+export const PHOSPHOR_LIBRARY = {
+  redNitride: { label: 'Red Nitride', formula: 'CaAlSiN₃:Eu²⁺', kind: 'broadband', color: '#ef4444', defaults: { peakWl: 650, fwhm: 90 } },
+  yag:        { label: 'YAG', formula: 'Y₃Al₅O₁₂:Ce³⁺', kind: 'broadband', color: '#eab308', defaults: { peakWl: 555, fwhm: 115 } },
+  qd:         { label: '2nd QD', formula: 'AgGaS₂', kind: 'qd', color: '#a78bfa', defaults: { radius: 2.5, fwhm: 35, reactionTime: 30, isCoreShell: false } }
+};
+
+// 组分参数的可编辑范围
+export const COMPONENT_PARAM_INFO = {
+  broadband: {
+    peakWl: { label: 'Peak', unit: 'nm', min: 480, max: 700, step: 1 },
+    fwhm:   { label: 'FWHM', unit: 'nm', min: 20, max: 150, step: 1 }
+  },
+  qd: {
+    radius:       { label: 'Radius', unit: 'nm', min: 1, max: 10, step: 0.1 },
+    fwhm:         { label: 'FWHM', unit: 'nm', min: 10, max: 100, step: 1 },
+    reactionTime: { label: 'Time', unit: 'min', min: 30, max: 90, step: 5 }
+  }
+};
+
+// 组分权重范围 (相对主 QD 发射的辐射功率比)
+export const BLEND_WEIGHT_RANGE = { min: 0, max: 3 };
+
+// 优化目标
+export const BLEND_OBJECTIVES = {
+  cri:      { label: 'Max Ra / R9' },
+  efficacy: { label: 'Max LER' }
+};
+
+// 优化器同时调整的主 QD 参数及边界
+const QD_OPT_PARAMETERS = {
+  radius: { min: 1, max: 10 },
+  fwhm:   { min: 10, max: 100 }
+};
+
+let nextComponentId = 1;
+
+// 新建一个组分 (默认权重 0.3)
+export const createBlendComponent = (type) => ({
+  id: `${type}-${nextComponentId++}`,
+  type,
+  weight: 0.3,
+  params: { ...PHOSPHOR_LIBRARY[type].defaults }
+});
+
+/**
+ * 组分发射线型 (光谱网格上，峰值归一)
+ * @param {object} component - { type, params }
+ * @param {object} modelOptions - QD 组分使用的 { material, corrections, temperature?, varshni?, shellOffsets? }，
+ *   以及所有组分共用的光谱网格 grid? (须与 simulateWhiteLED 的 grid 一致)
+ */
+export const generateComponentSpectrum = ({ type, params }, modelOptions = {}) => {
+  const { grid = DEFAULT_SPECTRAL_GRID } = modelOptions;
+  if (PHOSPHOR_LIBRARY[type].kind === 'qd') {
+    const { wl } = calculateEmissionParams(params.radius, params.reactionTime, params.isCoreShell, modelOptions);
+    return generateCompositeSpectrum(wl, params.fwhm, 0, null, ZR_EMISSION, grid);
+  }
+  // 能量空间高斯：FWHM 按峰位处 dE = 1240·dλ/λ² 换算
+  const e0 = 1240 / params.peakWl;
+  const sigmaE = (1240 * params.fwhm / (params.peakWl * params.peakWl)) / 2.355;
+  return getGridWavelengths(grid).map(wl => {
+    const dE = 1240 / wl - e0;
+    return { wl, intensity: Math.exp(-(dE * dE) / (2 * sigmaE * sigmaE)) };
+  });
+};
+
+// 组分列表 → simulateWhiteLED 的 blend 参数
+export const toBlendInput = (components, modelOptions = {}) =>
+  components.map(c => ({ spectrum: generateComponentSpectrum(c, modelOptions), weight: c.weight }));
+
+// 评价一个混合方案：色度、显色、光效
+const evaluateBlend = (inputs, blend) => {
+  const result = simulateWhiteLED({ ...inputs, blend });
+  const chromaticity = calculateChromaticity(result.spectrum);
+  const cri = calculateCRI(result.spectrum);
+  return { result, chromaticity, cri };
+};
+
+/**
+ * 配比优化：调整各组分权重与主 QD 的 radius / fwhm，使白点落在目标 CCT / Duv，同时最大化 Ra/R9 或 LER
+ * 写成最小二乘形式用 LM 求解：约束项 (CCT 相对偏差 1% 或 Duv 偏差 0.001 各计 1) + 目标项 (距离理想值的差距)
+ * 先对各组分权重做粗网格选初值
+ * @param {object} inputs - simulateWhiteLED 的输入 (不含 blend)
+ * @param {Array} components - 组分列表 (见 createBlendComponent)
+ * @param {object} options - { targetCct, targetDuv, objective: 'cri' | 'efficacy', optimizeQd, modelOptions, onProgress }
+ *   onProgress({ iteration, cost }) 在每次 LM 迭代后调用
+ * @returns {{components, qdParams, chromaticity, cri, device, spectrum, cost, iterations}}
+ */
+export const optimizeBlend = (inputs, components, { targetCct = 4000, targetDuv = 0, objective = 'cri', optimizeQd = true, modelOptions = {}, onProgress } = {}) => {
+  if (components.length === 0) throw new Error('Add at least one phosphor component to optimise');
+
+  // 组分线型在优化过程中不变，预先计算
+  const spectra = components.map(c => generateComponentSpectrum(c, modelOptions));
+  const qdKeys = optimizeQd ? Object.keys(QD_OPT_PARAMETERS) : [];
+
+  const unpack = (vector) => ({
+    weights: vector.slice(0, components.length),
+    qd: Object.fromEntries(qdKeys.map((key, i) => [key, vector[components.length + i]]))
+  });
+  const evaluate = (vector) => {
+    const { weights, qd } = unpack(vector);
+    return evaluateBlend({ ...inputs, ...qd }, spectra.map((spectrum, i) => ({ spectrum, weight: weights[i] })));
+  };
+
+  const residualFn = (vector) => {
+    const { chromaticity, cri, result } = evaluate(vector);
+    if (!chromaticity || !cri) return [100, 100, 100, 100];
+    const constraint = [
+      (chromaticity.cct - targetCct) / targetCct / 0.01,
+      (chromaticity.duv - targetDuv) / 0.001
+    ];
+    return objective === 'efficacy'
+      ? [...constraint, (400 - result.device.luminousEfficacyOfRadiation) / 40]
+      : [...constraint, (100 - cri.Ra) / 10, (100 - cri.R[8]) / 20];
+  };
+  const cost = (vector) => residualFn(vector).reduce((acc, v) => acc + v * v, 0);
+
+  // 粗网格：每个组分权重取若干档，主 QD 半径取若干档 (组分多时减少档数以控制计算量)
+  const levels = components.length <= 2 ? [0.1, 0.4, 0.8, 1.5, 2.5] : [0.2, 0.8, 2];
+  const qdStarts = optimizeQd
+    ? [inputs.radius, 2, 2.5, 3, 4].map(radius => [radius, inputs.fwhm])
+    : [[]];
+  let start = [...components.map(c => c.weight), ...qdStarts[0]];
+  let bestCost = cost(start);
+  const walk = (prefix) => {
+    if (prefix.length === components.length) {
+      qdStarts.forEach(qdStart => {
+        const candidate = [...prefix, ...qdStart];
+        const c = cost(candidate);
+        if (c < bestCost) { bestCost = c; start = candidate; }
+      });
+      return;
+    }
+    levels.forEach(level => walk([...prefix, level]));
+  };
+  walk([]);
+
+  const { params: vector, cost: finalCost, iterations } = levenbergMarquardt(residualFn, start, {
+    lower: [...components.map(() => BLEND_WEIGHT_RANGE.min), ...qdKeys.map(key => QD_OPT_PARAMETERS[key].min)],
+    upper: [...components.map(() => BLEND_WEIGHT_RANGE.max), ...qdKeys.map(key => QD_OPT_PARAMETERS[key].max)],
+    maxIter: 40,
+    diffStep: 1e-2,
+    onIteration: onProgress
+  });
+
+  const { weights, qd } = unpack(vector);
+  const { result, chromaticity, cri } = evaluate(vector);
+  return {
+    components: components.map((c, i) => ({ ...c, weight: parseFloat(weights[i].toFixed(3)) })),
+    qdParams: Object.fromEntries(Object.entries(qd).map(([key, value]) => [key, parseFloat(value.toFixed(key === 'radius' ? 2 : 1))])),
+    chromaticity,
+    cri,
+    device: result.device,
+    spectrum: result.spectrum,
+    cost: finalCost,
+    iterations
+  };
+};
@@ -0,0 +1,263 @@
+// src/utils/calibration.js
+
+// ==========================================
+// 经验修正系数的数据驱动标定：把 EMPIRICAL_CORRECTIONS 拟合到锚点数据集 (见 calibrationData.js)
+//   峰位观测 → 反常蓝移系数与缺陷 Stokes 深度 (加权 LM，残差以观测不确定度归一)
+//     拟合的系数数目至多为观测数 − 1，使 χ²/dof 总有意义；其余系数按 keys 的顺序从后往前固定在初值
+//     标为 validationOnly 的峰位只报告残差，不参与拟合与 χ²
+//   Zr 发射带观测 → zrPeakWl / zrFwhm 直接取观测的加权平均 (不是拟合，不计入 χ² 与自由度)
+//   CRI 表 → 默认只作验证，可选择一并拟合
+// 反常蓝移的函数形式可选 (线性 / 饱和)，新批次数据按同一格式加入数据集后重新标定即可
+// 不在标定范围内的经验项见 UNCALIBRATED_TERMS
+// ==========================================
+
+import { calculateEmissionParams, simulateWhiteLED, calculateCRI, EMPIRICAL_CORRECTIONS, CORRECTION_PARAM_INFO } from './physics.js';
+import { MATERIALS, getBrusParams, getShellOffsets } from './materials.js';
+import { DEFAULT_SHELL_MONOLAYERS } from './shell.js';
+import { RECIPE_INPUT_SCHEMA, DEFAULT_RECIPE_INPUTS, recipeToSimulationInputs } from './recipe.js';
+import { levenbergMarquardt } from './optimize.js';
+import { CALIBRATION_DATASET_FORMAT } from './calibrationData.js';
+
+// 反常蓝移的函数形式：可拟合的系数 (按优先顺序) 与固定的系数
+// 内置数据集只有两个反应时间的峰位，两种形式都只拟合 blueShiftRate；饱和速率 k 需要中间时刻的观测才能确定
+export const CALIBRATION_FORMS = {
+  linear:     { label: 'Linear', description: 'ΔE = r·Δt', keys: ['blueShiftRate', 'defectDepth'], fixed: { blueShiftSaturation: 0 } },
+  saturating: { label: 'Saturating', description: 'ΔE = r·(1 − e^(−k·Δt))/k', keys: ['blueShiftRate', 'defectDepth', 'blueShiftSaturation'], fixed: {} }
+};
+
+// 模型中未标定的经验项及原因 (随标定报告一并输出)
+export const UNCALIBRATED_TERMS = {
+  zrQuenching: 'Zr concentration quenching (formerly 1 − 2·zrDoping, now the rate equations in kinetics.js) needs emission intensity vs. Zr concentration; the anchor dataset has only peak positions and CRI, so KINETIC_PARAMS are not calibrated'
+};
+
+// 饱和形式在初值为线性 (k = 0) 时使用的饱和速率 (1/min)：k 固定时即取此值，参与拟合时避免停在 k = 0 的边界上
+const INITIAL_SATURATION = 0.02;
+
+// CRI 表中的指数 → calculateCRI 结果中的位置 (Ra 单独取)
+const CRI_INDICES = { R1: 0, R2: 1, R3: 2, R4: 3, R5: 4, R6: 5, R7: 6, R8: 7, R9: 8, R10: 9, R11: 10, R12: 11, R13: 12, R14: 13, R15: 14 };
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+/**
+ * 校验数据集 (内置或导入的 JSON)
+ * @returns {{dataset: object|null, errors: string[]}} 缺省的 uncertainty 补为 1，isCoreShell / validationOnly 缺省为 false
+ */
+export const validateDataset = (raw) => {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { dataset: null, errors: ['Dataset must be a JSON object'] };
+  if (raw.format !== CALIBRATION_DATASET_FORMAT) errors.push(`Unknown format "${raw.format}" (expected "${CALIBRATION_DATASET_FORMAT}")`);
+  if (!MATERIALS[raw.materialId]) errors.push(`Unknown material "${raw.materialId}"`);
+
+  const inRange = (name, value, { min, max, integer }) => {
+    if (!isNumber(value)) errors.push(`${name} must be a number`);
+    else if (value < min || value > max) errors.push(`${name} = ${value} out of range [${min}, ${max}]`);
+    else if (integer && !Number.isInteger(value)) errors.push(`${name} = ${value} must be an integer`);
+  };
+  const uncertainty = (name, value) => {
+    if (value === undefined) return 1;
+    if (!isNumber(value) || value <= 0) errors.push(`${name}.uncertainty must be a positive number`);
+    return value;
+  };
+
+  const peaks = Array.isArray(raw.peaks) ? raw.peaks.map((p, i) => {
+    const name = `peaks[${i}]`;
+    inRange(`${name}.radius`, p.radius, RECIPE_INPUT_SCHEMA.radius);
+    inRange(`${name}.reactionTime`, p.reactionTime, RECIPE_INPUT_SCHEMA.reactionTime);
+    inRange(`${name}.wl`, p.wl, { min: 300, max: 900 });
+    if (p.shellMonolayers !== undefined) inRange(`${name}.shellMonolayers`, p.shellMonolayers, RECIPE_INPUT_SCHEMA.shellMonolayers);
+    if (p.isCoreShell !== undefined && typeof p.isCoreShell !== 'boolean') errors.push(`${name}.isCoreShell must be a boolean`);
+    if (p.validationOnly !== undefined && typeof p.validationOnly !== 'boolean') errors.push(`${name}.validationOnly must be a boolean`);
+    return {
+      label: p.label ?? name,
+      radius: p.radius,
+      reactionTime: p.reactionTime,
+      isCoreShell: p.isCoreShell ?? false,
+      shellMonolayers: p.shellMonolayers ?? DEFAULT_SHELL_MONOLAYERS,
+      wl: p.wl,
+      uncertainty: uncertainty(name, p.uncertainty),
+      validationOnly: p.validationOnly ?? false
+    };
+  }) : [];
+  if (!peaks.some(p => !p.validationOnly)) errors.push('Dataset needs at least one fitted entry in "peaks"');
+
+  const zrBand = raw.zrBand === undefined ? [] : Array.isArray(raw.zrBand) ? raw.zrBand.map((z, i) => {
+    const name = `zrBand[${i}]`;
+    inRange(`${name}.wl`, z.wl, CORRECTION_PARAM_INFO.zrPeakWl);
+    inRange(`${name}.fwhm`, z.fwhm, CORRECTION_PARAM_INFO.zrFwhm);
+    return { label: z.label ?? name, wl: z.wl, fwhm: z.fwhm, uncertainty: uncertainty(name, z.uncertainty) };
+  }) : (errors.push('"zrBand" must be an array'), []);
+
+  let cri = null;
+  if (raw.cri !== undefined) {
+    const values = raw.cri?.qd;
+    if (!values || typeof values !== 'object') errors.push('cri.qd must map CRI indices (R1…R15, Ra) to values');
+    else {
+      Object.entries(values).forEach(([key, v]) => {
+        if (key !== 'Ra' && CRI_INDICES[key] === undefined) errors.push(`cri.qd.${key} is not a CRI index`);
+        else if (!isNumber(v)) errors.push(`cri.qd.${key} must be a number`);
+      });
+      cri = {
+        qd: values,
+        traditional: raw.cri.traditional ?? null,
+        inputs: raw.cri.inputs ?? {},
+        uncertainty: uncertainty('cri', raw.cri.uncertainty)
+      };
+    }
+  }
+
+  if (errors.length > 0) return { dataset: null, errors };
+  return { dataset: { format: raw.format, name: raw.name ?? 'Untitled dataset', materialId: raw.materialId, peaks, zrBand, cri }, errors };
+};
+
+// 数据集的材料常数 (界面中编辑过的同种材料常数优先)
+const resolveMaterial = (dataset, material) => material ?? getBrusParams(dataset.materialId);
+
+// 模型的基质峰位
+const modelPeak = (peak, material, corrections, shellOffsets) => calculateEmissionParams(peak.radius, peak.reactionTime, peak.isCoreShell, {
+  material, corrections, shellMonolayers: peak.shellMonolayers, shellOffsets
+}).wl;
+
+// 模型的 CRI (数据集 cri.inputs 覆盖界面缺省输入)
+const modelCri = (dataset, material, corrections) => {
+  const inputs = { ...DEFAULT_RECIPE_INPUTS, materialId: dataset.materialId, ...dataset.cri.inputs };
+  const cri = calculateCRI(simulateWhiteLED(recipeToSimulationInputs(inputs, { material, corrections })).spectrum);
+  return Object.keys(dataset.cri.qd).map(name => {
+    const model = cri ? (name === 'Ra' ? cri.Ra : cri.R[CRI_INDICES[name]]) : null;
+    return { name, measured: dataset.cri.qd[name], model, residual: model === null ? null : model - dataset.cri.qd[name] };
+  });
+};
+
+const rms = (values) => (values.length ? Math.sqrt(values.reduce((s, v) => s + v * v, 0) / values.length) : null);
+
+/**
+ * 在给定系数下评价模型与数据集的吻合程度
+ * @param {object} dataset - validateDataset 的结果
+ * @param {object} options - { material, corrections, parameterCount (参与拟合的系数数目，用于自由度), includeCri }
+ * @returns {{peaks, zrBand, cri, stats}} stats: { peakRmse, peakMaxError (nm), r2, chi2, dof, reducedChi2, validationRmse, zrBandRmse, criRmse }
+ *   chi2 为以不确定度归一的残差平方和 (拟合的峰位，includeCri 时含 CRI)；dof ≤ 0 时 reducedChi2 为 null
+ *   peakRmse / peakMaxError / r2 只统计拟合的峰位，validationOnly 的峰位以 validationRmse (nm) 单独报告
+ *   Zr 带的系数由观测平均得到，只以 zrBandRmse (峰位 nm) 报告其离散程度
+ */
+export const evaluateCalibration = (dataset, { material, corrections = EMPIRICAL_CORRECTIONS, parameterCount = 0, includeCri = false } = {}) => {
+  const mat = resolveMaterial(dataset, material);
+  const shellOffsets = getShellOffsets(dataset.materialId);
+
+  const peaks = dataset.peaks.map(p => {
+    const model = modelPeak(p, mat, corrections, shellOffsets);
+    return { label: p.label, measured: p.wl, model, residual: model - p.wl, uncertainty: p.uncertainty, validationOnly: p.validationOnly };
+  });
+  const fittedPeaks = peaks.filter(p => !p.validationOnly);
+  const validationPeaks = peaks.filter(p => p.validationOnly);
+  const zrBand = dataset.zrBand.map(z => ({
+    label: z.label,
+    measured: { wl: z.wl, fwhm: z.fwhm },
+    model: { wl: corrections.zrPeakWl, fwhm: corrections.zrFwhm },
+    residual: { wl: corrections.zrPeakWl - z.wl, fwhm: corrections.zrFwhm - z.fwhm },
+    uncertainty: z.uncertainty
+  }));
+  const cri = dataset.cri ? modelCri(dataset, mat, corrections) : [];
+
+  const normalized = [
+    ...fittedPeaks.map(p => p.residual / p.uncertainty),
+    ...(includeCri ? cri.filter(c => c.residual !== null).map(c => c.residual / dataset.cri.uncertainty) : [])
+  ];
+  const chi2 = normalized.reduce((s, v) => s + v * v, 0);
+  const dof = normalized.length - parameterCount;
+
+  const mean = fittedPeaks.reduce((s, p) => s + p.measured, 0) / fittedPeaks.length;
+  const total = fittedPeaks.reduce((s, p) => s + (p.measured - mean) ** 2, 0);
+  const residualSum = fittedPeaks.reduce((s, p) => s + p.residual ** 2, 0);
+
+  return {
+    peaks,
+    zrBand,
+    cri,
+    stats: {
+      peakRmse: rms(fittedPeaks.map(p => p.residual)),
+      peakMaxError: Math.max(...fittedPeaks.map(p => Math.abs(p.residual))),
+      r2: total > 0 ? 1 - residualSum / total : null,
+      chi2,
+      dof,
+      reducedChi2: dof > 0 ? chi2 / dof : null,
+      validationRmse: rms(validationPeaks.map(p => p.residual)),
+      zrBandRmse: rms(zrBand.map(z => z.residual.wl)),
+      criRmse: rms(cri.filter(c => c.residual !== null).map(c => c.residual))
+    }
+  };
+};
+
+/**
+ * 标定经验修正系数
+ * @param {object} dataset - validateDataset 的结果
+ * @param {object} options - { form: CALIBRATION_FORMS 的键, material, corrections (初值与不参与拟合的系数), includeCri, onProgress }
+ *   onProgress({ iteration, cost }) 在每次 LM 迭代后调用
+ * @returns {{form, corrections, fitted, pinned, assigned, before, after, iterations, uncalibrated, warnings}}
+ *   corrections 为完整的标定后系数 (可直接替换模型参数)，fitted 为 LM 拟合的系数值，
+ *   pinned 为因观测不足而固定在初值的系数，assigned 为由 Zr 带观测平均直接得到的系数，
+ *   uncalibrated 为 UNCALIBRATED_TERMS，warnings 为需要提请注意的结果 (如 CRI 验证残差变大)
+ *   before / after 为标定前后的 evaluateCalibration 结果
+ */
+export const calibrateModel = (dataset, { form = 'linear', material, corrections = EMPIRICAL_CORRECTIONS, includeCri = false, onProgress } = {}) => {
+  const spec = CALIBRATION_FORMS[form];
+  if (!spec) throw new Error(`Unknown functional form "${form}"`);
+  const criCount = includeCri && dataset.cri ? Object.keys(dataset.cri.qd).length : 0;
+  const fittedPeaks = dataset.peaks.filter(p => !p.validationOnly);
+  const observations = fittedPeaks.length + criCount;
+  if (observations < 2) {
+    throw new Error(`Calibration needs at least 2 observations to leave a degree of freedom (dataset has ${fittedPeaks.length} fitted peaks)`);
+  }
+  const keys = spec.keys.slice(0, observations - 1);
+  const mat = resolveMaterial(dataset, material);
+  const shellOffsets = getShellOffsets(dataset.materialId);
+
+  // 1. Zr 发射带：各观测按 1/σ² 加权平均 (与峰位系数无关，不参与 LM)
+  const zrCorrections = {};
+  if (dataset.zrBand.length > 0) {
+    const weights = dataset.zrBand.map(z => 1 / (z.uncertainty * z.uncertainty));
+    const total = weights.reduce((s, w) => s + w, 0);
+    zrCorrections.zrPeakWl = dataset.zrBand.reduce((s, z, i) => s + weights[i] * z.wl, 0) / total;
+    zrCorrections.zrFwhm = dataset.zrBand.reduce((s, z, i) => s + weights[i] * z.fwhm, 0) / total;
+  }
+
+  // 2. 峰位 (及可选的 CRI)：加权 LM
+  const start = { ...corrections, ...spec.fixed, ...zrCorrections };
+  if (form === 'saturating' && !(start.blueShiftSaturation > 0)) start.blueShiftSaturation = INITIAL_SATURATION;
+  const withParams = (p) => ({ ...start, ...Object.fromEntries(keys.map((key, i) => [key, p[i]])) });
+  const residualFn = (p) => {
+    const trial = withParams(p);
+    const peakResiduals = fittedPeaks.map(peak => (modelPeak(peak, mat, trial, shellOffsets) - peak.wl) / peak.uncertainty);
+    if (!criCount) return peakResiduals;
+    return [
+      ...peakResiduals,
+      ...modelCri(dataset, mat, trial).map(c => (c.residual === null ? 0 : c.residual / dataset.cri.uncertainty))
+    ];
+  };
+  const fit = levenbergMarquardt(residualFn, keys.map(key => start[key]), {
+    lower: keys.map(key => CORRECTION_PARAM_INFO[key].min),
+    upper: keys.map(key => CORRECTION_PARAM_INFO[key].max),
+    onIteration: onProgress
+  });
+
+  const calibrated = withParams(fit.params);
+  const parameterCount = keys.length;
+  const before = evaluateCalibration(dataset, { material: mat, corrections, parameterCount, includeCri });
+  const after = evaluateCalibration(dataset, { material: mat, corrections: calibrated, parameterCount, includeCri });
+
+  // 只作验证的 CRI 表变差时提醒：峰位拟合改善了，整灯显色却与论文更不一致
+  const warnings = [];
+  if (!includeCri && before.stats.criRmse !== null && after.stats.criRmse > before.stats.criRmse + 0.05) {
+    warnings.push(`CRI validation RMSE rises from ${before.stats.criRmse.toFixed(1)} to ${after.stats.criRmse.toFixed(1)} after calibration`);
+  }
+  return {
+    form,
+    corrections: calibrated,
+    fitted: Object.fromEntries(keys.map(key => [key, calibrated[key]])),
+    pinned: Object.fromEntries(spec.keys.slice(keys.length).map(key => [key, calibrated[key]])),
+    assigned: zrCorrections,
+    before,
+    after,
+    iterations: fit.iterations,
+    uncalibrated: UNCALIBRATED_TERMS,
+    warnings
+  };
+};
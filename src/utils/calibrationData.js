@@ -0,0 +1,36 @@
+// src/utils/calibrationData.js
+
+// ==========================================
+// 经验模型的标定数据集：论文中的锚点观测 (AgGaS2 量子点)
+// 格式与 calibration.js 的 validateDataset 一致，新批次数据可另存为同格式 JSON 导入后重新标定
+// 论文未给出各批次的粒径，合成条件中的 radius 取界面缺省值 3.5 nm
+// ==========================================
+
+export const CALIBRATION_DATASET_FORMAT = 'aggas2-lab/calibration-dataset';
+
+export const THESIS_DATASET = {
+  format: CALIBRATION_DATASET_FORMAT,
+  name: 'Thesis anchors (AgGaS2)',
+  materialId: 'AgGaS2',
+
+  // 基质发射峰位 (nm)：反应时间 30 → 90 min 的反常蓝移，以及 Zr 掺杂样品中的基质峰
+  // Zr 掺杂样品的基质峰 (560 nm) 只作验证：模型的基质峰位与 Zr 浓度无关，论文也未给出该样品的浓度，
+  // 其模型输入与 'Core, 30 min' 相同，参与拟合只会与之相互矛盾；残差仍随标定报告
+  peaks: [
+    { label: 'Core, 30 min', radius: 3.5, reactionTime: 30, isCoreShell: false, wl: 570, uncertainty: 3 },
+    { label: 'Core, 90 min', radius: 3.5, reactionTime: 90, isCoreShell: false, wl: 520, uncertainty: 3 },
+    { label: 'Zr-doped host', radius: 3.5, reactionTime: 30, isCoreShell: false, wl: 560, uncertainty: 5, validationOnly: true }
+  ],
+
+  // Zr 中心发射带 (nm)
+  zrBand: [
+    { label: 'Zr-doped, 470 nm band', wl: 470, fwhm: 25, uncertainty: 3 }
+  ],
+
+  // 显色指数 (Table 4-3 传统荧光粉 LED / Table 4-4 QD LED)；qd 列用于模型验证
+  cri: {
+    uncertainty: 5,
+    traditional: { R1: 53.8, R2: 63.8, R3: 76.9, R4: 63.6, R9: -77.7, Ra: 61.5 },
+    qd:          { R1: 58.7, R2: 79.9, R3: 89.6, R4: 53.5, R9: -77.2, Ra: 66.2 }
+  }
+};
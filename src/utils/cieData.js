@@ -0,0 +1,145 @@
+// src/utils/cieData.js
+
+// ==========================================
+// CIE 标准数据表 (色度学 / 显色性计算用)
+// 按表格原始间隔存放，计算时由 spectralGrid.js 重采样到光谱网格
+// ==========================================
+
+// CIE 1931 标准色度观察者 (2度视角)，360 - 830nm，5nm 间隔
+export const CMF_1931_2 = {
+  360: [0.0001299, 0.000003917, 0.0006061], 365: [0.0002321, 0.000006965, 0.001086], 370: [0.0004149, 0.00001239, 0.001946],
+  375: [0.0007416, 0.00002202, 0.003486],
+  380: [0.001368, 0.000039, 0.006450], 385: [0.002236, 0.000064, 0.010550], 390: [0.004243, 0.000120, 0.020050],
+  395: [0.007650, 0.000217, 0.036210], 400: [0.014310, 0.000396, 0.067850], 405: [0.023190, 0.000640, 0.110200],
+  410: [0.043510, 0.001210, 0.207400], 415: [0.077630, 0.002180, 0.371300], 420: [0.134380, 0.004000, 0.645600],
+  425: [0.214770, 0.007300, 1.039050], 430: [0.283900, 0.011600, 1.385600], 435: [0.328500, 0.016840, 1.622960],
+  440: [0.348280, 0.023000, 1.747060], 445: [0.348060, 0.029800, 1.782600], 450: [0.336200, 0.038000, 1.772110],
+  455: [0.318700, 0.048000, 1.744100], 460: [0.290800, 0.060000, 1.669200], 465: [0.251100, 0.073900, 1.528100],
+  470: [0.195360, 0.090980, 1.287640], 475: [0.142100, 0.112600, 1.041900], 480: [0.095640, 0.139020, 0.812950],
+  485: [0.057950, 0.169300, 0.616200], 490: [0.032010, 0.208020, 0.465180], 495: [0.014700, 0.258600, 0.353300],
+  500: [0.004900, 0.323000, 0.272000], 505: [0.002400, 0.407300, 0.212300], 510: [0.009300, 0.503000, 0.158200],
+  515: [0.029100, 0.608200, 0.111700], 520: [0.063270, 0.710000, 0.078250], 525: [0.109600, 0.793200, 0.057250],
+  530: [0.165500, 0.862000, 0.042160], 535: [0.225750, 0.914850, 0.029840], 540: [0.290400, 0.954000, 0.020300],
+  545: [0.359700, 0.980300, 0.013400], 550: [0.433450, 0.994950, 0.008750], 555: [0.512050, 1.000000, 0.005750],
+  560: [0.594500, 0.995000, 0.003900], 565: [0.678400, 0.978600, 0.002750], 570: [0.762100, 0.952000, 0.002100],
+  575: [0.842500, 0.915400, 0.001800], 580: [0.916300, 0.870000, 0.001650], 585: [0.978600, 0.816300, 0.001400],
+  590: [1.026300, 0.757000, 0.001100], 595: [1.056700, 0.694900, 0.001000], 600: [1.062200, 0.631000, 0.000800],
+  605: [1.045600, 0.566800, 0.000600], 610: [1.002600, 0.503000, 0.000340], 615: [0.938400, 0.441200, 0.000240],
+  620: [0.854450, 0.381000, 0.000190], 625: [0.751400, 0.321000, 0.000100], 630: [0.642400, 0.265000, 0.000050],
+  635: [0.541900, 0.217000, 0.000030], 640: [0.447900, 0.175000, 0.000020], 645: [0.360800, 0.138200, 0.000010],
+  650: [0.283500, 0.107000, 0.000000], 655: [0.218700, 0.081600, 0.000000], 660: [0.164900, 0.061000, 0.000000],
+  665: [0.121200, 0.044580, 0.000000], 670: [0.087400, 0.032000, 0.000000], 675: [0.063600, 0.023200, 0.000000],
+  680: [0.046770, 0.017000, 0.000000], 685: [0.032900, 0.011920, 0.000000], 690: [0.022700, 0.008210, 0.000000],
+  695: [0.015840, 0.005723, 0.000000], 700: [0.011359, 0.004102, 0.000000], 705: [0.008111, 0.002929, 0.000000],
+  710: [0.005790, 0.002091, 0.000000], 715: [0.004109, 0.001484, 0.000000], 720: [0.002899, 0.001047, 0.000000],
+  725: [0.002049, 0.000740, 0.000000], 730: [0.001440, 0.000520, 0.000000], 735: [0.001000, 0.000361, 0.000000],
+  740: [0.000690, 0.000249, 0.000000], 745: [0.000476, 0.000172, 0.000000], 750: [0.000332, 0.000120, 0.000000],
+  755: [0.000235, 0.000085, 0.000000], 760: [0.000166, 0.000060, 0.000000], 765: [0.000117, 0.000042, 0.000000],
+  770: [0.000083, 0.000030, 0.000000], 775: [0.000059, 0.000021, 0.000000], 780: [0.000042, 0.000015, 0.000000],
+  785: [0.00002935, 0.00001060, 0.000000], 790: [0.00002067, 0.000007466, 0.000000], 795: [0.00001456, 0.000005258, 0.000000],
+  800: [0.00001025, 0.000003703, 0.000000], 805: [0.000007221, 0.000002608, 0.000000], 810: [0.000005086, 0.000001837, 0.000000],
+  815: [0.000003582, 0.000001293, 0.000000], 820: [0.000002523, 0.000000911, 0.000000], 825: [0.000001777, 0.000000642, 0.000000],
+  830: [0.000001251, 0.000000452, 0.000000]
+};
+
+// CIE 13.3 试验色样光谱反射率 [TCS01 ... TCS14, TCS15]
+// TCS01-08: 中等饱和度色样 (用于 Ra)；TCS09-14: 饱和红/黄/绿/蓝、肤色、叶绿
+// TCS15: JIS Z 8726 追加色样 (亚洲人肤色)
+export const TCS = {
+  380: [0.219, 0.070, 0.065, 0.074, 0.295, 0.151, 0.378, 0.104, 0.066, 0.050, 0.111, 0.120, 0.104, 0.036, 0.076],
+  385: [0.239, 0.079, 0.068, 0.083, 0.306, 0.203, 0.459, 0.129, 0.062, 0.054, 0.121, 0.103, 0.127, 0.036, 0.083],
+  390: [0.252, 0.089, 0.070, 0.093, 0.310, 0.265, 0.524, 0.170, 0.058, 0.059, 0.127, 0.090, 0.161, 0.037, 0.091],
+  395: [0.256, 0.101, 0.072, 0.105, 0.312, 0.339, 0.546, 0.240, 0.055, 0.063, 0.129, 0.082, 0.211, 0.038, 0.100],
+  400: [0.256, 0.111, 0.073, 0.116, 0.313, 0.410, 0.551, 0.319, 0.052, 0.066, 0.127, 0.076, 0.264, 0.039, 0.108],
+  405: [0.254, 0.116, 0.073, 0.121, 0.315, 0.464, 0.555, 0.416, 0.052, 0.067, 0.121, 0.068, 0.313, 0.039, 0.116],
+  410: [0.252, 0.118, 0.074, 0.124, 0.319, 0.492, 0.559, 0.462, 0.051, 0.068, 0.116, 0.064, 0.341, 0.040, 0.121],
+  415: [0.248, 0.120, 0.074, 0.126, 0.322, 0.508, 0.560, 0.482, 0.050, 0.069, 0.112, 0.065, 0.352, 0.041, 0.124],
+  420: [0.244, 0.121, 0.074, 0.128, 0.326, 0.517, 0.561, 0.490, 0.050, 0.069, 0.108, 0.075, 0.359, 0.042, 0.127],
+  425: [0.240, 0.122, 0.073, 0.131, 0.330, 0.524, 0.558, 0.488, 0.049, 0.070, 0.105, 0.093, 0.361, 0.042, 0.129],
+  430: [0.237, 0.122, 0.073, 0.135, 0.334, 0.531, 0.556, 0.482, 0.048, 0.072, 0.104, 0.123, 0.364, 0.043, 0.131],
+  435: [0.232, 0.122, 0.073, 0.139, 0.339, 0.538, 0.551, 0.473, 0.047, 0.073, 0.104, 0.160, 0.365, 0.044, 0.132],
+  440: [0.230, 0.123, 0.073, 0.144, 0.346, 0.544, 0.544, 0.462, 0.046, 0.076, 0.105, 0.207, 0.367, 0.044, 0.134],
+  445: [0.226, 0.124, 0.073, 0.151, 0.352, 0.551, 0.535, 0.450, 0.044, 0.078, 0.106, 0.256, 0.369, 0.045, 0.136],
+  450: [0.225, 0.127, 0.074, 0.161, 0.360, 0.556, 0.522, 0.439, 0.042, 0.083, 0.110, 0.300, 0.372, 0.045, 0.138],
+  455: [0.222, 0.128, 0.075, 0.172, 0.369, 0.556, 0.506, 0.426, 0.041, 0.088, 0.115, 0.331, 0.374, 0.046, 0.140],
+  460: [0.220, 0.131, 0.077, 0.186, 0.381, 0.554, 0.488, 0.413, 0.040, 0.095, 0.123, 0.346, 0.376, 0.047, 0.143],
+  465: [0.218, 0.134, 0.080, 0.205, 0.394, 0.549, 0.469, 0.397, 0.039, 0.103, 0.134, 0.347, 0.379, 0.048, 0.146],
+  470: [0.216, 0.138, 0.085, 0.229, 0.403, 0.541, 0.448, 0.382, 0.038, 0.113, 0.148, 0.341, 0.384, 0.050, 0.150],
+  475: [0.214, 0.143, 0.094, 0.254, 0.410, 0.531, 0.429, 0.366, 0.037, 0.125, 0.167, 0.328, 0.389, 0.052, 0.154],
+  480: [0.214, 0.150, 0.109, 0.281, 0.415, 0.519, 0.408, 0.352, 0.036, 0.142, 0.192, 0.307, 0.397, 0.055, 0.158],
+  485: [0.214, 0.159, 0.126, 0.308, 0.418, 0.504, 0.385, 0.337, 0.036, 0.162, 0.219, 0.282, 0.405, 0.057, 0.163],
+  490: [0.216, 0.174, 0.148, 0.332, 0.419, 0.488, 0.363, 0.325, 0.036, 0.189, 0.252, 0.257, 0.416, 0.062, 0.168],
+  495: [0.218, 0.190, 0.172, 0.352, 0.417, 0.469, 0.341, 0.310, 0.036, 0.219, 0.291, 0.230, 0.429, 0.067, 0.174],
+  500: [0.223, 0.207, 0.198, 0.370, 0.413, 0.450, 0.324, 0.299, 0.037, 0.262, 0.325, 0.204, 0.443, 0.075, 0.180],
+  505: [0.225, 0.225, 0.221, 0.383, 0.409, 0.431, 0.311, 0.289, 0.038, 0.305, 0.347, 0.178, 0.454, 0.083, 0.185],
+  510: [0.226, 0.242, 0.241, 0.390, 0.403, 0.414, 0.301, 0.283, 0.039, 0.365, 0.356, 0.154, 0.461, 0.092, 0.190],
+  515: [0.226, 0.253, 0.260, 0.394, 0.396, 0.395, 0.291, 0.276, 0.039, 0.416, 0.353, 0.129, 0.466, 0.100, 0.193],
+  520: [0.225, 0.260, 0.278, 0.395, 0.389, 0.377, 0.283, 0.270, 0.040, 0.465, 0.346, 0.109, 0.469, 0.108, 0.195],
+  525: [0.225, 0.264, 0.302, 0.392, 0.381, 0.358, 0.273, 0.262, 0.041, 0.509, 0.333, 0.090, 0.471, 0.121, 0.195],
+  530: [0.227, 0.267, 0.339, 0.385, 0.372, 0.341, 0.265, 0.256, 0.042, 0.546, 0.314, 0.075, 0.474, 0.133, 0.193],
+  535: [0.230, 0.269, 0.370, 0.377, 0.363, 0.325, 0.260, 0.251, 0.042, 0.581, 0.294, 0.062, 0.476, 0.142, 0.190],
+  540: [0.236, 0.272, 0.392, 0.367, 0.353, 0.309, 0.257, 0.250, 0.043, 0.610, 0.271, 0.051, 0.483, 0.150, 0.188],
+  545: [0.245, 0.276, 0.399, 0.354, 0.342, 0.293, 0.257, 0.251, 0.044, 0.634, 0.248, 0.041, 0.490, 0.154, 0.189],
+  550: [0.253, 0.282, 0.400, 0.341, 0.331, 0.279, 0.259, 0.254, 0.044, 0.653, 0.227, 0.035, 0.506, 0.155, 0.192],
+  555: [0.262, 0.289, 0.393, 0.327, 0.320, 0.265, 0.260, 0.258, 0.045, 0.666, 0.206, 0.029, 0.526, 0.152, 0.194],
+  560: [0.272, 0.299, 0.380, 0.312, 0.308, 0.253, 0.260, 0.264, 0.047, 0.678, 0.188, 0.025, 0.553, 0.147, 0.193],
+  565: [0.283, 0.309, 0.365, 0.296, 0.296, 0.241, 0.258, 0.269, 0.049, 0.687, 0.170, 0.022, 0.582, 0.140, 0.190],
+  570: [0.298, 0.322, 0.349, 0.280, 0.284, 0.234, 0.256, 0.272, 0.052, 0.693, 0.153, 0.019, 0.618, 0.133, 0.190],
+  575: [0.318, 0.329, 0.332, 0.263, 0.271, 0.227, 0.254, 0.274, 0.057, 0.698, 0.138, 0.017, 0.651, 0.125, 0.194],
+  580: [0.341, 0.335, 0.315, 0.247, 0.260, 0.225, 0.254, 0.278, 0.064, 0.701, 0.125, 0.017, 0.680, 0.118, 0.207],
+  585: [0.367, 0.339, 0.299, 0.229, 0.247, 0.222, 0.259, 0.284, 0.077, 0.704, 0.114, 0.017, 0.701, 0.112, 0.232],
+  590: [0.390, 0.341, 0.285, 0.214, 0.232, 0.221, 0.270, 0.295, 0.109, 0.705, 0.106, 0.016, 0.717, 0.106, 0.270],
+  595: [0.409, 0.341, 0.272, 0.198, 0.220, 0.220, 0.284, 0.316, 0.163, 0.705, 0.100, 0.016, 0.729, 0.101, 0.315],
+  600: [0.424, 0.342, 0.264, 0.185, 0.210, 0.220, 0.302, 0.348, 0.235, 0.706, 0.096, 0.016, 0.736, 0.098, 0.358],
+  605: [0.435, 0.342, 0.257, 0.175, 0.200, 0.220, 0.324, 0.384, 0.310, 0.707, 0.092, 0.016, 0.742, 0.095, 0.393],
+  610: [0.442, 0.342, 0.252, 0.169, 0.194, 0.223, 0.344, 0.434, 0.382, 0.707, 0.090, 0.016, 0.745, 0.093, 0.420],
+  615: [0.448, 0.341, 0.247, 0.164, 0.189, 0.226, 0.362, 0.482, 0.437, 0.707, 0.087, 0.016, 0.747, 0.090, 0.439],
+  620: [0.450, 0.341, 0.241, 0.160, 0.185, 0.233, 0.377, 0.528, 0.473, 0.708, 0.085, 0.018, 0.748, 0.089, 0.453],
+  625: [0.451, 0.339, 0.235, 0.156, 0.183, 0.243, 0.389, 0.568, 0.499, 0.708, 0.082, 0.020, 0.748, 0.088, 0.464],
+  630: [0.451, 0.339, 0.229, 0.154, 0.180, 0.253, 0.400, 0.604, 0.517, 0.709, 0.080, 0.023, 0.748, 0.086, 0.472],
+  635: [0.451, 0.338, 0.224, 0.152, 0.177, 0.262, 0.410, 0.629, 0.530, 0.711, 0.079, 0.026, 0.748, 0.086, 0.479],
+  640: [0.451, 0.338, 0.220, 0.151, 0.176, 0.272, 0.420, 0.648, 0.540, 0.712, 0.078, 0.030, 0.748, 0.085, 0.485],
+  645: [0.451, 0.337, 0.217, 0.149, 0.175, 0.282, 0.429, 0.663, 0.547, 0.714, 0.078, 0.035, 0.748, 0.085, 0.490],
+  650: [0.450, 0.336, 0.216, 0.148, 0.175, 0.293, 0.438, 0.676, 0.553, 0.716, 0.078, 0.043, 0.748, 0.084, 0.494],
+  655: [0.450, 0.335, 0.216, 0.148, 0.175, 0.303, 0.445, 0.685, 0.555, 0.718, 0.078, 0.056, 0.748, 0.084, 0.498],
+  660: [0.451, 0.334, 0.219, 0.148, 0.175, 0.310, 0.452, 0.693, 0.559, 0.720, 0.081, 0.074, 0.748, 0.084, 0.502],
+  665: [0.451, 0.332, 0.224, 0.149, 0.177, 0.317, 0.457, 0.700, 0.560, 0.722, 0.083, 0.097, 0.748, 0.084, 0.505],
+  670: [0.453, 0.332, 0.230, 0.151, 0.180, 0.323, 0.462, 0.705, 0.561, 0.725, 0.088, 0.128, 0.748, 0.084, 0.508],
+  675: [0.454, 0.331, 0.238, 0.154, 0.183, 0.330, 0.466, 0.709, 0.562, 0.729, 0.093, 0.166, 0.748, 0.085, 0.511],
+  680: [0.455, 0.331, 0.251, 0.158, 0.186, 0.334, 0.468, 0.712, 0.563, 0.731, 0.102, 0.210, 0.748, 0.087, 0.514],
+  685: [0.457, 0.330, 0.269, 0.162, 0.189, 0.338, 0.470, 0.715, 0.564, 0.735, 0.112, 0.257, 0.748, 0.089, 0.517],
+  690: [0.458, 0.329, 0.288, 0.165, 0.192, 0.339, 0.473, 0.717, 0.564, 0.739, 0.125, 0.305, 0.748, 0.092, 0.520],
+  695: [0.460, 0.328, 0.312, 0.168, 0.195, 0.340, 0.477, 0.719, 0.565, 0.742, 0.141, 0.354, 0.748, 0.096, 0.523],
+  700: [0.462, 0.328, 0.340, 0.170, 0.199, 0.341, 0.483, 0.721, 0.565, 0.746, 0.161, 0.401, 0.748, 0.100, 0.526],
+  705: [0.463, 0.327, 0.366, 0.171, 0.200, 0.342, 0.489, 0.720, 0.565, 0.748, 0.182, 0.446, 0.748, 0.104, 0.529],
+  710: [0.464, 0.326, 0.390, 0.170, 0.199, 0.343, 0.496, 0.719, 0.564, 0.749, 0.203, 0.485, 0.748, 0.108, 0.532],
+  715: [0.465, 0.325, 0.412, 0.168, 0.198, 0.344, 0.503, 0.722, 0.564, 0.751, 0.223, 0.520, 0.748, 0.112, 0.535],
+  720: [0.466, 0.324, 0.431, 0.166, 0.196, 0.345, 0.511, 0.725, 0.564, 0.753, 0.242, 0.551, 0.748, 0.116, 0.538],
+  725: [0.466, 0.324, 0.447, 0.164, 0.195, 0.346, 0.519, 0.727, 0.564, 0.754, 0.257, 0.577, 0.748, 0.120, 0.541],
+  730: [0.466, 0.324, 0.460, 0.164, 0.195, 0.347, 0.525, 0.729, 0.564, 0.755, 0.270, 0.599, 0.747, 0.124, 0.544],
+  735: [0.466, 0.323, 0.472, 0.165, 0.196, 0.348, 0.529, 0.730, 0.564, 0.755, 0.282, 0.618, 0.747, 0.128, 0.547],
+  740: [0.467, 0.322, 0.481, 0.168, 0.197, 0.349, 0.534, 0.730, 0.564, 0.755, 0.292, 0.633, 0.747, 0.132, 0.550],
+  745: [0.467, 0.321, 0.488, 0.172, 0.200, 0.349, 0.538, 0.730, 0.564, 0.755, 0.302, 0.647, 0.747, 0.136, 0.553],
+  750: [0.467, 0.320, 0.493, 0.177, 0.203, 0.350, 0.541, 0.730, 0.564, 0.756, 0.310, 0.658, 0.747, 0.140, 0.556],
+  755: [0.467, 0.318, 0.497, 0.181, 0.205, 0.350, 0.543, 0.730, 0.564, 0.757, 0.314, 0.666, 0.747, 0.144, 0.559],
+  760: [0.467, 0.316, 0.500, 0.185, 0.208, 0.351, 0.545, 0.730, 0.564, 0.758, 0.317, 0.673, 0.747, 0.148, 0.562],
+  765: [0.467, 0.315, 0.502, 0.189, 0.212, 0.351, 0.547, 0.730, 0.564, 0.759, 0.323, 0.679, 0.747, 0.153, 0.565],
+  770: [0.467, 0.315, 0.505, 0.192, 0.215, 0.352, 0.549, 0.730, 0.564, 0.759, 0.330, 0.685, 0.747, 0.157, 0.568],
+  775: [0.467, 0.314, 0.510, 0.194, 0.217, 0.352, 0.551, 0.730, 0.564, 0.759, 0.334, 0.689, 0.747, 0.161, 0.571],
+  780: [0.467, 0.314, 0.516, 0.197, 0.219, 0.353, 0.553, 0.730, 0.564, 0.759, 0.338, 0.692, 0.747, 0.165, 0.574]
+};
+
+// CIE D 系列日光基函数 [S0, S1, S2]，10nm 间隔 (使用时线性插值到光谱网格)
+export const DAYLIGHT_S = {
+  380: [63.4, 38.5, 3.0], 390: [65.8, 35.0, 1.2], 400: [94.8, 43.4, -1.1], 410: [104.8, 46.3, -0.5],
+  420: [105.9, 43.9, -0.7], 430: [96.8, 37.1, -1.2], 440: [113.9, 36.7, -2.6], 450: [125.6, 35.9, -2.9],
+  460: [125.5, 32.6, -2.8], 470: [121.3, 27.9, -2.6], 480: [121.3, 24.3, -2.6], 490: [113.5, 20.1, -1.8],
+  500: [113.1, 16.2, -1.5], 510: [110.8, 13.2, -1.3], 520: [106.5, 8.6, -1.2], 530: [108.8, 6.1, -1.0],
+  540: [105.3, 4.2, -0.5], 550: [104.4, 1.9, -0.3], 560: [100.0, 0.0, 0.0], 570: [96.0, -1.6, 0.2],
+  580: [95.1, -3.5, 0.5], 590: [89.1, -3.5, 2.1], 600: [90.5, -5.8, 3.2], 610: [90.3, -7.2, 4.1],
+  620: [88.4, -8.6, 4.7], 630: [84.0, -9.5, 5.1], 640: [85.1, -10.9, 6.7], 650: [81.9, -10.7, 7.3],
+  660: [82.6, -12.0, 8.6], 670: [84.9, -14.0, 9.8], 680: [81.3, -13.6, 10.2], 690: [71.9, -12.0, 8.3],
+  700: [74.3, -13.3, 9.6], 710: [76.4, -12.9, 8.5], 720: [63.3, -10.6, 7.0], 730: [71.7, -11.6, 7.6],
+  740: [77.0, -12.2, 8.0], 750: [65.2, -10.2, 6.7], 760: [47.7, -7.8, 5.2], 770: [68.6, -11.2, 7.4],
+  780: [65.0, -10.4, 6.8]
+};
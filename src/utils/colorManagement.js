@@ -0,0 +1,84 @@
+// src/utils/colorManagement.js
+
+// ==========================================
+// 发光颜色的色彩管理：CIE XYZ → 显示设备 RGB (sRGB / Display P3，D65 白点，sRGB 传递函数)
+// 亮度来自 Y：曝光 0 EV 时 683 lm/W (555nm 单色光) 对应显示器满亮度白
+// 超出显示色域 (某一通道为负) 或过曝 (某一通道 > 1) 时给出标记，并按所选方式映射回色域
+// ==========================================
+
+// 显示色彩空间：XYZ → 线性 RGB 矩阵
+export const DISPLAY_SPACES = {
+  srgb: {
+    label: 'sRGB',
+    fromXYZ: [
+      [3.2404542, -1.5371385, -0.4985314],
+      [-0.9692660, 1.8760108, 0.0415560],
+      [0.0556434, -0.2040259, 1.0572252]
+    ]
+  },
+  p3: {
+    label: 'Display P3',
+    fromXYZ: [
+      [2.4934969, -0.9313836, -0.4027108],
+      [-0.8294890, 1.7626641, 0.0236247],
+      [0.0358458, -0.0761724, 0.9568845]
+    ]
+  }
+};
+
+// 色域映射方式
+export const GAMUT_MAPPINGS = {
+  clip: { label: 'Clip', description: 'Clamp each channel to [0, 1] (hue shifts for saturated colours)' },
+  hue:  { label: 'Preserve hue', description: 'Desaturate toward the grey of equal luminance, then scale down to avoid clipping' }
+};
+
+// 曝光 (EV)：显示亮度 = 2^EV × Y / (683 lm/W 对应的 Y)
+export const EXPOSURE_RANGE = { min: -4, max: 4, step: 0.5 };
+
+export const DEFAULT_DISPLAY = { space: 'srgb', exposure: 0, gamutMapping: 'hue' };
+
+// 线性 → sRGB / Display P3 传递函数 (两者相同)
+const encode = (c) => (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+
+// 超出色域 / 过曝判定的容差
+const GAMUT_TOLERANCE = 1e-6;
+
+/**
+ * XYZ → 显示 RGB
+ * @param {number[]} XYZ - 三刺激值，Y 为相对显示器白的亮度
+ * @param {string} space - DISPLAY_SPACES 的键
+ * @param {string} gamutMapping - GAMUT_MAPPINGS 的键
+ * @returns {{rgb: number[], linear: number[], inGamut: boolean, overexposed: boolean}}
+ *   rgb 为编码后的 [0, 1] 值，linear 为映射后的线性值
+ */
+export const xyzToDisplay = (XYZ, space = DEFAULT_DISPLAY.space, gamutMapping = DEFAULT_DISPLAY.gamutMapping) => {
+  const Y = XYZ[1];
+  let linear = DISPLAY_SPACES[space].fromXYZ.map(row => row[0] * XYZ[0] + row[1] * XYZ[1] + row[2] * XYZ[2]);
+  const inGamut = Math.min(...linear) >= -GAMUT_TOLERANCE;
+  const overexposed = Math.max(...linear) > 1 + GAMUT_TOLERANCE;
+
+  if (gamutMapping === 'clip') {
+    linear = linear.map(c => Math.min(Math.max(c, 0), 1));
+  } else {
+    // 向同亮度的灰 (Y, Y, Y) 混合到最低通道恰为 0，亮度与主波长不变
+    const lowest = Math.min(...linear);
+    if (lowest < 0 && Y > 0) {
+      const t = lowest / (lowest - Y);
+      linear = linear.map(c => c + (Y - c) * t);
+    }
+    linear = linear.map(c => Math.max(c, 0));
+    // 过曝时整体缩放，保持通道比例 (色度不变，亮度降低)
+    const highest = Math.max(...linear);
+    if (highest > 1) linear = linear.map(c => c / highest);
+  }
+
+  return { rgb: linear.map(encode), linear, inGamut, overexposed };
+};
+
+// 编码后的 sRGB → #rrggbb
+export const toHex = (rgb) => `#${rgb.map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0')).join('')}`;
+
+// 编码后的 RGB → CSS 颜色 (Display P3 使用 CSS Color 4 的 color() 语法)
+export const toCssColor = (rgb, space) => (space === 'p3'
+  ? `color(display-p3 ${rgb.map(c => c.toFixed(4)).join(' ')})`
+  : toHex(rgb));
@@ -0,0 +1,123 @@
+// src/utils/device.js
+
+// ==========================================
+// 远程荧光 (Remote Phosphor) 器件光学模型
+// 芯片 → 硅胶间隔层 → QD 转换膜，Beer–Lambert 吸收 + 自吸收再发射 + 背向光腔体回收
+// ==========================================
+
+import { CMF_1931_2 } from './cieData.js';
+import { resampleTable } from './spectralGrid.js';
+
+// 最大光谱光视效能 (lm/W)
+const KM = 683;
+
+// 器件结构缺省值：膜厚与负载量按论文 QD LED (Table 4-4，Ra 66.2 / R9 −77.2) 调整，
+// 缺省样品 (3.5 nm 核壳、FWHM 80 nm) 下出光落在普朗克轨迹上 (Duv ≈ 0，约 2500 K，Ra ≈ 50 / R9 ≈ −64)
+// 单个高斯发射带加蓝光芯片在轨迹附近无法同时达到论文的 Ra 与 R9，取两者相对偏差最小的负载量
+export const DEFAULT_STACK = {
+  filmThickness: 200,    // QD 膜厚 (µm)
+  qdConcentration: 2.6,  // QD 负载量 (wt%)
+  siliconeGap: 2.0,      // 芯片与 QD 膜之间的硅胶间隔 (mm)
+  quantumYield: 0.8,     // 裸核本征荧光量子产率 (ZnS 壳层的钝化增益见 shell.js)
+  chipPower: 1.0         // 蓝光芯片辐射功率 (W)
+};
+
+// 参数元数据 (标签、单位、范围)，供 UI 与配方校验使用
+export const STACK_PARAM_INFO = {
+  filmThickness:   { label: 'Film Thickness', unit: 'µm', min: 10, max: 500, step: 10 },
+  qdConcentration: { label: 'QD Loading', unit: 'wt%', min: 0.1, max: 10, step: 0.1 },
+  siliconeGap:     { label: 'Silicone Gap', unit: 'mm', min: 0, max: 5, step: 0.1 },
+  quantumYield:    { label: 'Bare-Core Quantum Yield', unit: '', min: 0, max: 1, step: 0.01 }
+};
+
+// 单位负载、单位膜厚在激子峰处的光密度 (1/(wt%·µm))：1 wt%、100 µm 约 OD 0.3
+const EXTINCTION_PER_LOADING = 0.003;
+
+// 腔体反射率：硅胶间隔越大，背向光越少落回吸收性的芯片表面
+const CAVITY_REFLECTANCE_CHIP = 0.5;   // QD 膜直接贴合芯片
+const CAVITY_REFLECTANCE_MAX = 0.9;    // 充分远离芯片 (反射杯主导)
+const CAVITY_GAP_SCALE = 1.0;          // 反射率随间隔变化的特征长度 (mm)
+const SILICONE_LOSS = 0.01;            // 硅胶体吸收 (1/mm)
+
+// QD 膜在激子峰处的光密度
+export const filmOpticalDensity = (stack) => EXTINCTION_PER_LOADING * stack.qdConcentration * stack.filmThickness;
+
+// 背向腔体反射率
+const cavityReflectance = (gap) =>
+  CAVITY_REFLECTANCE_MAX - (CAVITY_REFLECTANCE_MAX - CAVITY_REFLECTANCE_CHIP) * Math.exp(-gap / CAVITY_GAP_SCALE);
+
+// 光谱求和
+const sum = (values) => values.reduce((a, b) => a + b, 0);
+
+/**
+ * 远程荧光器件光传输
+ * 所有光谱共用同一波长网格 (吸收网格，覆盖 UV 泵浦)；功率谱在内部换算为光子数处理能量守恒
+ * @param {object} params
+ * @param {Array<{wl, intensity}>} params.pump - 芯片发射光谱 (任意归一)
+ * @param {Array<{wl, absorbance}>} params.absorbance - QD 膜吸光度 (已包含膜厚与负载)
+ * @param {Array<{wl, intensity}>} params.emission - QD 发射线型 (功率谱，任意归一；可用较小网格，缺失处视为 0)
+ * @param {number} params.quantumYield - 有效量子产率 (已计入掺杂猝灭)
+ * @param {object} params.stack - 器件结构 (见 DEFAULT_STACK)
+ * @returns {{spectrum: Array<{wl, intensity}>, blueSpectrum: Array, qdSpectrum: Array, metrics: object}}
+ *   spectrum 为出光功率谱 (每个网格间隔内的功率 W)；metrics 见函数末尾
+ */
+export const simulatePhosphorStack = ({ pump, absorbance, emission, quantumYield, stack = DEFAULT_STACK }) => {
+  const grid = absorbance.map(p => p.wl);
+  const transmission = absorbance.map(p => Math.pow(10, -p.absorbance));
+  const emissionByWl = new Map(emission.map(p => [p.wl, p.intensity]));
+  const pumpByWl = new Map(pump.map(p => [p.wl, p.intensity]));
+
+  // 1. 芯片功率谱归一到 chipPower，经硅胶层衰减后入射 QD 膜
+  const siliconeT = Math.exp(-SILICONE_LOSS * stack.siliconeGap);
+  const pumpRaw = grid.map(wl => pumpByWl.get(wl) ?? 0);
+  const pumpTotal = sum(pumpRaw) || 1;
+  const incident = pumpRaw.map(v => stack.chipPower * siliconeT * v / pumpTotal);
+
+  // 2. Beer–Lambert：透过的泵浦光与被吸收的光子数 (光子数 ∝ P·λ)
+  const blueOut = incident.map((p, i) => p * transmission[i]);
+  const absorbedPower = sum(incident.map((p, i) => p * (1 - transmission[i])));
+  const absorbedPhotons = sum(incident.map((p, i) => p * (1 - transmission[i]) * grid[i]));
+
+  // 3. 发射光子分布与自吸收：各向同性发射的平均光程约等于膜厚
+  const photonShape = grid.map(wl => (emissionByWl.get(wl) ?? 0) * wl);
+  const shapeTotal = sum(photonShape) || 1;
+  const photonDist = photonShape.map(v => v / shapeTotal);
+  const reabsorption = sum(photonDist.map((v, i) => v * (1 - transmission[i])));
+  // 再吸收光子以 QY 重新发射，几何级数求和
+  const emittedPhotons = absorbedPhotons * quantumYield / (1 - quantumYield * reabsorption);
+
+  // 4. 出射：一半前向；一半背向进入腔体，按腔体反射率回收并再次穿过膜层
+  const rCavity = cavityReflectance(stack.siliconeGap);
+  const qdOut = grid.map((wl, i) => {
+    const escaping = emittedPhotons * photonDist[i] * transmission[i];
+    const forward = escaping * (0.5 + 0.5 * rCavity * siliconeT * transmission[i]);
+    return forward / wl; // 光子数换算回功率
+  });
+
+  const spectrum = grid.map((wl, i) => ({ wl, intensity: blueOut[i] + qdOut[i] }));
+
+  // 5. 光度学指标
+  // 明视觉光谱光视效率 V(λ) = CIE 1931 ȳ，插值到网格上
+  const vLambda = resampleTable(CMF_1931_2, grid).map(row => row[1]);
+  const luminous = (values) => KM * sum(values.map((v, i) => v * vLambda[i]));
+  const radiantPower = sum(spectrum.map(p => p.intensity));
+  const qdPower = sum(qdOut);
+  const luminousFlux = luminous(spectrum.map(p => p.intensity));
+
+  return {
+    spectrum,
+    blueSpectrum: grid.map((wl, i) => ({ wl, intensity: blueOut[i] })),
+    qdSpectrum: grid.map((wl, i) => ({ wl, intensity: qdOut[i] })),
+    metrics: {
+      luminousFlux,                                                  // 光通量 (lm)
+      luminousEfficacyOfRadiation: radiantPower > 0 ? luminousFlux / radiantPower : 0, // LER (lm/W 光功率)
+      efficacyPerChipWatt: luminousFlux / stack.chipPower,           // 每瓦芯片光功率的光通量 (lm/W)
+      conversionEfficiency: absorbedPower > 0 ? qdPower / absorbedPower : 0, // 转换光功率 / 吸收的泵浦功率
+      packageEfficiency: radiantPower / stack.chipPower,             // 出光功率 / 芯片功率
+      blueLeakage: sum(blueOut) / stack.chipPower,                   // 透过的泵浦光比例
+      absorbedFraction: absorbedPower / (stack.chipPower * siliconeT),
+      reabsorption,                                                  // 发射光子的自吸收概率
+      cavityReflectance: rCavity
+    }
+  };
+};
@@ -0,0 +1,184 @@
+// src/utils/doping.js
+
+// ==========================================
+// Zr⁴⁺ 掺杂：可复现的随机替换 (带种子的伪随机数)、替换晶位选择、电荷补偿与掺杂统计
+// 本模块只处理分数坐标原子列表，结构组装见 physics.js getLatticeStructure / buildStructure
+// ==========================================
+
+// 掺杂输入缺省值：种子、替换晶位 ('III': Ga/In 位，'I': Ag/Cu 位)、电荷补偿方案
+export const DEFAULT_DOPING = { dopingSeed: 1, dopingSite: 'III', compensation: 'none' };
+
+export const DOPING_SEED_RANGE = { min: 0, max: 4294967295 };
+
+// 各晶位阳离子的形式价态
+const SITE_CHARGE = { I: 1, III: 3 };
+const ZR_CHARGE = 4;
+
+// 电荷补偿方案：Zr⁴⁺ 多出的正电荷由 I 族阳离子空位 (每个 −1) 或 VI 族阴离子间隙 (每个 −2) 抵消
+export const COMPENSATION_SCHEMES = {
+  none:              { label: 'None', chargePerDefect: 0 },
+  cationVacancy:     { label: 'I-site Vacancies', chargePerDefect: 1 },
+  anionInterstitial: { label: 'VI Interstitials', chargePerDefect: 2 }
+};
+
+// 间隙原子的晶位标记
+export const INTERSTITIAL_SITE = 'int';
+
+// 阳离子周围 4 个被阳离子包围的空四面体间隙：4 个成键方向的反方向，单胞分数坐标偏移
+const INTERSTITIAL_OFFSETS = [[-1, -1, -1], [-1, 1, 1], [1, -1, 1], [1, 1, -1]].map(([x, y, z]) => [0.25 * x, 0.25 * y, 0.125 * z]);
+
+// Zr–Zr 最近邻距离分布的直方图分格 (Å)
+export const DISTANCE_BIN = 2;
+
+/**
+ * 带种子的伪随机数发生器 (mulberry32)，返回 [0, 1) 均匀分布
+ * @param {number} seed - 32 位无符号整数
+ */
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// 两个分数坐标之间的距离 (Å)；周期性结构取最小镜像
+const distance = (fa, fb, vectors, periodic) => {
+  let x = 0, y = 0, z = 0;
+  for (let k = 0; k < 3; k++) {
+    let d = fa[k] - fb[k];
+    if (periodic) d -= Math.round(d);
+    x += d * vectors[k][0];
+    y += d * vectors[k][1];
+    z += d * vectors[k][2];
+  }
+  return Math.sqrt(x * x + y * y + z * z);
+};
+
+/**
+ * 对未掺杂的原子列表做 Zr 替换与电荷补偿
+ * 每个候选晶位以 probability 独立替换 (同一种子总得到同一构型)
+ * @param {Array<{type, frac, site}>} atoms - 分数坐标原子列表 (不修改)
+ * @param {object} options - { probability, site, compensation, seed, vectors, periodic, sites, cellFraction }
+ *   sites: 材料的晶位元素 { I, III, VI }；cellFraction: 单个单胞在整体分数坐标中的尺寸 [1/N, 1/M, 1/L]
+ * @returns {{atoms: Array, doping: object}} doping 汇总替换与补偿缺陷数目
+ */
+export const applyDoping = (atoms, { probability, site = 'III', compensation = 'none', seed = DEFAULT_DOPING.dopingSeed, vectors, periodic, sites, cellFraction }) => {
+  const rng = createRng(seed);
+  const result = atoms.map(atom => ({ ...atom }));
+
+  // 1. 替换：遍历顺序固定，随机数序列只由种子决定
+  const candidates = result.filter(atom => atom.site === site);
+  const dopants = candidates.filter(() => rng() < probability);
+  dopants.forEach(atom => { atom.type = 'Zr'; });
+
+  // 2. 电荷补偿：总过剩电荷 / 每个缺陷补偿的电荷 = 缺陷数 (取整)
+  const excess = dopants.length * (ZR_CHARGE - SITE_CHARGE[site]);
+  const scheme = COMPENSATION_SCHEMES[compensation] ?? COMPENSATION_SCHEMES.none;
+  const defectCount = scheme.chargePerDefect ? Math.round(excess / scheme.chargePerDefect) : 0;
+  const perDopant = defectCount / Math.max(dopants.length, 1);
+  const vacancies = new Set();
+  const interstitials = [];
+
+  // 局域补偿：依次为每个 Zr 分配缺陷，累计的零头留给下一个 Zr
+  let owed = 0;
+  if (compensation === 'cationVacancy') {
+    // 移除离 Zr 最近的 I 族阳离子
+    const hosts = result.filter(atom => atom.site === 'I' && atom.type !== 'Zr');
+    dopants.forEach(dopant => {
+      owed += perDopant;
+      for (; owed >= 1 - 1e-9; owed -= 1) {
+        let best = null, bestDistance = Infinity;
+        hosts.forEach(h => {
+          if (vacancies.has(h)) return;
+          const d = distance(dopant.frac, h.frac, vectors, periodic);
+          if (d < bestDistance) { best = h; bestDistance = d; }
+        });
+        if (!best) break;
+        vacancies.add(best);
+      }
+    });
+  } else if (compensation === 'anionInterstitial') {
+    // 间隙阴离子占据 Zr 周围的空四面体间隙 (相邻 Zr 共用的间隙只占一次)
+    const wrap = (v) => v - Math.floor(v);
+    const occupied = new Set();
+    dopants.forEach(dopant => {
+      owed += perDopant;
+      for (const offset of INTERSTITIAL_OFFSETS) {
+        if (owed < 1 - 1e-9) break;
+        const shifted = dopant.frac.map((v, k) => v + offset[k] * cellFraction[k]);
+        const frac = periodic ? shifted.map(wrap) : shifted;
+        const key = frac.map((v, k) => Math.round(v / cellFraction[k] * 1e4)).join(',');
+        if (occupied.has(key)) continue;
+        occupied.add(key);
+        interstitials.push({ type: sites.VI, frac, site: INTERSTITIAL_SITE });
+        owed -= 1;
+      }
+    });
+  }
+
+  return {
+    atoms: [...result.filter(atom => !vacancies.has(atom)), ...interstitials],
+    doping: {
+      site,
+      compensation,
+      seed,
+      candidates: candidates.length,
+      nominal: probability * candidates.length,
+      substituted: dopants.length,
+      vacancies: vacancies.size,
+      interstitials: interstitials.length,
+      excessCharge: excess - scheme.chargePerDefect * (vacancies.size + interstitials.length)
+    }
+  };
+};
+
+/**
+ * 掺杂统计：替换数 vs 名义值、Zr–Zr 最近邻距离分布、表面 / 体相占位
+ * 表面晶位为晶格配位数 (不计与间隙原子的键) 低于 4 的候选晶位；周期性结构没有表面
+ * @param {object} structure - getLatticeStructure 的结构对象 (需带 doping 字段)
+ * @returns {object|null} 未掺杂模型结构 (如导入文件) 返回 null
+ */
+export const dopingStatistics = (structure) => {
+  const { doping, atoms, bonds, vectors, periodic } = structure;
+  if (!doping) return null;
+
+  // 1. 晶格配位数：扣除与间隙原子的键
+  const latticeCN = atoms.map(atom => atom.coordination);
+  bonds.forEach(([i, j]) => {
+    if (atoms[j].site === INTERSTITIAL_SITE) latticeCN[i] -= 1;
+    if (atoms[i].site === INTERSTITIAL_SITE) latticeCN[j] -= 1;
+  });
+
+  // 2. 表面 / 体相占位
+  const occupancy = { surface: { sites: 0, zr: 0 }, core: { sites: 0, zr: 0 } };
+  atoms.forEach((atom, i) => {
+    if (atom.site !== doping.site) return;
+    const entry = occupancy[latticeCN[i] < 4 ? 'surface' : 'core'];
+    entry.sites += 1;
+    if (atom.type === 'Zr') entry.zr += 1;
+  });
+
+  // 3. Zr–Zr 最近邻距离 (两两比较，Zr 数目通常为数百量级)
+  const zr = atoms.filter(atom => atom.type === 'Zr');
+  const nearest = zr.map((a, i) => zr.reduce((best, b, j) => (
+    i === j ? best : Math.min(best, distance(a.frac, b.frac, vectors, periodic))
+  ), Infinity)).filter(Number.isFinite);
+  const histogram = [];
+  nearest.forEach(d => {
+    const bin = Math.floor(d / DISTANCE_BIN);
+    while (histogram.length <= bin) histogram.push({ distance: (histogram.length + 0.5) * DISTANCE_BIN, count: 0 });
+    histogram[bin].count += 1;
+  });
+
+  return {
+    ...doping,
+    occupancy,
+    nearestMean: nearest.length ? nearest.reduce((s, d) => s + d, 0) / nearest.length : null,
+    nearestMin: nearest.length ? Math.min(...nearest) : null,
+    histogram
+  };
+};
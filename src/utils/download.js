@@ -0,0 +1,12 @@
+// src/utils/download.js
+
+// 浏览器端文件下载：把文本内容保存为本地文件
+export const downloadFile = (content, filename, mimeType = 'application/json') => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,128 @@
+// src/utils/engine.js
+
+// ==========================================
+// 计算引擎的异步接口：任务在 Web Worker 中运行，主线程 (三维视图 / OrbitControls) 不被阻塞
+// 任务按通道 (lane) 分组，每个通道一个 Worker，同一时间只运行一个任务：
+//   普通提交：正在运行的任务作废 (结果丢弃)，新任务排队，待其结束后执行 —— 适合毫秒级任务
+//   preempt 提交 / cancel：直接终止 Worker (下次提交时重建) —— 适合扫描、拟合、大团簇等长任务
+// 作废或终止的任务以 error.cancelled = true 拒绝
+// ==========================================
+
+import { useEffect, useState } from 'react';
+import { ENGINE_JOBS } from './engineJobs.js';
+
+const spawnWorker = () => new Worker(new URL('./engine.worker.js', import.meta.url), { type: 'module' });
+
+const cancelledError = () => Object.assign(new Error('Job cancelled'), { cancelled: true });
+
+/**
+ * 创建计算引擎
+ * @returns {{run: Function, cancel: Function, dispose: Function}}
+ *   run(lane, type, payload, { onProgress, preempt }) → Promise<result>
+ *   cancel(lane) 终止通道上正在运行与排队的任务；dispose() 终止全部 Worker
+ */
+export const createEngine = () => {
+  const lanes = new Map(); // lane → { worker, running, queued }
+  let nextId = 0;
+
+  const stop = (lane) => {
+    if (lane.worker) lane.worker.terminate();
+    lane.worker = null;
+    [lane.running, lane.queued].forEach(job => job && job.reject(cancelledError()));
+    lane.running = null;
+    lane.queued = null;
+  };
+
+  const settle = (lane, { id, progress, result, error }) => {
+    const job = lane.running;
+    if (!job || job.id !== id) return;
+    if (progress !== undefined) {
+      if (!job.superseded && job.onProgress) job.onProgress(progress);
+      return;
+    }
+    lane.running = null;
+    if (job.superseded) job.reject(cancelledError());
+    else if (error !== undefined) job.reject(new Error(error));
+    else job.resolve(result);
+    if (lane.queued) {
+      const next = lane.queued;
+      lane.queued = null;
+      start(lane, next);
+    }
+  };
+
+  const start = (lane, job) => {
+    if (!lane.worker) {
+      lane.worker = spawnWorker();
+      lane.worker.onmessage = ({ data }) => settle(lane, data);
+      // 脚本加载失败等 Worker 级错误：当前任务失败，Worker 重建
+      lane.worker.onerror = (e) => {
+        e.preventDefault();
+        const job = lane.running;
+        lane.worker.terminate();
+        lane.worker = null;
+        if (job) settle(lane, { id: job.id, error: e.message || 'Engine worker failed' });
+      };
+    }
+    lane.running = job;
+    lane.worker.postMessage({ id: job.id, type: job.type, payload: job.payload });
+  };
+
+  const run = (name, type, payload, { onProgress, preempt = false } = {}) => new Promise((resolve, reject) => {
+    if (!lanes.has(name)) lanes.set(name, { worker: null, running: null, queued: null });
+    const lane = lanes.get(name);
+    const job = { id: ++nextId, type, payload, onProgress, resolve, reject, superseded: false };
+
+    if (lane.queued) lane.queued.reject(cancelledError());
+    lane.queued = null;
+    if (lane.running && preempt) stop(lane);
+    if (!lane.running) {
+      start(lane, job);
+    } else {
+      lane.running.superseded = true;
+      lane.queued = job;
+    }
+  });
+
+  const cancel = (name) => {
+    const lane = lanes.get(name);
+    if (lane && lane.running) stop(lane);
+  };
+
+  const dispose = () => {
+    lanes.forEach(stop);
+    lanes.clear();
+  };
+
+  return { run, cancel, dispose };
+};
+
+/**
+ * 随输入自动重算的引擎任务 (React Hook)
+ * 新结果到达前保留上一次的结果，pending 表示它已与当前输入不符
+ * @param {object} engine - createEngine 的返回值
+ * @param {string} lane - 通道名
+ * @param {string} type - ENGINE_JOBS 的键
+ * @param {object} payload - 任务输入，须保持引用稳定 (useMemo)，引用变化即触发重算
+ * @param {object} options - { initial: 首个结果到达前的值, sync: 首帧在主线程同步计算, preempt }
+ *   sync 只用于毫秒级任务 (主计算管线)；结构、扫描等耗时任务以 initial 占位，首帧同样在 Worker 中计算
+ * @returns {{result: any, error: string|null, pending: boolean}}
+ */
+export const useEngineJob = (engine, lane, type, payload, { initial = null, sync = false, preempt = false } = {}) => {
+  const [state, setState] = useState(() => (sync
+    ? { payload, result: ENGINE_JOBS[type](payload, () => {}), error: null }
+    : { payload: undefined, result: initial, error: null }));
+  const settled = state.payload === payload;
+
+  useEffect(() => {
+    if (settled) return undefined;
+    let active = true;
+    engine.run(lane, type, payload, { preempt }).then(
+      result => { if (active) setState({ payload, result, error: null }); },
+      err => { if (active && !err.cancelled) setState(prev => ({ payload, result: prev.result, error: err.message })); }
+    );
+    return () => { active = false; };
+  }, [engine, lane, type, payload, preempt, settled]);
+
+  return { result: state.result, error: state.error, pending: !settled };
+};
@@ -0,0 +1,20 @@
+// src/utils/engine.worker.js
+
+// ==========================================
+// 计算 Worker：按 { id, type, payload } 执行 ENGINE_JOBS 中的任务
+// 回传 { id, progress } (零到多次) 后以 { id, result } 或 { id, error } 结束
+// 任务本身是同步的；取消由主线程终止整个 Worker 实现 (见 engine.js)
+// ==========================================
+
+import { ENGINE_JOBS } from './engineJobs.js';
+
+self.onmessage = ({ data: { id, type, payload } }) => {
+  try {
+    const job = ENGINE_JOBS[type];
+    if (!job) throw new Error(`Unknown engine job "${type}"`);
+    const result = job(payload, progress => self.postMessage({ id, progress }));
+    self.postMessage({ id, result });
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+};
@@ -0,0 +1,62 @@
+// src/utils/engineJobs.js
+
+// ==========================================
+// 计算任务表：物理 / 结构引擎中耗时的入口，由 engine.worker.js 在 Web Worker 中执行
+// 每个任务为 (payload, progress) => result，payload 与 result 都是可结构化克隆的纯数据
+// progress(value) 用于长任务逐步汇报 (扫描的每一行、拟合的每次迭代)
+// ==========================================
+
+import { simulateWhiteLED, calculateCRI, calculateChromaticity, getLatticeStructure } from './physics.js';
+import { runSweep } from './sweep.js';
+import { fitEmissionSpectrum } from './spectralFit.js';
+import { optimizeBlend } from './blend.js';
+import { calibrateModel } from './calibration.js';
+import { XRD_SUPERCELL, computeReflections } from './xrd.js';
+
+export const ENGINE_JOBS = {
+  // 主计算管线：白光 LED 光谱 + 显色 + 色度
+  pipeline: (inputs) => {
+    const result = simulateWhiteLED(inputs);
+    return { ...result, cri: calculateCRI(result.spectrum), chromaticity: calculateChromaticity(result.spectrum) };
+  },
+
+  // 色度图轨迹：固定其它参数，逐个取值扫描 key
+  trajectory: ({ base, key, values, unit }) => values
+    .map(value => {
+      const c = calculateChromaticity(simulateWhiteLED({ ...base, [key]: value }).spectrum);
+      return c && { x: c.x, y: c.y, label: `${value} ${unit}` };
+    })
+    .filter(Boolean),
+
+  // 参数扫描：每完成一个网格点汇报 { axes, row, done, total }
+  sweep: ({ base, axes }, progress) => runSweep(base, axes, { onRow: progress }),
+
+  // 以下拟合 / 优化每次 LM 迭代汇报 { iteration, cost }
+  fit: ({ measured, initial, options }, progress) => fitEmissionSpectrum(measured, initial, { ...options, onProgress: progress }),
+
+  optimizeBlend: ({ inputs, components, options }, progress) => optimizeBlend(inputs, components, { ...options, onProgress: progress }),
+
+  calibrate: ({ dataset, options }, progress) => calibrateModel(dataset, { ...options, onProgress: progress }),
+
+  // 晶体结构 (纳米晶的建模与单元格列表成键搜索随原子数线性增长，数千原子时仍会阻塞主线程)
+  structure: ({ mode, zrDoping, materialId, options }) => getLatticeStructure(mode, zrDoping, materialId, options),
+
+  // 粉末 XRD 反射：导入的周期性结构直接使用，否则用与当前掺杂设置一致的超胞
+  xrd: ({ importedStructure, zrDoping, materialId, doping }) => {
+    const source = importedStructure?.periodic
+      ? { structure: importedStructure, repeat: [1, 1, 1] }
+      : {
+        structure: getLatticeStructure('unit', zrDoping, materialId, {
+          supercell: XRD_SUPERCELL,
+          seed: doping.dopingSeed, site: doping.dopingSite, compensation: doping.compensation
+        }),
+        repeat: XRD_SUPERCELL
+      };
+    const { title } = source.structure;
+    try {
+      return { title, reflections: computeReflections(source.structure, { repeat: source.repeat }), error: null };
+    } catch (err) {
+      return { title, reflections: [], error: err.message };
+    }
+  }
+};
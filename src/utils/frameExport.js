@@ -0,0 +1,95 @@
+// src/utils/frameExport.js
+
+// ==========================================
+// 画布动画导出：逐帧把 WebGL 画布复制到二维画布并叠加说明文字，
+// 再编码为 WebM (MediaRecorder) 或 PNG 图像序列 (打包为 ZIP)
+// WebGL 画布需以 preserveDrawingBuffer 创建，否则绘制后缓冲区可能已被清空
+// ==========================================
+
+import { createZip } from './zip.js';
+
+export const EXPORT_FORMATS = {
+  webm: { label: 'WebM', extension: 'webm' },
+  png: { label: 'PNG Sequence', extension: 'zip' }
+};
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// 左下角的半透明说明框，字号按画布像素与 CSS 尺寸之比缩放 (高 DPI 屏幕)
+const drawCaption = (ctx, lines, scale) => {
+  if (lines.length === 0) return;
+  const size = 14 * scale, pad = 8 * scale, lineHeight = size * 1.4;
+  ctx.font = `${size}px system-ui, sans-serif`;
+  const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + 2 * pad;
+  const height = lines.length * lineHeight + 2 * pad;
+  const x = 16 * scale, y = ctx.canvas.height - height - 16 * scale;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(x, y, width, height);
+  ctx.fillStyle = '#e5e5e5';
+  ctx.textBaseline = 'top';
+  lines.forEach((line, i) => ctx.fillText(line, x + pad, y + pad + i * lineHeight + (lineHeight - size) / 2));
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 创建逐帧录制器
+ * @param {HTMLCanvasElement} source - WebGL 画布
+ * @param {object} options - { format: EXPORT_FORMATS 的键, fps }
+ * @returns {{addFrame: (lines: string[]) => Promise<void>, finish: () => Promise<Blob>, abort: () => void}}
+ */
+export const createFrameRecorder = (source, { format = 'webm', fps = 15 } = {}) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = source.width;
+  canvas.height = source.height;
+  const ctx = canvas.getContext('2d');
+  const scale = source.width / (source.clientWidth || source.width);
+  const draw = (lines) => {
+    ctx.drawImage(source, 0, 0);
+    drawCaption(ctx, lines, scale);
+  };
+
+  if (format === 'png') {
+    const files = [];
+    return {
+      addFrame: async (lines) => {
+        draw(lines);
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        files.push({ name: `frame-${String(files.length).padStart(4, '0')}.png`, data: new Uint8Array(await blob.arrayBuffer()) });
+      },
+      finish: async () => createZip(files),
+      abort: () => { files.length = 0; }
+    };
+  }
+
+  const mimeType = typeof MediaRecorder !== 'undefined' && WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) throw new Error('WebM recording is not supported in this browser; export a PNG sequence instead');
+
+  // captureStream(0)：只在 requestFrame 时推帧；两帧之间暂停录制，使等待计算的时间不计入视频
+  const stream = canvas.captureStream(0);
+  const [track] = stream.getVideoTracks();
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8e6 });
+  const chunks = [];
+  recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
+  recorder.start();
+  recorder.pause();
+
+  return {
+    addFrame: async (lines) => {
+      draw(lines);
+      recorder.resume();
+      track.requestFrame();
+      await wait(1000 / fps);
+      recorder.pause();
+    },
+    finish: () => new Promise(resolve => {
+      recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+      recorder.stop();
+      track.stop();
+    }),
+    abort: () => {
+      recorder.stop();
+      track.stop();
+    }
+  };
+};
@@ -0,0 +1,164 @@
+// src/utils/kinetics.js
+
+// ==========================================
+// Zr⁴⁺ 掺杂能量转移动力学 (速率方程) 与时间分辨 PL (TRPL)
+// 基质激发态 N_h 经辐射 / 非辐射复合衰减，并以浓度相关速率 k_ET(c) 转移给 Zr 中心 N_z；
+// Zr 中心之间的交叉弛豫在高浓度下急剧增强，形成浓度猝灭阈值
+//   dN_h/dt = G − (k_rh + k_nh + k_ET(c))·N_h
+//   dN_z/dt = k_ET(c)·N_h − (k_rz + k_nz + k_q(c))·N_z
+// 时间单位 ns，速率单位 1/ns，浓度单位 mmol
+// ==========================================
+
+import { levenbergMarquardt } from './optimize.js';
+
+export const KINETIC_PARAMS = {
+  hostRadLifetime: 300,     // 基质 (缺陷态) 辐射寿命 τ_rh (ns)
+  hostNonRadLifetime: 700,  // 基质非辐射寿命 τ_nh (ns)
+  zrRadLifetime: 40,        // Zr 中心辐射寿命 τ_rz (ns)
+  zrNonRadLifetime: 120,    // Zr 中心非辐射寿命 τ_nz (ns)
+  transferHalfConc: 0.1,    // 转移效率达到 50% 的浓度 (mmol)：k_ET(c) = k_h·c / c_½
+  quenchingConc: 0.3,       // 交叉弛豫速率等于 Zr 本征衰减速率的浓度 (mmol)
+  quenchingOrder: 4         // 交叉弛豫速率的浓度幂次 (多中心相互作用)
+};
+
+// 浓度曲线与比值反解的浓度上限 (mmol)：延伸到猝灭阈值之后
+export const TRANSFER_MAX_CONC = 0.5;
+
+// 由参数得到各速率常数
+export const getRateConstants = (c, params = KINETIC_PARAMS) => {
+  const krh = 1 / params.hostRadLifetime;
+  const kh = krh + 1 / params.hostNonRadLifetime;
+  const krz = 1 / params.zrRadLifetime;
+  const kz0 = krz + 1 / params.zrNonRadLifetime;
+  return {
+    krh,
+    kh,
+    kET: kh * c / params.transferHalfConc,
+    krz,
+    kz: kz0 * (1 + Math.pow(c / params.quenchingConc, params.quenchingOrder))
+  };
+};
+
+/**
+ * 稳态解 (G = 1)
+ * @param {number} c - Zr 浓度 (mmol)
+ * @returns {{hostYield, zrYield, totalYield, transferEfficiency, relativeHost, relativeZr, relativeTotal, zrHostRatio}}
+ *   relative* 为相对未掺杂基质量子产率的值；zrHostRatio 为 Zr / 基质发光强度比 (随浓度先升后降，见 ratioPeakConcentration)
+ */
+export const solveSteadyState = (c, params = KINETIC_PARAMS) => {
+  const { krh, kh, kET, krz, kz } = getRateConstants(c, params);
+  const transferEfficiency = kET / (kh + kET);
+  const hostYield = krh / (kh + kET);
+  const zrYield = transferEfficiency * krz / kz;
+  const undoped = krh / kh;
+  return {
+    hostYield,
+    zrYield,
+    totalYield: hostYield + zrYield,
+    transferEfficiency,
+    relativeHost: hostYield / undoped,
+    relativeZr: zrYield / undoped,
+    relativeTotal: (hostYield + zrYield) / undoped,
+    zrHostRatio: zrYield / hostYield
+  };
+};
+
+/**
+ * Zr / 基质强度比取极大值的浓度
+ * 比值 = k_ET·k_rz / (k_z·k_rh) ∝ c / (1 + (c/c_q)^n)，在 c* = c_q·(n − 1)^(−1/n) 处取极大；n ≤ 1 时单调递增
+ * 因此 c* 以上的浓度与 c* 以下的某个浓度给出相同的比值
+ * @returns {number} c* (mmol)，单调时为 Infinity
+ */
+export const ratioPeakConcentration = (params = KINETIC_PARAMS) => (params.quenchingOrder > 1
+  ? params.quenchingConc * Math.pow(params.quenchingOrder - 1, -1 / params.quenchingOrder)
+  : Infinity);
+
+/**
+ * 由 Zr / 基质强度比反解浓度：在 [0, maxConc] 的单调递增段与递减段上分别二分
+ * @param {number} ratio - 实测或模型的 Zr / 基质强度比
+ * @returns {number[]} 给出该比值的全部浓度 (升序，0 – 2 个)；两个解时仅凭比值无法确定浓度
+ */
+export const concentrationsForRatio = (ratio, maxConc = TRANSFER_MAX_CONC, params = KINETIC_PARAMS) => {
+  const f = (c) => solveSteadyState(c, params).zrHostRatio - ratio;
+  const peak = Math.min(ratioPeakConcentration(params), maxConc);
+  const bisect = (lo, hi) => {
+    if (f(lo) * f(hi) > 0) return null;
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (f(lo) * f(mid) <= 0) hi = mid; else lo = mid;
+    }
+    return (lo + hi) / 2;
+  };
+  const roots = [bisect(0, peak), peak < maxConc ? bisect(peak, maxConc) : null].filter(c => c !== null);
+  // 恰好在极大值处两段给出同一个解
+  return roots.filter((c, i) => i === 0 || Math.abs(c - roots[0]) > 1e-9);
+};
+
+/**
+ * δ 脉冲激发后的布居数 (解析解)
+ * @returns {{host: number, zr: number}} N_h(t), N_z(t)，N_h(0) = 1
+ */
+export const populationsAt = (t, c, params = KINETIC_PARAMS) => {
+  const { kh, kET, kz } = getRateConstants(c, params);
+  const Kh = kh + kET;
+  const host = Math.exp(-Kh * t);
+  // Kh ≈ kz 时取极限 kET·t·e^(-Kh·t)
+  const zr = Math.abs(kz - Kh) < 1e-9
+    ? kET * t * Math.exp(-Kh * t)
+    : kET / (kz - Kh) * (Math.exp(-Kh * t) - Math.exp(-kz * t));
+  return { host, zr };
+};
+
+/**
+ * 指定检测波长处的 TRPL 衰减曲线
+ * @param {number} c - Zr 浓度 (mmol)
+ * @param {object} shapes - 检测波长处的线型权重 { host, zr } (面积归一线型在该波长的值)
+ * @param {object} options - { tMax (ns), points }
+ * @returns {Array<{t, intensity}>} 峰值归一
+ */
+export const simulateDecay = (c, shapes, { tMax = 2000, points = 201, params = KINETIC_PARAMS } = {}) => {
+  const { krh, krz } = getRateConstants(c, params);
+  const data = Array.from({ length: points }, (_, i) => {
+    const t = tMax * i / (points - 1);
+    const { host, zr } = populationsAt(t, c, params);
+    return { t, intensity: krh * host * shapes.host + krz * zr * shapes.zr };
+  });
+  const max = Math.max(...data.map(p => p.intensity));
+  if (max > 0) data.forEach(p => { p.intensity /= max; });
+  return data;
+};
+
+/**
+ * 双指数拟合 I(t) = A1·e^(-t/τ1) + A2·e^(-t/τ2) (A 可为负，对应 Zr 的上升沿)
+ * @returns {{components: Array<{amplitude, lifetime}>, averageLifetime: number}}
+ *   averageLifetime 为强度加权平均寿命 Σ A·τ² / Σ A·τ (只计正幅值分量)
+ */
+export const fitDecay = (decay) => {
+  const tMax = decay[decay.length - 1].t;
+  const residualFn = ([a1, t1, a2, t2]) => decay.map(({ t, intensity }) =>
+    a1 * Math.exp(-t / t1) + a2 * Math.exp(-t / t2) - intensity);
+  const { params } = levenbergMarquardt(residualFn, [1, tMax / 10, 0, tMax / 100], {
+    lower: [-10, 1, -10, 1],
+    upper: [10, tMax * 5, 10, tMax * 5],
+    diffStep: 1e-4
+  });
+  const components = [
+    { amplitude: params[0], lifetime: params[1] },
+    { amplitude: params[2], lifetime: params[3] }
+  ].filter(c => Math.abs(c.amplitude) > 1e-3).sort((a, b) => b.lifetime - a.lifetime);
+  const positive = components.filter(c => c.amplitude > 0);
+  const num = positive.reduce((acc, c) => acc + c.amplitude * c.lifetime * c.lifetime, 0);
+  const den = positive.reduce((acc, c) => acc + c.amplitude * c.lifetime, 0);
+  return { components, averageLifetime: den > 0 ? num / den : 0 };
+};
+
+/**
+ * 转移效率、各发光产率与 Zr / 基质强度比随浓度的变化曲线
+ * @param {number} maxConc - 浓度上限 (mmol)，默认延伸到 0.5 以显示猝灭阈值之后的下降
+ */
+export const getTransferCurve = (maxConc = TRANSFER_MAX_CONC, steps = 51, params = KINETIC_PARAMS) =>
+  Array.from({ length: steps }, (_, i) => {
+    const c = maxConc * i / (steps - 1);
+    const s = solveSteadyState(c, params);
+    return { c: parseFloat(c.toFixed(3)), transfer: s.transferEfficiency, host: s.relativeHost, zr: s.relativeZr, total: s.relativeTotal, ratio: s.zrHostRatio };
+  });
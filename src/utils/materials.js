@@ -0,0 +1,93 @@
+// src/utils/materials.js
+
+// ==========================================
+// I-III-VI₂ 黄铜矿 (Chalcopyrite, I-42d) 材料库
+// 数值为文献典型值 (室温)，有效质量以 m0 为单位，晶格常数以 Å 为单位
+// ==========================================
+
+// 元素定义：渲染半径 (可视化单位)、颜色与共价半径 (Å，用于成键判定)
+export const ELEMENTS = {
+  Ag: { radius: 0.15, color: '#C0C0C0', label: 'Silver', covalentRadius: 1.45 },    // 银：大半径，银灰
+  Cu: { radius: 0.13, color: '#C88033', label: 'Copper', covalentRadius: 1.32 },    // 铜：中半径，铜色
+  Ga: { radius: 0.12, color: '#DAA520', label: 'Gallium', covalentRadius: 1.22 },   // 镓：中半径，金橙
+  In: { radius: 0.14, color: '#A67573', label: 'Indium', covalentRadius: 1.42 },    // 铟：较大半径，灰粉
+  S:  { radius: 0.08, color: '#FFFF00', label: 'Sulfur', covalentRadius: 1.05 },    // 硫：小半径，亮黄
+  Se: { radius: 0.10, color: '#FFA100', label: 'Selenium', covalentRadius: 1.20 },  // 硒：较大阴离子，橙
+  Zn: { radius: 0.12, color: '#7D80B0', label: 'Zinc', covalentRadius: 1.22 },      // 锌：ZnS 壳层，灰紫
+  Zr: { radius: 0.12, color: '#3b82f6', label: 'Zirconium', covalentRadius: 1.60 }  // 锆：掺杂原子，亮蓝
+};
+
+// 未收录元素 (导入的结构文件) 的显示样式
+const UNKNOWN_ELEMENT = { radius: 0.1, color: '#ff66cc', covalentRadius: 1.2 };
+
+export const getElementStyle = (type) => ELEMENTS[type] ?? { ...UNKNOWN_ELEMENT, label: type };
+
+/**
+ * 材料注册表
+ * sites: 三类晶位上的元素 (I: 4a, III: 4b, VI: 8d)
+ * varshni: 带隙温度系数 Eg(T) = Eg(0) − αT²/(T+β)，α (eV/K)、β (K)
+ * shellOffsets: 与 ZnS 壳层的能带偏移 (eV，I 类异质结)，conduction + valence = Eg(ZnS) − Eg
+ * lattice: a, c (Å) 与阴离子位置参数 u (8d 位置 (u, 1/4, 1/8))
+ * dopantSites: 掺杂元素默认替换的晶位
+ */
+export const MATERIALS = {
+  AgGaS2: {
+    formula: 'AgGaS₂',
+    sites: { I: 'Ag', III: 'Ga', VI: 'S' },
+    Eg_bulk: 2.73, me: 0.22, mh: 0.65, epsilon: 8.5,
+    varshni: { alpha: 4.0e-4, beta: 250 },
+    shellOffsets: { conduction: 0.50, valence: 0.45 },
+    lattice: { a: 5.757, c: 10.304, u: 0.291 },
+    dopantSites: { Zr: 'III' }
+  },
+  AgInS2: {
+    formula: 'AgInS₂',
+    sites: { I: 'Ag', III: 'In', VI: 'S' },
+    Eg_bulk: 1.87, me: 0.15, mh: 0.60, epsilon: 8.2,
+    varshni: { alpha: 3.0e-4, beta: 220 },
+    shellOffsets: { conduction: 0.85, valence: 0.96 },
+    lattice: { a: 5.828, c: 11.190, u: 0.250 },
+    dopantSites: { Zr: 'III' }
+  },
+  CuInS2: {
+    formula: 'CuInS₂',
+    sites: { I: 'Cu', III: 'In', VI: 'S' },
+    Eg_bulk: 1.53, me: 0.16, mh: 1.30, epsilon: 11.0,
+    varshni: { alpha: 2.2e-4, beta: 200 },
+    shellOffsets: { conduction: 0.95, valence: 1.20 },
+    lattice: { a: 5.523, c: 11.133, u: 0.2295 },
+    dopantSites: { Zr: 'III' }
+  },
+  CuGaS2: {
+    formula: 'CuGaS₂',
+    sites: { I: 'Cu', III: 'Ga', VI: 'S' },
+    Eg_bulk: 2.43, me: 0.14, mh: 0.69, epsilon: 8.5,
+    varshni: { alpha: 3.2e-4, beta: 250 },
+    shellOffsets: { conduction: 0.60, valence: 0.65 },
+    lattice: { a: 5.351, c: 10.484, u: 0.254 },
+    dopantSites: { Zr: 'III' }
+  },
+  AgGaSe2: {
+    formula: 'AgGaSe₂',
+    sites: { I: 'Ag', III: 'Ga', VI: 'Se' },
+    Eg_bulk: 1.80, me: 0.14, mh: 0.60, epsilon: 10.5,
+    varshni: { alpha: 3.5e-4, beta: 230 },
+    shellOffsets: { conduction: 0.90, valence: 0.98 },
+    lattice: { a: 5.992, c: 10.886, u: 0.276 },
+    dopantSites: { Zr: 'III' }
+  }
+};
+
+export const DEFAULT_MATERIAL_ID = 'AgGaS2';
+
+// 取出 Brus 模型所需的材料常数 (可编辑参数集)
+export const getBrusParams = (materialId) => {
+  const { Eg_bulk, me, mh, epsilon } = MATERIALS[materialId];
+  return { Eg_bulk, me, mh, epsilon };
+};
+
+// 取出带隙温度系数 (Varshni)
+export const getVarshniParams = (materialId) => ({ ...MATERIALS[materialId].varshni });
+
+// 取出与 ZnS 壳层的能带偏移
+export const getShellOffsets = (materialId) => ({ ...MATERIALS[materialId].shellOffsets });
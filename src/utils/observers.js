@@ -0,0 +1,46 @@
+// src/utils/observers.js
+
+// ==========================================
+// 色度观察者 (颜色匹配函数)
+// 内置 CIE 1931 2°：CCT / Duv / CRI 与色度图按定义始终使用它
+// CIE 1964 10°、CIE 2006 2°/10° 等可从 CVRL (cvrl.org) 格式的 CSV 导入，作为补充观察者计算 x, y
+// ==========================================
+
+import { CMF_1931_2 } from './cieData.js';
+import { SPECTRAL_LIMITS } from './spectralGrid.js';
+
+export const CIE_1931_2 = { id: 'cie1931-2', label: 'CIE 1931 2°', table: CMF_1931_2 };
+
+/**
+ * 解析颜色匹配函数文件：每行 波长(nm), x̄, ȳ, z̄ (逗号 / 分号 / 制表符 / 空格分隔)
+ * 非数字开头的行 (表头、注释) 跳过；CVRL 表中长波端留空的 z̄ 记为 0
+ * @param {string} text - 文件内容
+ * @param {string} name - 文件名，用作观察者名称
+ * @returns {{id: string, label: string, table: object}}
+ */
+export const parseObserverFile = (text, name) => {
+  const table = {};
+  text.split(/\r?\n/).forEach((line, index) => {
+    const cells = line.trim().split(/\s*[,;\t]\s*|\s+/);
+    const wl = parseFloat(cells[0]);
+    if (!Number.isFinite(wl)) return;
+    const values = [1, 2, 3].map(c => (cells[c] === undefined || cells[c] === '' ? 0 : Number(cells[c])));
+    if (values.some(v => !Number.isFinite(v)) || cells.length < 3) {
+      throw new Error(`Line ${index + 1}: expected wavelength, x̄, ȳ, z̄`);
+    }
+    table[wl] = values;
+  });
+
+  const wavelengths = Object.keys(table).map(Number).sort((a, b) => a - b);
+  if (wavelengths.length < 10) throw new Error('Colour-matching file needs at least 10 rows');
+  if (wavelengths[0] > SPECTRAL_LIMITS.min + 50 || wavelengths[wavelengths.length - 1] < SPECTRAL_LIMITS.max - 130) {
+    throw new Error(`Colour-matching functions must cover the visible range (got ${wavelengths[0]}-${wavelengths[wavelengths.length - 1]} nm)`);
+  }
+  const step = wavelengths[1] - wavelengths[0];
+  if (wavelengths.some((wl, i) => Math.abs(wl - (wavelengths[0] + i * step)) > 1e-6 * step)) {
+    throw new Error('Colour-matching functions must be tabulated at a uniform wavelength interval');
+  }
+
+  const label = name.replace(/\.[^.]+$/, '');
+  return { id: `file:${label}`, label, table };
+};
@@ -0,0 +1,100 @@
+// src/utils/optimize.js
+
+// ==========================================
+// 数值优化工具 (无外部依赖)
+// ==========================================
+
+// 高斯消元 (列主元) 求解 A·x = b
+export const solveLinearSystem = (A, b) => {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-300) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+};
+
+const sumSquares = (r) => r.reduce((acc, v) => acc + v * v, 0);
+const clampTo = (p, lower, upper) => p.map((v, i) => Math.min(Math.max(v, lower[i]), upper[i]));
+
+/**
+ * 带边界约束的 Levenberg-Marquardt 非线性最小二乘
+ * 雅可比矩阵用有限差分估计，步长取参数区间的一定比例 (模型中存在舍入，步长不能太小)
+ * @param {(p: number[]) => number[]} residualFn - 残差函数
+ * @param {number[]} p0 - 初值
+ * @param {object} options - { lower, upper, maxIter, diffStep, tolerance, onIteration }
+ *   onIteration({ iteration, cost }) 在每次被接受的迭代后调用 (用于汇报进度)
+ * @returns {{params: number[], cost: number, iterations: number}} cost 为残差平方和
+ */
+export const levenbergMarquardt = (residualFn, p0, options = {}) => {
+  const n = p0.length;
+  const lower = options.lower || new Array(n).fill(-Infinity);
+  const upper = options.upper || new Array(n).fill(Infinity);
+  const maxIter = options.maxIter ?? 100;
+  const diffStep = options.diffStep ?? 2e-3;
+  const tolerance = options.tolerance ?? 1e-10;
+
+  const steps = p0.map((v, i) => Number.isFinite(upper[i] - lower[i])
+    ? (upper[i] - lower[i]) * diffStep
+    : Math.max(Math.abs(v), 1) * diffStep);
+
+  let p = clampTo(p0, lower, upper);
+  let r = residualFn(p);
+  let cost = sumSquares(r);
+  let lambda = 1e-3;
+  let iterations = 0;
+
+  for (; iterations < maxIter; iterations++) {
+    // 有限差分雅可比 (在上边界处改用后向差分)
+    const J = r.map(() => new Array(n).fill(0));
+    for (let j = 0; j < n; j++) {
+      const h = p[j] + steps[j] > upper[j] ? -steps[j] : steps[j];
+      const pj = [...p];
+      pj[j] += h;
+      const rj = residualFn(pj);
+      rj.forEach((v, i) => { J[i][j] = (v - r[i]) / h; });
+    }
+
+    const JtJ = Array.from({ length: n }, (_, a) =>
+      Array.from({ length: n }, (_, b) => J.reduce((acc, row) => acc + row[a] * row[b], 0)));
+    const Jtr = Array.from({ length: n }, (_, a) => J.reduce((acc, row, i) => acc + row[a] * r[i], 0));
+
+    let improved = false;
+    while (lambda < 1e10) {
+      const A = JtJ.map((row, a) => row.map((v, b) => (a === b ? v + lambda * Math.max(v, 1e-12) : v)));
+      const delta = solveLinearSystem(A, Jtr.map(v => -v));
+      if (!delta) { lambda *= 4; continue; }
+
+      const pNew = clampTo(p.map((v, i) => v + delta[i]), lower, upper);
+      const rNew = residualFn(pNew);
+      const costNew = sumSquares(rNew);
+      if (costNew < cost) {
+        const relChange = (cost - costNew) / Math.max(cost, 1e-300);
+        p = pNew; r = rNew; cost = costNew;
+        lambda = Math.max(lambda / 3, 1e-12);
+        improved = relChange > tolerance;
+        break;
+      }
+      lambda *= 4;
+    }
+    if (!improved) break;
+    if (options.onIteration) options.onIteration({ iteration: iterations + 1, cost });
+  }
+
+  return { params: p, cost, iterations };
+};
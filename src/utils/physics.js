@@ -1,179 +1,762 @@
 // src/utils/physics.js
 
+import { TCS, DAYLIGHT_S } from './cieData.js';
+import { SPECTRAL_LIMITS, DEFAULT_SPECTRAL_GRID, getGridWavelengths, extendGrid, resampleTable } from './spectralGrid.js';
+import { CIE_1931_2 } from './observers.js';
+import { DEFAULT_DISPLAY, xyzToDisplay, toHex, toCssColor } from './colorManagement.js';
+import { MATERIALS, DEFAULT_MATERIAL_ID, getBrusParams, getVarshniParams, getShellOffsets, getElementStyle } from './materials.js';
+import { DEFAULT_STACK, filmOpticalDensity, simulatePhosphorStack } from './device.js';
+import { solveSteadyState } from './kinetics.js';
+import { REFERENCE_TEMPERATURE, varshniShift, broadenFwhm, thermalQuenchingFactor } from './thermal.js';
+import { DEFAULT_DOPING, applyDoping } from './doping.js';
+import { DEFAULT_SHELL_MONOLAYERS, SHELL_MATERIAL, shellThickness, shellRedShift, passivatedQuantumYield } from './shell.js';
+
 // ==========================================
 // Part 1: 光谱与颜色物理引擎 (Spectroscopy)
 // ==========================================
 
-// CIE 1931 标准色度观察者数据 (2度视角)
-const CMF = {
-  380: [0.0014, 0.0000, 0.0065], 390: [0.0042, 0.0001, 0.0201], 400: [0.0143, 0.0004, 0.0679], 410: [0.0435, 0.0012, 0.2074],
-  420: [0.1344, 0.0040, 0.6456], 430: [0.2839, 0.0116, 1.3856], 440: [0.3483, 0.0230, 1.7471], 450: [0.3362, 0.0380, 1.7721],
-  460: [0.2908, 0.0600, 1.6692], 470: [0.1954, 0.0910, 1.2876], 480: [0.0956, 0.1390, 0.8130], 490: [0.0320, 0.2080, 0.4652],
-  500: [0.0049, 0.3230, 0.2720], 510: [0.0093, 0.5030, 0.1582], 520: [0.0633, 0.7100, 0.0782], 530: [0.1655, 0.8620, 0.0422],
-  540: [0.2904, 0.9540, 0.0203], 550: [0.4334, 0.9950, 0.0087], 560: [0.5945, 0.9950, 0.0039], 570: [0.7621, 0.9520, 0.0021],
-  580: [0.9163, 0.8700, 0.0017], 590: [1.0263, 0.7570, 0.0011], 600: [1.0622, 0.6310, 0.0008], 610: [1.0026, 0.5030, 0.0003],
-  620: [0.8544, 0.3810, 0.0002], 630: [0.6424, 0.2650, 0.0000], 640: [0.4479, 0.1750, 0.0000], 650: [0.2835, 0.1070, 0.0000],
-  660: [0.1649, 0.0610, 0.0000], 670: [0.0874, 0.0320, 0.0000], 680: [0.0468, 0.0170, 0.0000], 690: [0.0227, 0.0082, 0.0000],
-  700: [0.0114, 0.0041, 0.0000], 710: [0.0058, 0.0021, 0.0000], 720: [0.0029, 0.0010, 0.0000], 730: [0.0014, 0.0005, 0.0000]
-};
-
-// 基础光谱生成工具 (高斯分布)
-export const generateGaussianSpectrum = (centerWl, fwhm) => {
+// 基础光谱生成工具 (高斯分布，grid 见 spectralGrid.js)
+export const generateGaussianSpectrum = (centerWl, fwhm, grid = DEFAULT_SPECTRAL_GRID) => {
   const sigma = fwhm / 2.355;
-  const data = [];
-  for (let wl = 380; wl <= 780; wl += 5) {
-    const intensity = Math.exp(-Math.pow(wl - centerWl, 2) / (2 * Math.pow(sigma, 2)));
-    data.push({ wl, intensity });
-  }
-  return data;
+  return getGridWavelengths(grid).map(wl => ({ wl, intensity: Math.exp(-Math.pow(wl - centerWl, 2) / (2 * Math.pow(sigma, 2))) }));
 };
 
 // 模拟蓝光 LED 激发源 (455nm)
 export const getBlueLEDSpectrum = () => generateGaussianSpectrum(455, 20);
 
+// ------------------------------------------
+// 材料参数 (Brus 有效质量模型)
+// ------------------------------------------
+
+// AgGaS2 材料常数：UI 可查看/编辑，单位 eV、m0 (电子静质量)、无量纲介电常数
+// { Eg_bulk: 体材料带隙, me / mh: 电子/空穴有效质量, epsilon: 相对介电常数 }，其它化合物见 materials.js
+export const AGGAS2_MATERIAL = getBrusParams(DEFAULT_MATERIAL_ID);
+
+// AgGaS2 带隙温度系数 (Varshni α, β)
+export const AGGAS2_VARSHNI = getVarshniParams(DEFAULT_MATERIAL_ID);
+
+// AgGaS2 / ZnS 能带偏移
+export const AGGAS2_SHELL_OFFSETS = getShellOffsets(DEFAULT_MATERIAL_ID);
+
+// 经验修正项系数 (来自论文实验观测，不属于 Brus 模型本身)
+export const EMPIRICAL_CORRECTIONS = {
+  defectDepth: 0.65,      // 缺陷能级 Stokes 位移 (eV)
+  defectSizeCoeff: 0.1,   // 缺陷位移的尺寸项 (eV·nm)
+  blueShiftOnset: 30,     // 反常蓝移起始反应时间 (min)
+  blueShiftRate: 0.17 / 60, // 反常蓝移初始速率 (eV/min)：30 -> 90min 约 +0.17 eV
+  blueShiftSaturation: 0, // 反常蓝移饱和速率常数 (1/min)，0 为线性
+  zrPeakWl: 470,          // Zr 中心发射峰位 (nm)
+  zrFwhm: 25              // Zr 中心发射半峰宽 (nm)
+};
+
+// 参数元数据 (标签、单位、可编辑范围)，供 UI 与配方校验使用
+export const MATERIAL_PARAM_INFO = {
+  Eg_bulk: { label: 'Bulk Gap Eg', unit: 'eV', min: 0.5, max: 5 },
+  me:      { label: 'Electron Mass mₑ*', unit: 'm₀', min: 0.01, max: 5 },
+  mh:      { label: 'Hole Mass mₕ*', unit: 'm₀', min: 0.01, max: 5 },
+  epsilon: { label: 'Dielectric Const. ε', unit: '', min: 1, max: 50 }
+};
+
+export const CORRECTION_PARAM_INFO = {
+  defectDepth:     { label: 'Defect Stokes Depth', unit: 'eV', min: 0, max: 2 },
+  defectSizeCoeff: { label: 'Defect Size Coeff.', unit: 'eV·nm', min: 0, max: 2 },
+  blueShiftOnset:  { label: 'Blue Shift Onset', unit: 'min', min: 0, max: 90 },
+  blueShiftRate:   { label: 'Blue Shift Rate', unit: 'eV/min', min: 0, max: 0.05 },
+  blueShiftSaturation: { label: 'Blue Shift Saturation', unit: '1/min', min: 0, max: 0.2 },
+  zrPeakWl:        { label: 'Zr Emission Peak', unit: 'nm', min: 400, max: 550 },
+  zrFwhm:          { label: 'Zr Emission FWHM', unit: 'nm', min: 5, max: 80 }
+};
+
+// 物理常数 (eV·nm 单位制)
+const HBAR2_2M0 = 0.0380998;   // ħ²/2m0 (eV·nm²)
+const COULOMB_K = 1.439964;    // e²/4πε0 (eV·nm)
+const RYDBERG = 13.6057;       // 氢原子 Rydberg 能量 (eV)
+
 /**
- * 核心物理计算：AgGaS2 量子点能带与发射波长
- * @param {number} radiusNm - 量子点半径
+ * 核心物理计算：量子点能带与发射波长
+ * Brus 方程: E = Eg + ħ²π²/2R²·(1/mₑ + 1/mₕ) - 1.786e²/(4πε0·εR) - 0.248·E*Ry
+ * 在此基础上叠加经验修正项 (缺陷 Stokes 位移、反常蓝移)、ZnS 壳层红移 (见 shell.js)，以及相对 25 °C 的 Varshni 带隙收缩
+ * @param {number} radiusNm - 量子点 (核) 半径 (nm)
  * @param {number} reactionTime - 反应时间 (影响反常蓝移)
  * @param {boolean} isCoreShell - 是否包覆 ZnS 壳层 (影响红移)
+ * @param {object} options - { material, corrections, temperature (°C), varshni, shellMonolayers, shellOffsets }，缺省为 AgGaS2 参数、25 °C
+ *   shellMonolayers 为壳层单层数 (仅 isCoreShell 时生效)，shellOffsets 为核与 ZnS 的能带偏移
+ * @returns {{energy: string, wl: number, terms: object}} terms 为各项能量贡献 (eV，带符号)
  */
-export const calculateEmissionParams = (radiusNm, reactionTime = 30, isCoreShell = false) => {
-  const Eg_bulk = 2.73; // AgGaS2 体材料带隙 (eV)
-  
-  // 1. 量子限域效应 (Brus 公式简化版): 尺寸越小，带隙越大
-  const confinement = 0.8 / (radiusNm * radiusNm); 
-  // 2. 库仑相互作用修正
-  const coulomb = 0.3 / radiusNm;
-  // 3. 缺陷能级 Stokes 位移 (模拟从导带底到缺陷能级的跃迁)
-  const defectShift = 0.65 + (0.1 / radiusNm); 
+export const calculateEmissionParams = (radiusNm, reactionTime = 30, isCoreShell = false, options = {}) => {
+  const {
+    material = AGGAS2_MATERIAL, corrections = EMPIRICAL_CORRECTIONS, temperature = REFERENCE_TEMPERATURE, varshni = AGGAS2_VARSHNI,
+    shellMonolayers = DEFAULT_SHELL_MONOLAYERS, shellOffsets = AGGAS2_SHELL_OFFSETS
+  } = options;
+  const { Eg_bulk, me, mh, epsilon } = material;
 
-  // 基础发射能量 (eV)
-  let emissionEnergy = Eg_bulk + confinement - coulomb - defectShift;
+  // 1. 量子限域效应：无限深球形势阱基态动能
+  const confinement = HBAR2_2M0 * Math.PI * Math.PI / (radiusNm * radiusNm) * (1 / me + 1 / mh);
+  // 2. 电子-空穴库仑吸引
+  const coulomb = -1.786 * COULOMB_K / (epsilon * radiusNm);
+  // 3. 空间关联修正 (有效 Rydberg 能量)
+  const reducedMass = 1 / (1 / me + 1 / mh);
+  const rydberg = -0.248 * RYDBERG * reducedMass / (epsilon * epsilon);
+
+  // 4. 缺陷能级 Stokes 位移 (模拟从导带底到缺陷能级的跃迁)
+  const defectStokes = -(corrections.defectDepth + corrections.defectSizeCoeff / radiusNm);
 
   // --- 物理复现 A: 反应时间导致的"反常蓝移" ---
   // 现象：反应时间 30min -> 90min，波长 570nm -> 520nm (能量增加)
   // 机制：Ga2S3 合金化效应或表面态钝化
-  if (reactionTime > 30) {
-    // 线性插值：每增加 60min，能量增加约 0.17 eV
-    const timeFactor = (reactionTime - 30) * (0.17 / 60); 
-    emissionEnergy += timeFactor; 
-  }
+  // 饱和形式 ΔE = r·(1 − e^(−k·Δt))/k，k → 0 时退化为线性 r·Δt (系数由 calibration.js 拟合)
+  const elapsed = Math.max(reactionTime - corrections.blueShiftOnset, 0);
+  const saturation = corrections.blueShiftSaturation ?? 0;
+  const anomalousBlueShift = saturation > 0
+    ? corrections.blueShiftRate * (1 - Math.exp(-saturation * elapsed)) / saturation
+    : elapsed * corrections.blueShiftRate;
 
   // --- 物理复现 B: ZnS 壳层导致的"红移" ---
   // 现象：包覆 ZnS 壳层后，波长发生红移 (能量降低)
-  // 机制：电子波函数泄漏(Tunneling)及晶格失配应力
-  if (isCoreShell) {
-    const shellShift = 0.09; // 对应约 20nm 的红移
-    emissionEnergy -= shellShift; 
-  }
+  // 机制：电子 / 空穴波函数按能带偏移泄漏进壳层，限域能降低 (有限势垒核壳球形势阱)
+  const shellShift = isCoreShell ? shellRedShift(radiusNm, shellMonolayers, material, shellOffsets).shift : 0;
+
+  // 5. 温度：材料库带隙为室温值，只计相对 25 °C 的 Varshni 收缩 (升温红移)
+  const thermalShift = varshniShift(temperature, varshni.alpha, varshni.beta);
+
+  const terms = {
+    bulkGap: Eg_bulk,
+    confinement,
+    coulomb,
+    rydberg,
+    defectStokes,
+    anomalousBlueShift,
+    shellRedShift: shellShift,
+    thermalShift
+  };
+  const emissionEnergy = Object.values(terms).reduce((a, b) => a + b, 0);
 
   // 能量转波长公式: lambda = 1240 / E
   let peakWl = 1240 / emissionEnergy;
   
-  // 限制波长范围，防止数值溢出
-  peakWl = Math.min(Math.max(peakWl, 400), 700);
+  // 限制波长范围，防止数值溢出 (能量为负时同样按上限处理)
+  peakWl = emissionEnergy > 0 ? Math.min(Math.max(peakWl, 400), 700) : 700;
 
   return { 
     energy: emissionEnergy.toFixed(3), 
-    wl: parseFloat(peakWl.toFixed(1))
+    wl: parseFloat(peakWl.toFixed(1)),
+    terms
   };
 };
 
+// Zr 掺杂引入的特征发光峰 (论文观测值 ~470nm，位置相对固定)
+export const ZR_EMISSION = { wl: EMPIRICAL_CORRECTIONS.zrPeakWl, fwhm: EMPIRICAL_CORRECTIONS.zrFwhm };
+
+// 经验修正系数中的 Zr 发射带
+export const getZrEmission = (corrections = EMPIRICAL_CORRECTIONS) => ({ wl: corrections.zrPeakWl, fwhm: corrections.zrFwhm });
+
+/**
+ * 基质与 Zr 中心的发射线型 (各自面积归一，光谱网格上)
+ * @param {number} baseWl - 基质主峰波长
+ * @param {number} fwhm - 基质半峰宽
+ * @param {Array|null} baseProfile - 可选的基质线型 (与网格对齐)，替代单一高斯峰
+ * @param {object} zrBand - Zr 发射带 { wl, fwhm }
+ * @param {object} grid - 光谱网格 { min, max, step } (见 spectralGrid.js)
+ * @returns {Array<{wl, host, zr}>}
+ */
+export const getEmissionLineShapes = (baseWl, fwhm, baseProfile = null, zrBand = ZR_EMISSION, grid = DEFAULT_SPECTRAL_GRID) => {
+  const sigma1 = fwhm / 2.355;
+  const sigma2 = zrBand.fwhm / 2.355;
+  const raw = getGridWavelengths(grid).map((wl, i) => ({
+    wl,
+    host: baseProfile ? baseProfile[i].intensity : Math.exp(-Math.pow(wl - baseWl, 2) / (2 * Math.pow(sigma1, 2))),
+    zr: Math.exp(-Math.pow(wl - zrBand.wl, 2) / (2 * Math.pow(sigma2, 2)))
+  }));
+  const hostArea = raw.reduce((sum, p) => sum + p.host, 0) || 1;
+  const zrArea = raw.reduce((sum, p) => sum + p.zr, 0) || 1;
+  return raw.map(p => ({ wl: p.wl, host: p.host / hostArea, zr: p.zr / zrArea }));
+};
+
 /**
  * 混合光谱生成逻辑
+ * --- 物理复现 C: 能量转移与猝灭机制 ---
+ * 基质与 Zr 峰的相对强度由速率方程稳态解给出 (见 kinetics.js)：
+ * 随 Zr 浓度增加，能量从基质转移到 Zr 缺陷中心；高浓度下 Zr 中心交叉弛豫导致浓度猝灭
+ * 结果以未掺杂基质峰高为 1 归一，两峰面积之比等于光子产率之比
  * @param {number} baseWl - 基质(AgGaS2)的主峰波长
  * @param {number} fwhm - 半峰宽
- * @param {number} zrConc - Zr 掺杂浓度 (0 - 0.3 mmol)
+ * @param {number} zrConc - Zr 掺杂浓度 (mmol)
+ * @param {Array|null} baseProfile - 可选的基质线型 (峰值归一，与 grid 对齐)，替代单一高斯峰
+ * @param {object} zrBand - Zr 发射带 { wl, fwhm } (见 getZrEmission)
+ * @param {object} grid - 光谱网格 (见 spectralGrid.js)
  */
-export const generateCompositeSpectrum = (baseWl, fwhm, zrConc = 0) => {
-  const data = [];
-  
-  // Zr 掺杂引入的特征发光峰 (论文观测值 ~470nm，位置相对固定)
-  const zrPeakWl = 470; 
-  const zrPeakFwhm = 25; 
-
-  // 归一化浓度处理
-  const maxConc = 0.3;
-  const normalizedConc = Math.min(zrConc / maxConc, 1.0); 
-
-  // --- 物理复现 C: 能量转移与猝灭机制 ---
-  // 随着 Zr 浓度增加，能量从基质转移到 Zr 缺陷中心
-  // 1. 基质峰 (Base) 强度下降 (Quenching)
-  const baseWeight = 1.0 - normalizedConc; 
-  // 2. 杂质峰 (Zr) 强度上升
-  const zrWeight = normalizedConc * 1.5;   
-
-  for (let wl = 380; wl <= 780; wl += 5) {
-    // 计算 AgGaS2 主峰分量
-    const sigma1 = fwhm / 2.355;
-    const intensity1 = baseWeight * Math.exp(-Math.pow(wl - baseWl, 2) / (2 * Math.pow(sigma1, 2)));
-    
-    // 计算 Zr 杂质峰分量
-    const sigma2 = zrPeakFwhm / 2.355;
-    const intensity2 = zrWeight * Math.exp(-Math.pow(wl - zrPeakWl, 2) / (2 * Math.pow(sigma2, 2)));
-    
-    // 叠加光谱
-    data.push({ wl, intensity: intensity1 + intensity2 });
-  }
+export const generateCompositeSpectrum = (baseWl, fwhm, zrConc = 0, baseProfile = null, zrBand = ZR_EMISSION, grid = DEFAULT_SPECTRAL_GRID) => {
+  const { relativeHost, relativeZr } = solveSteadyState(zrConc);
+  const shapes = getEmissionLineShapes(baseWl, fwhm, baseProfile, zrBand, grid);
+  const hostPeak = Math.max(...shapes.map(p => p.host)) || 1;
+  return shapes.map(p => ({ wl: p.wl, intensity: (relativeHost * p.host + relativeZr * p.zr) / hostPeak }));
+};
+
+// 由光谱测量半峰宽 (半高处线性插值)
+export const measureFwhm = (spectrum) => {
+  let peak = 0;
+  spectrum.forEach((p, i) => { if (p.intensity > spectrum[peak].intensity) peak = i; });
+  const half = spectrum[peak].intensity / 2;
+  if (half <= 0) return 0;
+
+  const crossing = (dir) => {
+    for (let i = peak; i + dir >= 0 && i + dir < spectrum.length; i += dir) {
+      const a = spectrum[i], b = spectrum[i + dir];
+      if (b.intensity < half) return a.wl + (b.wl - a.wl) * (a.intensity - half) / (a.intensity - b.intensity);
+    }
+    return spectrum[dir > 0 ? spectrum.length - 1 : 0].wl;
+  };
+  return crossing(1) - crossing(-1);
+};
+
+// ------------------------------------------
+// 吸收 / 激发 (PLE) 模型
+// ------------------------------------------
+
+// 吸收光谱网格：与光谱网格同步长，向紫外延伸到 300nm 以覆盖 UV 泵浦
+export const ABSORPTION_MIN_WL = 300;
+export const getAbsorptionGrid = (grid = DEFAULT_SPECTRAL_GRID) => extendGrid(grid, ABSORPTION_MIN_WL);
+
+// 默认激发光源：455nm 蓝光芯片 (与原有白光 LED 管线一致)
+export const DEFAULT_PUMP = { wl: 455, fwhm: 20 };
+
+// 吸收模型参数 (以带边激子峰处吸收系数为 1 归一)
+export const ABSORPTION_PARAMS = {
+  excitonWidth: 0.08,      // 带边激子峰高斯宽度 σ (eV)
+  continuumStrength: 0.6,  // 带上连续吸收台阶高度 (相对激子峰)
+  continuumSlope: 2,       // 连续吸收随过剩能量的增长率 (1/eV)
+  opticalDensity: filmOpticalDensity(DEFAULT_STACK) // 薄膜在激子峰处的光密度 (OD)，器件模拟中由膜厚与负载量决定
+};
+
+/**
+ * 吸收带边 (第一激子) 能量：发射能量扣除缺陷 Stokes 位移
+ * 即 Eg + 限域 + 库仑 + Rydberg + 反常蓝移 + 壳层红移 + 温度位移
+ * @returns {{energy: number, wl: number}}
+ */
+export const calculateAbsorptionEdge = (radiusNm, reactionTime = 30, isCoreShell = false, options = {}) => {
+  const { terms } = calculateEmissionParams(radiusNm, reactionTime, isCoreShell, options);
+  const energy = Object.entries(terms)
+    .filter(([key]) => key !== 'defectStokes')
+    .reduce((sum, [, value]) => sum + value, 0);
+  return { energy, wl: energy > 0 ? 1240 / energy : Infinity };
+};
+
+// 单一尺寸量子点在光子能量 E 处的相对吸收系数：带边激子高斯峰 + 展宽台阶状连续吸收
+const absorptionCoefficient = (photonEnergy, edgeEnergy, params) => {
+  const { excitonWidth, continuumStrength, continuumSlope } = params;
+  const dE = photonEnergy - edgeEnergy;
+  const exciton = Math.exp(-(dE * dE) / (2 * excitonWidth * excitonWidth));
+  const step = 1 / (1 + Math.exp(-dE / excitonWidth));
+  return exciton + continuumStrength * step * (1 + continuumSlope * Math.max(dE, 0));
+};
+
+/**
+ * 激发光源在吸收网格上的光谱
+ * @param {object} pump - { wl, fwhm } (nm)
+ * @param {object} grid - 光谱网格 (吸收网格由它向紫外延伸)
+ */
+export const generatePumpSpectrum = (pump = DEFAULT_PUMP, grid = DEFAULT_SPECTRAL_GRID) => {
+  const sigma = pump.fwhm / 2.355;
+  return getGridWavelengths(getAbsorptionGrid(grid)).map(wl => ({ wl, intensity: Math.exp(-Math.pow(wl - pump.wl, 2) / (2 * sigma * sigma)) }));
+};
+
+/**
+ * 激发光被量子点吸收的比例 (对泵浦光谱加权平均)
+ * @param {number|Array<{energy, weight}>} edges - 带边能量 (eV)，或系综中各尺寸的 { energy, weight }
+ */
+export const calculateAbsorbedFraction = (edges, pump = DEFAULT_PUMP, params = ABSORPTION_PARAMS, grid = DEFAULT_SPECTRAL_GRID) => {
+  const populations = Array.isArray(edges) ? edges : [{ energy: edges, weight: 1 }];
+  const pumpSpectrum = generatePumpSpectrum(pump, grid);
+  let absorbed = 0, total = 0;
+  pumpSpectrum.forEach(({ wl, intensity }) => {
+    const alpha = populations.reduce((sum, { energy, weight }) => sum + weight * absorptionCoefficient(1240 / wl, energy, params), 0);
+    absorbed += intensity * (1 - Math.pow(10, -params.opticalDensity * alpha));
+    total += intensity;
+  });
+  return total > 0 ? absorbed / total : 0;
+};
+
+/**
+ * 吸收光谱与 PLE 激发谱
+ * 假设量子产率与激发波长无关，PLE 正比于单色激发下的吸收比例 1 - 10^(-A)，并峰值归一
+ * @param {number|Array<{energy, weight}>} edges - 同 calculateAbsorbedFraction
+ * @param {object} grid - 光谱网格 (结果在 getAbsorptionGrid(grid) 上，300nm 起)
+ * @returns {Array<{wl, absorbance, ple}>}
+ */
+export const generateAbsorptionSpectrum = (edges, params = ABSORPTION_PARAMS, grid = DEFAULT_SPECTRAL_GRID) => {
+  const populations = Array.isArray(edges) ? edges : [{ energy: edges, weight: 1 }];
+  const data = getGridWavelengths(getAbsorptionGrid(grid)).map(wl => {
+    const alpha = populations.reduce((sum, { energy, weight }) => sum + weight * absorptionCoefficient(1240 / wl, energy, params), 0);
+    const absorbance = params.opticalDensity * alpha;
+    return { wl, absorbance, ple: 1 - Math.pow(10, -absorbance) };
+  });
+  const maxPle = Math.max(...data.map(p => p.ple));
+  if (maxPle > 0) data.forEach(p => { p.ple /= maxPle; });
   return data;
 };
 
-// 光谱转 RGB 颜色 (CIE XYZ 算法)
-export const calculateColorFromSpectrum = (spectrum) => {
-  let X = 0, Y = 0, Z = 0;
-  spectrum.forEach(p => {
-    const wl = Math.round(p.wl / 10) * 10;
-    if (CMF[wl]) {
-      X += p.intensity * CMF[wl][0];
-      Y += p.intensity * CMF[wl][1];
-      Z += p.intensity * CMF[wl][2];
+/**
+ * 尺寸分布系综光谱 (非均匀展宽)
+ * 对粒径分布积分单点发射 (calculateEmissionParams)，每个量子点贡献一条均匀展宽的高斯线
+ * 小尺寸端能量随 1/R² 变化，因此对称的尺寸分布也会给出不对称的光谱
+ * @param {number} meanRadius - 平均半径 (nm)
+ * @param {object} ensemble - { sigma: 半径标准差 (nm), distribution: 'normal' | 'lognormal', homogeneousFwhm: 单点线宽 (nm)，0 表示纯非均匀展宽 }
+ * @param {object} emission - { reactionTime, isCoreShell, material, corrections, temperature?, varshni?, shellMonolayers?, shellOffsets?, pump?, absorptionParams?, grid? }
+ *   给定 pump 时按各尺寸对激发光的吸收比例加权 (尺寸选择性激发：带边附近激发只激发大尺寸量子点)
+ * @returns {{profile: Array, histogram: Array<{radius, weight, wl, edgeEnergy, absorbed}>, peakWl: number, fwhm: number}}
+ *   profile 为峰值归一的基质线型 (光谱网格上)，histogram.weight 为数量分数
+ */
+export const generateEnsembleSpectrum = (meanRadius, ensemble, emission = {}) => {
+  const { sigma, distribution = 'normal', homogeneousFwhm = 10 } = ensemble;
+  const { reactionTime = 30, isCoreShell = false, material, corrections, temperature, varshni, shellMonolayers, shellOffsets, pump, absorptionParams = ABSORPTION_PARAMS, grid = DEFAULT_SPECTRAL_GRID } = emission;
+  const emissionOptions = { material, corrections, temperature, varshni, shellMonolayers, shellOffsets };
+  const bins = 61;
+  const minRadius = 0.5; // 物理下限：小于 0.5nm 的团簇不计入
+
+  // 1. 粒径直方图 (数量分数)
+  let radii, pdf;
+  if (sigma <= 0) {
+    radii = [meanRadius];
+    pdf = () => 1;
+  } else if (distribution === 'lognormal') {
+    // 由线性空间的均值/标准差换算对数正态参数
+    const s2 = Math.log(1 + (sigma * sigma) / (meanRadius * meanRadius));
+    const mu = Math.log(meanRadius) - s2 / 2;
+    const s = Math.sqrt(s2);
+    const lo = Math.max(Math.exp(mu - 4 * s), minRadius), hi = Math.exp(mu + 4 * s);
+    radii = Array.from({ length: bins }, (_, i) => lo + (hi - lo) * i / (bins - 1));
+    pdf = (r) => Math.exp(-Math.pow(Math.log(r) - mu, 2) / (2 * s2)) / r;
+  } else {
+    const lo = Math.max(meanRadius - 4 * sigma, minRadius), hi = meanRadius + 4 * sigma;
+    radii = Array.from({ length: bins }, (_, i) => lo + (hi - lo) * i / (bins - 1));
+    pdf = (r) => Math.exp(-Math.pow(r - meanRadius, 2) / (2 * sigma * sigma));
+  }
+  const rawWeights = radii.map(pdf);
+  const total = rawWeights.reduce((a, b) => a + b, 0);
+  const histogram = radii.map((radius, i) => {
+    const edgeEnergy = calculateAbsorptionEdge(radius, reactionTime, isCoreShell, emissionOptions).energy;
+    return {
+      radius,
+      weight: rawWeights[i] / total,
+      wl: calculateEmissionParams(radius, reactionTime, isCoreShell, emissionOptions).wl,
+      edgeEnergy,
+      absorbed: pump ? calculateAbsorbedFraction(edgeEnergy, pump, absorptionParams, grid) : 1
+    };
+  });
+
+  // 2. 叠加单点发射 (发射强度 ∝ 数量 × 吸收比例)
+  const profile = getGridWavelengths(grid).map(wl => ({ wl, intensity: 0 }));
+  histogram.forEach(({ weight: number, absorbed, wl: center }) => {
+    const weight = number * absorbed;
+    if (homogeneousFwhm > 0) {
+      const s = homogeneousFwhm / 2.355;
+      profile.forEach(p => { p.intensity += weight * Math.exp(-Math.pow(p.wl - center, 2) / (2 * s * s)); });
+    } else {
+      // 无均匀展宽：按线性权重分配到相邻网格点
+      const idx = Math.min(Math.max((center - grid.min) / grid.step, 0), profile.length - 1);
+      const i = Math.min(Math.floor(idx), profile.length - 2);
+      const t = idx - i;
+      profile[i].intensity += weight * (1 - t);
+      profile[i + 1].intensity += weight * t;
     }
   });
 
+  const max = Math.max(...profile.map(p => p.intensity));
+  if (max > 0) profile.forEach(p => { p.intensity /= max; });
+  const peak = profile.reduce((best, p) => (p.intensity > best.intensity ? p : best), profile[0]);
+
+  return { profile, histogram, peakWl: peak.wl, fwhm: measureFwhm(profile) };
+};
+
+/**
+ * 白光 LED 混合光谱管线：激发光 → 远程荧光 QD 膜 (见 device.js)
+ * QD 发射强度由膜层对激发光的吸收、量子产率与自吸收决定，透过的激发光构成泄漏分量
+ * @param {object} params - { radius, fwhm, reactionTime, zrDoping, isCoreShell, material?, corrections?, ensemble?, pump?, stack?, blend?, temperature?, varshni?, shellMonolayers?, shellOffsets?, grid? }
+ *   temperature 为荧光膜温度 (°C，缺省 25)：带隙 Varshni 位移、声子展宽 FWHM 与 Arrhenius 热猝灭 (见 thermal.js)
+ *   shellMonolayers 为 ZnS 壳层单层数：决定壳层红移，并按表面钝化提高 stack.quantumYield (裸核量子产率，见 shell.js)
+ *   ensemble 存在时使用尺寸分布系综线型 (见 generateEnsembleSpectrum)，fwhm 不再生效
+ *   pump 为激发光源 { wl, fwhm }，缺省为 455nm 蓝光芯片
+ *   stack 为器件结构 { filmThickness, qdConcentration, siliconeGap, quantumYield, chipPower }，缺省为 DEFAULT_STACK
+ *   blend 为附加荧光组分 [{ spectrum, weight }] (见 blend.js)，weight 为相对主 QD 发射的辐射功率比，spectrum 须与 grid 对齐
+ *   grid 为光谱网格 { min, max, step } (见 spectralGrid.js)，缺省 360-830nm / 5nm
+ * @returns {{peakWl: number, energy: string, terms: object, qdSpectrum: Array, spectrum: Array, ensemble: object|null, absorption: object, device: object}}
+ *   spectrum 为峰值归一的出光光谱 (grid 上)
+ *   absorption: { spectrum (吸收 + PLE), edgeEnergy, edgeWl, absorbedFraction, stokesShift: { energy (eV), wl (nm) } }
+ *   device: simulatePhosphorStack 的 metrics (光通量、LER、转换效率、封装效率等)
+ *   kinetics: Zr 能量转移速率方程的稳态解 (见 kinetics.js solveSteadyState)
+ *   thermal: { temperature, fwhm (展宽后的线宽 nm), quenching (相对 25 °C 的 QD 发光强度) }
+ *   shell: { monolayers, thickness (nm), redShift (eV), quantumYield (钝化后的量子产率) }，裸核时 monolayers 为 0
+ */
+export const simulateWhiteLED = ({ radius, fwhm, reactionTime, zrDoping, isCoreShell, material, corrections, ensemble, pump = DEFAULT_PUMP, stack = DEFAULT_STACK, blend = [], temperature = REFERENCE_TEMPERATURE, varshni, shellMonolayers = DEFAULT_SHELL_MONOLAYERS, shellOffsets, grid = DEFAULT_SPECTRAL_GRID }) => {
+  const absorptionParams = { ...ABSORPTION_PARAMS, opticalDensity: filmOpticalDensity(stack) };
+  const emissionOptions = { material, corrections, temperature, varshni, shellMonolayers, shellOffsets };
+  const single = calculateEmissionParams(radius, reactionTime, isCoreShell, emissionOptions);
+  const { energy, terms } = single;
+  // 声子展宽：单点模式作用于整体 FWHM，系综模式作用于单点 (均匀) 线宽
+  const ensembleResult = ensemble
+    ? generateEnsembleSpectrum(radius, {
+        ...ensemble,
+        homogeneousFwhm: ensemble.homogeneousFwhm > 0 ? broadenFwhm(ensemble.homogeneousFwhm, single.wl, temperature) : 0
+      }, { reactionTime, isCoreShell, ...emissionOptions, pump, absorptionParams, grid })
+    : null;
+  const peakWl = ensembleResult ? ensembleResult.peakWl : single.wl;
+  const thermalFwhm = broadenFwhm(fwhm, peakWl, temperature);
+  const qdSpectrum = generateCompositeSpectrum(peakWl, thermalFwhm, zrDoping, ensembleResult && ensembleResult.profile, getZrEmission(corrections), grid);
+
+  // 吸收：系综按数量分数叠加各尺寸的吸收，带边取数量加权平均
+  const edges = ensembleResult
+    ? ensembleResult.histogram.map(({ edgeEnergy, weight }) => ({ energy: edgeEnergy, weight }))
+    : calculateAbsorptionEdge(radius, reactionTime, isCoreShell, emissionOptions).energy;
+  const edgeEnergy = Array.isArray(edges) ? edges.reduce((sum, e) => sum + e.energy * e.weight, 0) : edges;
+  const absorptionSpectrum = generateAbsorptionSpectrum(edges, absorptionParams, grid);
+
+  // 多组分荧光：各组分按面积归一后按功率比叠加 (近似为共享同一吸收膜与量子产率)
+  const areaNormalize = (data) => {
+    const area = data.reduce((sum, p) => sum + p.intensity, 0) || 1;
+    return data.map(p => p.intensity / area);
+  };
+  const qdShape = areaNormalize(qdSpectrum);
+  const componentShapes = blend.map(({ spectrum: componentSpectrum, weight }) => ({ shape: areaNormalize(componentSpectrum), weight }));
+  const emission = qdSpectrum.map((p, i) => ({
+    wl: p.wl,
+    intensity: qdShape[i] + componentShapes.reduce((sum, c) => sum + c.weight * c.shape[i], 0)
+  }));
+
+  // 器件光传输：壳层表面钝化、Zr 掺杂的能量转移与浓度猝灭 (速率方程稳态解) 及热猝灭计入有效量子产率
+  const monolayers = isCoreShell ? shellMonolayers : 0;
+  const passivatedQY = passivatedQuantumYield(stack.quantumYield, monolayers);
+  const kinetics = solveSteadyState(zrDoping);
+  const quenching = thermalQuenchingFactor(temperature, isCoreShell);
+  const stackResult = simulatePhosphorStack({
+    pump: generatePumpSpectrum(pump, grid),
+    absorbance: absorptionSpectrum,
+    emission,
+    quantumYield: passivatedQY * kinetics.relativeTotal * quenching,
+    stack
+  });
+  const visible = stackResult.spectrum.filter(p => p.wl >= grid.min);
+  const maxIntensity = Math.max(...visible.map(p => p.intensity)) || 1;
+  const spectrum = visible.map(p => ({ wl: p.wl, intensity: p.intensity / maxIntensity }));
+
+  const absorption = {
+    spectrum: absorptionSpectrum,
+    edgeEnergy,
+    edgeWl: 1240 / edgeEnergy,
+    absorbedFraction: stackResult.metrics.absorbedFraction,
+    stokesShift: { energy: edgeEnergy - 1240 / peakWl, wl: peakWl - 1240 / edgeEnergy }
+  };
+
+  const thermal = { temperature, fwhm: ensembleResult ? ensembleResult.fwhm : thermalFwhm, quenching };
+  const shell = { monolayers, thickness: shellThickness(monolayers), redShift: terms.shellRedShift, quantumYield: passivatedQY };
+
+  return { peakWl, energy, terms, qdSpectrum, spectrum, ensemble: ensembleResult, absorption, device: stackResult.metrics, kinetics, thermal, shell };
+};
+
+/**
+ * 光谱的显示颜色 (色彩管理，见 colorManagement.js)
+ * 光谱按辐射功率归一后由 Y 得到亮度：曝光 0 EV 时光视效能 683 lm/W 对应满亮度白
+ * @param {Array<{wl: number, intensity: number}>} spectrum
+ * @param {object} display - { space: 'srgb' | 'p3', exposure (EV), gamutMapping: 'clip' | 'hue' }
+ * @returns {{css: string, hex: string, x: string, y: string, luminance: number, luminousEfficacy: number, inGamut: boolean, overexposed: boolean}}
+ *   css 为所选显示空间的 CSS 颜色 (图表 / 界面)；hex 为同一颜色映射到 sRGB 的值 (WebGL 画布按 sRGB 输出)
+ *   luminance 为相对显示器白的亮度，luminousEfficacy 为光谱的光视效能 (lm/W)
+ */
+export const calculateColorFromSpectrum = (spectrum, display = DEFAULT_DISPLAY) => {
+  const { space, exposure, gamutMapping } = { ...DEFAULT_DISPLAY, ...display };
+  const tristimulus = calculateTristimulus(spectrum);
+  if (!tristimulus || tristimulus.power <= 0) {
+    return { css: '#000000', hex: '#000000', x: '0', y: '0', luminance: 0, luminousEfficacy: 0, inGamut: true, overexposed: false };
+  }
+
+  const { X, Y, Z } = tristimulus;
+  const luminance = Math.pow(2, exposure) * Y / tristimulus.power;
+  const XYZ = [X, Y, Z].map(c => c * luminance / Y);
+  const mapped = xyzToDisplay(XYZ, space, gamutMapping);
+  const webgl = space === 'srgb' ? mapped : xyzToDisplay(XYZ, 'srgb', gamutMapping);
+
+  return {
+    css: toCssColor(mapped.rgb, space),
+    hex: toHex(webgl.rgb),
+    x: tristimulus.x.toFixed(4),
+    y: tristimulus.y.toFixed(4),
+    luminance,
+    luminousEfficacy: 683 * Y / tristimulus.power,
+    inGamut: mapped.inGamut,
+    overexposed: mapped.overexposed
+  };
+};
+
+// ------------------------------------------
+// 色度学工具：CIE XYZ / CIE 1960 UCS
+// ------------------------------------------
+
+// 光谱线性插值 (光谱数组需按波长升序)，范围外记为 0
+export const interpolateSpectrum = (spectrum, wl) => {
+  if (!spectrum.length || wl < spectrum[0].wl || wl > spectrum[spectrum.length - 1].wl) return 0;
+  let lo = 0, hi = spectrum.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (spectrum[mid].wl <= wl) lo = mid; else hi = mid;
+  }
+  const p0 = spectrum[lo], p1 = spectrum[hi];
+  if (p1.wl === p0.wl) return p0.intensity;
+  return p0.intensity + (p1.intensity - p0.intensity) * (wl - p0.wl) / (p1.wl - p0.wl);
+};
+
+// 色度学积分网格：覆盖 range (缺省为观察者范围 360-830nm)，步长取光谱自身的采样间隔 (不超过 5nm)
+// 观察者与色样数据插值到同一网格上积分，样点不再取整到数据表节点
+const colorimetricWavelengths = (spectrum, range = SPECTRAL_LIMITS) => {
+  const sampled = spectrum.length > 1 ? spectrum[1].wl - spectrum[0].wl : 0;
+  return getGridWavelengths({ ...range, step: sampled > 0 ? Math.min(sampled, 5) : 5 });
+};
+
+// 光谱在给定波长上的非负采样
+const sampleSpectrum = (spectrum, wavelengths) => wavelengths.map(wl => Math.max(interpolateSpectrum(spectrum, wl), 0));
+
+// CIE 13.3 显色指数的计算范围
+const CRI_RANGE = { min: 380, max: 780 };
+
+// 普朗克轨迹与 CCT 查找表使用的固定精细网格 (与待测光谱的采样无关)
+const locusWavelengths = () => getGridWavelengths({ ...SPECTRAL_LIMITS, step: 1 });
+
+// 普朗克黑体辐射相对光谱功率 (c2 = 1.4388e-2 m·K)
+const planckianSPD = (T, wavelengths = locusWavelengths()) => wavelengths.map(wl => {
+  const lambda = wl * 1e-9;
+  return 1 / (Math.pow(lambda, 5) * (Math.exp(1.4388e-2 / (lambda * T)) - 1));
+});
+
+// CIE D 系列日光相对光谱功率 (4000K - 25000K)，基函数从 10nm 线性插值到网格
+const daylightSPD = (T, wavelengths) => {
+  const xD = T <= 7000
+    ? -4.6070e9 / T ** 3 + 2.9678e6 / T ** 2 + 0.09911e3 / T + 0.244063
+    : -2.0064e9 / T ** 3 + 1.9018e6 / T ** 2 + 0.24748e3 / T + 0.237040;
+  const yD = -3.000 * xD * xD + 2.870 * xD - 0.275;
+  const M = 0.0241 + 0.2562 * xD - 0.7341 * yD;
+  const M1 = (-1.3515 - 1.7703 * xD + 5.9114 * yD) / M;
+  const M2 = (0.0300 - 31.4424 * xD + 30.0717 * yD) / M;
+  return resampleTable(DAYLIGHT_S, wavelengths, 'linear').map(([S0, S1, S2]) => S0 + M1 * S1 + M2 * S2);
+};
+
+// 光谱功率 (与 wavelengths 对齐) × 反射率 (按下标) → 三刺激值 XYZ
+const spdToXYZ = (wavelengths, spd, reflectance = () => 1, observer = CIE_1931_2) => {
+  const cmf = resampleTable(observer.table, wavelengths);
+  let X = 0, Y = 0, Z = 0;
+  wavelengths.forEach((wl, i) => {
+    const p = spd[i] * reflectance(i);
+    const [xb, yb, zb] = cmf[i];
+    X += p * xb; Y += p * yb; Z += p * zb;
+  });
+  return [X, Y, Z];
+};
+
+/**
+ * 光谱的三刺激值与色度坐标
+ * @param {Array<{wl: number, intensity: number}>} spectrum
+ * @param {object} observer - 色度观察者 { id, label, table } (见 observers.js)，缺省 CIE 1931 2°
+ * @returns {{X: number, Y: number, Z: number, x: number, y: number, power: number} | null}
+ *   power 为同一网格上的光谱功率和，Y / power 即光视效能 / 683 lm/W
+ */
+export const calculateTristimulus = (spectrum, observer = CIE_1931_2) => {
+  const wavelengths = colorimetricWavelengths(spectrum);
+  const spd = sampleSpectrum(spectrum, wavelengths);
+  const [X, Y, Z] = spdToXYZ(wavelengths, spd, undefined, observer);
   const sum = X + Y + Z;
-  if (sum === 0) return { hex: '#000000', x: 0, y: 0 };
+  if (sum <= 0) return null;
+  return { X, Y, Z, x: X / sum, y: Y / sum, power: spd.reduce((a, b) => a + b, 0) };
+};
 
-  const cx = (X / sum).toFixed(4);
-  const cy = (Y / sum).toFixed(4);
+// XYZ → CIE 1960 UCS (u, v)
+const xyzToUV = ([X, Y, Z]) => {
+  const denom = X + 15 * Y + 3 * Z;
+  if (denom === 0) return [0, 0];
+  return [4 * X / denom, 6 * Y / denom];
+};
 
-  // XYZ to sRGB 矩阵变换
-  let r = 3.2406 * X - 1.5372 * Y - 0.4986 * Z;
-  let g = -0.9689 * X + 1.8758 * Y + 0.0415 * Z;
-  let b = 0.0557 * X - 0.2040 * Y + 1.0570 * Z;
+// 普朗克轨迹查找表 (1000K - 25000K，按 mired 等间隔)，首次使用时生成
+let planckianTable = null;
+const getPlanckianTable = () => {
+  if (!planckianTable) {
+    planckianTable = [];
+    for (let mired = 1000; mired >= 40; mired -= 2) {
+      const T = 1e6 / mired;
+      const [u, v] = xyzToUV(spdToXYZ(locusWavelengths(), planckianSPD(T)));
+      planckianTable.push({ T, u, v });
+    }
+  }
+  return planckianTable;
+};
 
-  const max = Math.max(r, g, b, 1);
-  r = r / max; g = g / max; b = b / max; 
+/**
+ * 相关色温 (CCT) 与 Duv
+ * 在普朗克轨迹查找表上找最近点，再在相邻两点间做抛物线细化
+ * @param {number} u - CIE 1960 u
+ * @param {number} v - CIE 1960 v
+ * @returns {{cct: number, duv: number}} Duv 在轨迹上方为正
+ */
+export const calculateCCTFromUV = (u, v) => {
+  const table = getPlanckianTable();
+  const dist = (p) => Math.hypot(u - p.u, v - p.v);
 
-  // Gamma 校正
-  const gammaCorrect = (c) => c > 0.0031308 ? 1.055 * Math.pow(c, 1 / 2.4) - 0.055 : 12.92 * c;
-  
-  r = gammaCorrect(Math.max(r, 0));
-  g = gammaCorrect(Math.max(g, 0));
-  b = gammaCorrect(Math.max(b, 0));
+  let best = 0;
+  table.forEach((p, i) => { if (dist(p) < dist(table[best])) best = i; });
+
+  let cct = table[best].T;
+  if (best > 0 && best < table.length - 1) {
+    // 抛物线插值 (以 mired 为自变量)
+    const [a, b, c] = [table[best - 1], table[best], table[best + 1]];
+    const [da, db, dc] = [dist(a), dist(b), dist(c)];
+    const denom = da - 2 * db + dc;
+    const miredStep = 1e6 / c.T - 1e6 / b.T;
+    const offset = denom > 0 ? 0.5 * (da - dc) / denom : 0;
+    cct = 1e6 / (1e6 / b.T + offset * miredStep);
+  }
 
-  const R = Math.round(r * 255);
-  const G = Math.round(g * 255);
-  const B = Math.round(b * 255);
+  const [ul, vl] = xyzToUV(spdToXYZ(locusWavelengths(), planckianSPD(cct)));
+  const duv = Math.sign(v - vl) * Math.hypot(u - ul, v - vl);
+  return { cct, duv };
+};
 
-  return { hex: `rgb(${R},${G},${B})`, x: cx, y: cy };
+// CIE 1960 (u, v) → CIE 1931 (x, y)
+const uvToXY = (u, v) => {
+  const denom = 2 * u - 8 * v + 4;
+  return [3 * u / denom, 2 * v / denom];
 };
 
-// 显色指数 (CRI) 估算
-// 基于 R/G/B 比例的简化算法，用于实时演示
+/**
+ * 光谱的色度坐标、相关色温与 Duv
+ * @param {Array<{wl: number, intensity: number}>} spectrum
+ * @returns {{x: number, y: number, u: number, v: number, cct: number, duv: number} | null}
+ */
+export const calculateChromaticity = (spectrum) => {
+  const tristimulus = calculateTristimulus(spectrum);
+  if (!tristimulus) return null;
+
+  const [u, v] = xyzToUV([tristimulus.X, tristimulus.Y, tristimulus.Z]);
+  const { cct, duv } = calculateCCTFromUV(u, v);
+  return {
+    x: tristimulus.x,
+    y: tristimulus.y,
+    u, v,
+    cct: Math.round(cct),
+    duv: parseFloat(duv.toFixed(4)) || 0
+  };
+};
+
+// 光谱轨迹 (单色光的 x, y，360-830nm / 5nm)，用于绘制马蹄形
+export const getSpectralLocus = (observer = CIE_1931_2) => {
+  const wavelengths = getGridWavelengths({ ...SPECTRAL_LIMITS, step: 5 });
+  return resampleTable(observer.table, wavelengths)
+    .map(([X, Y, Z], i) => ({ wl: wavelengths[i], sum: X + Y + Z, X, Y }))
+    .filter(p => p.sum > 0)
+    .map(({ wl, sum, X, Y }) => ({ wl, x: X / sum, y: Y / sum }));
+};
+
+/**
+ * 普朗克轨迹与等色温线
+ * @param {number[]} isoTemps - 需要绘制等色温线的色温 (K)
+ * @param {number} duvSpan - 等色温线在轨迹两侧延伸的 Duv 长度
+ * @returns {{locus: Array<{T, x, y}>, isotherms: Array<{T, start: number[], end: number[]}>}}
+ */
+export const getPlanckianLocus = (isoTemps = [2000, 2500, 3000, 4000, 5000, 6500, 10000], duvSpan = 0.02) => {
+  const table = getPlanckianTable();
+  const locus = table.map(({ T, u, v }) => {
+    const [x, y] = uvToXY(u, v);
+    return { T, x, y };
+  });
+
+  const isotherms = isoTemps.map(T => {
+    // 等色温线在 uv 平面上垂直于轨迹切线
+    const [u0, v0] = xyzToUV(spdToXYZ(locusWavelengths(), planckianSPD(T)));
+    const [u1, v1] = xyzToUV(spdToXYZ(locusWavelengths(), planckianSPD(T * 1.01)));
+    const len = Math.hypot(u1 - u0, v1 - v0);
+    const [nu, nv] = [-(v1 - v0) / len, (u1 - u0) / len];
+    return {
+      T,
+      start: uvToXY(u0 - nu * duvSpan, v0 - nv * duvSpan),
+      end: uvToXY(u0 + nu * duvSpan, v0 + nv * duvSpan)
+    };
+  });
+
+  return { locus, isotherms };
+};
+
+/**
+ * 显色指数 (CIE 13.3-1995)
+ * 1. 由 CCT 选择参照光源：< 5000K 用普朗克辐射体，否则用 D 系列日光
+ * 2. 计算 15 个试验色样在待测光源/参照光源下的 CIE 1960 色度
+ * 3. von Kries 色适应变换后在 CIE 1964 U*V*W* 空间计算色差 ΔE
+ * 4. Ri = 100 - 4.6ΔE，Ra 为 R1-R8 的平均值
+ * 在 380-780nm 上按光谱自身的采样间隔积分 (色样反射率插值到同一网格)
+ * @param {Array<{wl: number, intensity: number}>} spectrum - 待测光源光谱
+ * @returns {{Ra: number, R: number[], cct: number, duv: number, dc: number, reference: string} | null}
+ *   R 为 [R1 ... R15]；dc 为待测光源与参照光源的色度距离 (CIE 建议 < 5.4e-3)
+ */
 export const calculateCRI = (spectrum) => {
-  let total = 0, r = 0, g = 0, b = 0;
-  spectrum.forEach(p => {
-    total += p.intensity;
-    if(p.wl > 600) r += p.intensity; // 红光分量
-    else if(p.wl > 510) g += p.intensity; // 绿光分量
-    else b += p.intensity; // 蓝光分量
+  const wavelengths = colorimetricWavelengths(spectrum, CRI_RANGE);
+  const testSPD = sampleSpectrum(spectrum, wavelengths);
+  const testXYZ = spdToXYZ(wavelengths, testSPD);
+  if (testXYZ[1] <= 0) return null;
+
+  const [uk, vk] = xyzToUV(testXYZ);
+  const { cct, duv } = calculateCCTFromUV(uk, vk);
+  const refT = Math.min(Math.max(cct, 1000), 25000);
+  const reference = refT < 5000 ? 'planckian' : 'daylight';
+  const refSPD = reference === 'planckian' ? planckianSPD(refT, wavelengths) : daylightSPD(refT, wavelengths);
+  const reflectances = resampleTable(TCS, wavelengths);
+
+  // 色样在某光源下的 Y (以光源 Y=100 归一) 与 u, v
+  const sampleColors = (spd) => {
+    const k = 100 / spdToXYZ(wavelengths, spd)[1];
+    return reflectances[0].map((_, i) => {
+      const xyz = spdToXYZ(wavelengths, spd, j => reflectances[j][i]).map(c => c * k);
+      const [u, v] = xyzToUV(xyz);
+      return { Y: xyz[1], u, v };
+    });
+  };
+
+  const cFn = (u, v) => (4 - u - 10 * v) / v;
+  const dFn = (u, v) => (1.708 * v + 0.404 - 1.481 * u) / v;
+
+  const [ur, vr] = xyzToUV(spdToXYZ(wavelengths, refSPD));
+  const cr = cFn(ur, vr), dr = dFn(ur, vr);
+  const ck = cFn(uk, vk), dk = dFn(uk, vk);
+
+  // von Kries 色适应：把待测光源下的色度变换到参照白点下
+  const adapt = (u, v) => {
+    const c = cFn(u, v) * cr / ck;
+    const d = dFn(u, v) * dr / dk;
+    const denom = 16.518 + 1.481 * c - d;
+    return [(10.872 + 0.404 * c - 4 * d) / denom, 5.520 / denom];
+  };
+
+  const toUVW = ({ Y, u, v }, [u0, v0]) => {
+    const W = 25 * Math.cbrt(Y) - 17;
+    return [13 * W * (u - u0), 13 * W * (v - v0), W];
+  };
+
+  const refWhite = [ur, vr];
+  const testWhite = adapt(uk, vk);
+  const refSamples = sampleColors(refSPD);
+  const testSamples = sampleColors(testSPD);
+
+  const R = refSamples.map((ref, i) => {
+    const [ua, va] = adapt(testSamples[i].u, testSamples[i].v);
+    const [U1, V1, W1] = toUVW(ref, refWhite);
+    const [U2, V2, W2] = toUVW({ Y: testSamples[i].Y, u: ua, v: va }, testWhite);
+    const dE = Math.sqrt((U1 - U2) ** 2 + (V1 - V2) ** 2 + (W1 - W2) ** 2);
+    return 100 - 4.6 * dE;
   });
-  
-  if (total === 0) return 0;
-  
-  // 白光平衡度越好，CRI 越高
-  const balance = (Math.min(r, g, b * 1.5) / (total / 3.5)); 
-  return Math.min(Math.round(60 + balance * 40), 98);
+
+  const Ra = R.slice(0, 8).reduce((a, b) => a + b, 0) / 8;
+
+  return {
+    Ra: parseFloat(Ra.toFixed(1)),
+    R: R.map(r => parseFloat(r.toFixed(1))),
+    cct: Math.round(cct),
+    duv: parseFloat(duv.toFixed(4)) || 0,
+    dc: Math.hypot(uk - ur, vk - vr),
+    reference
+  };
 };
 
 
@@ -181,133 +764,308 @@ export const calculateCRI = (spectrum) => {
 // Part 2: 晶体结构引擎 (Crystallography)
 // ==========================================
 
-// 原子定义：AgGaS2 + Zr Dopant
-const ATOM_DEFS = {
-  Ag: { radius: 0.15, color: '#C0C0C0', label: 'Silver' }, // 银：大半径，银灰
-  Ga: { radius: 0.12, color: '#DAA520', label: 'Gallium' }, // 镓：中半径，金橙
-  S:  { radius: 0.08, color: '#FFFF00', label: 'Sulfur' }, // 硫：小半径，亮黄
-  Zr: { radius: 0.12, color: '#3b82f6', label: 'Zirconium' } // 锆：掺杂原子，亮蓝
-};
-
 // 黄铜矿 (Chalcopyrite) 晶胞参数 (Space Group I-42d)
-// 归一化比例 a=1, c=1.8 (真实 c/a ≈ 1.8)
-const LATTICE_CONST = { a: 1, c: 1.8 };
+// 结构数据一律使用真实晶格 (Å)：晶格矢量 + 分数坐标 + 笛卡尔坐标，可视化缩放由渲染层负责 (材料数据见 materials.js)
 
 /**
- * 生成原子列表
- * @param {string} mode - 'unit' (单胞) | 'cluster' (纳米晶簇)
- * @param {number} zrConc - Zr 掺杂浓度 (影响随机替换概率)
+ * 晶胞参数 → 晶格矢量 (a 沿 x 轴，b 在 xy 平面内)
+ * @param {{a, b, c, alpha, beta, gamma}} cell - 长度 Å，角度 °
+ * @returns {number[][]} [a⃗, b⃗, c⃗] (Å)
  */
-export const getLatticeStructure = (mode = 'unit', zrConc = 0) => {
-  let atoms = [];
-  
-  // 1. 定义标准单胞内的基元 (Basis)
-  // 坐标来源于 AgGaS2 晶体学数据 (Wyckoff positions)
-  const basis = [
-    // Ag (4a)
-    { u:0, v:0, w:0, type:'Ag' },
-    { u:0, v:0.5, w:0.25, type:'Ag' },
-    { u:0.5, v:0.5, w:0.5, type:'Ag' }, // I-center shift of (0,0,0)
-    { u:0.5, v:0, w:0.75, type:'Ag' },  // I-center shift of (0,0.5,0.25)
-
-    // Ga (4b)
-    { u:0, v:0, w:0.5, type:'Ga' },
-    { u:0, v:0.5, w:0.75, type:'Ga' },
-    { u:0.5, v:0.5, w:0, type:'Ga' },
-    { u:0.5, v:0, w:0.25, type:'Ga' },
-
-    // S (8d) - 近似位置 x=0.25
-    { u:0.25, v:0.25, w:0.125, type:'S' },
-    { u:0.75, v:0.25, w:0.875, type:'S' },
-    { u:0.25, v:0.75, w:0.125, type:'S' },
-    { u:0.75, v:0.75, w:0.875, type:'S' },
-    // Body-centered shifts for S
-    { u:0.75, v:0.75, w:0.625, type:'S' },
-    { u:0.25, v:0.75, w:0.375, type:'S' },
-    { u:0.75, v:0.25, w:0.625, type:'S' },
-    { u:0.25, v:0.25, w:0.375, type:'S' }
+export const cellToVectors = ({ a, b, c, alpha, beta, gamma }) => {
+  const rad = Math.PI / 180;
+  const ca = Math.cos(alpha * rad), cb = Math.cos(beta * rad), cg = Math.cos(gamma * rad), sg = Math.sin(gamma * rad);
+  const cy = (ca - cb * cg) / sg;
+  const cz = Math.sqrt(Math.max(1 - cb * cb - cy * cy, 0));
+  const clean = (v) => (Math.abs(v) < 1e-10 ? 0 : v);
+  return [
+    [a, 0, 0],
+    [clean(b * cg), clean(b * sg), 0],
+    [clean(c * cb), clean(c * cy), clean(c * cz)]
   ];
+};
 
-  // 2. 确定生成的晶胞范围 (Supercell Range)
-  let rangeX = 1, rangeY = 1, rangeZ = 1;
-  
-  if (mode === 'cluster') {
-    // 纳米晶簇：生成 2x2x2 的超胞，然后裁剪成球形
-    rangeX = 2; rangeY = 2; rangeZ = 2; 
-  }
+/**
+ * 晶格矢量 → 晶胞参数
+ * @param {number[][]} vectors - [a⃗, b⃗, c⃗] (Å)
+ */
+export const vectorsToCell = (vectors) => {
+  const norm = (v) => Math.hypot(...v);
+  const angle = (u, v) => Math.acos((u[0] * v[0] + u[1] * v[1] + u[2] * v[2]) / (norm(u) * norm(v))) * 180 / Math.PI;
+  const [va, vb, vc] = vectors;
+  return { a: norm(va), b: norm(vb), c: norm(vc), alpha: angle(vb, vc), beta: angle(va, vc), gamma: angle(va, vb) };
+};
 
-  // 3. 遍历生成原子
-  // Zr 替换概率: 简单模拟，0.3mmol 对应约 10% 的 Ga 被替换
-  const dopingProb = Math.min(zrConc / 0.3 * 0.15, 1.0);
+// 分数坐标 → 笛卡尔坐标 (Å)
+export const fracToCart = ([u, v, w], vectors) => [0, 1, 2].map(k => u * vectors[0][k] + v * vectors[1][k] + w * vectors[2][k]);
 
-  const centerOffset = { x: rangeX/2, y: rangeY/2, z: rangeZ/2 };
+// 笛卡尔坐标 (Å) → 分数坐标 (晶格矩阵求逆)
+export const cartToFrac = (cart, vectors) => {
+  const [[a1, a2, a3], [b1, b2, b3], [c1, c2, c3]] = vectors;
+  const det = a1 * (b2 * c3 - b3 * c2) - a2 * (b1 * c3 - b3 * c1) + a3 * (b1 * c2 - b2 * c1);
+  if (Math.abs(det) < 1e-12) throw new Error('Lattice vectors are linearly dependent');
+  const [x, y, z] = cart;
+  return [
+    (x * (b2 * c3 - b3 * c2) - y * (b1 * c3 - b3 * c1) + z * (b1 * c2 - b2 * c1)) / det,
+    (a1 * (y * c3 - z * c2) - a2 * (x * c3 - z * c1) + a3 * (x * c2 - y * c1)) / det,
+    (a1 * (b2 * z - b3 * y) - a2 * (b1 * z - b3 * x) + a3 * (b1 * y - b2 * x)) / det
+  ];
+};
 
-  for (let x = 0; x < rangeX; x++) {
-    for (let y = 0; y < rangeY; y++) {
-      for (let z = 0; z < rangeZ; z++) {
-        
-        basis.forEach(atomBase => {
-          // 计算绝对位置
-          const posX = (atomBase.u + x);
-          const posY = (atomBase.v + y);
-          const posZ = (atomBase.w + z) * LATTICE_CONST.c; // 伸缩 C 轴
+// 晶胞体积 (晶格矢量混合积，Å³)
+export const cellVolume = ([a, b, c]) =>
+  a[0] * (b[1] * c[2] - b[2] * c[1]) - a[1] * (b[0] * c[2] - b[2] * c[0]) + a[2] * (b[0] * c[1] - b[1] * c[0]);
 
-          // 居中偏移
-          const finalX = (posX - centerOffset.x) * 1.5; // 1.5倍间距让视觉更宽松
-          const finalY = (posY - centerOffset.y) * 1.5;
-          const finalZ = (posZ - centerOffset.z * LATTICE_CONST.c) * 1.5;
+// CIF 风格数值：去掉标准不确定度括号，支持分数 "1/2"
+export const parseFraction = (token) => {
+  if (token === undefined) return NaN;
+  const fraction = token.match(/^([+-]?\d+)\/(\d+)$/);
+  if (fraction) return parseInt(fraction[1], 10) / parseInt(fraction[2], 10);
+  return parseFloat(token.replace(/\(\d+\)$/, ''));
+};
 
-          // 裁剪逻辑 (仅Cluster模式)
-          if (mode === 'cluster') {
-            const dist = Math.sqrt(finalX*finalX + finalY*finalY + finalZ*finalZ);
-            if (dist > 2.2) return; // 球形裁剪
-          }
+/**
+ * 解析对称操作字符串 (如 "-x+1/2, y, -z+3/4")
+ * @returns {function(number[]): number[]} 分数坐标变换
+ */
+export const parseSymmetryOperation = (text) => {
+  const rows = text.toLowerCase().replace(/\s/g, '').split(',');
+  if (rows.length !== 3) throw new Error(`Invalid symmetry operation "${text}"`);
+  const matrix = rows.map(expr => {
+    const row = { x: 0, y: 0, z: 0, t: 0 };
+    const terms = expr.match(/[+-]?[^+-]+/g) || [];
+    terms.forEach(term => {
+      const variable = term.match(/[xyz]/);
+      if (variable) {
+        const coeffText = term.replace(/[xyz*]/g, '');
+        const coeff = coeffText === '' || coeffText === '+' ? 1 : coeffText === '-' ? -1 : parseFraction(coeffText);
+        row[variable[0]] += coeff;
+      } else {
+        row.t += parseFraction(term);
+      }
+    });
+    if (Object.values(row).some(v => !Number.isFinite(v))) throw new Error(`Invalid symmetry operation "${text}"`);
+    return row;
+  });
+  return ([x, y, z]) => matrix.map(r => r.x * x + r.y * y + r.z * z + r.t);
+};
+
+const wrapFraction = (t) => {
+  const w = t - Math.floor(t);
+  return w > 1 - 1e-6 ? 0 : w;
+};
+
+// 周期边界下的重复位置判定 (分数坐标)
+const isSamePosition = (p, q, tol = 1e-3) => p.every((v, k) => {
+  const d = Math.abs(v - q[k]);
+  return Math.min(d, 1 - d) < tol;
+});
+
+/**
+ * 由对称操作把不对称单元展开为完整晶胞 (去除重复位置)
+ * @param {Array<{frac: number[]}>} sites - 不对称单元中的位置，其余字段原样保留
+ * @param {Array<function>} operations - parseSymmetryOperation 的结果
+ */
+export const expandSymmetry = (sites, operations) => {
+  const atoms = [];
+  sites.forEach(site => {
+    operations.forEach(op => {
+      const frac = op(site.frac).map(wrapFraction);
+      if (!atoms.some(a => isSamePosition(a.frac, frac))) atoms.push({ ...site, frac });
+    });
+  });
+  return atoms;
+};
 
-          // 掺杂逻辑
-          let finalType = atomBase.type;
-          if (finalType === 'Ga' && Math.random() < dopingProb) {
-            finalType = 'Zr';
+/**
+ * 近邻搜索 (cell list)：原子间距小于共价半径之和 × tolerance 视为成键
+ * 周期性结构在晶胞边界外补充镜像原子，配位数计入跨边界的近邻；
+ * 返回的 bonds 只含晶胞内的原子对 (用于显示)，每对只出现一次
+ * @param {Array<{type, cart, frac}>} atoms
+ * @param {object} options - { vectors, periodic, tolerance }
+ * @returns {{bonds: Array<[number, number]>, coordination: number[]}} bonds 满足 i < j
+ */
+export const findNeighbors = (atoms, { vectors = null, periodic = false, tolerance = 1.15 } = {}) => {
+  const radii = atoms.map(a => getElementStyle(a.type).covalentRadius);
+  const maxCutoff = 2 * tolerance * Math.max(...radii, 0);
+  const points = atoms.map((a, i) => ({ cart: a.cart, index: i, ghost: false }));
+
+  // 1. 周期性镜像：距晶胞面 maxCutoff 以内的原子平移到相邻晶胞
+  if (periodic && vectors && atoms.length) {
+    const volume = Math.abs(cellVolume(vectors));
+    const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+    const margins = [[1, 2], [2, 0], [0, 1]].map(([i, j]) => maxCutoff / (volume / Math.hypot(...cross(vectors[i], vectors[j]))));
+    const ranges = margins.map(m => Math.ceil(m));
+    atoms.forEach((a, i) => {
+      const f = a.frac.map(wrapFraction);
+      for (let s0 = -ranges[0]; s0 <= ranges[0]; s0++) {
+        for (let s1 = -ranges[1]; s1 <= ranges[1]; s1++) {
+          for (let s2 = -ranges[2]; s2 <= ranges[2]; s2++) {
+            if (s0 === 0 && s1 === 0 && s2 === 0) continue;
+            const shifted = [f[0] + s0, f[1] + s1, f[2] + s2];
+            if (shifted.some((v, k) => v < -margins[k] || v > 1 + margins[k])) continue;
+            points.push({ cart: fracToCart(shifted, vectors), index: i, ghost: true });
           }
+        }
+      }
+    });
+  }
 
-          atoms.push({
-            pos: [finalX, finalY, finalZ],
-            type: finalType,
-            ...ATOM_DEFS[finalType]
-          });
-        });
+  // 2. 分桶：边长 maxCutoff 的立方网格，只需检查相邻 27 个桶
+  const size = maxCutoff || 1;
+  const lo = [0, 1, 2].map(k => Math.min(...points.map(p => p.cart[k])));
+  const binOf = (cart) => cart.map((v, k) => Math.floor((v - lo[k]) / size));
+  const key = ([x, y, z]) => `${x},${y},${z}`;
+  const bins = new Map();
+  points.forEach((p, n) => {
+    const k = key(binOf(p.cart));
+    if (!bins.has(k)) bins.set(k, []);
+    bins.get(k).push(n);
+  });
 
+  // 3. 近邻对：晶胞内原子对只在 i < j 时记录；镜像原子只给当前原子计配位
+  const bonds = [];
+  const coordination = new Array(atoms.length).fill(0);
+  atoms.forEach((atom, i) => {
+    const [bx, by, bz] = binOf(atom.cart);
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+          const bin = bins.get(key([bx + dx, by + dy, bz + dz]));
+          if (!bin) continue;
+          bin.forEach(n => {
+            const p = points[n];
+            if (!p.ghost && p.index <= i) return;
+            const cutoff = tolerance * (radii[i] + radii[p.index]);
+            const ex = atom.cart[0] - p.cart[0];
+            const ey = atom.cart[1] - p.cart[1];
+            const ez = atom.cart[2] - p.cart[2];
+            if (ex * ex + ey * ey + ez * ez >= cutoff * cutoff) return;
+            coordination[i] += 1;
+            if (!p.ghost) {
+              coordination[p.index] += 1;
+              bonds.push([i, p.index]);
+            }
+          });
+        }
       }
     }
+  });
+  return { bonds, coordination };
+};
+
+/**
+ * 组装结构对象：补全笛卡尔坐标、元素样式、化学键与配位数
+ * @param {object} params - { title, vectors (Å), atoms: [{ type, frac, site? }], periodic }
+ *   periodic 为 false 表示有限团簇 (晶格矢量只作为包围盒)
+ * @returns {{title, cell, vectors, periodic, atoms: Array<{type, site, frac, cart, coordination, radius, color, label}>, bonds: Array<[number, number]>}}
+ */
+export const buildStructure = ({ title, vectors, atoms, periodic = true }) => {
+  const fullAtoms = atoms.map(({ type, frac, site = null }) => ({
+    type,
+    site,
+    frac,
+    cart: fracToCart(frac, vectors),
+    ...getElementStyle(type)
+  }));
+  const { bonds, coordination } = findNeighbors(fullAtoms, { vectors, periodic });
+  fullAtoms.forEach((atom, i) => { atom.coordination = coordination[i]; });
+  return { title, cell: vectorsToCell(vectors), vectors, periodic, atoms: fullAtoms, bonds };
+};
+
+// 空间群 I-42d (No. 122) 的一般位置：8 个点操作 × 体心平移 (1/2, 1/2, 1/2)
+const I42D_OPERATIONS = [
+  'x, y, z', '-x, -y, z', 'y, -x, -z', '-y, x, -z',
+  '-x+1/2, y, -z+3/4', 'x+1/2, -y, -z+3/4', '-y+1/2, -x, z+3/4', 'y+1/2, x, z+3/4'
+].flatMap(op => {
+  const [x, y, z] = op.split(',');
+  return [op, `${x}+1/2, ${y}+1/2, ${z}+1/2`];
+}).map(parseSymmetryOperation);
+
+/**
+ * 黄铜矿单胞：由 Wyckoff 位置经 I-42d 对称操作展开 (16 个原子)
+ * I (4a): (0, 0, 0)；III (4b): (0, 0, 1/2)；VI (8d): (u, 1/4, 1/8)
+ */
+const chalcopyriteBasis = ({ sites, lattice }) => expandSymmetry([
+  { frac: [0, 0, 0], site: 'I', type: sites.I },
+  { frac: [0, 0, 0.5], site: 'III', type: sites.III },
+  { frac: [lattice.u, 0.25, 0.125], site: 'VI', type: sites.VI }
+], I42D_OPERATIONS);
+
+// 纳米晶视图的原子数上限：半径滑块可达 10 nm (约 20 万原子)，超过上限时改为显示体相超胞
+export const MAX_CLUSTER_ATOMS = 50000;
+
+// 单胞视图超胞每个方向的重复次数
+export const SUPERCELL_RANGE = { min: 1, max: 8 };
+
+/**
+ * 生成原子结构 (Å)
+ * @param {string} mode - 'unit' (N×M×L 超胞，周期性) | 'cluster' (球形纳米晶，有限团簇)
+ * @param {number} zrConc - Zr 掺杂浓度 (影响随机替换概率)
+ * @param {string} materialId - 材料库中的化合物 (决定元素、晶格常数与阴离子参数 u)
+ * @param {object} options - { supercell: [N, M, L] (unit 模式), clusterRadius: 纳米晶 (核) 半径 nm (cluster 模式),
+ *   shellMonolayers: ZnS 壳层单层数 (cluster 模式，0 为裸核),
+ *   seed, site ('III' | 'I'，缺省为材料的 dopantSites.Zr), compensation (见 doping.js COMPENSATION_SCHEMES) }
+ *   壳层沿核的晶格外延生长 (共格界面)：核半径外的阳离子位换为 Zn、阴离子位换为 S，晶位标记为 'shell'
+ *   纳米晶按晶胞原子密度估计的原子数超过 MAX_CLUSTER_ATOMS 时改为生成 unit 模式的超胞，并以 notice 字段说明
+ * @returns {object} buildStructure 的结构对象，附加 doping 字段 (替换与补偿缺陷数目) 与 notice (未回退时为 null)
+ */
+export const getLatticeStructure = (mode = 'unit', zrConc = 0, materialId = DEFAULT_MATERIAL_ID, {
+  supercell = [1, 1, 1], clusterRadius = 1, shellMonolayers = 0, seed = DEFAULT_DOPING.dopingSeed, site, compensation = DEFAULT_DOPING.compensation
+} = {}) => {
+  const compound = MATERIALS[materialId];
+  const { a, c } = compound.lattice;
+  const dopantSite = site ?? compound.dopantSites.Zr;
+  const basis = chalcopyriteBasis(compound);
+
+  // 超胞范围：纳米晶取能容纳外径 (核 + 壳) 的超胞，再以超胞中心为球心裁剪
+  const radiusA = clusterRadius * 10;
+  const outerA = mode === 'cluster' ? radiusA + shellThickness(shellMonolayers) * 10 : radiusA;
+  if (mode === 'cluster') {
+    const estimate = Math.round(basis.length / (a * a * c) * 4 / 3 * Math.PI * outerA ** 3);
+    if (estimate > MAX_CLUSTER_ATOMS) {
+      const bulk = getLatticeStructure('unit', zrConc, materialId, { supercell, seed, site, compensation });
+      const notice = `Nanocrystal R=${clusterRadius} nm would have about ${estimate} atoms (limit ${MAX_CLUSTER_ATOMS}); showing the bulk lattice instead`;
+      return { ...bulk, notice };
+    }
   }
+  const range = mode === 'cluster'
+    ? [a, a, c].map(len => Math.ceil(2 * outerA / len) + 1)
+    : supercell.map(n => Math.max(1, Math.round(n)));
+  const vectors = cellToVectors({ a: a * range[0], b: a * range[1], c: c * range[2], alpha: 90, beta: 90, gamma: 90 });
+  const center = fracToCart([0.5, 0.5, 0.5], vectors);
 
-  // 4. 自动成键 (Auto Bonding)
-  // 规则：连接 S 原子与最近邻的阳离子 (Ag, Ga, Zr)
-  // 阈值：2.6埃 (缩放后约为 0.6 单位)
-  const bonds = [];
-  const bondThreshold = 0.8; // 稍微放宽以确保连接
-
-  atoms.forEach((atom1, i) => {
-    if (atom1.type !== 'S') return; // 只从 S 出发寻找配位体
-
-    atoms.forEach((atom2, j) => {
-      if (i === j) return;
-      if (atom2.type === 'S') return; // S 不连 S
-
-      const dx = atom1.pos[0] - atom2.pos[0];
-      const dy = atom1.pos[1] - atom2.pos[1];
-      const dz = atom1.pos[2] - atom2.pos[2];
-      const dist = Math.sqrt(dx*dx + dy*dy + dz*dz);
-
-      if (dist < bondThreshold) {
-        // 避免重复键 (只存单向，或渲染时无所谓)
-        bonds.push({
-          start: atom1.pos,
-          end: atom2.pos,
-          color: '#555' // 键的颜色
+  // Zr 替换概率: 简单模拟，0.3mmol 对应约 10% 的 III 族位 (Ga/In) 被替换
+  const dopingProb = Math.min(zrConc / 0.3 * 0.15, 1.0);
+
+  const atoms = [];
+  for (let x = 0; x < range[0]; x++) {
+    for (let y = 0; y < range[1]; y++) {
+      for (let z = 0; z < range[2]; z++) {
+        basis.forEach(atomBase => {
+          const frac = [(atomBase.frac[0] + x) / range[0], (atomBase.frac[1] + y) / range[1], (atomBase.frac[2] + z) / range[2]];
+          if (mode === 'cluster') {
+            const cart = fracToCart(frac, vectors);
+            const r = Math.hypot(cart[0] - center[0], cart[1] - center[1], cart[2] - center[2]);
+            if (r > outerA) return;
+            if (r > radiusA) {
+              atoms.push({ type: atomBase.site === 'VI' ? 'S' : 'Zn', frac, site: 'shell' });
+              return;
+            }
+          }
+          atoms.push({ type: atomBase.type, frac, site: atomBase.site });
         });
       }
-    });
-  });
+    }
+  }
 
-  return { atoms, bonds };
-};
\ No newline at end of file
+  const shellLabel = mode === 'cluster' && shellMonolayers > 0 ? ` + ${shellMonolayers} ML ${SHELL_MATERIAL.formula}` : '';
+  const label = mode === 'cluster' ? `nanocrystal R=${clusterRadius} nm${shellLabel}`
+    : range.every(n => n === 1) ? 'unit cell' : `${range.join('x')} supercell`;
+  const periodic = mode !== 'cluster';
+  const doped = applyDoping(atoms, {
+    probability: dopingProb, site: dopantSite, compensation, seed, vectors, periodic,
+    sites: compound.sites, cellFraction: range.map(n => 1 / n)
+  });
+  return { ...buildStructure({ title: `${materialId} ${label} (I-42d)`, vectors, atoms: doped.atoms, periodic }), doping: doped.doping, notice: null };
+};
@@ -0,0 +1,261 @@
+// src/utils/recipe.js
+
+// ==========================================
+// 实验配方 (Recipe) 的 JSON 格式定义、导出与校验
+// 配方在团队成员与合成机器人脚本之间传递，格式变更时必须提升版本号
+// ==========================================
+
+import { MATERIAL_PARAM_INFO, CORRECTION_PARAM_INFO, AGGAS2_MATERIAL, EMPIRICAL_CORRECTIONS, DEFAULT_PUMP, SUPERCELL_RANGE } from './physics.js';
+import { MATERIALS, DEFAULT_MATERIAL_ID, getBrusParams, getVarshniParams, getShellOffsets } from './materials.js';
+import { DEFAULT_STACK, STACK_PARAM_INFO } from './device.js';
+import { PHOSPHOR_LIBRARY, COMPONENT_PARAM_INFO, BLEND_WEIGHT_RANGE, toBlendInput } from './blend.js';
+import { DEFAULT_THERMAL, THERMAL_PARAM_INFO, resolveFilmTemperature } from './thermal.js';
+import { DEFAULT_DOPING, DOPING_SEED_RANGE, COMPENSATION_SCHEMES } from './doping.js';
+import { DEFAULT_SHELL_MONOLAYERS, SHELL_MONOLAYER_RANGE } from './shell.js';
+import { GRID_RANGES, getSpectralGrid } from './spectralGrid.js';
+
+export const RECIPE_FORMAT = 'aggas2-lab/recipe';
+export const RECIPE_VERSION = 1;
+
+// 输入参数 Schema：类型、取值范围与单位 (array 为定长整数向量，范围作用于每个分量)
+export const RECIPE_INPUT_SCHEMA = {
+  materialId:   { type: 'string', enum: Object.keys(MATERIALS) },
+  radius:       { type: 'number', min: 1, max: 10, unit: 'nm' },
+  fwhm:         { type: 'number', min: 10, max: 100, unit: 'nm' },
+  reactionTime: { type: 'number', min: 30, max: 90, unit: 'min' },
+  zrDoping:     { type: 'number', min: 0, max: 0.3, unit: 'mmol' },
+  isCoreShell:  { type: 'boolean' },
+  shellMonolayers: { type: 'number', min: SHELL_MONOLAYER_RANGE.min, max: SHELL_MONOLAYER_RANGE.max, unit: 'ML', integer: true },
+  viewMode:     { type: 'string', enum: ['device', 'cluster', 'unit', 'dot'] },
+  supercell:    { type: 'array', length: 3, ...SUPERCELL_RANGE, unit: '', integer: true },
+  sizeMode:         { type: 'string', enum: ['fixed', 'ensemble'] },
+  sizeSigma:        { type: 'number', min: 0, max: 3, unit: 'nm' },
+  sizeDistribution: { type: 'string', enum: ['normal', 'lognormal'] },
+  homogeneousFwhm:  { type: 'number', min: 0, max: 100, unit: 'nm' },
+  pumpWl:           { type: 'number', min: 340, max: 500, unit: 'nm' },
+  ...Object.fromEntries(Object.entries(STACK_PARAM_INFO).map(([key, { min, max, unit }]) => [key, { type: 'number', min, max, unit }])),
+  temperatureMode: { type: 'string', enum: ['manual', 'junction'] },
+  ...Object.fromEntries(Object.entries(THERMAL_PARAM_INFO).map(([key, { min, max, unit }]) => [key, { type: 'number', min, max, unit }])),
+  dopingSeed:   { type: 'number', ...DOPING_SEED_RANGE, unit: '', integer: true },
+  dopingSite:   { type: 'string', enum: ['III', 'I'] },
+  compensation: { type: 'string', enum: Object.keys(COMPENSATION_SCHEMES) },
+  spectralRange: { type: 'string', enum: Object.keys(GRID_RANGES) },
+  spectralStep:  { type: 'number', min: 1, max: 5, unit: 'nm' }
+};
+
+// 模拟器的初始输入 (与界面初始状态一致)，命令行未给出的字段取此值
+export const DEFAULT_RECIPE_INPUTS = {
+  materialId: DEFAULT_MATERIAL_ID,
+  radius: 3.5,
+  fwhm: 80,
+  reactionTime: 30,
+  zrDoping: 0,
+  isCoreShell: true,
+  shellMonolayers: DEFAULT_SHELL_MONOLAYERS,
+  viewMode: 'device',
+  supercell: [1, 1, 1],
+  sizeMode: 'fixed',
+  sizeSigma: 0.4,
+  sizeDistribution: 'normal',
+  homogeneousFwhm: 15,
+  pumpWl: DEFAULT_PUMP.wl,
+  ...Object.fromEntries(Object.keys(STACK_PARAM_INFO).map(key => [key, DEFAULT_STACK[key]])),
+  ...DEFAULT_THERMAL,
+  ...DEFAULT_DOPING,
+  spectralRange: 'full',
+  spectralStep: 5
+};
+
+// model 段的 Schema：material / corrections 两组数值参数
+const MODEL_SCHEMA = {
+  material: MATERIAL_PARAM_INFO,
+  corrections: CORRECTION_PARAM_INFO
+};
+
+const TOP_LEVEL_FIELDS = ['format', 'version', 'createdAt', 'inputs', 'model', 'blend', 'outputs'];
+
+// 数值字段校验 (类型 + 范围)，返回错误信息或 null
+// kind 为错误信息中的字段类别 ('input' | 'model parameter')
+const checkNumber = (name, value, rule, kind = 'input') => {
+  const field = `${kind[0].toUpperCase()}${kind.slice(1)} "${name}"`;
+  if (value === undefined) return `Missing ${kind} "${name}"`;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return `${field} must be a number`;
+  if (value < rule.min || value > rule.max) return `${field} = ${value} out of range [${rule.min}, ${rule.max}]${rule.unit ? ` ${rule.unit}` : ''}`;
+  if (rule.integer && !Number.isInteger(value)) return `${field} = ${value} must be an integer`;
+  return null;
+};
+
+// 定长数值向量校验：先查长度，再逐个分量按 checkNumber 检查，返回错误信息或 null
+const checkArray = (name, value, rule) => {
+  if (value === undefined) return `Missing input "${name}"`;
+  if (!Array.isArray(value) || value.length !== rule.length) return `Input "${name}" must be an array of ${rule.length} numbers`;
+  return value.map((v, i) => checkNumber(`${name}[${i}]`, v, rule)).find(Boolean) ?? null;
+};
+
+/**
+ * 生成配方对象
+ * @param {object} inputs - 模拟器输入 (字段见 RECIPE_INPUT_SCHEMA)
+ * @param {object} outputs - 派生结果 { peakWl, energy, chromaticity, cri, spectrum, device? }
+ * @param {object} model - 模型参数 { material, corrections }，缺省为 AgGaS2 默认值
+ * @param {Array} blend - 附加荧光组分 [{ type, weight, params }]
+ */
+export const buildRecipe = (inputs, { peakWl, energy, chromaticity, cri, spectrum, device }, model = { material: AGGAS2_MATERIAL, corrections: EMPIRICAL_CORRECTIONS }, blend = []) => ({
+  format: RECIPE_FORMAT,
+  version: RECIPE_VERSION,
+  createdAt: new Date().toISOString(),
+  inputs: Object.fromEntries(Object.entries(RECIPE_INPUT_SCHEMA).map(([key, rule]) => [key, rule.type === 'array' ? [...inputs[key]] : inputs[key]])),
+  model: Object.fromEntries(Object.keys(MODEL_SCHEMA).map(group => [group, { ...model[group] }])),
+  blend: blend.map(({ type, weight, params }) => ({ type, weight, params: { ...params } })),
+  outputs: {
+    peakWavelength: peakWl,
+    energy: parseFloat(energy),
+    chromaticity: chromaticity && {
+      x: parseFloat(chromaticity.x.toFixed(5)),
+      y: parseFloat(chromaticity.y.toFixed(5)),
+      cct: chromaticity.cct,
+      duv: chromaticity.duv
+    },
+    cri: cri && { Ra: cri.Ra, R: cri.R },
+    device: device && Object.fromEntries(Object.entries(device).map(([key, value]) => [key, parseFloat(value.toFixed(4))])),
+    spectrum: spectrum.map(p => ({ wl: p.wl, intensity: parseFloat(p.intensity.toFixed(5)) }))
+  }
+});
+
+/**
+ * 校验导入的配方
+ * 未知字段只给出警告；类型错误、越界、版本不兼容视为错误，此时不应恢复状态
+ * @param {any} recipe - JSON.parse 后的对象
+ * @returns {{inputs: object, model: object|null, blend: Array, errors: string[], warnings: string[]}}
+ *   model 为 null 表示配方未携带模型参数，应保留当前参数
+ *   blend 缺省为空数组 (无附加荧光组分)
+ */
+export const validateRecipe = (recipe) => {
+  const errors = [];
+  const warnings = [];
+  const inputs = {};
+  let model = null;
+  const blend = [];
+
+  if (!recipe || typeof recipe !== 'object' || Array.isArray(recipe)) {
+    return { inputs, model, blend, errors: ['Recipe must be a JSON object'], warnings };
+  }
+
+  if (recipe.format !== RECIPE_FORMAT) {
+    errors.push(`Unknown format "${recipe.format}" (expected "${RECIPE_FORMAT}")`);
+  }
+  if (!Number.isInteger(recipe.version) || recipe.version < 1) {
+    errors.push(`Invalid version "${recipe.version}"`);
+  } else if (recipe.version > RECIPE_VERSION) {
+    errors.push(`Recipe version ${recipe.version} is newer than supported version ${RECIPE_VERSION}`);
+  }
+
+  Object.keys(recipe)
+    .filter(key => !TOP_LEVEL_FIELDS.includes(key))
+    .forEach(key => warnings.push(`Unknown field "${key}" ignored`));
+
+  const raw = recipe.inputs;
+  if (!raw || typeof raw !== 'object') {
+    errors.push('Missing "inputs" section');
+    return { inputs, model, blend, errors, warnings };
+  }
+
+  Object.keys(raw)
+    .filter(key => !RECIPE_INPUT_SCHEMA[key])
+    .forEach(key => warnings.push(`Unknown input "${key}" ignored`));
+
+  Object.entries(RECIPE_INPUT_SCHEMA).forEach(([key, rule]) => {
+    const value = raw[key];
+    const error = rule.type === 'number' ? checkNumber(key, value, rule)
+      : rule.type === 'array' ? checkArray(key, value, rule)
+      : value === undefined ? `Missing input "${key}"`
+      : typeof value !== rule.type ? `Input "${key}" must be a ${rule.type}`
+      : rule.enum && !rule.enum.includes(value) ? `Input "${key}" must be one of ${rule.enum.join(', ')}`
+      : null;
+    if (error) errors.push(error);
+    else inputs[key] = rule.type === 'array' ? [...value] : value;
+  });
+
+  // 可选的模型参数段
+  if (recipe.model !== undefined) {
+    model = {};
+    Object.entries(MODEL_SCHEMA).forEach(([group, schema]) => {
+      const values = recipe.model?.[group];
+      if (!values || typeof values !== 'object') {
+        errors.push(`Missing model section "${group}"`);
+        return;
+      }
+      Object.keys(values)
+        .filter(key => !schema[key])
+        .forEach(key => warnings.push(`Unknown model parameter "${group}.${key}" ignored`));
+      model[group] = {};
+      Object.entries(schema).forEach(([key, rule]) => {
+        const error = checkNumber(`${group}.${key}`, values[key], rule, 'model parameter');
+        if (error) errors.push(error);
+        else model[group][key] = values[key];
+      });
+    });
+  }
+
+  // 可选的附加荧光组分
+  if (recipe.blend !== undefined) {
+    if (!Array.isArray(recipe.blend)) {
+      errors.push('Section "blend" must be an array');
+    } else {
+      recipe.blend.forEach((component, i) => {
+        const library = PHOSPHOR_LIBRARY[component?.type];
+        if (!library) {
+          errors.push(`blend[${i}]: unknown phosphor type "${component?.type}"`);
+          return;
+        }
+        const weightError = checkNumber(`blend[${i}].weight`, component.weight, { ...BLEND_WEIGHT_RANGE, unit: '' });
+        if (weightError) errors.push(weightError);
+        const params = { ...library.defaults };
+        Object.entries(COMPONENT_PARAM_INFO[library.kind]).forEach(([key, rule]) => {
+          const error = checkNumber(`blend[${i}].${key}`, component.params?.[key], rule);
+          if (error) errors.push(error);
+          else params[key] = component.params[key];
+        });
+        if (typeof component.params?.isCoreShell === 'boolean') params.isCoreShell = component.params.isCoreShell;
+        blend.push({ type: component.type, weight: component.weight, params });
+      });
+    }
+  }
+
+  return { inputs, model, blend, errors, warnings };
+};
+
+/**
+ * 配方输入 → simulateWhiteLED 的参数 (与界面中各状态的组合方式一致)
+ * @param {object} inputs - 校验后的输入 (字段见 RECIPE_INPUT_SCHEMA)
+ * @param {object|null} model - { material, corrections }，null 时使用所选材料的默认常数
+ * @param {Array} blend - 附加荧光组分 [{ type, weight, params }]
+ * @returns {object} 可直接传给 simulateWhiteLED / runSweep 的输入
+ */
+export const recipeToSimulationInputs = (inputs, model = null, blend = []) => {
+  const grid = getSpectralGrid(inputs.spectralRange, inputs.spectralStep);
+  const material = model ? model.material : getBrusParams(inputs.materialId);
+  const corrections = model ? model.corrections : EMPIRICAL_CORRECTIONS;
+  const varshni = getVarshniParams(inputs.materialId);
+  const shellOffsets = getShellOffsets(inputs.materialId);
+  const { temperature } = resolveFilmTemperature(Object.fromEntries(Object.keys(DEFAULT_THERMAL).map(key => [key, inputs[key]])));
+  return {
+    radius: inputs.radius,
+    fwhm: inputs.fwhm,
+    reactionTime: inputs.reactionTime,
+    zrDoping: inputs.zrDoping,
+    isCoreShell: inputs.isCoreShell,
+    shellMonolayers: inputs.shellMonolayers,
+    material,
+    corrections,
+    ensemble: inputs.sizeMode === 'ensemble'
+      ? { sigma: inputs.sizeSigma, distribution: inputs.sizeDistribution, homogeneousFwhm: inputs.homogeneousFwhm }
+      : null,
+    pump: { ...DEFAULT_PUMP, wl: inputs.pumpWl },
+    stack: { ...DEFAULT_STACK, ...Object.fromEntries(Object.keys(STACK_PARAM_INFO).map(key => [key, inputs[key]])) },
+    blend: toBlendInput(blend, { material, corrections, temperature, varshni, shellOffsets, grid }),
+    temperature,
+    varshni,
+    shellOffsets,
+    grid
+  };
+};
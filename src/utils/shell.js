@@ -0,0 +1,117 @@
+// src/utils/shell.js
+
+// ==========================================
+// ZnS 壳层：载流子波函数向壳层泄漏导致的红移、晶格失配应变、表面钝化带来的量子产率增益
+// 壳层厚度以单层 (monolayer, ML) 计；核半径与能量单位与 physics.js 一致 (nm, eV)
+// ==========================================
+
+const HBAR2_2M0 = 0.0380998;   // ħ²/2m0 (eV·nm²)
+
+// ZnS (闪锌矿) 壳层材料
+export const SHELL_MATERIAL = {
+  formula: 'ZnS',
+  Eg: 3.68,              // 室温带隙 (eV)
+  a: 5.409,              // 晶格常数 (Å)
+  monolayer: 0.312       // 单层厚度 a/√3 (nm)
+};
+
+export const SHELL_PARAMS = {
+  poisson: 0.3,               // 泊松比 (核与壳取相同弹性常数)
+  surfaceTrapFraction: 0.8,   // 裸核非辐射复合中表面陷阱所占比例
+  passivationDepth: 1.5       // 表面陷阱速率随壳厚衰减的特征厚度 (ML)
+};
+
+export const DEFAULT_SHELL_MONOLAYERS = 4;
+export const SHELL_MONOLAYER_RANGE = { min: 1, max: 10, step: 1 };
+
+// 壳层厚度 (nm)
+export const shellThickness = (monolayers) => monolayers * SHELL_MATERIAL.monolayer;
+
+/**
+ * 核 / 壳球形势阱中单个载流子的基态能量 (相对核带边，eV)
+ * 核内势能为 0，壳层势垒为 barrier，壳层外 (配体 / 溶剂) 视为无限高势垒；核与壳取相同有效质量
+ * 径向函数 u = r·ψ：核内 sin(kr)，壳层内在 r = R + t 处为零；在核壳界面匹配对数导数。
+ * 在 (0, min(E∞, Eₚ)) 上两侧对数导数之差随能量单调递减且基态位于其中 (E∞ 为无壳层的无限深势阱能量，
+ * Eₚ 为壳层函数第一个极点)，因此直接二分求根
+ * @param {number} radius - 核半径 (nm)
+ * @param {number} thickness - 壳层厚度 (nm)
+ * @param {number} mass - 有效质量 (m0)
+ * @param {number} barrier - 壳层势垒高度 (eV)
+ */
+export const carrierGroundState = (radius, thickness, mass, barrier) => {
+  const upper = HBAR2_2M0 * Math.PI * Math.PI / (mass * radius * radius);
+  if (thickness <= 0) return upper;
+
+  // 界面处核内与壳层内的对数导数之差
+  const mismatch = (E) => {
+    const k = Math.sqrt(E * mass / HBAR2_2M0);
+    const core = k / Math.tan(k * radius);
+    const d = (barrier - E) * mass / HBAR2_2M0;
+    let shell;
+    if (d > 1e-12) {
+      const kappa = Math.sqrt(d);
+      shell = -kappa / Math.tanh(kappa * thickness);
+    } else if (d < -1e-12) {
+      const q = Math.sqrt(-d);
+      shell = -q / Math.tan(q * thickness);
+    } else {
+      shell = -1 / thickness;
+    }
+    return core - shell;
+  };
+
+  const pole = barrier + HBAR2_2M0 * Math.PI * Math.PI / (mass * thickness * thickness);
+  let lo = 0, hi = Math.min(upper, pole);
+  for (let n = 0; n < 60; n++) {
+    const mid = 0.5 * (lo + hi);
+    if (mismatch(mid) > 0) lo = mid; else hi = mid;
+  }
+  return 0.5 * (lo + hi);
+};
+
+/**
+ * 壳层红移：电子与空穴基态能量相对无壳层 (无限深势阱) 的降低之和 (eV，≤ 0)
+ * @param {number} radius - 核半径 (nm)
+ * @param {number} monolayers - 壳层单层数 (0 为裸核)
+ * @param {object} material - { me, mh } 核材料有效质量
+ * @param {object} offsets - { conduction, valence } 与 ZnS 的能带偏移 (见 materials.js)
+ * @returns {{shift: number, electron: number, hole: number}} electron / hole 为各自的能量降低 (eV)
+ */
+export const shellRedShift = (radius, monolayers, { me, mh }, offsets) => {
+  const thickness = shellThickness(monolayers);
+  const lowering = (mass, barrier) => carrierGroundState(radius, thickness, mass, barrier) - carrierGroundState(radius, 0, mass, barrier);
+  const electron = lowering(me, offsets.conduction);
+  const hole = lowering(mh, offsets.valence);
+  return { shift: electron + hole, electron, hole };
+};
+
+/**
+ * 晶格失配应变 (连续介质弹性模型，共格界面)
+ * 黄铜矿核取赝立方晶格常数 (a²·c/2)^(1/3)；核内为静水应变，壳层界面处为切向应变
+ * 核应变 ε = f·(1+ν)/(3(1−ν))·[1 − R³/(R+t)³]，f = (a_ZnS − a_core)/a_core
+ * @param {number} radius - 核半径 (nm)
+ * @param {number} monolayers - 壳层单层数
+ * @param {object} lattice - 核的 { a, c } (Å)
+ * @returns {{mismatch: number, core: number, shell: number}} 均为无量纲 (负值为压缩)
+ */
+export const latticeStrain = (radius, monolayers, { a, c }) => {
+  const coreA = Math.cbrt(a * a * c / 2);
+  const mismatch = (SHELL_MATERIAL.a - coreA) / coreA;
+  const outer = radius + shellThickness(monolayers);
+  const nu = SHELL_PARAMS.poisson;
+  const core = mismatch * (1 + nu) / (3 * (1 - nu)) * (1 - Math.pow(radius / outer, 3));
+  return { mismatch, core, shell: core - mismatch };
+};
+
+/**
+ * 表面钝化后的量子产率：表面陷阱速率随壳厚指数衰减，体相非辐射通道不受影响
+ * QY(n) = 1 / (1 + (1/QY₀ − 1)·(1 − s + s·e^(−n/n₀)))
+ * @param {number} quantumYield - 裸核量子产率 QY₀
+ * @param {number} monolayers - 壳层单层数 (0 返回 QY₀)
+ */
+export const passivatedQuantumYield = (quantumYield, monolayers, params = SHELL_PARAMS) => {
+  if (quantumYield <= 0) return 0;
+  const s = params.surfaceTrapFraction;
+  const remaining = 1 - s + s * Math.exp(-monolayers / params.passivationDepth);
+  return 1 / (1 + (1 / quantumYield - 1) * remaining);
+};
@@ -0,0 +1,119 @@
+// src/utils/spectralFit.js
+
+// ==========================================
+// 实测 PL 光谱拟合：反解 radius / fwhm / reactionTime / zrDoping
+// 模型 = A × generateCompositeSpectrum(calculateEmissionParams(...))，A 为线性幅值
+// ==========================================
+
+import { calculateEmissionParams, generateCompositeSpectrum, getZrEmission, interpolateSpectrum } from './physics.js';
+import { levenbergMarquardt } from './optimize.js';
+import { DEFAULT_SPECTRAL_GRID } from './spectralGrid.js';
+
+// 可拟合参数及边界 (与配方 Schema 的取值范围一致)
+export const FIT_PARAMETERS = {
+  radius:       { label: 'Radius', min: 1, max: 10, unit: 'nm' },
+  fwhm:         { label: 'FWHM', min: 10, max: 100, unit: 'nm' },
+  reactionTime: { label: 'Reaction Time', min: 30, max: 90, unit: 'min' },
+  zrDoping:     { label: 'Zr Doping', min: 0, max: 0.3, unit: 'mmol' }
+};
+
+// 默认拟合参数：radius 与 reactionTime 都只移动峰位，光谱无法区分两者，
+// 同时拟合会停在任意组合 (甚至假极小)，因此默认锁定 reactionTime 为当前值
+export const DEFAULT_FIT_KEYS = ['radius', 'fwhm', 'zrDoping'];
+
+// 两者都参与拟合时，从粗网格最好的几个格点分别出发做 LM
+const MULTI_START_COUNT = 6;
+
+/**
+ * 给定参数计算量子点 PL 模型光谱 (不含蓝光芯片)
+ * @param {object} modelOptions - 透传给 calculateEmissionParams 的 { material, corrections }，以及光谱网格 grid?
+ */
+export const evaluateEmissionModel = ({ radius, fwhm, reactionTime, zrDoping }, isCoreShell, modelOptions = {}) => {
+  const { wl } = calculateEmissionParams(radius, reactionTime, isCoreShell, modelOptions);
+  return generateCompositeSpectrum(wl, fwhm, zrDoping, null, getZrEmission(modelOptions.corrections), modelOptions.grid);
+};
+
+/**
+ * 最小二乘拟合实测 PL 光谱
+ * 先在 radius × reactionTime 粗网格上选初值 (两者都主要移动峰位，LM 容易陷入局部极小)，再从最好的几个格点做 LM 精修
+ * 同时拟合 radius 与 reactionTime 时解不唯一 (degenerate 为 true)，结果只是众多等价组合之一
+ * @param {Array<{wl: number, intensity: number}>} measured - 实测光谱 (建议先归一化)
+ * @param {object} initial - 初值 { radius, fwhm, reactionTime, zrDoping }
+ * @param {object} options - { isCoreShell, fitKeys: 参与拟合的参数名, modelOptions: { material, corrections, grid? }, onProgress }
+ *   onProgress({ iteration, cost }) 在每次 LM 迭代后调用
+ *   只拟合光谱网格范围内的实测点
+ * @returns {{params, amplitude, rmse, r2, residuals, model, iterations, degenerate}}
+ */
+export const fitEmissionSpectrum = (measured, initial, { isCoreShell = false, fitKeys = DEFAULT_FIT_KEYS, modelOptions = {}, onProgress } = {}) => {
+  const { min, max } = modelOptions.grid ?? DEFAULT_SPECTRAL_GRID;
+  const points = measured.filter(p => p.wl >= min && p.wl <= max);
+  if (points.length < fitKeys.length + 2) {
+    throw new Error(`Not enough measured points inside ${min}-${max} nm to fit`);
+  }
+
+  const toParams = (vector) => {
+    const params = { ...initial };
+    fitKeys.forEach((key, i) => { params[key] = vector[i]; });
+    return params;
+  };
+
+  // 对给定参数求最优幅值 A (线性最小二乘) 并返回残差
+  const evaluate = (params) => {
+    const model = evaluateEmissionModel(params, isCoreShell, modelOptions);
+    const m = points.map(p => interpolateSpectrum(model, p.wl));
+    const mm = m.reduce((acc, v) => acc + v * v, 0);
+    const amplitude = mm > 0 ? Math.max(points.reduce((acc, p, i) => acc + p.intensity * m[i], 0) / mm, 0) : 0;
+    return { model, amplitude, residuals: points.map((p, i) => p.intensity - amplitude * m[i]) };
+  };
+  const residualFn = (vector) => evaluate(toParams(vector)).residuals;
+  const cost = (params) => evaluate(params).residuals.reduce((acc, v) => acc + v * v, 0);
+
+  // 粗网格选初值：radius × reactionTime 各格点按代价排序，取最好的几个分别做 LM (多起点)，保留代价最小者
+  const gridKeys = ['radius', 'reactionTime'].filter(key => fitKeys.includes(key));
+  let starts = [{ ...initial }];
+  if (gridKeys.length > 0) {
+    const axis = (key, n) => Array.from({ length: n }, (_, i) =>
+      FIT_PARAMETERS[key].min + (FIT_PARAMETERS[key].max - FIT_PARAMETERS[key].min) * i / (n - 1));
+    const radiusGrid = gridKeys.includes('radius') ? axis('radius', 19) : [initial.radius];
+    const timeGrid = gridKeys.includes('reactionTime') ? axis('reactionTime', 7) : [initial.reactionTime];
+    const cells = radiusGrid.flatMap(radius => timeGrid.map(reactionTime => {
+      const candidate = { ...initial, radius, reactionTime };
+      return { candidate, cost: cost(candidate) };
+    }));
+    cells.push({ candidate: { ...initial }, cost: cost(initial) });
+    starts = cells.sort((a, b) => a.cost - b.cost).slice(0, MULTI_START_COUNT).map(cell => cell.candidate);
+  }
+
+  let iterations = 0;
+  const best = starts.reduce((bestRun, start) => {
+    const run = levenbergMarquardt(
+      residualFn,
+      fitKeys.map(key => start[key]),
+      {
+        lower: fitKeys.map(key => FIT_PARAMETERS[key].min),
+        upper: fitKeys.map(key => FIT_PARAMETERS[key].max),
+        onIteration: onProgress && (({ iteration, cost }) => onProgress({ iteration: iterations + iteration, cost }))
+      }
+    );
+    iterations += run.iterations;
+    return !bestRun || run.cost < bestRun.cost ? run : bestRun;
+  }, null);
+  const vector = best.params;
+
+  const params = toParams(vector);
+  const { model, amplitude, residuals } = evaluate(params);
+  const ssRes = residuals.reduce((acc, v) => acc + v * v, 0);
+  const mean = points.reduce((acc, p) => acc + p.intensity, 0) / points.length;
+  const ssTot = points.reduce((acc, p) => acc + (p.intensity - mean) ** 2, 0);
+
+  return {
+    params,
+    amplitude,
+    rmse: Math.sqrt(ssRes / points.length),
+    r2: ssTot > 0 ? 1 - ssRes / ssTot : 0,
+    residuals: points.map((p, i) => ({ wl: p.wl, residual: residuals[i] })),
+    model: model.map(p => ({ wl: p.wl, intensity: p.intensity * amplitude })),
+    iterations,
+    degenerate: fitKeys.includes('radius') && fitKeys.includes('reactionTime')
+  };
+};
@@ -0,0 +1,139 @@
+// src/utils/spectralGrid.js
+
+// ==========================================
+// 光谱波长网格：所有光谱生成函数共用同一网格 { min, max, step } (nm)
+// CIE 数据表 (5nm / 10nm 间隔) 按需重采样到网格上：
+//   颜色匹配函数、试验色样反射率用 Sprague 五次插值 (CIE 167:2005 推荐)
+//   D 系列日光基函数按 CIE 15 规定线性插值
+// ==========================================
+
+// CIE 1931 标准观察者的定义范围
+export const SPECTRAL_LIMITS = { min: 360, max: 830 };
+
+// 界面可选的网格步长 (nm)，均可整除 5nm 以保留 CIE 表的原始节点
+export const GRID_STEPS = [5, 2.5, 1];
+
+// 界面可选的波长范围
+export const GRID_RANGES = {
+  visible: { label: '380–780', min: 380, max: 780 },
+  full:    { label: '360–830', min: SPECTRAL_LIMITS.min, max: SPECTRAL_LIMITS.max }
+};
+
+export const DEFAULT_SPECTRAL_GRID = { min: SPECTRAL_LIMITS.min, max: SPECTRAL_LIMITS.max, step: 5 };
+
+// 界面 / 配方中的 范围键 + 步长 → 网格对象
+export const getSpectralGrid = (range = 'full', step = DEFAULT_SPECTRAL_GRID.step) => ({
+  min: GRID_RANGES[range].min,
+  max: GRID_RANGES[range].max,
+  step
+});
+
+// 网格波长数组按 min:max:step 缓存，同一网格总是返回同一个数组 (调用方不可修改)
+const gridCache = new Map();
+
+/**
+ * 网格上的波长数组 (min 起按 step 递增，不超过 max)
+ * @param {{min: number, max: number, step: number}} grid
+ * @returns {number[]}
+ */
+export const getGridWavelengths = (grid = DEFAULT_SPECTRAL_GRID) => {
+  const { min, max, step } = grid;
+  const key = `${min}:${max}:${step}`;
+  let wavelengths = gridCache.get(key);
+  if (!wavelengths) {
+    if (!(step > 0) || !(max >= min)) throw new Error(`Invalid spectral grid ${min}-${max} nm / ${step} nm`);
+    const count = Math.floor((max - min) / step + 1e-9) + 1;
+    // 保留 6 位小数，避免 0.1 之类步长的累积误差破坏按波长查找
+    wavelengths = Array.from({ length: count }, (_, i) => parseFloat((min + i * step).toFixed(6)));
+    gridCache.set(key, wavelengths);
+  }
+  return wavelengths;
+};
+
+// 与 grid 步长对齐、向短波延伸到不低于 minWl 的网格 (吸收网格覆盖 UV 泵浦)
+export const extendGrid = (grid, minWl) => ({
+  ...grid,
+  min: grid.min - Math.floor((grid.min - minWl) / grid.step + 1e-9) * grid.step
+});
+
+// Sprague 插值在表两端各外推两个节点所用的系数 (/209)
+const SPRAGUE_EDGE = [
+  [884, -1960, 3033, -2648, 1080, -180],
+  [508, -540, 488, -367, 144, -24]
+];
+
+// 以 p[0..5] 为节点、在 p[2] 与 p[3] 之间 (t ∈ [0, 1]) 的 Sprague 五次插值
+const spragueSegment = (p, t) => {
+  const a1 = (2 * p[0] - 16 * p[1] + 16 * p[3] - 2 * p[4]) / 24;
+  const a2 = (-p[0] + 16 * p[1] - 30 * p[2] + 16 * p[3] - p[4]) / 24;
+  const a3 = (-9 * p[0] + 39 * p[1] - 70 * p[2] + 66 * p[3] - 33 * p[4] + 7 * p[5]) / 24;
+  const a4 = (13 * p[0] - 64 * p[1] + 126 * p[2] - 124 * p[3] + 61 * p[4] - 12 * p[5]) / 24;
+  const a5 = (-5 * p[0] + 25 * p[1] - 50 * p[2] + 50 * p[3] - 25 * p[4] + 5 * p[5]) / 24;
+  return p[2] + t * (a1 + t * (a2 + t * (a3 + t * (a4 + t * a5))));
+};
+
+// 波长 → 数组 的数据表整理为等间隔的列；间隔不均匀时报错
+const tabulate = (table) => {
+  const keys = Object.keys(table).map(Number).sort((a, b) => a - b);
+  if (keys.length < 2) throw new Error('Spectral table needs at least two wavelengths');
+  const step = keys[1] - keys[0];
+  if (keys.some((wl, i) => Math.abs(wl - (keys[0] + i * step)) > 1e-6 * step)) {
+    throw new Error('Spectral table must be tabulated at a uniform wavelength interval');
+  }
+  const width = table[keys[0]].length;
+  const columns = Array.from({ length: width }, (_, c) => keys.map(wl => table[wl][c]));
+  return { start: keys[0], step, columns };
+};
+
+// 单列插值函数：范围外为 0
+const columnInterpolator = (values, start, step, method) => {
+  const n = values.length;
+  const end = start + (n - 1) * step;
+  if (method === 'linear' || n < 6) {
+    return (wl) => {
+      if (wl < start || wl > end) return 0;
+      const x = (wl - start) / step;
+      const i = Math.min(Math.floor(x), n - 2);
+      return values[i] + (values[i + 1] - values[i]) * (x - i);
+    };
+  }
+  // 两端各外推两个节点，使首末区间也有完整的 6 点模板
+  const edge = (coeffs, p) => coeffs.reduce((sum, c, k) => sum + c * p[k], 0) / 209;
+  const head = values.slice(0, 6), tail = values.slice(n - 6).reverse();
+  const extended = [edge(SPRAGUE_EDGE[0], head), edge(SPRAGUE_EDGE[1], head), ...values, edge(SPRAGUE_EDGE[1], tail), edge(SPRAGUE_EDGE[0], tail)];
+  return (wl) => {
+    if (wl < start || wl > end) return 0;
+    const x = (wl - start) / step;
+    const i = Math.min(Math.floor(x), n - 2);
+    return spragueSegment(extended.slice(i, i + 6), x - i);
+  };
+};
+
+// 重采样结果按 数据表 → 波长数组 → 插值方法 缓存 (网格数组由 getGridWavelengths 复用)
+const resampleCache = new WeakMap();
+
+/**
+ * 把等间隔的 CIE 数据表重采样到给定波长上
+ * @param {object} table - { [wl]: number[] }，如 CMF_1931_2、TCS、DAYLIGHT_S
+ * @param {number[]} wavelengths - 目标波长 (通常为 getGridWavelengths 的结果)
+ * @param {'sprague' | 'linear'} method - 插值方法
+ * @returns {number[][]} 与 wavelengths 对齐的各行数据，表范围外为 0
+ */
+export const resampleTable = (table, wavelengths, method = 'sprague') => {
+  let byWavelengths = resampleCache.get(table);
+  if (!byWavelengths) {
+    byWavelengths = new WeakMap();
+    resampleCache.set(table, byWavelengths);
+  }
+  let byMethod = byWavelengths.get(wavelengths);
+  if (!byMethod) {
+    byMethod = {};
+    byWavelengths.set(wavelengths, byMethod);
+  }
+  if (!byMethod[method]) {
+    const { start, step, columns } = tabulate(table);
+    const interpolators = columns.map(values => columnInterpolator(values, start, step, method));
+    byMethod[method] = wavelengths.map(wl => interpolators.map(f => f(wl)));
+  }
+  return byMethod[method];
+};
@@ -0,0 +1,127 @@
+// src/utils/spectrumIO.js
+
+// ==========================================
+// 实测光谱文件解析 (CSV / TXT / JCAMP-DX)
+// 统一输出按波长升序排列的 [{ wl (nm), intensity }]
+// ==========================================
+
+const HC_EV_NM = 1239.84; // h·c (eV·nm)
+
+// 横轴单位换算到 nm
+const toNanometers = (x, unit) => {
+  if (unit === 'cm-1') return 1e7 / x;
+  if (unit === 'ev') return HC_EV_NM / x;
+  if (unit === 'um') return x * 1000;
+  return x;
+};
+
+const finalize = (points, unit = 'nm') => {
+  const data = points
+    .map(([x, y]) => ({ wl: toNanometers(x, unit), intensity: y }))
+    .filter(p => Number.isFinite(p.wl) && Number.isFinite(p.intensity))
+    .sort((a, b) => a.wl - b.wl);
+  if (data.length < 3) throw new Error('Spectrum file contains fewer than 3 data points');
+  return data;
+};
+
+/**
+ * 解析两列文本 (CSV / TXT / TSV)
+ * 自动识别逗号、分号、制表符、空格分隔；跳过表头与注释行
+ * 横轴全部小于 10 时视为能量 (eV) 并换算为波长
+ */
+export const parseDelimitedSpectrum = (text) => {
+  const points = [];
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || /^[#%;]/.test(trimmed)) return;
+    const cols = trimmed.split(/[,;\t ]+/).map(Number);
+    if (cols.length < 2 || !Number.isFinite(cols[0]) || !Number.isFinite(cols[1])) return;
+    points.push([cols[0], cols[1]]);
+  });
+  const isEnergyAxis = points.length > 0 && points.every(([x]) => x > 0 && x < 10);
+  return finalize(points, isEnergyAxis ? 'ev' : 'nm');
+};
+
+/**
+ * 解析 JCAMP-DX (仅支持 AFFN 明文格式)
+ * 支持 ##XYDATA=(X++(Y..Y)) 与 ##XYPOINTS=(XY..XY)，使用 XFACTOR / YFACTOR / XUNITS
+ */
+export const parseJcampSpectrum = (text) => {
+  const labels = {};
+  const dataLines = [];
+  let dataForm = null;
+
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^##([^=]+)=(.*)$/);
+    if (match) {
+      const key = match[1].trim().toUpperCase().replace(/[\s_-]/g, '');
+      const value = match[2].trim();
+      labels[key] = value;
+      if (key === 'XYDATA' || key === 'XYPOINTS' || key === 'PEAKTABLE') {
+        dataForm = value.replace(/\s/g, '').toUpperCase();
+      } else if (dataForm) {
+        // 数据块之后出现的其它标签 (含 ##END) 结束数据读取
+        dataForm = 'DONE';
+      }
+      return;
+    }
+    if (dataForm && dataForm !== 'DONE' && line.trim() && !line.trim().startsWith('$$')) {
+      dataLines.push(line.split('$$')[0].trim());
+    }
+  });
+
+  if (!dataLines.length) throw new Error('JCAMP-DX file has no ##XYDATA or ##XYPOINTS block');
+  if (dataLines.some(line => /[@A-Za-z%]/.test(line.replace(/[eE][+-]?\d/g, '')))) {
+    throw new Error('Compressed JCAMP-DX (ASDF) is not supported, please export as AFFN');
+  }
+
+  const xFactor = parseFloat(labels.XFACTOR) || 1;
+  const yFactor = parseFloat(labels.YFACTOR) || 1;
+  const xUnits = (labels.XUNITS || '').toUpperCase();
+  const unit = xUnits.includes('1/CM') ? 'cm-1'
+    : xUnits.includes('EV') ? 'ev'
+    : xUnits.includes('MICRO') ? 'um'
+    : 'nm';
+
+  const points = [];
+  const numbers = (line) => line.split(/[,;\s]+/).filter(Boolean).map(Number);
+
+  if (labels.XYDATA) {
+    // (X++(Y..Y))：每行首个数为 X，后续为等间隔 Y
+    const firstX = parseFloat(labels.FIRSTX);
+    const lastX = parseFloat(labels.LASTX);
+    const nPoints = parseInt(labels.NPOINTS, 10);
+    const deltaX = Number.isFinite(parseFloat(labels.DELTAX))
+      ? parseFloat(labels.DELTAX)
+      : (lastX - firstX) / (nPoints - 1);
+    dataLines.forEach(line => {
+      const [x0, ...ys] = numbers(line);
+      ys.forEach((y, i) => points.push([x0 * xFactor + i * deltaX, y * yFactor]));
+    });
+  } else {
+    // (XY..XY)：成对出现
+    const flat = dataLines.flatMap(numbers);
+    for (let i = 0; i + 1 < flat.length; i += 2) {
+      points.push([flat[i] * xFactor, flat[i + 1] * yFactor]);
+    }
+  }
+
+  return finalize(points, unit);
+};
+
+/**
+ * 根据文件名/内容选择解析器
+ * @param {string} filename
+ * @param {string} text
+ */
+export const parseSpectrumFile = (filename, text) => {
+  const isJcamp = /\.(jdx|dx|jcamp)$/i.test(filename) || /^\s*##TITLE=/m.test(text);
+  return isJcamp ? parseJcampSpectrum(text) : parseDelimitedSpectrum(text);
+};
+
+// 归一化到峰值 = 1
+export const normalizeSpectrum = (spectrum) => {
+  const max = Math.max(...spectrum.map(p => p.intensity));
+  if (max <= 0) return spectrum;
+  return spectrum.map(p => ({ wl: p.wl, intensity: p.intensity / max }));
+};
@@ -0,0 +1,277 @@
+// src/utils/structureIO.js
+
+// ==========================================
+// 晶体结构文件的导出与导入 (CIF / 扩展 XYZ / VASP POSCAR)
+// 结构对象见 physics.js buildStructure：晶格矢量与笛卡尔坐标均为 Å
+// ==========================================
+
+import { buildStructure, cellToVectors, cartToFrac, cellVolume, parseFraction, parseSymmetryOperation, expandSymmetry } from './physics.js';
+
+// 导入结构的原子数上限
+export const MAX_IMPORT_ATOMS = 2000;
+
+// 团簇导出 POSCAR 时四周留出的真空层 (Å)
+const CLUSTER_VACUUM = 10;
+
+const fmt = (v, digits = 8) => (Math.abs(v) < 0.5 * Math.pow(10, -digits) ? 0 : v).toFixed(digits);
+
+// 按元素首次出现的顺序分组 (POSCAR 要求同种原子连续排列)
+const groupBySpecies = (atoms) => {
+  const species = [...new Set(atoms.map(a => a.type))];
+  return species.map(type => ({ type, atoms: atoms.filter(a => a.type === type) }));
+};
+
+// ------------------------------------------
+// 导出
+// ------------------------------------------
+
+/**
+ * 导出 CIF (P1，显式列出全部原子，保留随机掺杂位置)
+ * @param {object} structure - buildStructure 的结构对象，必须是周期性结构
+ */
+export const structureToCif = (structure) => {
+  if (!structure.periodic) throw new Error('CIF export needs a periodic structure (switch to the unit cell view)');
+  const { a, b, c, alpha, beta, gamma } = structure.cell;
+  const volume = Math.abs(cellVolume(structure.vectors));
+  const counters = {};
+  const sites = structure.atoms.map(atom => {
+    counters[atom.type] = (counters[atom.type] || 0) + 1;
+    return `${atom.type}${counters[atom.type]} ${atom.type} ${atom.frac.map(v => fmt(v, 6)).join(' ')} 1.0`;
+  });
+  return [
+    `data_${structure.title.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '')}`,
+    "_audit_creation_method 'AgGaS2-Lab structure export'",
+    "_symmetry_space_group_name_H-M 'P 1'",
+    '_symmetry_Int_Tables_number 1',
+    `_cell_length_a ${fmt(a, 6)}`,
+    `_cell_length_b ${fmt(b, 6)}`,
+    `_cell_length_c ${fmt(c, 6)}`,
+    `_cell_angle_alpha ${fmt(alpha, 4)}`,
+    `_cell_angle_beta ${fmt(beta, 4)}`,
+    `_cell_angle_gamma ${fmt(gamma, 4)}`,
+    `_cell_volume ${fmt(volume, 4)}`,
+    'loop_',
+    '_symmetry_equiv_pos_as_xyz',
+    "'x, y, z'",
+    'loop_',
+    '_atom_site_label',
+    '_atom_site_type_symbol',
+    '_atom_site_fract_x',
+    '_atom_site_fract_y',
+    '_atom_site_fract_z',
+    '_atom_site_occupancy',
+    ...sites,
+    ''
+  ].join('\n');
+};
+
+/**
+ * 导出扩展 XYZ (周期性结构写入 Lattice 与 pbc，团簇 pbc 为 F)
+ */
+export const structureToXyz = (structure) => {
+  const lattice = structure.periodic
+    ? `Lattice="${structure.vectors.flat().map(v => fmt(v)).join(' ')}" `
+    : '';
+  const pbc = structure.periodic ? 'T T T' : 'F F F';
+  return [
+    String(structure.atoms.length),
+    `${lattice}Properties=species:S:1:pos:R:3 pbc="${pbc}" comment="${structure.title}"`,
+    ...structure.atoms.map(atom => `${atom.type.padEnd(3)} ${atom.cart.map(v => fmt(v).padStart(14)).join(' ')}`),
+    ''
+  ].join('\n');
+};
+
+/**
+ * 导出 VASP POSCAR (VASP 5 格式，Direct 坐标)
+ * 团簇放入正交真空盒 (四周各留 CLUSTER_VACUUM Å)
+ */
+export const structureToPoscar = (structure) => {
+  let { vectors, atoms } = structure;
+  if (!structure.periodic) {
+    const lo = [0, 1, 2].map(k => Math.min(...atoms.map(a => a.cart[k])));
+    const hi = [0, 1, 2].map(k => Math.max(...atoms.map(a => a.cart[k])));
+    const size = [0, 1, 2].map(k => hi[k] - lo[k] + 2 * CLUSTER_VACUUM);
+    vectors = cellToVectors({ a: size[0], b: size[1], c: size[2], alpha: 90, beta: 90, gamma: 90 });
+    atoms = atoms.map(atom => ({
+      ...atom,
+      frac: cartToFrac(atom.cart.map((v, k) => v - lo[k] + CLUSTER_VACUUM), vectors)
+    }));
+  }
+  const groups = groupBySpecies(atoms);
+  return [
+    structure.title,
+    '1.0',
+    ...vectors.map(v => `  ${v.map(x => fmt(x).padStart(14)).join(' ')}`),
+    `  ${groups.map(g => g.type).join(' ')}`,
+    `  ${groups.map(g => g.atoms.length).join(' ')}`,
+    'Direct',
+    ...groups.flatMap(g => g.atoms.map(atom => `  ${atom.frac.map(v => fmt(v).padStart(12)).join(' ')}`)),
+    ''
+  ].join('\n');
+};
+
+// ------------------------------------------
+// 导入
+// ------------------------------------------
+
+// CIF 词法分析：跳过注释与分号文本块，保留引号内的空格
+const tokenizeCif = (text) => {
+  const tokens = [];
+  let inTextField = false;
+  text.split(/\r?\n/).forEach(line => {
+    if (line.startsWith(';')) {
+      inTextField = !inTextField;
+      if (!inTextField) tokens.push('');
+      return;
+    }
+    if (inTextField) return;
+    const regex = /'([^']*)'(?=\s|$)|"([^"]*)"(?=\s|$)|(#.*)|(\S+)/g;
+    let match;
+    while ((match = regex.exec(line))) {
+      if (match[3] !== undefined) break;
+      tokens.push(match[1] ?? match[2] ?? match[4]);
+    }
+  });
+  return tokens;
+};
+
+// 解析第一个数据块：返回标签值与 loop 表
+const parseCifBlock = (text) => {
+  const tokens = tokenizeCif(text);
+  const tags = {};
+  const loops = [];
+  let i = tokens.findIndex(t => t.toLowerCase().startsWith('data_'));
+  if (i < 0) throw new Error('CIF file has no data_ block');
+  i += 1;
+  const isTag = (t) => t.startsWith('_');
+  const isKeyword = (t) => /^(loop_|data_|save_|global_)/i.test(t);
+  while (i < tokens.length && !/^data_/i.test(tokens[i])) {
+    const token = tokens[i];
+    if (token.toLowerCase() === 'loop_') {
+      const header = [];
+      i += 1;
+      while (i < tokens.length && isTag(tokens[i])) header.push(tokens[i++].toLowerCase());
+      const values = [];
+      while (i < tokens.length && !isTag(tokens[i]) && !isKeyword(tokens[i])) values.push(tokens[i++]);
+      const rows = [];
+      for (let r = 0; r + header.length <= values.length; r += header.length) {
+        rows.push(Object.fromEntries(header.map((h, k) => [h, values[r + k]])));
+      }
+      loops.push({ header, rows });
+    } else if (isTag(token)) {
+      tags[token.toLowerCase()] = tokens[i + 1];
+      i += 2;
+    } else {
+      i += 1;
+    }
+  }
+  return { tags, loops };
+};
+
+// 元素符号：优先 type_symbol (去掉价态 "Ga3+")，否则取 label 开头的字母
+const elementSymbol = (row) => {
+  const source = row['_atom_site_type_symbol'] ?? row['_atom_site_label'] ?? '';
+  const match = source.match(/^([A-Z][a-z]?)/);
+  if (!match) throw new Error(`Cannot determine element for atom site "${source}"`);
+  return match[1];
+};
+
+/**
+ * 解析 CIF：读取晶胞参数与原子位置，按对称操作展开到完整晶胞
+ * @param {string} text
+ * @param {string} title - 缺省使用 data_ 块名
+ */
+export const parseCif = (text, title) => {
+  const { tags, loops } = parseCifBlock(text);
+  const cell = {
+    a: parseFraction(tags['_cell_length_a']),
+    b: parseFraction(tags['_cell_length_b']),
+    c: parseFraction(tags['_cell_length_c']),
+    alpha: parseFraction(tags['_cell_angle_alpha'] ?? '90'),
+    beta: parseFraction(tags['_cell_angle_beta'] ?? '90'),
+    gamma: parseFraction(tags['_cell_angle_gamma'] ?? '90')
+  };
+  const missing = Object.entries(cell).filter(([, v]) => !Number.isFinite(v) || v <= 0).map(([k]) => k);
+  if (missing.length) throw new Error(`CIF is missing cell parameter(s): ${missing.join(', ')}`);
+
+  const siteLoop = loops.find(l => l.header.includes('_atom_site_fract_x'));
+  if (!siteLoop) throw new Error('CIF has no _atom_site_fract_x/y/z loop');
+
+  const symLoop = loops.find(l => l.header.includes('_symmetry_equiv_pos_as_xyz') || l.header.includes('_space_group_symop_operation_xyz'));
+  const operations = symLoop
+    ? symLoop.rows.map(r => parseSymmetryOperation(r['_symmetry_equiv_pos_as_xyz'] ?? r['_space_group_symop_operation_xyz']))
+    : [(p) => p];
+
+  const sites = siteLoop.rows.map(row => {
+    const frac = ['x', 'y', 'z'].map(k => parseFraction(row[`_atom_site_fract_${k}`]));
+    if (frac.some(v => !Number.isFinite(v))) throw new Error(`Invalid coordinates for atom site "${row['_atom_site_label']}"`);
+    return { type: elementSymbol(row), frac };
+  });
+  const atoms = expandSymmetry(sites, operations);
+  if (atoms.length > MAX_IMPORT_ATOMS) throw new Error(`Structure has ${atoms.length} atoms (limit ${MAX_IMPORT_ATOMS})`);
+
+  const blockName = (text.match(/^\s*data_(\S*)/mi) || [])[1];
+  return buildStructure({ title: title || blockName || 'Imported CIF', vectors: cellToVectors(cell), atoms, periodic: true });
+};
+
+/**
+ * 解析 VASP POSCAR / CONTCAR (VASP 4 与 5 格式，Direct / Cartesian，可含 Selective dynamics)
+ * VASP 4 格式没有元素行时，从注释行读取元素符号
+ */
+export const parsePoscar = (text, title) => {
+  const lines = text.split(/\r?\n/);
+  const numbers = (line) => (line || '').trim().split(/\s+/).filter(Boolean).map(Number);
+  const comment = (lines[0] || '').trim();
+
+  const scale = numbers(lines[1])[0];
+  if (!Number.isFinite(scale) || scale === 0) throw new Error('POSCAR line 2 must be the scaling factor');
+  let vectors = [2, 3, 4].map(i => numbers(lines[i]).slice(0, 3));
+  if (vectors.some(v => v.length < 3 || v.some(x => !Number.isFinite(x)))) throw new Error('POSCAR lines 3-5 must be lattice vectors');
+
+  // 负的缩放因子表示目标晶胞体积 (Å³)
+  const rawVolume = Math.abs(cellVolume(vectors));
+  const factor = scale > 0 ? scale : Math.cbrt(-scale / rawVolume);
+  vectors = vectors.map(v => v.map(x => x * factor));
+
+  let cursor = 5;
+  let species;
+  const line5 = (lines[cursor] || '').trim().split(/\s+/);
+  if (line5.every(t => /^[A-Z][a-z]?/.test(t)) && line5.some(t => !Number.isFinite(Number(t)))) {
+    species = line5.map(t => t.match(/^[A-Z][a-z]?/)[0]);
+    cursor += 1;
+  }
+  const counts = numbers(lines[cursor]);
+  if (!counts.length || counts.some(n => !Number.isInteger(n) || n < 0)) throw new Error('POSCAR is missing the atom count line');
+  cursor += 1;
+  if (!species) {
+    species = comment.split(/\s+/).filter(t => /^[A-Z][a-z]?$/.test(t));
+    if (species.length !== counts.length) throw new Error('POSCAR has no element line and the comment line does not list the elements');
+  }
+  if (species.length !== counts.length) throw new Error('POSCAR element and count lines have different lengths');
+
+  if (/^\s*s/i.test(lines[cursor])) cursor += 1; // Selective dynamics
+  const isCartesian = /^\s*[ck]/i.test(lines[cursor]);
+  cursor += 1;
+
+  const total = counts.reduce((a, b) => a + b, 0);
+  if (total > MAX_IMPORT_ATOMS) throw new Error(`Structure has ${total} atoms (limit ${MAX_IMPORT_ATOMS})`);
+  const types = species.flatMap((type, k) => Array(counts[k]).fill(type));
+  const atoms = types.map((type, i) => {
+    const coords = numbers(lines[cursor + i]).slice(0, 3);
+    if (coords.length < 3 || coords.some(x => !Number.isFinite(x))) throw new Error(`POSCAR coordinate line ${cursor + i + 1} is invalid`);
+    const frac = isCartesian ? cartToFrac(coords.map(x => x * factor), vectors) : coords;
+    return { type, frac };
+  });
+
+  return buildStructure({ title: title || comment || 'Imported POSCAR', vectors, atoms, periodic: true });
+};
+
+/**
+ * 根据文件名/内容选择解析器
+ * @param {string} filename
+ * @param {string} text
+ */
+export const parseStructureFile = (filename, text) => {
+  const isCif = /\.cif$/i.test(filename) || /^\s*_cell_length_a/m.test(text);
+  return isCif ? parseCif(text, filename) : parsePoscar(text, filename);
+};
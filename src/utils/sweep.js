@@ -0,0 +1,107 @@
+// src/utils/sweep.js
+
+// ==========================================
+// 参数扫描 / 实验设计 (DOE)：在 1-D 或 2-D 网格上批量运行光谱 → 色度 / 显色管线
+// ==========================================
+
+import { simulateWhiteLED, calculateChromaticity, calculateCRI } from './physics.js';
+
+// 可扫描参数 (范围与配方 Schema 一致)；integer 参数的轴取值为整数
+export const SWEEP_PARAMETERS = {
+  radius:       { label: 'Radius', type: 'number', min: 1, max: 10, unit: 'nm' },
+  fwhm:         { label: 'FWHM', type: 'number', min: 10, max: 100, unit: 'nm' },
+  reactionTime: { label: 'Reaction Time', type: 'number', min: 30, max: 90, unit: 'min' },
+  zrDoping:     { label: 'Zr Doping', type: 'number', min: 0, max: 0.3, unit: 'mmol' },
+  isCoreShell:  { label: 'Core-Shell', type: 'boolean' },
+  shellMonolayers: { label: 'Shell Thickness', type: 'number', min: 1, max: 10, unit: 'ML', integer: true },
+  temperature:  { label: 'Temperature', type: 'number', min: -40, max: 200, unit: '°C' }
+};
+
+// 结果指标 (热图 / 曲线可选)
+export const SWEEP_METRICS = {
+  peakWl: { label: 'Peak λ', unit: 'nm', digits: 1 },
+  Ra:     { label: 'CRI Ra', unit: '', digits: 1 },
+  R9:     { label: 'R9', unit: '', digits: 1 },
+  cct:    { label: 'CCT', unit: 'K', digits: 0 },
+  duv:    { label: 'Duv', unit: '', digits: 4 },
+  x:      { label: 'CIE x', unit: '', digits: 4 },
+  y:      { label: 'CIE y', unit: '', digits: 4 },
+  ler:    { label: 'LER', unit: 'lm/W', digits: 0 },
+  flux:   { label: 'Flux', unit: 'lm', digits: 1 }
+};
+
+// 每个轴的最大步数 (2-D 网格最多 41 × 41 次完整模拟)
+export const MAX_SWEEP_STEPS = 41;
+
+/**
+ * 生成扫描轴的取值
+ * @param {object} axis - { key, min, max, steps }；布尔参数固定为 [false, true]
+ *   整数参数的端点取整，步数不超过区间内的整数个数，各取值四舍五入 (步长 ≥ 1，不会重复)
+ */
+export const getAxisValues = ({ key, min, max, steps }) => {
+  if (SWEEP_PARAMETERS[key].type === 'boolean') return [false, true];
+  const n = Math.min(Math.max(Math.round(steps), 2), MAX_SWEEP_STEPS);
+  if (SWEEP_PARAMETERS[key].integer) {
+    const lo = Math.round(min), hi = Math.round(max);
+    const count = Math.min(n, Math.abs(hi - lo) + 1);
+    if (count === 1) return [lo];
+    return Array.from({ length: count }, (_, i) => Math.round(lo + (hi - lo) * i / (count - 1)));
+  }
+  return Array.from({ length: n }, (_, i) => parseFloat((min + (max - min) * i / (n - 1)).toPrecision(6)));
+};
+
+/**
+ * 运行参数扫描
+ * @param {object} base - simulateWhiteLED 的完整输入 (当前界面状态)
+ * @param {Array<{key, min, max, steps}>} axes - 1 或 2 个扫描轴
+ * @param {object} options - { onRow }：onRow({ axes, row, done, total }) 在每个网格点完成后调用 (逐点汇报进度)
+ * @returns {{axes: Array<{key, values}>, rows: Array<object>}} rows 按第一轴为外层循环排列，每行含扫描参数值与全部指标
+ */
+export const runSweep = (base, axes, { onRow } = {}) => {
+  if (axes.length < 1 || axes.length > 2) throw new Error('Choose one or two sweep parameters');
+  if (axes.length === 2 && axes[0].key === axes[1].key) throw new Error('Sweep parameters must be different');
+
+  const resolved = axes.map(axis => ({ key: axis.key, values: getAxisValues(axis) }));
+  const [outer, inner = { key: null, values: [null] }] = resolved;
+
+  const rows = [];
+  const total = outer.values.length * inner.values.length;
+  outer.values.forEach(a => inner.values.forEach(b => {
+    const point = inner.key ? { [outer.key]: a, [inner.key]: b } : { [outer.key]: a };
+    const result = simulateWhiteLED({ ...base, ...point });
+    const chromaticity = calculateChromaticity(result.spectrum);
+    const cri = calculateCRI(result.spectrum);
+    rows.push({
+      ...point,
+      peakWl: result.peakWl,
+      Ra: cri ? cri.Ra : null,
+      R9: cri ? cri.R[8] : null,
+      cct: chromaticity ? chromaticity.cct : null,
+      duv: chromaticity ? chromaticity.duv : null,
+      x: chromaticity ? chromaticity.x : null,
+      y: chromaticity ? chromaticity.y : null,
+      ler: result.device.luminousEfficacyOfRadiation,
+      flux: result.device.luminousFlux
+    });
+    if (onRow) onRow({ axes: resolved, row: rows[rows.length - 1], done: rows.length, total });
+  }));
+
+  return { axes: resolved, rows };
+};
+
+/**
+ * 扫描结果导出为 CSV (扫描参数列 + 全部指标列)
+ * @param {{axes, rows}} sweep - runSweep 的返回值
+ */
+export const sweepToCsv = ({ axes, rows }) => {
+  const paramColumns = axes.map(a => a.key);
+  const header = [
+    ...paramColumns.map(key => (SWEEP_PARAMETERS[key].unit ? `${key} (${SWEEP_PARAMETERS[key].unit})` : key)),
+    ...Object.entries(SWEEP_METRICS).map(([key, m]) => (m.unit ? `${key} (${m.unit})` : key))
+  ];
+  const lines = rows.map(row => [
+    ...paramColumns.map(key => row[key]),
+    ...Object.entries(SWEEP_METRICS).map(([key, m]) => (row[key] === null ? '' : row[key].toFixed(m.digits)))
+  ].join(','));
+  return [header.join(','), ...lines].join('\n');
+};
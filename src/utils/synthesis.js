@@ -0,0 +1,66 @@
+// src/utils/synthesis.js
+
+// ==========================================
+// 合成时间轴：从成核 (t = 0) 到 90 min 的反应过程
+// 成核后纳米晶按单体扩散控制的饱和规律长大到目标半径 (界面半径滑块)，
+// 之后尺寸基本不变，发射峰由反常蓝移项 (calculateEmissionParams 中的 reactionTime) 驱动
+// 每一帧给出 { radius, reactionTime }，交给与滑块相同的计算管线
+// ==========================================
+
+export const SYNTHESIS_DURATION = 90; // min
+
+// 成核时的临界晶核半径 (nm) 与生长时间常数 (min)：约 3τ 后达到目标半径的 95%
+export const NUCLEUS_RADIUS = 1.0;
+export const GROWTH_TIME_CONSTANT = 8;
+
+// 播放速度：1× 为每秒 3 分钟反应时间 (完整播放 30 s)
+export const PLAYBACK_RATE = 3; // min/s
+export const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+// 注释在其时间点之后保持显示的时长 (min)
+export const ANNOTATION_HOLD = 10;
+
+// 导出：每分钟一帧，15 fps (90 min → 6 s 视频)
+export const TIMELINE_EXPORT = { frames: SYNTHESIS_DURATION + 1, fps: 15 };
+
+/**
+ * 时间轴上某一时刻的合成状态
+ * @param {number} time - 反应时间 (min，0 为成核)
+ * @param {object} options - { finalRadius: 目标半径 (nm), blueShiftOnset: 反常蓝移起始时间 (min) }
+ * @returns {{time: number, radius: number, reactionTime: number, stage: 'nucleation' | 'growth' | 'blueShift'}}
+ */
+export const synthesisFrame = (time, { finalRadius, blueShiftOnset }) => {
+  const t = Math.min(Math.max(time, 0), SYNTHESIS_DURATION);
+  const start = Math.min(NUCLEUS_RADIUS, finalRadius);
+  const radius = start + (finalRadius - start) * (1 - Math.exp(-t / GROWTH_TIME_CONSTANT));
+  const stage = t < 1 ? 'nucleation' : t < blueShiftOnset ? 'growth' : 'blueShift';
+  // 半径保留 0.01 nm，使相邻帧可复用结构缓存并与滑块精度一致
+  return { time: t, radius: parseFloat(radius.toFixed(2)), reactionTime: t, stage };
+};
+
+export const STAGE_LABELS = {
+  nucleation: 'Nucleation',
+  growth: 'Growth',
+  blueShift: 'Anomalous blue shift'
+};
+
+/**
+ * 当前应显示的注释：时间点不晚于 time 且仍在保持时长内的最后一条
+ * @param {Array<{id, time, text}>} annotations
+ */
+export const activeAnnotation = (annotations, time) => annotations
+  .filter(a => a.time <= time + 1e-6 && time - a.time < ANNOTATION_HOLD)
+  .reduce((latest, a) => (!latest || a.time >= latest.time ? a : latest), null);
+
+/**
+ * 画面说明文字 (界面叠加层与导出帧共用)
+ * @param {object} frame - synthesisFrame 的结果
+ * @param {number} peakWl - 该时刻的发射峰 (nm)
+ * @param {object|null} annotation - activeAnnotation 的结果
+ * @returns {string[]}
+ */
+export const timelineCaption = (frame, peakWl, annotation) => [
+  `t = ${frame.time.toFixed(1)} min · ${STAGE_LABELS[frame.stage]}`,
+  `r = ${frame.radius.toFixed(2)} nm · λ = ${peakWl.toFixed(0)} nm`,
+  ...(annotation ? [annotation.text] : [])
+];
@@ -0,0 +1,111 @@
+// src/utils/thermal.js
+
+// ==========================================
+// 温度效应：Varshni 带隙收缩、声子展宽、Arrhenius 热猝灭、由驱动电流估算结温
+// 所有模型都以 25 °C 为参考点 (材料库与经验修正系数均为室温值)
+// ==========================================
+
+const K_B = 8.617333e-5;          // 玻尔兹曼常数 (eV/K)
+const T_ZERO = 273.15;
+export const REFERENCE_TEMPERATURE = 25; // 参考温度 (°C)
+
+// 量子点发光的热学参数
+export const THERMAL_PARAMS = {
+  phononEnergy: 0.036,    // LO 声子能量 ħω (eV)
+  phononCoupling: 0.05,   // LO 声子展宽系数 Γ_LO (eV)
+  // Arrhenius 热猝灭：I(T) ∝ 1 / (1 + A·exp(-Ea/kT))；ZnS 壳层钝化表面态，激活能更高
+  quenching: {
+    core:      { activationEnergy: 0.20, ratio: 300 },
+    coreShell: { activationEnergy: 0.30, ratio: 1000 }
+  }
+};
+
+// LED 芯片电热参数 (用于由驱动电流估算结温)
+export const CHIP_PARAMS = {
+  forwardVoltage: 2.9,      // 零电流外推正向电压 (V)
+  seriesResistance: 0.5,    // 串联电阻 (Ω)
+  wallPlugEfficiency: 0.5,  // 25 °C 电光转换效率
+  efficiencyDroop: 0.002,   // 电光效率温度系数 (1/K)
+  thermalResistance: 20     // 结到环境热阻 (K/W)
+};
+
+// 温度输入：直接给定荧光膜温度 ('manual')，或由环境温度与驱动电流估算结温 ('junction')
+export const DEFAULT_THERMAL = { temperatureMode: 'manual', temperature: 25, ambientTemperature: 25, driveCurrent: 350 };
+
+// 温度输入的元数据 (标签、单位、滑块范围)，供 UI 与配方校验使用
+export const THERMAL_PARAM_INFO = {
+  temperature:        { label: 'Film Temperature', unit: '°C', min: -40, max: 200, step: 5 },
+  ambientTemperature: { label: 'Ambient Temperature', unit: '°C', min: -40, max: 85, step: 5 },
+  driveCurrent:       { label: 'Drive Current', unit: 'mA', min: 10, max: 2000, step: 10 }
+};
+
+// 热漂移曲线的温度点 (25 → 150 °C)
+export const DRIFT_TEMPERATURE_RANGE = { min: 25, max: 150, steps: 11 };
+
+const toKelvin = (celsius) => celsius + T_ZERO;
+
+// Varshni 项 αT²/(T+β) (eV)
+const varshni = (T, alpha, beta) => alpha * T * T / (T + beta);
+
+/**
+ * 相对参考温度的带隙变化 (eV，升温为负)
+ * @param {number} temperature - °C
+ * @param {number} alpha - Varshni α (eV/K)
+ * @param {number} beta - Varshni β (K)
+ */
+export const varshniShift = (temperature, alpha, beta) =>
+  -(varshni(toKelvin(temperature), alpha, beta) - varshni(toKelvin(REFERENCE_TEMPERATURE), alpha, beta));
+
+// 玻色-爱因斯坦声子占据数
+const phononOccupation = (temperature, phononEnergy) => 1 / (Math.exp(phononEnergy / (K_B * toKelvin(temperature))) - 1);
+
+/**
+ * 声子展宽后的 FWHM：Γ(T) = Γ(25°C) + Γ_LO·[n(T) − n(25°C)]，在能量空间叠加后换算回波长
+ * @param {number} fwhmNm - 参考温度下的 FWHM (nm)
+ * @param {number} wl - 峰位 (nm)
+ */
+export const broadenFwhm = (fwhmNm, wl, temperature, params = THERMAL_PARAMS) => {
+  const dn = phononOccupation(temperature, params.phononEnergy) - phononOccupation(REFERENCE_TEMPERATURE, params.phononEnergy);
+  const gammaE = 1240 * fwhmNm / (wl * wl) + params.phononCoupling * dn;
+  return Math.max(gammaE, 1e-4) * wl * wl / 1240;
+};
+
+/**
+ * Arrhenius 热猝灭：相对参考温度的发光强度
+ * @param {boolean} isCoreShell - 核壳结构使用更高的激活能
+ */
+export const thermalQuenchingFactor = (temperature, isCoreShell, params = THERMAL_PARAMS) => {
+  const { activationEnergy, ratio } = params.quenching[isCoreShell ? 'coreShell' : 'core'];
+  const loss = (celsius) => 1 + ratio * Math.exp(-activationEnergy / (K_B * toKelvin(celsius)));
+  return loss(REFERENCE_TEMPERATURE) / loss(temperature);
+};
+
+/**
+ * 由驱动电流估算结温 (不动点迭代：电光效率随结温下降，发热随之增加)
+ * 远程荧光膜温度按结温处理 (保守估计)
+ * @param {object} params - { ambient (°C), current (mA) }
+ * @returns {{junction: number, electricalPower: number, opticalPower: number, heat: number}} 温度 °C，功率 W
+ */
+export const estimateJunctionTemperature = ({ ambient, current }, chip = CHIP_PARAMS) => {
+  const I = current / 1000;
+  const electricalPower = I * (chip.forwardVoltage + chip.seriesResistance * I);
+  let junction = ambient;
+  let opticalPower = 0;
+  for (let i = 0; i < 20; i++) {
+    const efficiency = Math.max(chip.wallPlugEfficiency * (1 - chip.efficiencyDroop * (junction - REFERENCE_TEMPERATURE)), 0);
+    opticalPower = electricalPower * efficiency;
+    junction = ambient + chip.thermalResistance * (electricalPower - opticalPower);
+  }
+  return { junction, electricalPower, opticalPower, heat: electricalPower - opticalPower };
+};
+
+/**
+ * 由温度输入得到荧光膜温度
+ * @param {object} settings - { temperatureMode, temperature, ambientTemperature, driveCurrent } (见 DEFAULT_THERMAL)
+ * @returns {{temperature: number, junction: object|null}} junction 为 estimateJunctionTemperature 的结果 (仅 'junction' 模式)
+ */
+export const resolveFilmTemperature = (settings) => {
+  if (settings.temperatureMode !== 'junction') return { temperature: settings.temperature, junction: null };
+  const junction = estimateJunctionTemperature({ ambient: settings.ambientTemperature, current: settings.driveCurrent });
+  return { temperature: junction.junction, junction };
+};
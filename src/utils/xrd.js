@@ -0,0 +1,222 @@
+// src/utils/xrd.js
+
+// ==========================================
+// 粉末 X 射线衍射 (XRD) 模拟：原子散射因子 → 结构因子 → 衍射峰列表 → Cu Kα 2θ 图谱
+// 峰宽由 Scherrer 公式给出 (晶粒尺寸取量子点直径)，与仪器展宽按平方和合成
+// ==========================================
+
+import { cellVolume } from './physics.js';
+
+// Cu Kα 双线 (Å)：Kα2 强度为 Kα1 的一半
+export const CU_KALPHA = { ka1: 1.54056, ka2: 1.54439, ka2Ratio: 0.5 };
+
+export const XRD_SETTINGS = {
+  twoThetaMin: 10,      // 图谱范围 (°)
+  twoThetaMax: 80,
+  step: 0.02,           // 采样间隔 (°)
+  debyeWaller: 1.0,     // 各向同性 Debye-Waller 因子 B (Å²)
+  scherrerK: 0.9,       // Scherrer 形状因子
+  instrumentFwhm: 0.05, // 仪器展宽 (°)
+  lorentzFraction: 0.5, // 赝 Voigt 线型的洛伦兹分量
+  minIntensity: 0.05    // 列表中保留的最小相对强度 (%)
+};
+
+// 模型结构的 XRD 使用 4×4×2 超胞 (512 个原子)，使随机 Zr 替换对强度的影响接近平均占位
+export const XRD_SUPERCELL = [4, 4, 2];
+
+// Cromer-Mann 系数 (International Tables Vol. C)：f(s) = Σ aᵢ·exp(−bᵢ·s²) + c，s = sinθ/λ (Å⁻¹)
+const FORM_FACTORS = {
+  Ag: { a: [19.2808, 16.6885, 4.8045, 1.0463], b: [0.6446, 7.4726, 24.6605, 99.8156], c: 5.179 },
+  Cu: { a: [13.338, 7.1676, 5.6158, 1.6735], b: [3.5828, 0.247, 11.3966, 64.8126], c: 1.191 },
+  Ga: { a: [15.2354, 6.7006, 4.3591, 2.9623], b: [3.0669, 0.2412, 10.7805, 61.4135], c: 1.7189 },
+  In: { a: [19.1624, 18.5596, 4.2948, 2.0396], b: [0.5476, 6.3776, 25.8499, 92.8029], c: 4.9391 },
+  S:  { a: [6.9053, 5.2034, 1.4379, 1.5863], b: [1.4679, 22.2151, 0.2536, 56.172], c: 0.8669 },
+  Se: { a: [17.0006, 5.8196, 3.9731, 4.3543], b: [2.4098, 0.2726, 15.2372, 43.8163], c: 2.8409 },
+  Zn: { a: [14.0743, 7.0318, 5.1652, 2.41], b: [3.2655, 0.2333, 10.3163, 58.7097], c: 1.3041 },
+  Zr: { a: [17.8765, 10.948, 5.41732, 3.65721], b: [1.27618, 11.916, 0.117622, 87.6627], c: 2.06929 }
+};
+
+/**
+ * 原子散射因子 (电子数)
+ * @param {string} type - 元素符号
+ * @param {number} s - sinθ/λ (Å⁻¹)
+ */
+export const atomicFormFactor = (type, s) => {
+  const coeffs = FORM_FACTORS[type];
+  if (!coeffs) throw new Error(`No X-ray form factor for element "${type}"`);
+  const s2 = s * s;
+  return coeffs.a.reduce((f, a, i) => f + a * Math.exp(-coeffs.b[i] * s2), coeffs.c);
+};
+
+const cross = (u, v) => [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+
+// 倒易基矢 (不含 2π)：aᵢ·bⱼ* = δᵢⱼ
+const reciprocalVectors = (vectors) => {
+  const volume = cellVolume(vectors);
+  return [[1, 2], [2, 0], [0, 1]].map(([i, j]) => cross(vectors[i], vectors[j]).map(v => v / volume));
+};
+
+// 同一 d 值衍射峰组的代表指数：优先全为非负且 h ≥ k
+const representative = (members) => {
+  const score = ([h, k, l]) => (h >= 0 && k >= 0 && l >= 0 ? 4 : 0) + (h >= k ? 2 : 0) + (h >= 0 ? 1 : 0);
+  return members.reduce((best, hkl) => (score(hkl) > score(best) ? hkl : best), members[0]);
+};
+
+/**
+ * 计算粉末衍射峰：结构因子 F(hkl) = Σ fⱼ·exp(2πi·(h·xⱼ + k·yⱼ + l·zⱼ))
+ * 强度 I = m·|F|²·LP(θ)·exp(−2B·s²)，LP = (1 + cos²2θ) / (sin²θ·cosθ)；等 d 值的反射合并为一个峰 (多重度 m)
+ * @param {object} structure - 周期性结构 (见 physics.js buildStructure)
+ * @param {object} options - { repeat: 结构相对衍射指标晶胞的超胞倍数 [N, M, L], wavelength (Å), settings }
+ *   超胞结构以单胞为指标晶胞，F 按单胞数归一 (替换与空位按平均占位体现在强度上)
+ * @returns {Array<{hkl: number[], d: number, twoTheta: number, multiplicity: number, F2: number, intensity: number}>}
+ *   按 2θ 升序，intensity 为相对最强峰的百分比
+ */
+export const computeReflections = (structure, { repeat = [1, 1, 1], wavelength = CU_KALPHA.ka1, settings = XRD_SETTINGS } = {}) => {
+  if (!structure.periodic) throw new Error('XRD needs a periodic structure');
+  const cell = structure.vectors.map((v, i) => v.map(x => x / repeat[i]));
+  const reciprocal = reciprocalVectors(cell);
+  const cellCount = repeat[0] * repeat[1] * repeat[2];
+  const dMin = wavelength / (2 * Math.sin(settings.twoThetaMax * Math.PI / 360));
+  const limits = reciprocal.map(r => Math.floor(1 / (dMin * Math.hypot(...r)) + 1e-9));
+
+  // 原子坐标换算到指标晶胞的分数坐标
+  const atoms = structure.atoms.map(atom => ({ type: atom.type, frac: atom.frac.map((f, k) => f * repeat[k]) }));
+  const types = [...new Set(atoms.map(a => a.type))];
+  types.forEach(type => atomicFormFactor(type, 0));
+
+  const groups = new Map();
+  for (let h = -limits[0]; h <= limits[0]; h++) {
+    for (let k = -limits[1]; k <= limits[1]; k++) {
+      for (let l = -limits[2]; l <= limits[2]; l++) {
+        if (h === 0 && k === 0 && l === 0) continue;
+        const g = [0, 1, 2].map(i => h * reciprocal[0][i] + k * reciprocal[1][i] + l * reciprocal[2][i]);
+        const d = 1 / Math.hypot(...g);
+        if (d < dMin) continue;
+        const s = 1 / (2 * d);
+        const f = Object.fromEntries(types.map(type => [type, atomicFormFactor(type, s)]));
+        let re = 0, im = 0;
+        atoms.forEach(({ type, frac }) => {
+          const phase = 2 * Math.PI * (h * frac[0] + k * frac[1] + l * frac[2]);
+          re += f[type] * Math.cos(phase);
+          im += f[type] * Math.sin(phase);
+        });
+        const F2 = (re * re + im * im) / (cellCount * cellCount);
+        const key = d.toFixed(4);
+        if (!groups.has(key)) groups.set(key, { d, members: [], F2: 0 });
+        const group = groups.get(key);
+        group.members.push([h, k, l]);
+        group.F2 += F2;
+      }
+    }
+  }
+
+  const reflections = [...groups.values()].map(({ d, members, F2 }) => {
+    const theta = Math.asin(wavelength / (2 * d));
+    const s = 1 / (2 * d);
+    const lp = (1 + Math.cos(2 * theta) ** 2) / (Math.sin(theta) ** 2 * Math.cos(theta));
+    return {
+      hkl: representative(members),
+      d,
+      twoTheta: 2 * theta * 180 / Math.PI,
+      multiplicity: members.length,
+      F2: F2 / members.length,
+      intensity: F2 * lp * Math.exp(-2 * settings.debyeWaller * s * s)
+    };
+  }).filter(r => r.twoTheta >= settings.twoThetaMin);
+
+  const max = Math.max(...reflections.map(r => r.intensity), 0) || 1;
+  return reflections
+    .map(r => ({ ...r, intensity: 100 * r.intensity / max }))
+    .filter(r => r.intensity >= settings.minIntensity)
+    .sort((a, b) => a.twoTheta - b.twoTheta);
+};
+
+/**
+ * Scherrer 峰宽 β = Kλ / (D·cosθ)，与仪器展宽平方和合成
+ * @param {number} twoTheta - 峰位 (°)
+ * @param {number} size - 晶粒尺寸 D (nm)
+ * @returns {number} FWHM (°)
+ */
+export const scherrerFwhm = (twoTheta, size, wavelength = CU_KALPHA.ka1, settings = XRD_SETTINGS) => {
+  const theta = twoTheta * Math.PI / 360;
+  const beta = settings.scherrerK * wavelength / (size * 10 * Math.cos(theta)) * 180 / Math.PI;
+  return Math.hypot(beta, settings.instrumentFwhm);
+};
+
+/**
+ * 合成 Cu Kα 粉末图谱：每个衍射峰为面积归一的赝 Voigt 线型 (积分强度守恒)，可叠加 Kα2
+ * @param {Array} reflections - computeReflections 的结果 (以 Kα1 计算)
+ * @param {object} options - { size: 晶粒尺寸 nm, includeKa2, settings }
+ * @returns {Array<{twoTheta: number, intensity: number}>} 峰值归一到 100
+ */
+export const simulatePowderPattern = (reflections, { size, includeKa2 = true, settings = XRD_SETTINGS }) => {
+  const n = Math.round((settings.twoThetaMax - settings.twoThetaMin) / settings.step) + 1;
+  const pattern = Array.from({ length: n }, (_, i) => ({
+    twoTheta: parseFloat((settings.twoThetaMin + i * settings.step).toFixed(4)),
+    intensity: 0
+  }));
+  const eta = settings.lorentzFraction;
+  const gaussNorm = 2 * Math.sqrt(Math.LN2 / Math.PI);
+
+  const addPeak = (center, area) => {
+    const H = scherrerFwhm(center, size, CU_KALPHA.ka1, settings);
+    const lo = Math.max(0, Math.floor((center - 10 * H - settings.twoThetaMin) / settings.step));
+    const hi = Math.min(n - 1, Math.ceil((center + 10 * H - settings.twoThetaMin) / settings.step));
+    for (let i = lo; i <= hi; i++) {
+      const x = (pattern[i].twoTheta - center) / H;
+      const gauss = gaussNorm / H * Math.exp(-4 * Math.LN2 * x * x);
+      const lorentz = 2 / (Math.PI * H) / (1 + 4 * x * x);
+      pattern[i].intensity += area * ((1 - eta) * gauss + eta * lorentz);
+    }
+  };
+
+  reflections.forEach(r => {
+    addPeak(r.twoTheta, r.intensity);
+    if (!includeKa2) return;
+    const ratio = CU_KALPHA.ka2 / (2 * r.d);
+    if (ratio < 1) addPeak(2 * Math.asin(ratio) * 180 / Math.PI, r.intensity * CU_KALPHA.ka2Ratio);
+  });
+
+  const max = Math.max(...pattern.map(p => p.intensity)) || 1;
+  return pattern.map(p => ({ twoTheta: p.twoTheta, intensity: 100 * p.intensity / max }));
+};
+
+// 衍射指数文本，负指数带负号
+export const formatHkl = (hkl) => hkl.map(v => (v < 0 ? `-${-v}` : `${v}`)).join(' ');
+
+/**
+ * 导出图谱为两列 .xy 文本 (2θ °, 强度)，注释行记录波长与晶粒尺寸
+ */
+export const patternToXy = (pattern, { title, size }) => [
+  `# ${title}`,
+  `# Cu Ka1 ${CU_KALPHA.ka1} A, crystallite size ${size.toFixed(2)} nm`,
+  '# 2theta_deg intensity',
+  ...pattern.map(p => `${p.twoTheta.toFixed(3)} ${p.intensity.toFixed(4)}`)
+].join('\n');
+
+// 衍射峰列表导出为 CSV
+export const reflectionsToCsv = (reflections) => [
+  'h,k,l,d_A,two_theta_deg,multiplicity,F2,intensity',
+  ...reflections.map(r => [...r.hkl, r.d.toFixed(5), r.twoTheta.toFixed(3), r.multiplicity, r.F2.toFixed(2), r.intensity.toFixed(3)].join(','))
+].join('\n');
+
+/**
+ * 解析实测 XRD 文件 (.xy / .csv / .txt 两列：2θ °, 强度)
+ * 跳过表头与注释行，按 2θ 升序排列并峰值归一到 100
+ */
+export const parseXrdFile = (text) => {
+  const points = [];
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || /^[#%;'!]/.test(trimmed)) return;
+    const cols = trimmed.split(/[,;\t ]+/).map(Number);
+    if (cols.length < 2 || !Number.isFinite(cols[0]) || !Number.isFinite(cols[1])) return;
+    points.push({ twoTheta: cols[0], intensity: cols[1] });
+  });
+  if (points.length < 3) throw new Error('XRD file contains fewer than 3 data points');
+  if (points.some(p => p.twoTheta <= 0 || p.twoTheta >= 180)) throw new Error('First column must be 2θ in degrees (0–180)');
+  points.sort((a, b) => a.twoTheta - b.twoTheta);
+  const max = Math.max(...points.map(p => p.intensity));
+  if (max <= 0) throw new Error('XRD file has no positive intensities');
+  return points.map(p => ({ twoTheta: p.twoTheta, intensity: 100 * p.intensity / max }));
+};
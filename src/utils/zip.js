@@ -0,0 +1,67 @@
+// src/utils/zip.js
+
+// ==========================================
+// 最小 ZIP 打包 (仅存储，不压缩)：用于把导出的图像序列合成一个下载文件
+// PNG 本身已压缩，存储方式即可；格式见 PKWARE APPNOTE (本地文件头 + 中央目录 + 结束记录)
+// ==========================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// 小端写入的定长记录
+const record = (fields) => {
+  const size = fields.reduce((n, [, bytes]) => n + bytes, 0);
+  const view = new DataView(new ArrayBuffer(size));
+  let offset = 0;
+  fields.forEach(([value, bytes]) => {
+    if (bytes === 2) view.setUint16(offset, value, true);
+    else view.setUint32(offset, value, true);
+    offset += bytes;
+  });
+  return new Uint8Array(view.buffer);
+};
+
+/**
+ * 打包为 ZIP
+ * @param {Array<{name: string, data: Uint8Array}>} files - 文件名 (ASCII) 与内容
+ * @returns {Blob} application/zip
+ */
+export const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(data);
+    // 版本 20、无标志、存储 (0)、时间日期置 0
+    const header = record([
+      [0x04034b50, 4], [20, 2], [0, 2], [0, 2], [0, 2], [0, 2],
+      [crc, 4], [data.length, 4], [data.length, 4], [nameBytes.length, 2], [0, 2]
+    ]);
+    parts.push(header, nameBytes, data);
+    central.push(record([
+      [0x02014b50, 4], [20, 2], [20, 2], [0, 2], [0, 2], [0, 2], [0, 2],
+      [crc, 4], [data.length, 4], [data.length, 4], [nameBytes.length, 2], [0, 2], [0, 2],
+      [0, 2], [0, 2], [0, 4], [offset, 4]
+    ]), nameBytes);
+    offset += header.length + nameBytes.length + data.length;
+  });
+
+  const centralSize = central.reduce((n, part) => n + part.length, 0);
+  const end = record([
+    [0x06054b50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2],
+    [centralSize, 4], [offset, 4], [0, 2]
+  ]);
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+};
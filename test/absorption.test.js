@@ -0,0 +1,46 @@
+// test/absorption.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateAbsorptionEdge, calculateEmissionParams, calculateAbsorbedFraction, generateAbsorptionSpectrum, simulateWhiteLED, ABSORPTION_PARAMS, EMPIRICAL_CORRECTIONS
+} from '../src/utils/physics.js';
+import { DEFAULT_RECIPE_INPUTS, recipeToSimulationInputs } from '../src/utils/recipe.js';
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≠ ${expected}`);
+
+test('the band edge sits one defect Stokes shift above the emission', () => {
+  const edge = calculateAbsorptionEdge(3.5);
+  const { energy } = calculateEmissionParams(3.5);
+  close(edge.energy - Number(energy), EMPIRICAL_CORRECTIONS.defectDepth + EMPIRICAL_CORRECTIONS.defectSizeCoeff / 3.5, 1e-3);
+  close(edge.energy, 2.8226, 1e-4);
+  close(edge.wl, 439.3, 0.05);
+});
+
+test('the absorbed pump fraction follows the film optical density and the pump wavelength', () => {
+  const { energy } = calculateAbsorptionEdge(3.5);
+  // 默认膜层：OD = 0.003 × 2.6 × 200 µm
+  close(ABSORPTION_PARAMS.opticalDensity, 1.56, 1e-12);
+  close(calculateAbsorbedFraction(energy), 0.815, 1e-3);
+  close(calculateAbsorbedFraction(energy, { wl: 365, fwhm: 10 }), 0.990, 1e-3);
+  assert.ok(calculateAbsorbedFraction(energy, { wl: 600, fwhm: 10 }) < 1e-3);
+});
+
+test('the PLE spectrum is peak-normalised and starts in the UV at 300 nm', () => {
+  const { energy } = calculateAbsorptionEdge(3.5);
+  const spectrum = generateAbsorptionSpectrum(energy);
+  assert.equal(spectrum[0].wl, 300);
+  assert.equal(spectrum.length, 107);
+  assert.equal(Math.max(...spectrum.map(p => p.ple)), 1);
+  close(spectrum.find(p => p.wl === 440).ple, 0.991, 1e-3);
+  assert.ok(spectrum.find(p => p.wl === 500).ple < 0.05);
+});
+
+test('a UV pump is absorbed more strongly than the blue chip without moving the emission', () => {
+  const blue = simulateWhiteLED(recipeToSimulationInputs(DEFAULT_RECIPE_INPUTS));
+  const violet = simulateWhiteLED(recipeToSimulationInputs({ ...DEFAULT_RECIPE_INPUTS, pumpWl: 400 }));
+  close(blue.absorption.absorbedFraction, 0.931, 1e-3);
+  close(violet.absorption.absorbedFraction, 0.968, 1e-3);
+  assert.equal(violet.peakWl, blue.peakWl);
+  close(blue.absorption.stokesShift.energy, 0.678, 1e-3);
+});
@@ -0,0 +1,41 @@
+// test/blend.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PHOSPHOR_LIBRARY, createBlendComponent, generateComponentSpectrum, toBlendInput, optimizeBlend } from '../src/utils/blend.js';
+import { calculateEmissionParams, measureFwhm } from '../src/utils/physics.js';
+import { DEFAULT_RECIPE_INPUTS, recipeToSimulationInputs } from '../src/utils/recipe.js';
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≠ ${expected}`);
+const peakOf = spectrum => spectrum.reduce((best, p) => (p.intensity > best.intensity ? p : best), spectrum[0]);
+
+test('broadband phosphors peak at their nominal wavelength with the nominal width', () => {
+  const spectrum = generateComponentSpectrum({ type: 'redNitride', params: PHOSPHOR_LIBRARY.redNitride.defaults });
+  assert.deepEqual(peakOf(spectrum), { wl: 650, intensity: 1 });
+  close(measureFwhm(spectrum), 90, 1);
+});
+
+test('a second QD population follows the Brus model', () => {
+  const { params } = createBlendComponent('qd');
+  assert.deepEqual(params, { radius: 2.5, fwhm: 35, reactionTime: 30, isCoreShell: false });
+  assert.equal(calculateEmissionParams(2.5).wl, 544.5);
+  assert.equal(peakOf(generateComponentSpectrum({ type: 'qd', params })).wl, 545);
+});
+
+test('new components start at weight 0.3 with unique ids', () => {
+  const [a, b] = [createBlendComponent('yag'), createBlendComponent('yag')];
+  assert.notEqual(a.id, b.id);
+  assert.deepEqual(toBlendInput([a]).map(c => c.weight), [0.3]);
+});
+
+test('YAG plus a retuned QD reaches a 4000 K white on the Planckian locus', () => {
+  const progress = [];
+  const result = optimizeBlend(recipeToSimulationInputs(DEFAULT_RECIPE_INPUTS), [createBlendComponent('yag')], {
+    targetCct: 4000, onProgress: ({ cost }) => progress.push(cost)
+  });
+  close(result.chromaticity.cct, 4000, 40);
+  assert.ok(Math.abs(result.chromaticity.duv) < 0.001, `Duv = ${result.chromaticity.duv}`);
+  assert.ok(result.cri.Ra > 60, `Ra = ${result.cri.Ra}`);
+  assert.equal(progress.length, result.iterations);
+  assert.throws(() => optimizeBlend(recipeToSimulationInputs(DEFAULT_RECIPE_INPUTS), []), /at least one phosphor/);
+});
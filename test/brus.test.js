@@ -0,0 +1,45 @@
+// test/brus.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEmissionParams, AGGAS2_MATERIAL, EMPIRICAL_CORRECTIONS } from '../src/utils/physics.js';
+
+const close = (actual, expected, tolerance = 1e-4) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≠ ${expected}`);
+
+test('the Brus terms of a 3.5 nm AgGaS2 core match the closed-form values', () => {
+  const { energy, wl, terms } = calculateEmissionParams(3.5, 30, false);
+  // ħ²π²/2R²·(1/mₑ + 1/mₕ)，mₑ = 0.22、mₕ = 0.65
+  close(terms.confinement, 0.0380998 * Math.PI ** 2 / 3.5 ** 2 * (1 / 0.22 + 1 / 0.65));
+  close(terms.confinement, 0.18675);
+  // −1.786 e²/(4πε0·εR)，ε = 8.5
+  close(terms.coulomb, -0.08645);
+  close(terms.rydberg, -0.248 * 13.6057 * (1 / (1 / 0.22 + 1 / 0.65)) / 8.5 ** 2);
+  close(terms.defectStokes, -(0.65 + 0.1 / 3.5));
+  assert.equal(terms.anomalousBlueShift, 0);
+  assert.equal(terms.shellRedShift, 0);
+  assert.equal(energy, '2.144');
+  assert.equal(wl, 578.3);
+});
+
+test('the energy is the sum of the terms and the wavelength is 1240 / E', () => {
+  const { energy, wl, terms } = calculateEmissionParams(2.5, 60, true);
+  const sum = Object.values(terms).reduce((a, b) => a + b, 0);
+  assert.equal(energy, sum.toFixed(3));
+  assert.equal(wl, parseFloat((1240 / sum).toFixed(1)));
+});
+
+test('reaction time blue-shifts linearly at the thesis rate, a shell red-shifts and heat narrows the gap', () => {
+  close(calculateEmissionParams(3.5, 90, false).terms.anomalousBlueShift, 0.17);
+  assert.equal(calculateEmissionParams(3.5, 90, false).wl, 535.9);
+  assert.equal(calculateEmissionParams(3.5, 30, true).wl, 590.9);
+  assert.equal(calculateEmissionParams(3.5, 30, false, { temperature: 125 }).wl, 587.4);
+});
+
+test('editing the material parameters moves the emission', () => {
+  const wider = calculateEmissionParams(3.5, 30, false, { material: { ...AGGAS2_MATERIAL, Eg_bulk: 3.5 } });
+  assert.equal(wider.wl, 425.5);
+  const saturating = calculateEmissionParams(3.5, 90, false, { corrections: { ...EMPIRICAL_CORRECTIONS, blueShiftSaturation: 0.05 } });
+  close(saturating.terms.anomalousBlueShift, EMPIRICAL_CORRECTIONS.blueShiftRate * (1 - Math.exp(-0.05 * 60)) / 0.05);
+  // 1 nm 核的能量超出可见范围，波长钳位在 400 nm
+  assert.equal(calculateEmissionParams(1, 30, false).wl, 400);
+});
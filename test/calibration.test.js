@@ -0,0 +1,77 @@
+// test/calibration.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { THESIS_DATASET } from '../src/utils/calibrationData.js';
+import { validateDataset, calibrateModel, evaluateCalibration, UNCALIBRATED_TERMS } from '../src/utils/calibration.js';
+import { EMPIRICAL_CORRECTIONS } from '../src/utils/physics.js';
+
+const { dataset } = validateDataset(THESIS_DATASET);
+
+test('the bundled dataset validates and has no two fitted peaks with the same model inputs', () => {
+  assert.ok(dataset);
+  assert.deepEqual(dataset.peaks.map(p => p.wl), [570, 520, 560]);
+  const keys = dataset.peaks.filter(p => !p.validationOnly).map(p => [p.radius, p.reactionTime, p.isCoreShell, p.shellMonolayers].join());
+  assert.equal(new Set(keys).size, keys.length);
+});
+
+test('both forms leave a degree of freedom on the bundled dataset', () => {
+  ['linear', 'saturating'].forEach(form => {
+    const result = calibrateModel(dataset, { form });
+    assert.deepEqual(Object.keys(result.fitted), ['blueShiftRate']);
+    assert.equal(result.pinned.defectDepth, EMPIRICAL_CORRECTIONS.defectDepth);
+    assert.equal(result.after.stats.dof, 1);
+    assert.ok(result.after.stats.reducedChi2 > 0);
+    // 90 min 峰由蓝移速率拟合，30 min 峰的残差来自固定的缺陷深度
+    const [core30, core90] = result.after.peaks;
+    assert.ok(Math.abs(core90.residual) < 0.2, `90 min: ${core90.residual}`);
+    assert.ok(Math.abs(core30.residual - 8.3) < 0.2, `30 min: ${core30.residual}`);
+  });
+  assert.equal(calibrateModel(dataset, { form: 'saturating' }).pinned.blueShiftSaturation, 0.02);
+});
+
+test('the validation-only host peak is reported but kept out of the fit', () => {
+  const result = calibrateModel(dataset, { form: 'linear' });
+  const host = result.after.peaks.find(p => p.validationOnly);
+  assert.equal(host.measured, 560);
+  assert.ok(Math.abs(result.after.stats.validationRmse - Math.abs(host.residual)) < 1e-9);
+  assert.equal(result.after.stats.peakMaxError, Math.max(...result.after.peaks.filter(p => !p.validationOnly).map(p => Math.abs(p.residual))));
+});
+
+test('a CRI validation residual that grows is reported as a warning', () => {
+  // 三个反应时间的批次：缺陷深度也参与拟合，整灯 CRI 随之改变
+  [[560, 535, 510], [580, 555, 530]].forEach(wls => {
+    const batches = { ...dataset, peaks: [30, 60, 90].map((t, i) => ({ ...dataset.peaks[0], reactionTime: t, wl: wls[i], label: `${t} min` })) };
+    const { before, after, warnings } = calibrateModel(batches, { form: 'linear' });
+    const rose = after.stats.criRmse > before.stats.criRmse + 0.05;
+    assert.deepEqual(warnings, rose ? [`CRI validation RMSE rises from ${before.stats.criRmse.toFixed(1)} to ${after.stats.criRmse.toFixed(1)} after calibration`] : []);
+  });
+});
+
+test('the Zr band is assigned from its observations and kept out of χ² and dof', () => {
+  const result = calibrateModel(dataset, { form: 'linear' });
+  assert.deepEqual(result.assigned, { zrPeakWl: 470, zrFwhm: 25 });
+  assert.ok(!('zrPeakWl' in result.fitted));
+  assert.equal(result.after.stats.dof, 1);
+  assert.equal(result.after.stats.zrBandRmse, 0);
+  assert.deepEqual(result.uncalibrated, UNCALIBRATED_TERMS);
+});
+
+test('a dataset without a spare observation is refused', () => {
+  const single = { ...dataset, peaks: dataset.peaks.slice(0, 1) };
+  assert.throws(() => calibrateModel(single, { form: 'linear' }), /needs at least 2 observations/);
+  assert.equal(calibrateModel(single, { form: 'linear', includeCri: true }).after.stats.dof, 5);
+});
+
+test('the saturating form recovers a synthetic saturating blue shift', () => {
+  const truth = { defectDepth: 0.6, blueShiftRate: 0.004, blueShiftSaturation: 0.03 };
+  const times = [30, 45, 60, 75, 90];
+  const base = { ...dataset, zrBand: [], cri: null, peaks: times.map(t => ({ ...dataset.peaks[0], reactionTime: t, label: `${t} min` })) };
+  // 先用真值生成观测，再从缺省系数出发标定
+  const generated = evaluateCalibration(base, { corrections: { ...EMPIRICAL_CORRECTIONS, ...truth } });
+  const synthetic = { ...base, peaks: base.peaks.map((p, i) => ({ ...p, wl: generated.peaks[i].model })) };
+  const result = calibrateModel(synthetic, { form: 'saturating' });
+  result.after.peaks.forEach(p => assert.ok(Math.abs(p.residual) < 0.2, `${p.label}: ${p.residual}`));
+  assert.deepEqual(result.pinned, {});
+  assert.ok(Math.abs(result.fitted.defectDepth - truth.defectDepth) < 0.01, `defectDepth = ${result.fitted.defectDepth}`);
+});
@@ -0,0 +1,61 @@
+// test/cli.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const CLI = fileURLToPath(new URL('../bin/aggas2.js', import.meta.url));
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+test('simulate prints the default device as JSON', () => {
+  const { status, stdout } = run('--format', 'json');
+  assert.equal(status, 0);
+  const { inputs, outputs } = JSON.parse(stdout);
+  assert.equal(inputs.radius, 3.5);
+  // 默认 3.5 nm 核壳：峰位 590.9 nm (2.098 eV)，Ra 49.6
+  assert.equal(outputs.peakWavelength, 590.9);
+  assert.equal(outputs.energy, 2.098);
+  assert.equal(outputs.cri.Ra, 49.6);
+  assert.equal(outputs.chromaticity.cct, 2514);
+});
+
+test('flags override the recipe and are range-checked', () => {
+  const csv = run('--radius', '2', '--isCoreShell', 'false', '--format', 'csv');
+  assert.equal(csv.status, 0);
+  assert.match(csv.stdout, /^# peak_wavelength_nm=507\.6 /);
+  assert.ok(csv.stdout.includes('\nwavelength_nm,qd_emission,led_spectrum\n'));
+
+  const bad = run('--radius', '20');
+  assert.equal(bad.status, 1);
+  assert.equal(bad.stdout, '');
+  assert.equal(bad.stderr, 'aggas2: Input "radius" = 20 out of range [1, 10] nm\n');
+});
+
+test('usage errors point at --help', () => {
+  const { status, stderr } = run('bogus');
+  assert.equal(status, 1);
+  assert.match(stderr, /Unknown command "bogus"[\s\S]*Run "aggas2 --help" for usage\./);
+  assert.match(run('structure', '--supercell', '2x2').stderr, /--supercell "2x2" must look like 2x2x1/);
+});
+
+test('structure writes the 16-atom unit cell as extended XYZ', () => {
+  const { status, stdout } = run('structure', '--format', 'xyz');
+  assert.equal(status, 0);
+  const lines = stdout.split('\n');
+  assert.equal(lines[0], '16');
+  assert.match(lines[1], /comment="AgGaS2 unit cell \(I-42d\)"/);
+  // --supercell 与配方中的 supercell 输入相同
+  assert.equal(run('structure', '--supercell', '2x2x1', '--format', 'xyz').stdout.split('\n')[0], '64');
+  assert.match(run('structure', '--supercell', '2x9x1').stderr, /Input "supercell\[1\]" = 9 out of range \[1, 8\]/);
+});
+
+test('a reader that closes the pipe early ends the CLI quietly', async () => {
+  const child = spawn(process.execPath, [CLI, 'structure', '--supercell', '8x8x8', '--format', 'xyz']);
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+  child.stdout.once('data', () => child.stdout.destroy());
+  const code = await new Promise(resolve => child.on('close', resolve));
+  assert.equal(code, 0);
+  assert.equal(stderr, '');
+});
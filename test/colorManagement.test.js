@@ -0,0 +1,53 @@
+// test/colorManagement.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { xyzToDisplay, toHex, toCssColor, DEFAULT_DISPLAY } from '../src/utils/colorManagement.js';
+import { calculateColorFromSpectrum, generateGaussianSpectrum } from '../src/utils/physics.js';
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≠ ${expected}`);
+const srgbLuminance = ([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+test('the D65 white point is neutral grey in both spaces', () => {
+  const d65 = [0.95047, 1, 1.08883].map(c => 0.99 * c);
+  ['srgb', 'p3'].forEach(space => {
+    const { rgb, inGamut, overexposed } = xyzToDisplay(d65, space);
+    assert.equal(toHex(rgb), '#fefefe');
+    assert.equal(inGamut, true);
+    assert.equal(overexposed, false);
+  });
+});
+
+test('hue-preserving mapping keeps the luminance of an out-of-gamut green, clipping does not', () => {
+  const green = [0.1, 0.35, 0.025];
+  const hue = xyzToDisplay(green, 'srgb', 'hue');
+  const clip = xyzToDisplay(green, 'srgb', 'clip');
+  assert.equal(hue.inGamut, false);
+  assert.equal(hue.overexposed, false);
+  assert.equal(Math.min(...hue.linear), 0);
+  close(srgbLuminance(hue.linear), 0.35, 1e-4);
+  assert.ok(srgbLuminance(clip.linear) > 0.35 + 1e-3);
+});
+
+test('overexposed colours are scaled down channel-proportionally', () => {
+  const { linear, overexposed } = xyzToDisplay([0.4, 1.4, 0.1], 'srgb', 'hue');
+  const unscaled = xyzToDisplay([0.2, 0.7, 0.05], 'srgb', 'hue').linear;
+  assert.equal(overexposed, true);
+  assert.equal(Math.max(...linear), 1);
+  linear.forEach((c, i) => close(c, unscaled[i] / Math.max(...unscaled), 1e-12));
+  assert.deepEqual(xyzToDisplay([0.2, 0.7, 0.05], 'srgb', 'clip').linear, [0, 1, 0]);
+});
+
+test('590 nm QD emission renders orange, with exposure scaling the luminance by 2^EV', () => {
+  const spectrum = generateGaussianSpectrum(590, 35);
+  const base = calculateColorFromSpectrum(spectrum);
+  assert.equal(base.hex, '#ff9000');
+  assert.equal(base.x, '0.5614');
+  close(base.luminousEfficacy, 505.9, 0.1);
+  close(calculateColorFromSpectrum(spectrum, { ...DEFAULT_DISPLAY, exposure: 2 }).luminance, 4 * base.luminance, 1e-12);
+  const p3 = calculateColorFromSpectrum(spectrum, { ...DEFAULT_DISPLAY, space: 'p3' });
+  assert.equal(p3.css, 'color(display-p3 1.0000 0.5988 0.0000)');
+  // 三维视图 (WebGL 画布为 sRGB) 始终使用 sRGB hex
+  assert.equal(p3.hex, base.hex);
+  assert.equal(toCssColor([1, 0.5, 0], 'srgb'), '#ff8000');
+});
@@ -0,0 +1,62 @@
+// test/colorimetry.test.js
+
+// ==========================================
+// 色度学参考值：CIE 标准照明体 A 与 F2 的色度、CCT 与 CIE 13.3 显色指数
+// ==========================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateChromaticity, calculateCRI, calculateTristimulus } from '../src/utils/physics.js';
+
+// CIE 照明体 A：2856 K 普朗克辐射体 (c2 = 1.4388e-2 m·K)，360-830nm / 5nm
+const illuminantA = Array.from({ length: 95 }, (_, i) => {
+  const wl = 360 + 5 * i, lambda = wl * 1e-9;
+  return { wl, intensity: 1e-30 / (lambda ** 5 * (Math.exp(1.4388e-2 / (lambda * 2856)) - 1)) };
+});
+
+// CIE F2 (冷白荧光灯) 相对光谱功率，380-780nm / 5nm (CIE 15:2004 表 T.6)
+const F2 = [
+  1.18, 1.48, 1.84, 2.15, 3.44, 15.69, 3.85, 3.74, 4.19, 4.62, 5.06, 34.98, 11.81, 6.27, 6.63, 6.93,
+  7.19, 7.40, 7.54, 7.62, 7.65, 7.62, 7.62, 7.45, 7.28, 7.15, 7.05, 7.04, 7.16, 7.47, 8.04, 8.88,
+  10.01, 24.88, 16.64, 14.59, 16.16, 17.56, 18.62, 21.47, 22.79, 19.29, 18.66, 17.73, 16.54, 15.21, 13.80, 12.36,
+  10.95, 9.65, 8.40, 7.32, 6.31, 5.43, 4.68, 4.02, 3.45, 2.96, 2.55, 2.19, 1.89, 1.64, 1.53, 1.27,
+  1.10, 0.99, 0.88, 0.76, 0.68, 0.61, 0.56, 0.54, 0.51, 0.47, 0.47, 0.43, 0.46, 0.47, 0.40, 0.33, 0.27
+].map((intensity, i) => ({ wl: 380 + 5 * i, intensity }));
+
+test('illuminant A chromaticity and CCT', () => {
+  const c = calculateChromaticity(illuminantA);
+  assert.ok(Math.abs(c.x - 0.44758) < 2e-4, `x = ${c.x}`);
+  assert.ok(Math.abs(c.y - 0.40745) < 2e-4, `y = ${c.y}`);
+  assert.ok(Math.abs(c.cct - 2856) <= 2, `CCT = ${c.cct}`);
+  assert.ok(Math.abs(c.duv) < 1e-4, `Duv = ${c.duv}`);
+});
+
+test('illuminant A renders every test colour sample perfectly (Ra = 100)', () => {
+  const cri = calculateCRI(illuminantA);
+  assert.equal(cri.reference, 'planckian');
+  assert.equal(cri.Ra, 100);
+  cri.R.forEach((r, i) => assert.ok(Math.abs(r - 100) <= 0.1, `R${i + 1} = ${r}`));
+});
+
+test('F2 chromaticity, CCT and CIE 13.3 Ra', () => {
+  const c = calculateChromaticity(F2);
+  assert.ok(Math.abs(c.x - 0.3721) < 5e-4, `x = ${c.x}`);
+  assert.ok(Math.abs(c.y - 0.3751) < 5e-4, `y = ${c.y}`);
+  assert.ok(Math.abs(c.cct - 4230) <= 15, `CCT = ${c.cct}`);
+  // CIE 15 表列 F2 的 Ra 为 64 (取整)
+  const cri = calculateCRI(F2);
+  assert.ok(Math.abs(cri.Ra - 64) <= 1, `Ra = ${cri.Ra}`);
+  assert.ok(cri.dc < 5.4e-3);
+});
+
+test('tristimulus values scale linearly and chromaticity is scale invariant', () => {
+  const a = calculateTristimulus(F2);
+  const b = calculateTristimulus(F2.map(p => ({ wl: p.wl, intensity: 3 * p.intensity })));
+  assert.ok(Math.abs(b.Y / a.Y - 3) < 1e-12);
+  assert.ok(Math.abs(b.x - a.x) < 1e-12 && Math.abs(b.y - a.y) < 1e-12);
+});
+
+test('an empty or black spectrum has no colour', () => {
+  assert.equal(calculateChromaticity(F2.map(p => ({ wl: p.wl, intensity: 0 }))), null);
+  assert.equal(calculateCRI(F2.map(p => ({ wl: p.wl, intensity: 0 }))), null);
+});
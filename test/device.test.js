@@ -0,0 +1,66 @@
+// test/device.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateWhiteLED, calculateCRI, calculateChromaticity } from '../src/utils/physics.js';
+import { DEFAULT_RECIPE_INPUTS, recipeToSimulationInputs } from '../src/utils/recipe.js';
+import { THESIS_DATASET } from '../src/utils/calibrationData.js';
+import { simulatePhosphorStack, filmOpticalDensity, DEFAULT_STACK } from '../src/utils/device.js';
+
+const close = (actual, expected, tolerance = 1e-9) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≠ ${expected}`);
+
+// 单色泵浦 (450 nm) 与单色发射 (600 nm)；膜层只吸收 500 nm 以下，因此没有自吸收
+const GRID = Array.from({ length: 95 }, (_, i) => 360 + 5 * i);
+const line = center => GRID.map(wl => ({ wl, intensity: wl === center ? 1 : 0 }));
+const runStack = (od, quantumYield, stack = { ...DEFAULT_STACK, siliconeGap: 0 }) => simulatePhosphorStack({
+  pump: line(450),
+  absorbance: GRID.map(wl => ({ wl, absorbance: wl < 500 ? od : 0 })),
+  emission: line(600),
+  quantumYield,
+  stack
+}).metrics;
+
+test('the default device stays close to the thesis QD LED colour rendering', () => {
+  const result = simulateWhiteLED(recipeToSimulationInputs(DEFAULT_RECIPE_INPUTS));
+  const cri = calculateCRI(result.spectrum);
+  const c = calculateChromaticity(result.spectrum);
+  const thesis = THESIS_DATASET.cri.qd;
+  // 容差见 device.js DEFAULT_STACK：单个发射带无法同时复现论文的 Ra 与 R9
+  assert.ok(Math.abs(cri.Ra - thesis.Ra) <= 20, `Ra = ${cri.Ra} (thesis ${thesis.Ra})`);
+  assert.ok(Math.abs(cri.R[8] - thesis.R9) <= 15, `R9 = ${cri.R[8]} (thesis ${thesis.R9})`);
+  assert.ok(Math.abs(c.duv) < 0.006, `Duv = ${c.duv}`);
+  assert.ok(c.cct > 2200 && c.cct < 3500, `CCT = ${c.cct}`);
+  // 泵浦光不应被膜层几乎全部吸收
+  assert.ok(result.device.blueLeakage > 0.03, `blue leakage = ${result.device.blueLeakage}`);
+});
+
+test('the default film has an optical density of 0.003 per wt% and µm', () => {
+  close(filmOpticalDensity(DEFAULT_STACK), 0.003 * 2.6 * 200);
+});
+
+test('a transparent film passes the whole pump', () => {
+  const metrics = runStack(0, 1);
+  assert.equal(metrics.blueLeakage, 1);
+  assert.equal(metrics.conversionEfficiency, 0);
+  // LER = 683 lm/W × ȳ(450 nm)
+  close(metrics.luminousEfficacyOfRadiation, 683 * 0.038);
+});
+
+test('absorbed photons are re-emitted at the quantum yield with half the light sent back into the cavity', () => {
+  const metrics = runStack(1, 1);
+  close(metrics.blueLeakage, 0.1);
+  close(metrics.absorbedFraction, 0.9);
+  assert.equal(metrics.reabsorption, 0);
+  assert.equal(metrics.cavityReflectance, 0.5);
+  // 0.9 W × 450/600 的光子能量比 × (0.5 前向 + 0.5 × 0.5 腔体回收)
+  close(metrics.conversionEfficiency, 450 / 600 * 0.75);
+  close(metrics.packageEfficiency, 0.1 + 0.9 * 450 / 600 * 0.75);
+  assert.equal(runStack(1, 0).packageEfficiency, metrics.blueLeakage);
+});
+
+test('a silicone gap lifts the cavity reflectance towards 0.9', () => {
+  const near = runStack(1, 1);
+  const far = runStack(1, 1, { ...DEFAULT_STACK, siliconeGap: 5 });
+  close(far.cavityReflectance, 0.9 - 0.4 * Math.exp(-5));
+  assert.ok(far.conversionEfficiency > near.conversionEfficiency);
+});
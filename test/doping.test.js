@@ -0,0 +1,45 @@
+// test/doping.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, dopingStatistics } from '../src/utils/doping.js';
+import { getLatticeStructure } from '../src/utils/physics.js';
+
+test('the seeded generator is reproducible and uniform on [0, 1)', () => {
+  const a = createRng(42), b = createRng(42), c = createRng(43);
+  const seqA = Array.from({ length: 5 }, a);
+  assert.deepEqual(Array.from({ length: 5 }, b), seqA);
+  assert.notDeepEqual(Array.from({ length: 5 }, c), seqA);
+
+  const rng = createRng(1);
+  const samples = Array.from({ length: 20000 }, rng);
+  assert.ok(samples.every(x => x >= 0 && x < 1));
+  const mean = samples.reduce((s, x) => s + x, 0) / samples.length;
+  assert.ok(Math.abs(mean - 0.5) < 0.01, `mean = ${mean}`);
+});
+
+test('the same seed gives the same configuration and a different seed does not', () => {
+  const build = (seed) => getLatticeStructure('unit', 0.2, 'AgGaS2', { supercell: [3, 3, 2], seed });
+  const positions = (s) => s.atoms.filter(a => a.type === 'Zr').map(a => a.frac.join()).join(';');
+  assert.equal(positions(build(7)), positions(build(7)));
+  assert.notEqual(positions(build(7)), positions(build(8)));
+});
+
+test('substitutions follow the nominal fraction on average', () => {
+  const seeds = Array.from({ length: 20 }, (_, i) => i + 1);
+  const structures = seeds.map(seed => getLatticeStructure('unit', 0.3, 'AgGaS2', { supercell: [3, 3, 2], seed }));
+  const substituted = structures.reduce((s, st) => s + st.doping.substituted, 0) / seeds.length;
+  const { nominal } = structures[0].doping;
+  assert.ok(Math.abs(substituted - nominal) < 0.15 * nominal, `${substituted} vs ${nominal}`);
+});
+
+test('charge compensation removes the excess charge', () => {
+  // Zr⁴⁺ 替换 Ga³⁺：每个 Zr 多一个正电荷，由一个 I 族空位 (−1) 补偿
+  const vacancy = getLatticeStructure('unit', 0.3, 'AgGaS2', { supercell: [3, 3, 2], seed: 5, compensation: 'cationVacancy' });
+  assert.equal(vacancy.doping.vacancies, vacancy.doping.substituted);
+  assert.equal(vacancy.doping.excessCharge, 0);
+  assert.equal(vacancy.atoms.length, 16 * 18 - vacancy.doping.vacancies);
+  const stats = dopingStatistics(vacancy);
+  assert.equal(stats.occupancy.surface.sites, 0);
+  assert.equal(stats.occupancy.core.zr, vacancy.doping.substituted);
+});
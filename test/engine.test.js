@@ -0,0 +1,70 @@
+// test/engine.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEngine } from '../src/utils/engine.js';
+import { ENGINE_JOBS } from '../src/utils/engineJobs.js';
+import { DEFAULT_RECIPE_INPUTS, recipeToSimulationInputs } from '../src/utils/recipe.js';
+
+const base = recipeToSimulationInputs(DEFAULT_RECIPE_INPUTS);
+
+// Node 没有 Web Worker：以同一套 ENGINE_JOBS 在下一轮事件循环中执行的替身 (消息协议同 engine.worker.js)
+const workers = [];
+globalThis.Worker = class {
+  constructor() {
+    this.terminated = false;
+    workers.push(this);
+  }
+  postMessage({ id, type, payload }) {
+    setImmediate(() => {
+      if (this.terminated) return;
+      const result = ENGINE_JOBS[type](payload, progress => this.onmessage({ data: { id, progress } }));
+      this.onmessage({ data: { id, result } });
+    });
+  }
+  terminate() { this.terminated = true; }
+};
+
+const outcome = promise => promise.then(result => ({ result }), err => ({ cancelled: err.cancelled === true }));
+
+test('the pipeline job reproduces the default device', () => {
+  const result = ENGINE_JOBS.pipeline(base);
+  assert.equal(result.peakWl, 590.9);
+  assert.equal(result.cri.Ra, 49.6);
+  assert.equal(result.chromaticity.cct, 2514);
+});
+
+test('the structure job builds the 16-atom unit cell', () => {
+  const structure = ENGINE_JOBS.structure({ mode: 'unit', zrDoping: 0, materialId: DEFAULT_RECIPE_INPUTS.materialId, options: {} });
+  assert.equal(structure.atoms.length, 16);
+  assert.equal(structure.periodic, true);
+});
+
+test('a newer submission supersedes the running job and replaces the queued one', async () => {
+  const engine = createEngine();
+  const jobs = [3, 4, 5].map(radius => outcome(engine.run('pipeline', 'pipeline', { ...base, radius })));
+  const [first, second, third] = await Promise.all(jobs);
+  assert.deepEqual(first, { cancelled: true });
+  assert.deepEqual(second, { cancelled: true });
+  assert.equal(third.result.peakWl, ENGINE_JOBS.pipeline({ ...base, radius: 5 }).peakWl);
+  engine.dispose();
+});
+
+test('preempt and cancel terminate the lane worker, which is rebuilt on the next run', async () => {
+  const engine = createEngine();
+  const spawned = workers.length;
+  const axes = [{ key: 'radius', min: 2, max: 4, steps: 3 }];
+  const slow = outcome(engine.run('sweep', 'sweep', { base, axes }));
+  const progress = [];
+  const fast = engine.run('sweep', 'sweep', { base, axes }, { preempt: true, onProgress: ({ done, total }) => progress.push(`${done}/${total}`) });
+  assert.deepEqual(await slow, { cancelled: true });
+  assert.equal((await fast).rows.length, 3);
+  assert.deepEqual(progress, ['1/3', '2/3', '3/3']);
+  assert.equal(workers.length, spawned + 2);
+  assert.equal(workers[spawned].terminated, true);
+
+  const cancelled = outcome(engine.run('sweep', 'sweep', { base, axes }));
+  engine.cancel('sweep');
+  assert.deepEqual(await cancelled, { cancelled: true });
+  engine.dispose();
+});
@@ -0,0 +1,45 @@
+// test/ensemble.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateEnsembleSpectrum, calculateEmissionParams } from '../src/utils/physics.js';
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≠ ${expected}`);
+
+test('a monodisperse ensemble is the single-dot line with the homogeneous width', () => {
+  const { histogram, peakWl, fwhm } = generateEnsembleSpectrum(3.5, { sigma: 0, homogeneousFwhm: 20 });
+  assert.equal(histogram.length, 1);
+  assert.equal(histogram[0].weight, 1);
+  assert.equal(histogram[0].wl, calculateEmissionParams(3.5).wl);
+  assert.equal(histogram[0].wl, 578.3);
+  // 5 nm 网格上的峰位与线宽
+  assert.equal(peakWl, 580);
+  close(fwhm, 20, 1);
+});
+
+test('the FWHM grows with the size spread', () => {
+  const narrow = generateEnsembleSpectrum(3.5, { sigma: 0.4, homogeneousFwhm: 15 });
+  const wide = generateEnsembleSpectrum(3.5, { sigma: 0.8, homogeneousFwhm: 15 });
+  assert.equal(narrow.histogram.length, 61);
+  close(narrow.histogram.reduce((sum, bin) => sum + bin.weight, 0), 1, 1e-12);
+  close(narrow.fwhm, 23.3, 0.1);
+  close(wide.fwhm, 30.9, 0.1);
+  assert.equal(Math.max(...wide.profile.map(p => p.intensity)), 1);
+});
+
+test('log-normal and purely inhomogeneous ensembles', () => {
+  close(generateEnsembleSpectrum(3.5, { sigma: 0.4, distribution: 'lognormal', homogeneousFwhm: 15 }).fwhm, 23.9, 0.1);
+  const inhomogeneous = generateEnsembleSpectrum(3.5, { sigma: 0.4, homogeneousFwhm: 0 });
+  close(inhomogeneous.fwhm, 17.7, 0.1);
+  assert.ok(inhomogeneous.histogram.every(bin => bin.radius >= 0.5));
+});
+
+test('pumping near the band edge excites only the large dots and red-shifts the peak', () => {
+  const ensemble = { sigma: 0.8, homogeneousFwhm: 15 };
+  const all = generateEnsembleSpectrum(3.5, ensemble);
+  const edge = generateEnsembleSpectrum(3.5, ensemble, { pump: { wl: 560, fwhm: 20 } });
+  assert.equal(all.peakWl, 585);
+  assert.equal(edge.peakWl, 590);
+  const absorbed = edge.histogram.map(bin => bin.absorbed);
+  assert.ok(absorbed[absorbed.length - 1] > absorbed[0]);
+});
@@ -0,0 +1,78 @@
+// test/kinetics.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  KINETIC_PARAMS, solveSteadyState, populationsAt, simulateDecay, fitDecay, getRateConstants,
+  ratioPeakConcentration, concentrationsForRatio
+} from '../src/utils/kinetics.js';
+
+test('the undoped host keeps its intrinsic yield and transfers nothing', () => {
+  const s = solveSteadyState(0);
+  const { hostRadLifetime: tr, hostNonRadLifetime: tn } = KINETIC_PARAMS;
+  assert.ok(Math.abs(s.hostYield - (1 / tr) / (1 / tr + 1 / tn)) < 1e-12);
+  assert.equal(s.transferEfficiency, 0);
+  assert.equal(s.zrYield, 0);
+  assert.equal(s.relativeHost, 1);
+});
+
+test('transfer efficiency is 50 % at the half-transfer concentration', () => {
+  assert.ok(Math.abs(solveSteadyState(KINETIC_PARAMS.transferHalfConc).transferEfficiency - 0.5) < 1e-12);
+});
+
+test('pulsed populations integrate to the steady-state yields', () => {
+  const c = 0.15, dt = 0.05, steps = 200000;
+  let host = 0, zr = 0;
+  for (let i = 0; i < steps; i++) {
+    const p = populationsAt((i + 0.5) * dt, c);
+    host += p.host * dt;
+    zr += p.zr * dt;
+  }
+  const s = solveSteadyState(c);
+  assert.ok(Math.abs(host / (KINETIC_PARAMS.hostRadLifetime * s.hostYield) - 1) < 1e-3);
+  assert.ok(Math.abs(zr * (1 / KINETIC_PARAMS.zrRadLifetime) / s.zrYield - 1) < 1e-3);
+});
+
+test('fitDecay recovers the lifetime of an undoped single-exponential decay', () => {
+  const decay = simulateDecay(0, { host: 1, zr: 0 });
+  const lifetime = 1 / (1 / KINETIC_PARAMS.hostRadLifetime + 1 / KINETIC_PARAMS.hostNonRadLifetime);
+  const { averageLifetime } = fitDecay(decay);
+  assert.ok(Math.abs(averageLifetime / lifetime - 1) < 1e-3, `τ = ${averageLifetime}`);
+});
+
+test('fitDecay recovers both components of a synthetic bi-exponential', () => {
+  const decay = Array.from({ length: 201 }, (_, i) => {
+    const t = 10 * i;
+    return { t, intensity: 0.7 * Math.exp(-t / 400) + 0.3 * Math.exp(-t / 40) };
+  });
+  const { components } = fitDecay(decay);
+  assert.equal(components.length, 2);
+  assert.ok(Math.abs(components[0].lifetime - 400) < 1, `τ1 = ${components[0].lifetime}`);
+  assert.ok(Math.abs(components[1].lifetime - 40) < 1, `τ2 = ${components[1].lifetime}`);
+  assert.ok(Math.abs(components[0].amplitude - 0.7) < 1e-2);
+});
+
+test('the Zr/host ratio peaks at the analytic concentration', () => {
+  const peak = ratioPeakConcentration();
+  const ratio = (c) => solveSteadyState(c).zrHostRatio;
+  assert.ok(ratio(peak) > ratio(peak - 1e-3) && ratio(peak) > ratio(peak + 1e-3));
+  assert.equal(ratioPeakConcentration({ ...KINETIC_PARAMS, quenchingOrder: 1 }), Infinity);
+});
+
+test('a ratio above the high-concentration end maps back to two concentrations', () => {
+  [0.2, 0.25, 0.3].forEach(c => {
+    const roots = concentrationsForRatio(solveSteadyState(c).zrHostRatio);
+    assert.equal(roots.length, 2, `c = ${c}`);
+    assert.ok(roots.some(r => Math.abs(r - c) < 1e-6));
+    roots.forEach(r => assert.ok(Math.abs(solveSteadyState(r).zrHostRatio - solveSteadyState(c).zrHostRatio) < 1e-9));
+  });
+  assert.deepEqual(concentrationsForRatio(10), []);
+});
+
+test('the host decay rate rises monotonically with concentration and resolves the ambiguity', () => {
+  const rates = Array.from({ length: 51 }, (_, i) => {
+    const { kh, kET } = getRateConstants(0.01 * i);
+    return kh + kET;
+  });
+  rates.slice(1).forEach((k, i) => assert.ok(k > rates[i]));
+});
@@ -0,0 +1,47 @@
+// test/materials.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MATERIALS, DEFAULT_MATERIAL_ID, getBrusParams, getElementStyle } from '../src/utils/materials.js';
+import { calculateEmissionParams, getLatticeStructure, AGGAS2_MATERIAL } from '../src/utils/physics.js';
+
+test('the library holds the five chalcopyrites with AgGaS2 as the default', () => {
+  assert.deepEqual(Object.keys(MATERIALS), ['AgGaS2', 'AgInS2', 'CuInS2', 'CuGaS2', 'AgGaSe2']);
+  assert.equal(DEFAULT_MATERIAL_ID, 'AgGaS2');
+  assert.deepEqual(AGGAS2_MATERIAL, { Eg_bulk: 2.73, me: 0.22, mh: 0.65, epsilon: 8.5 });
+});
+
+test('every compound shares the ZnS gap through its band offsets', () => {
+  // conduction + valence = Eg(ZnS) − Eg，Eg(ZnS) = 3.68 eV
+  Object.entries(MATERIALS).forEach(([id, { Eg_bulk, shellOffsets }]) => {
+    assert.ok(Math.abs(shellOffsets.conduction + shellOffsets.valence + Eg_bulk - 3.68) < 1e-9, id);
+  });
+});
+
+test('every unit cell has 4 + 4 + 8 atoms on its own sites, all four-fold coordinated', () => {
+  Object.entries(MATERIALS).forEach(([id, { sites, lattice }]) => {
+    const cell = getLatticeStructure('unit', 0, id);
+    const counts = {};
+    cell.atoms.forEach(atom => { counts[atom.type] = (counts[atom.type] ?? 0) + 1; });
+    assert.deepEqual(counts, { [sites.I]: 4, [sites.III]: 4, [sites.VI]: 8 }, id);
+    assert.ok(cell.atoms.every(atom => atom.coordination === 4), id);
+    assert.equal(cell.cell.a, lattice.a);
+    assert.equal(cell.cell.c, lattice.c);
+  });
+});
+
+test('a 2 nm core emits from the green of the sulfides to the red of the indium and selenium compounds', () => {
+  const peak = id => calculateEmissionParams(2, 30, false, { material: getBrusParams(id) });
+  assert.equal(peak('AgGaS2').wl, 507.6);
+  assert.equal(peak('CuGaS2').wl, 520.8);
+  assert.equal(peak('AgGaSe2').wl, 688);
+  assert.equal(peak('AgInS2').wl, 692.5);
+  // CuInS2 的 1.369 eV 超出可见范围，峰位钳位在 700 nm
+  assert.equal(peak('CuInS2').energy, '1.369');
+  assert.equal(peak('CuInS2').wl, 700);
+});
+
+test('unknown elements from imported files get a fallback style', () => {
+  assert.equal(getElementStyle('Cu').label, 'Copper');
+  assert.deepEqual(getElementStyle('Xx'), { radius: 0.1, color: '#ff66cc', covalentRadius: 1.2, label: 'Xx' });
+});
@@ -0,0 +1,32 @@
+// test/optimize.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveLinearSystem, levenbergMarquardt } from '../src/utils/optimize.js';
+
+test('solveLinearSystem needs pivoting and detects singular systems', () => {
+  const x = solveLinearSystem([[0, 2, 1], [1, 1, 1], [2, 1, 3]], [5, 4, 7]);
+  [1, 2, 1].forEach((v, i) => assert.ok(Math.abs(x[i] - v) < 1e-12));
+  assert.equal(solveLinearSystem([[1, 2], [2, 4]], [1, 2]), null);
+});
+
+test('Levenberg-Marquardt recovers an exponential decay from noiseless data', () => {
+  const ts = Array.from({ length: 40 }, (_, i) => i * 0.25);
+  const model = ([a, k, c], t) => a * Math.exp(-k * t) + c;
+  const data = ts.map(t => model([2.5, 0.7, 0.3], t));
+  const progress = [];
+  const { params, cost, iterations } = levenbergMarquardt(
+    (p) => ts.map((t, i) => model(p, t) - data[i]),
+    [1, 0.2, 0],
+    { lower: [0, 0.01, -1], upper: [10, 5, 1], onIteration: (info) => progress.push(info) }
+  );
+  [2.5, 0.7, 0.3].forEach((v, i) => assert.ok(Math.abs(params[i] - v) < 1e-3, `p${i} = ${params[i]}`));
+  assert.ok(cost < 1e-8);
+  assert.equal(progress.length, iterations);
+  progress.slice(1).forEach((p, i) => assert.ok(p.cost < progress[i].cost));
+});
+
+test('Levenberg-Marquardt respects the bounds', () => {
+  const { params } = levenbergMarquardt(([x]) => [x - 5], [0], { lower: [-1], upper: [2] });
+  assert.equal(params[0], 2);
+});
@@ -0,0 +1,76 @@
+// test/recipe.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateWhiteLED, calculateChromaticity, calculateCRI } from '../src/utils/physics.js';
+import { RECIPE_VERSION, DEFAULT_RECIPE_INPUTS, buildRecipe, validateRecipe, recipeToSimulationInputs } from '../src/utils/recipe.js';
+
+const exportRecipe = (inputs) => {
+  const result = simulateWhiteLED(recipeToSimulationInputs(inputs));
+  const outputs = { ...result, chromaticity: calculateChromaticity(result.spectrum), cri: calculateCRI(result.spectrum) };
+  return JSON.parse(JSON.stringify(buildRecipe(inputs, outputs)));
+};
+
+test('an exported recipe validates back to the same inputs and model', () => {
+  const recipe = exportRecipe(DEFAULT_RECIPE_INPUTS);
+  assert.equal(recipe.version, RECIPE_VERSION);
+  const { inputs, model, blend, errors, warnings } = validateRecipe(recipe);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(inputs, DEFAULT_RECIPE_INPUTS);
+  assert.deepEqual(model, recipe.model);
+  assert.deepEqual(blend, []);
+});
+
+test('re-simulating a recipe reproduces its recorded outputs', () => {
+  const recipe = exportRecipe({ ...DEFAULT_RECIPE_INPUTS, radius: 2.8, zrDoping: 0.1 });
+  const { inputs, model, blend } = validateRecipe(recipe);
+  const again = exportRecipe({ ...inputs });
+  assert.deepEqual(again.outputs, recipe.outputs);
+  assert.deepEqual(recipeToSimulationInputs(inputs, model, blend).corrections, recipe.model.corrections);
+});
+
+test('invalid recipes are rejected with one error per problem', () => {
+  const recipe = exportRecipe(DEFAULT_RECIPE_INPUTS);
+  const broken = {
+    ...recipe,
+    version: RECIPE_VERSION + 1,
+    extra: true,
+    inputs: { ...recipe.inputs, radius: 50, isCoreShell: 'yes', materialId: 'Unobtainium', unknownKnob: 1 }
+  };
+  const { errors, warnings } = validateRecipe(broken);
+  assert.equal(errors.length, 4);
+  assert.match(errors[0], /newer than supported/);
+  assert.ok(errors.some(e => /"radius" = 50 out of range/.test(e)));
+  assert.ok(errors.some(e => /"isCoreShell" must be a boolean/.test(e)));
+  assert.ok(errors.some(e => /"materialId" must be one of/.test(e)));
+  assert.deepEqual(warnings, ['Unknown field "extra" ignored', 'Unknown input "unknownKnob" ignored']);
+  assert.deepEqual(validateRecipe([]).errors, ['Recipe must be a JSON object']);
+});
+
+test('integer inputs reject fractional values', () => {
+  const recipe = exportRecipe(DEFAULT_RECIPE_INPUTS);
+  const { errors } = validateRecipe({ ...recipe, inputs: { ...recipe.inputs, shellMonolayers: 2.5, dopingSeed: 1.5 } });
+  assert.deepEqual(errors, [
+    'Input "shellMonolayers" = 2.5 must be an integer',
+    'Input "dopingSeed" = 1.5 must be an integer'
+  ]);
+});
+
+test('every input is required; there are no per-version defaults', () => {
+  const recipe = exportRecipe(DEFAULT_RECIPE_INPUTS);
+  const { spectralStep: _step, ...inputs } = recipe.inputs;
+  const { corrections: { zrFwhm: _zrFwhm, ...corrections } } = recipe.model;
+  const { errors } = validateRecipe({ ...recipe, inputs, model: { ...recipe.model, corrections } });
+  assert.deepEqual(errors, ['Missing input "spectralStep"', 'Missing model parameter "corrections.zrFwhm"']);
+});
+
+test('the structure supercell round-trips as three integers', () => {
+  const recipe = exportRecipe({ ...DEFAULT_RECIPE_INPUTS, supercell: [2, 3, 1] });
+  assert.deepEqual(recipe.inputs.supercell, [2, 3, 1]);
+  assert.deepEqual(validateRecipe(recipe).inputs.supercell, [2, 3, 1]);
+  const check = (supercell) => validateRecipe({ ...recipe, inputs: { ...recipe.inputs, supercell } }).errors;
+  assert.deepEqual(check([2, 2]), ['Input "supercell" must be an array of 3 numbers']);
+  assert.deepEqual(check([2, 9, 1]), ['Input "supercell[1]" = 9 out of range [1, 8]']);
+  assert.deepEqual(check([2, 1.5, 1]), ['Input "supercell[1]" = 1.5 must be an integer']);
+});
@@ -0,0 +1,55 @@
+// test/shell.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { shellThickness, carrierGroundState, shellRedShift, latticeStrain, passivatedQuantumYield, DEFAULT_SHELL_MONOLAYERS } from '../src/utils/shell.js';
+import { MATERIALS } from '../src/utils/materials.js';
+import { getLatticeStructure } from '../src/utils/physics.js';
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≠ ${expected}`);
+const { AgGaS2 } = MATERIALS;
+
+test('without a shell, or behind a very high barrier, the carrier sits in the infinite spherical well', () => {
+  const infinite = 0.0380998 * Math.PI ** 2 / (0.22 * 3.5 ** 2);
+  close(carrierGroundState(3.5, 0, 0.22, 0.5), infinite, 1e-12);
+  close(carrierGroundState(3.5, 100, 0.22, 1e6), infinite, 1e-3);
+  assert.ok(carrierGroundState(3.5, 1.248, 0.22, 0.5) < infinite);
+});
+
+test('the default 4 ML shell on a 3.5 nm core red-shifts by 46 meV, mostly through the light electron', () => {
+  assert.equal(DEFAULT_SHELL_MONOLAYERS, 4);
+  close(shellThickness(4), 1.248, 1e-12);
+  const { shift, electron, hole } = shellRedShift(3.5, 4, AgGaS2, AgGaS2.shellOffsets);
+  close(shift, -0.0457, 1e-4);
+  close(electron, -0.0372, 1e-4);
+  close(hole, -0.0085, 1e-4);
+  // 壳层越厚红移越大，并趋于饱和
+  const thin = shellRedShift(3.5, 1, AgGaS2, AgGaS2.shellOffsets).shift;
+  const thick = shellRedShift(3.5, 10, AgGaS2, AgGaS2.shellOffsets).shift;
+  assert.ok(thin > shift && shift > thick);
+  close(thick, -0.0469, 1e-4);
+});
+
+test('ZnS compresses the AgGaS2 core and stretches the shell', () => {
+  const { mismatch, core, shell } = latticeStrain(3.5, 4, AgGaS2.lattice);
+  const pseudoCubic = Math.cbrt(5.757 ** 2 * 10.304 / 2);
+  close(mismatch, (5.409 - pseudoCubic) / pseudoCubic, 1e-12);
+  close(mismatch, -0.0250, 1e-4);
+  close(core, -0.00929, 1e-5);
+  close(shell, core - mismatch, 1e-12);
+});
+
+test('passivation lifts the quantum yield from 0.8 to 0.94 at 4 ML', () => {
+  assert.equal(passivatedQuantumYield(0.8, 0), 0.8);
+  close(passivatedQuantumYield(0.8, 4), 0.940, 1e-3);
+  assert.equal(passivatedQuantumYield(0, 4), 0);
+});
+
+test('the atomistic shell replaces cations with Zn and anions with S around the core', () => {
+  const count = structure => structure.atoms.reduce((acc, atom) => ({ ...acc, [atom.type]: (acc[atom.type] ?? 0) + 1 }), {});
+  const bare = getLatticeStructure('cluster', 0, 'AgGaS2', { clusterRadius: 1 });
+  const shelled = getLatticeStructure('cluster', 0, 'AgGaS2', { clusterRadius: 1, shellMonolayers: 2 });
+  assert.deepEqual(count(bare), { Ag: 37, Ga: 50, S: 92 });
+  assert.deepEqual(count(shelled), { Ag: 37, Ga: 50, S: 420, Zn: 316 });
+  assert.equal(shelled.atoms.filter(atom => atom.site === 'shell').length, 644);
+});
@@ -0,0 +1,48 @@
+// test/spectralFit.test.js
+
+// ==========================================
+// 合成数据往返：用已知参数生成无噪声光谱，拟合应恢复这些参数
+// ==========================================
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIT_PARAMETERS, DEFAULT_FIT_KEYS, evaluateEmissionModel, fitEmissionSpectrum } from '../src/utils/spectralFit.js';
+
+const truth = { radius: 2.7, fwhm: 42, reactionTime: 62, zrDoping: 0.12 };
+const sliders = { radius: 3.5, fwhm: 35, reactionTime: 30, zrDoping: 0 };
+
+test('the default fit pins reaction time', () => {
+  assert.ok(!DEFAULT_FIT_KEYS.includes('reactionTime'));
+});
+
+[false, true].forEach(isCoreShell => {
+  test(`default fit recovers the truth on noiseless data (${isCoreShell ? 'core-shell' : 'core'})`, () => {
+    const measured = evaluateEmissionModel(truth, isCoreShell);
+    // 锁定的 reactionTime 取真值 (实验中由合成记录给出)
+    const { params, r2, degenerate } = fitEmissionSpectrum(measured, { ...sliders, reactionTime: truth.reactionTime }, { isCoreShell });
+    assert.ok(Math.abs(params.radius - truth.radius) < 0.01, `radius = ${params.radius}`);
+    assert.ok(Math.abs(params.fwhm - truth.fwhm) < 0.1, `fwhm = ${params.fwhm}`);
+    assert.ok(Math.abs(params.zrDoping - truth.zrDoping) < 1e-3, `zrDoping = ${params.zrDoping}`);
+    assert.equal(params.reactionTime, truth.reactionTime);
+    assert.ok(r2 > 0.9999, `r² = ${r2}`);
+    assert.equal(degenerate, false);
+  });
+});
+
+test('fitting every parameter still reaches an exact fit and flags the degeneracy', () => {
+  const measured = evaluateEmissionModel(truth, true);
+  const { params, r2, degenerate } = fitEmissionSpectrum(measured, sliders, { isCoreShell: true, fitKeys: Object.keys(FIT_PARAMETERS) });
+  assert.ok(r2 > 0.9999, `r² = ${r2}`);
+  assert.ok(Math.abs(params.fwhm - truth.fwhm) < 1, `fwhm = ${params.fwhm}`);
+  assert.ok(Math.abs(params.zrDoping - truth.zrDoping) < 1e-3, `zrDoping = ${params.zrDoping}`);
+  assert.equal(degenerate, true);
+});
+
+test('progress reports a running iteration count across the multi-start runs', () => {
+  const measured = evaluateEmissionModel(truth, false);
+  const progress = [];
+  const { iterations } = fitEmissionSpectrum(measured, sliders, { fitKeys: Object.keys(FIT_PARAMETERS), onProgress: p => progress.push(p.iteration) });
+  assert.ok(progress.length > 0);
+  progress.slice(1).forEach((n, i) => assert.ok(n > progress[i]));
+  assert.ok(progress[progress.length - 1] <= iterations);
+});
@@ -0,0 +1,51 @@
+// test/spectralGrid.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getGridWavelengths, resampleTable, extendGrid } from '../src/utils/spectralGrid.js';
+import { CMF_1931_2 } from '../src/utils/cieData.js';
+
+// 5nm 间隔的单列数据表
+const tabulate = (fn, min = 360, max = 830) => Object.fromEntries(
+  getGridWavelengths({ min, max, step: 5 }).map(wl => [wl, [fn(wl)]])
+);
+
+test('grid wavelengths are cached and free of accumulated rounding', () => {
+  const grid = { min: 360, max: 830, step: 2.5 };
+  const wavelengths = getGridWavelengths(grid);
+  assert.equal(wavelengths.length, 189);
+  assert.equal(wavelengths[wavelengths.length - 1], 830);
+  assert.equal(getGridWavelengths({ ...grid }), wavelengths);
+  assert.deepEqual(getGridWavelengths({ min: 400, max: 401, step: 0.1 }).slice(-2), [400.9, 401]);
+  assert.throws(() => getGridWavelengths({ min: 400, max: 300, step: 5 }), /Invalid spectral grid/);
+});
+
+test('extendGrid keeps the step alignment', () => {
+  assert.deepEqual(extendGrid({ min: 380, max: 780, step: 5 }, 300), { min: 300, max: 780, step: 5 });
+  assert.deepEqual(extendGrid({ min: 360, max: 830, step: 2.5 }, 301), { min: 302.5, max: 830, step: 2.5 });
+});
+
+test('Sprague resampling passes through the table nodes', () => {
+  const wavelengths = getGridWavelengths({ min: 360, max: 830, step: 1 });
+  const resampled = resampleTable(CMF_1931_2, wavelengths);
+  [360, 445, 555, 600, 830].forEach(wl => {
+    resampled[wavelengths.indexOf(wl)].forEach((v, c) => assert.ok(Math.abs(v - CMF_1931_2[wl][c]) < 1e-12, `${wl} nm`));
+  });
+  assert.equal(resampled[wavelengths.indexOf(555)][1], 1);
+});
+
+test('Sprague resampling is exact for low-order polynomials away from the table ends', () => {
+  const poly = (wl) => 1 + 2e-3 * (wl - 500) - 4e-6 * (wl - 500) ** 2 + 1e-8 * (wl - 500) ** 3;
+  const wavelengths = getGridWavelengths({ min: 371, max: 819, step: 1 });
+  resampleTable(tabulate(poly), wavelengths).forEach(([v], i) => {
+    assert.ok(Math.abs(v - poly(wavelengths[i])) < 1e-9, `${wavelengths[i]} nm`);
+  });
+});
+
+test('linear resampling interpolates between nodes and is zero outside the table', () => {
+  const table = { 400: [0], 410: [10] };
+  const [inside, outside] = resampleTable(table, [403, 420], 'linear');
+  assert.ok(Math.abs(inside[0] - 3) < 1e-12);
+  assert.equal(outside[0], 0);
+  assert.throws(() => resampleTable({ 400: [0], 405: [1], 415: [2] }, [400]), /uniform wavelength interval/);
+});
@@ -0,0 +1,84 @@
+// test/spectrumIO.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDelimitedSpectrum, parseJcampSpectrum, parseSpectrumFile, normalizeSpectrum } from '../src/utils/spectrumIO.js';
+
+const close = (actual, expected, tolerance = 1e-9) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≠ ${expected}`);
+
+test('delimited text skips headers and comments, accepts any separator and sorts by wavelength', () => {
+  const text = [
+    '# exported by spectrometer',
+    'Wavelength,Intensity',
+    '520,0.8',
+    '510;0.5',
+    '500\t0.2',
+    '530 0.4',
+    '% trailing comment'
+  ].join('\r\n');
+  assert.deepEqual(parseDelimitedSpectrum(text), [
+    { wl: 500, intensity: 0.2 }, { wl: 510, intensity: 0.5 }, { wl: 520, intensity: 0.8 }, { wl: 530, intensity: 0.4 }
+  ]);
+});
+
+test('an axis entirely below 10 is read as photon energy in eV', () => {
+  const spectrum = parseDelimitedSpectrum('2.0,1\n2.5,2\n3.0,3\n');
+  assert.deepEqual(spectrum.map(p => p.intensity), [3, 2, 1]);
+  close(spectrum[0].wl, 1239.84 / 3.0);
+  close(spectrum[1].wl, 495.936);
+  close(spectrum[2].wl, 619.92);
+  // 只要有一个横轴值 ≥ 10 就按 nm 读取
+  assert.deepEqual(parseDelimitedSpectrum('2,1\n5,2\n12,3\n').map(p => p.wl), [2, 5, 12]);
+});
+
+test('fewer than three points is an error', () => {
+  assert.throws(() => parseDelimitedSpectrum('Wavelength,Intensity\n500,1\n510,2\n'), /fewer than 3 data points/);
+});
+
+test('JCAMP-DX XYDATA expands equally spaced Y values with XFACTOR / YFACTOR', () => {
+  const text = [
+    '##TITLE=PL spectrum',
+    '##JCAMP-DX=4.24',
+    '##XUNITS=NANOMETERS',
+    '##XFACTOR=1',
+    '##YFACTOR=0.5',
+    '##FIRSTX=500',
+    '##LASTX=530',
+    '##NPOINTS=4',
+    '##XYDATA=(X++(Y..Y))',
+    '500 2 4',
+    '520 6 8 $$ checkpoint',
+    '##END='
+  ].join('\n');
+  assert.deepEqual(parseJcampSpectrum(text), [
+    { wl: 500, intensity: 1 }, { wl: 510, intensity: 2 }, { wl: 520, intensity: 3 }, { wl: 530, intensity: 4 }
+  ]);
+});
+
+test('JCAMP-DX XYPOINTS pairs values and converts wavenumbers to nm', () => {
+  const text = [
+    '##TITLE=PL spectrum',
+    '##XUNITS=1/CM',
+    '##XYPOINTS=(XY..XY)',
+    '20000, 1; 25000, 2',
+    '16000, 3',
+    '##END='
+  ].join('\n');
+  assert.deepEqual(parseJcampSpectrum(text), [
+    { wl: 400, intensity: 2 }, { wl: 500, intensity: 1 }, { wl: 625, intensity: 3 }
+  ]);
+});
+
+test('compressed (ASDF) or empty JCAMP-DX files are rejected', () => {
+  const header = '##TITLE=PL\n##FIRSTX=500\n##LASTX=530\n##NPOINTS=4\n##XYDATA=(X++(Y..Y))\n';
+  assert.throws(() => parseJcampSpectrum(`${header}500@A1B2C3\n##END=\n`), /ASDF/);
+  assert.throws(() => parseJcampSpectrum('##TITLE=PL\n##END=\n'), /no ##XYDATA or ##XYPOINTS block/);
+});
+
+test('the parser is picked by extension or a ##TITLE line, and normalisation scales the peak to 1', () => {
+  const jcamp = '##TITLE=PL\n##XYPOINTS=(XY..XY)\n500,1\n510,4\n520,2\n##END=\n';
+  const expected = [{ wl: 500, intensity: 1 }, { wl: 510, intensity: 4 }, { wl: 520, intensity: 2 }];
+  assert.deepEqual(parseSpectrumFile('scan.txt', jcamp), expected);
+  assert.deepEqual(parseSpectrumFile('scan.csv', '500,1\n510,4\n520,2'), expected);
+  assert.deepEqual(normalizeSpectrum(expected).map(p => p.intensity), [0.25, 1, 0.5]);
+});
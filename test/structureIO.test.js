@@ -0,0 +1,68 @@
+// test/structureIO.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLatticeStructure, MAX_CLUSTER_ATOMS } from '../src/utils/physics.js';
+import { structureToCif, structureToPoscar, structureToXyz, parseCif, parsePoscar, parseStructureFile } from '../src/utils/structureIO.js';
+
+const unitCell = getLatticeStructure('unit', 0, 'AgGaS2');
+const doped = getLatticeStructure('unit', 0.2, 'AgGaS2', { supercell: [2, 2, 1], seed: 3, compensation: 'cationVacancy' });
+
+test('CIF → parse → CIF is the identity', () => {
+  [unitCell, doped].forEach(structure => {
+    const cif = structureToCif(structure);
+    assert.equal(structureToCif(parseCif(cif)), cif);
+  });
+});
+
+test('POSCAR → parse → POSCAR is the identity', () => {
+  [unitCell, doped].forEach(structure => {
+    const poscar = structureToPoscar(structure);
+    assert.equal(structureToPoscar(parsePoscar(poscar)), poscar);
+  });
+});
+
+test('a parsed CIF keeps the cell, composition and bonding', () => {
+  const parsed = parseStructureFile('AgGaS2.cif', structureToCif(unitCell));
+  assert.equal(parsed.atoms.length, 16);
+  ['a', 'b', 'c'].forEach(k => assert.ok(Math.abs(parsed.cell[k] - unitCell.cell[k]) < 1e-6));
+  const count = (s, type) => s.atoms.filter(a => a.type === type).length;
+  ['Ag', 'Ga', 'S'].forEach(type => assert.equal(count(parsed, type), count(unitCell, type)));
+  assert.equal(parsed.bonds.length, unitCell.bonds.length);
+});
+
+test('CIF symmetry operations expand the asymmetric unit', () => {
+  const cif = [
+    'data_NaCl_like',
+    '_cell_length_a 4', '_cell_length_b 4', '_cell_length_c 4',
+    'loop_', '_symmetry_equiv_pos_as_xyz', "'x, y, z'", "'x+1/2, y+1/2, z'", "'x+1/2, y, z+1/2'", "'x, y+1/2, z+1/2'",
+    'loop_', '_atom_site_label', '_atom_site_fract_x', '_atom_site_fract_y', '_atom_site_fract_z',
+    'Na1 0 0 0', 'Cl1 0.5 0.5 0.5'
+  ].join('\n');
+  const structure = parseCif(cif);
+  assert.equal(structure.title, 'NaCl_like');
+  assert.equal(structure.atoms.length, 8);
+});
+
+test('CIF export rejects clusters and XYZ lists every atom', () => {
+  const cluster = getLatticeStructure('cluster', 0, 'AgGaS2', { clusterRadius: 1 });
+  assert.throws(() => structureToCif(cluster), /periodic/);
+  const xyz = structureToXyz(cluster).trim().split('\n');
+  assert.equal(Number(xyz[0]), cluster.atoms.length);
+  assert.equal(xyz.length, cluster.atoms.length + 2);
+});
+
+test('clusters above the atom cap fall back to the bulk lattice with a notice', () => {
+  const small = getLatticeStructure('cluster', 0, 'AgGaS2', { clusterRadius: 2 });
+  assert.equal(small.notice, null);
+  assert.equal(small.periodic, false);
+  const large = getLatticeStructure('cluster', 0, 'AgGaS2', { clusterRadius: 10, shellMonolayers: 4 });
+  assert.equal(large.periodic, true);
+  assert.equal(large.atoms.length, unitCell.atoms.length);
+  assert.match(large.notice, new RegExp(`R=10 nm would have about \\d+ atoms \\(limit ${MAX_CLUSTER_ATOMS}\\)`));
+});
+
+test('malformed files give readable errors', () => {
+  assert.throws(() => parseCif('data_x\n_cell_length_a 4\n'), /missing cell parameter/);
+  assert.throws(() => parsePoscar('title\n1.0\n1 0 0\n0 1 0\n'), /lattice vectors/);
+});
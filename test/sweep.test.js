@@ -0,0 +1,43 @@
+// test/sweep.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getAxisValues, runSweep, sweepToCsv } from '../src/utils/sweep.js';
+import { DEFAULT_RECIPE_INPUTS, recipeToSimulationInputs } from '../src/utils/recipe.js';
+
+const base = recipeToSimulationInputs(DEFAULT_RECIPE_INPUTS);
+
+test('continuous axes are spaced linearly between the end points', () => {
+  assert.deepEqual(getAxisValues({ key: 'radius', min: 1, max: 10, steps: 4 }), [1, 4, 7, 10]);
+  assert.deepEqual(getAxisValues({ key: 'zrDoping', min: 0, max: 0.3, steps: 4 }), [0, 0.1, 0.2, 0.3]);
+  assert.deepEqual(getAxisValues({ key: 'isCoreShell', min: 0, max: 1, steps: 11 }), [false, true]);
+});
+
+test('the shell-thickness axis steps in whole monolayers without repeats', () => {
+  assert.deepEqual(getAxisValues({ key: 'shellMonolayers', min: 1, max: 10, steps: 11 }), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  assert.deepEqual(getAxisValues({ key: 'shellMonolayers', min: 2, max: 8, steps: 4 }), [2, 4, 6, 8]);
+  assert.deepEqual(getAxisValues({ key: 'shellMonolayers', min: 1.4, max: 3.6, steps: 5 }), [1, 2, 3, 4]);
+  assert.deepEqual(getAxisValues({ key: 'shellMonolayers', min: 3, max: 3, steps: 5 }), [3]);
+  for (const v of getAxisValues({ key: 'shellMonolayers', min: 1, max: 10, steps: 7 })) assert.ok(Number.isInteger(v), `${v}`);
+});
+
+test('a shell-thickness sweep of the default device red-shifts the peak', () => {
+  const { axes, rows } = runSweep(base, [{ key: 'shellMonolayers', min: 2, max: 6, steps: 3 }]);
+  assert.deepEqual(axes, [{ key: 'shellMonolayers', values: [2, 4, 6] }]);
+  // 4 ML 即默认器件 (3.5 nm 核壳，峰位 590.9 nm)
+  assert.deepEqual(rows.map(r => r.peakWl), [589, 590.9, 591.2]);
+  const csv = sweepToCsv({ axes, rows }).split('\n');
+  assert.equal(csv.length, 4);
+  assert.ok(csv[0].startsWith('shellMonolayers (ML),peakWl (nm),Ra,R9,cct (K)'));
+  assert.ok(csv[2].startsWith('4,590.9,'));
+});
+
+test('2-D sweeps run the first axis as the outer loop and report progress per point', () => {
+  const progress = [];
+  const { rows } = runSweep(base, [{ key: 'radius', min: 2, max: 3, steps: 2 }, { key: 'isCoreShell' }], {
+    onRow: ({ done, total }) => progress.push(`${done}/${total}`)
+  });
+  assert.deepEqual(rows.map(r => [r.radius, r.isCoreShell]), [[2, false], [2, true], [3, false], [3, true]]);
+  assert.deepEqual(progress, ['1/4', '2/4', '3/4', '4/4']);
+  assert.throws(() => runSweep(base, [{ key: 'radius', min: 1, max: 2, steps: 2 }, { key: 'radius', min: 1, max: 2, steps: 2 }]), /must be different/);
+});
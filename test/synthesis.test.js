@@ -0,0 +1,78 @@
+// test/synthesis.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { synthesisFrame, activeAnnotation, timelineCaption, TIMELINE_EXPORT } from '../src/utils/synthesis.js';
+import { createFrameRecorder } from '../src/utils/frameExport.js';
+
+const options = { finalRadius: 3.5, blueShiftOnset: 30 };
+
+test('the nanocrystal grows from the nucleus to 95 % of its final radius in three time constants', () => {
+  assert.deepEqual(synthesisFrame(0, options), { time: 0, radius: 1, reactionTime: 0, stage: 'nucleation' });
+  // 1 + 2.5 × (1 − e⁻³)
+  assert.equal(synthesisFrame(24, options).radius, 3.38);
+  assert.equal(synthesisFrame(24, options).stage, 'growth');
+  assert.deepEqual(synthesisFrame(120, options), { time: 90, radius: 3.5, reactionTime: 90, stage: 'blueShift' });
+  // 目标半径小于晶核时不会收缩
+  assert.equal(synthesisFrame(10, { ...options, finalRadius: 0.8 }).radius, 0.8);
+  assert.equal(TIMELINE_EXPORT.frames, 91);
+});
+
+test('an annotation shows from its time for ten minutes, the latest one winning', () => {
+  const annotations = [{ id: 1, time: 5, text: 'Inject Ga' }, { id: 2, time: 12, text: 'Hot injection' }];
+  assert.equal(activeAnnotation(annotations, 4), null);
+  assert.equal(activeAnnotation(annotations, 10).text, 'Inject Ga');
+  assert.equal(activeAnnotation(annotations, 12).text, 'Hot injection');
+  assert.equal(activeAnnotation(annotations, 22), null);
+});
+
+test('the caption lists time, stage, radius and peak', () => {
+  const frame = synthesisFrame(45, options);
+  assert.deepEqual(timelineCaption(frame, 551.4, null), ['t = 45.0 min · Anomalous blue shift', 'r = 3.49 nm · λ = 551 nm']);
+  assert.equal(timelineCaption(frame, 551.4, { text: 'Sample taken' })[2], 'Sample taken');
+});
+
+// Node 没有 DOM：二维画布替身只记录绘制调用，PNG 内容为帧序号
+const createFakeDocument = () => {
+  const calls = [];
+  let frames = 0;
+  globalThis.document = {
+    createElement: () => {
+      const canvas = {
+        width: 0,
+        height: 0,
+        getContext: () => ({
+          canvas,
+          drawImage: () => calls.push('drawImage'),
+          measureText: text => ({ width: text.length * 7 }),
+          fillRect: () => calls.push('fillRect'),
+          fillText: text => calls.push(text)
+        }),
+        toBlob: resolve => resolve(new Blob([new Uint8Array([frames++])]))
+      };
+      return canvas;
+    }
+  };
+  return calls;
+};
+
+test('a PNG export zips one numbered frame per call with the caption drawn over the canvas', async () => {
+  const calls = createFakeDocument();
+  const recorder = createFrameRecorder({ width: 200, height: 100, clientWidth: 100 }, { format: 'png' });
+  await recorder.addFrame(['t = 0.0 min · Nucleation']);
+  await recorder.addFrame([]);
+  assert.deepEqual(calls, ['drawImage', 'fillRect', 't = 0.0 min · Nucleation', 'drawImage']);
+
+  const bytes = new Uint8Array(await (await recorder.finish()).arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint16(end + 10, true), 2);
+  assert.equal(new TextDecoder().decode(bytes.slice(30, 44)), 'frame-0000.png');
+  delete globalThis.document;
+});
+
+test('WebM export fails with a hint where MediaRecorder is unavailable', () => {
+  createFakeDocument();
+  assert.throws(() => createFrameRecorder({ width: 200, height: 100 }, { format: 'webm' }), /export a PNG sequence instead/);
+  delete globalThis.document;
+});
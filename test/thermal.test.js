@@ -0,0 +1,49 @@
+// test/thermal.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  varshniShift, broadenFwhm, thermalQuenchingFactor, estimateJunctionTemperature, resolveFilmTemperature, DEFAULT_THERMAL
+} from '../src/utils/thermal.js';
+import { simulateWhiteLED } from '../src/utils/physics.js';
+import { DEFAULT_RECIPE_INPUTS, recipeToSimulationInputs } from '../src/utils/recipe.js';
+
+const close = (actual, expected, tolerance) => assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} ≠ ${expected}`);
+
+test('every model is neutral at the 25 °C reference', () => {
+  close(varshniShift(25, 4e-4, 250), 0, 1e-15);
+  close(broadenFwhm(35, 590, 25), 35, 1e-9);
+  assert.equal(thermalQuenchingFactor(25, true), 1);
+});
+
+test('at 125 °C the AgGaS2 gap shrinks by the Varshni difference and the line broadens', () => {
+  // α·T²/(T+β) 在 398.15 K 与 298.15 K 之差
+  const expected = -(4e-4 * 398.15 ** 2 / 648.15 - 4e-4 * 298.15 ** 2 / 548.15);
+  close(varshniShift(125, 4e-4, 250), expected, 1e-12);
+  close(varshniShift(125, 4e-4, 250), -0.03296, 1e-5);
+  close(broadenFwhm(35, 590, 125), 37.98, 0.01);
+});
+
+test('the ZnS shell raises the quenching activation energy', () => {
+  close(thermalQuenchingFactor(125, false), 0.598, 1e-3);
+  close(thermalQuenchingFactor(125, true), 0.870, 1e-3);
+});
+
+test('the junction temperature is the fixed point of the efficiency droop', () => {
+  const chip = estimateJunctionTemperature({ ambient: 25, current: 350 });
+  // 0.35 A × (2.9 V + 0.5 Ω × 0.35 A)
+  close(chip.electricalPower, 1.07625, 1e-12);
+  close(chip.junction, 36.0, 0.01);
+  close(chip.junction, 25 + 20 * chip.heat, 1e-6);
+  assert.deepEqual(resolveFilmTemperature(DEFAULT_THERMAL), { temperature: 25, junction: null });
+  assert.equal(resolveFilmTemperature({ ...DEFAULT_THERMAL, temperatureMode: 'junction' }).temperature, chip.junction);
+});
+
+test('a hot film red-shifts, broadens and dims the default device', () => {
+  const cold = simulateWhiteLED(recipeToSimulationInputs(DEFAULT_RECIPE_INPUTS));
+  const hot = simulateWhiteLED(recipeToSimulationInputs({ ...DEFAULT_RECIPE_INPUTS, temperature: 125 }));
+  assert.equal(cold.peakWl, 590.9);
+  assert.equal(hot.peakWl, 600.4);
+  close(hot.thermal.fwhm, 83.08, 0.01);
+  close(hot.thermal.quenching, 0.870, 1e-3);
+});
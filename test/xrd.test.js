@@ -0,0 +1,41 @@
+// test/xrd.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLatticeStructure } from '../src/utils/physics.js';
+import { computeReflections, scherrerFwhm, XRD_SUPERCELL } from '../src/utils/xrd.js';
+
+const strongest = (reflections) => reflections.reduce((a, b) => (b.intensity > a.intensity ? b : a));
+
+test('AgGaS2 (112) is the strongest reflection at 2θ ≈ 27.9° (Cu Kα1)', () => {
+  const reflections = computeReflections(getLatticeStructure('unit', 0, 'AgGaS2'));
+  const top = strongest(reflections);
+  assert.deepEqual(top.hkl, [1, 1, 2]);
+  assert.ok(Math.abs(top.twoTheta - 27.9) < 0.1, `2θ = ${top.twoTheta}`);
+  assert.ok(Math.abs(top.d - 3.194) < 2e-3);
+  assert.equal(top.intensity, 100);
+  assert.equal(top.multiplicity, 8);
+});
+
+test('I-42d extinctions: (100) and (110) are absent, (101) is allowed', () => {
+  const reflections = computeReflections(getLatticeStructure('unit', 0, 'AgGaS2'));
+  const has = (hkl) => reflections.some(r => r.hkl.join() === hkl.join());
+  assert.ok(!has([1, 0, 0]));
+  assert.ok(!has([1, 1, 0]));
+  assert.ok(has([1, 0, 1]));
+});
+
+test('a supercell indexed on the unit cell gives the same pattern', () => {
+  const unit = computeReflections(getLatticeStructure('unit', 0, 'AgGaS2'));
+  const supercell = computeReflections(getLatticeStructure('unit', 0, 'AgGaS2', { supercell: XRD_SUPERCELL }), { repeat: XRD_SUPERCELL });
+  assert.equal(supercell.length, unit.length);
+  supercell.forEach((r, i) => {
+    assert.ok(Math.abs(r.twoTheta - unit[i].twoTheta) < 1e-9);
+    assert.ok(Math.abs(r.intensity - unit[i].intensity) < 1e-6);
+  });
+});
+
+test('XRD rejects clusters and Scherrer width shrinks with crystallite size', () => {
+  assert.throws(() => computeReflections(getLatticeStructure('cluster', 0, 'AgGaS2', { clusterRadius: 1 })), /periodic/);
+  assert.ok(scherrerFwhm(27.9, 3) > scherrerFwhm(27.9, 10));
+});
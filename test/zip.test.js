@@ -0,0 +1,24 @@
+// test/zip.test.js
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createZip } from '../src/utils/zip.js';
+
+test('createZip writes stored entries with CRC-32 and a central directory', async () => {
+  const data = new TextEncoder().encode('123456789');
+  const bytes = new Uint8Array(await createZip([{ name: 'a.txt', data }, { name: 'b.txt', data: new Uint8Array(0) }]).arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  assert.equal(view.getUint32(0, true), 0x04034b50);
+  // CRC-32 ("123456789") 的标准校验值
+  assert.equal(view.getUint32(14, true), 0xcbf43926);
+  assert.equal(view.getUint32(18, true), 9);
+  assert.equal(new TextDecoder().decode(bytes.slice(30, 35)), 'a.txt');
+  assert.deepEqual(bytes.slice(35, 44), data);
+
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  assert.equal(view.getUint16(end + 10, true), 2);
+  const centralOffset = view.getUint32(end + 16, true);
+  assert.equal(view.getUint32(centralOffset, true), 0x02014b50);
+  assert.equal(centralOffset + view.getUint32(end + 12, true), end);
+});